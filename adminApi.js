@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+  getProperty,
+  updateProperty,
+  searchProperties,
+  getPropertyBySlug,
+  getPropertyImages,
+  getUserSession,
+  findUserSession,
+  updateUserSession,
+  getUser,
+  getUsers,
+  addUser,
+  updateUser,
+  deleteUser
+} = require('./storage');
+const { PROPERTY_STATUS, USER_ROLES, listingStatus, fromPropertyFields } = require('./propertySchema');
+const { STATUS_ANY, parseFilterQuery } = require('./searchFilter');
+const { validateField } = require('./validation');
+const { uploadPhoto } = require('./mediaHandlers');
+const { attachImage, setCoverImage, deleteUpload, deleteListing } = require('./drafts');
+const { MAX_IMAGES } = require('./conversation');
+const { parkCurrentDraft } = require('./myListings');
+const { announceListing } = require('./approvals');
+const { TELEGRAM_ID_PATTERN } = require('./users');
+const { enqueueForChat } = require('./chatQueue');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+// Admin REST API for the back-office, mounted at /api by server.js.
+// Every request needs ADMIN_API_KEY, as "Authorization: Bearer <key>" or in the X-API-Key header.
+// Without ADMIN_API_KEY the API answers 503, so it is off unless configured.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Properties columns the API can change. Listing details are validated like the agent's answers.
+const EDITABLE_COLUMNS = {
+  'Address': 'address',
+  'ZIP': 'zip',
+  'Property_Type': 'propertyType',
+  'Bedrooms': 'bedrooms',
+  'Bathrooms': 'bathrooms',
+  'Size_sqm': 'size',
+  'Price': 'price',
+  'Amenities': 'amenities',
+  'Condition_Summary': 'conditionSummary',
+  'SEO_Meta_Title': 'seoTitle',
+  'SEO_Meta_Desc': 'seoDesc',
+  'SEO_URL_Slug': 'seoSlug',
+  'SEO_Keywords': 'seoKeywords',
+  'Status': 'status',
+  'Team': 'team',
+  'Review_Note': 'reviewNote'
+};
+
+// Columns taken as given, without the agent's validation
+const FREE_TEXT_COLUMNS = ['team', 'reviewNote'];
+
+function apiKeyFrom(req) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : (req.get('x-api-key') || '');
+}
+
+function requireApiKey(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    res.status(503).json({ error: 'The admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+    return;
+  }
+
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const received = Buffer.from(apiKeyFrom(req));
+  if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+    next();
+    return;
+  }
+
+  console.warn('Rejected admin API request:', {
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    timestamp: new Date().toISOString()
+  });
+  res.status(401).json({ error: 'Missing or invalid API key' });
+}
+
+// Route handler whose rejected promise goes to the router's error handler
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Plain { id, fields } for JSON; Airtable records carry their table along
+function toRecord(record) {
+  return { id: record.id, fields: record.fields };
+}
+
+function sessionResponse(telegramId, fields) {
+  let collectedData = fields.Collected_Data;
+  try {
+    collectedData = JSON.parse(fields.Collected_Data || '{}');
+  } catch (error) {
+    // Shown as stored
+  }
+  return { telegramId: telegramId.toString(), ...fields, 'Collected_Data': collectedData };
+}
+
+// GET /api/properties query -> { filter, limit, offset } or { error }.
+// Takes the search filter keys (see parseFilterQuery) plus status, which defaults to all listings, and telegramId.
+function parseListQuery(query) {
+  const { filter, error } = parseFilterQuery(query);
+  if (error) return { error };
+
+  filter.status = query.status || STATUS_ANY;
+  if (![...Object.values(PROPERTY_STATUS), STATUS_ANY].includes(filter.status)) {
+    return { error: `status must be one of: ${[...Object.values(PROPERTY_STATUS), STATUS_ANY].join(', ')}` };
+  }
+  if (query.telegramId) filter.telegramId = String(query.telegramId).trim();
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a whole number, 0 or more' };
+  }
+
+  return { filter, limit, offset };
+}
+
+// PUT /api/users body { role, team, name } -> { userData } or { error }
+function parseUserBody(body) {
+  const { role = USER_ROLES.AGENT, team = '', name } = body || {};
+  if (!Object.values(USER_ROLES).includes(role)) {
+    return { error: `role must be one of: ${Object.values(USER_ROLES).join(', ')}` };
+  }
+  if (typeof team !== 'string' || (name !== undefined && typeof name !== 'string')) {
+    return { error: 'team and name must be strings' };
+  }
+  return { userData: { role, team: team.trim(), name: name === undefined ? undefined : name.trim() } };
+}
+
+// PATCH body { fields: { Column: value } } -> { propertyData } or { error }
+async function parsePropertyUpdate(recordId, body) {
+  const fields = body && body.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return { error: 'Send the columns to change as { "fields": { "Price": 480000 } }' };
+  }
+
+  const propertyData = {};
+  for (const [column, input] of Object.entries(fields)) {
+    const key = EDITABLE_COLUMNS[column];
+    if (!key) {
+      return { error: `${column} can't be changed. Editable columns: ${Object.keys(EDITABLE_COLUMNS).join(', ')}` };
+    }
+    if (input === null || input === undefined || typeof input === 'object') {
+      return { error: `${column} must be a string or a number` };
+    }
+
+    if (key === 'status') {
+      if (!Object.values(PROPERTY_STATUS).includes(input)) {
+        return { error: `Status must be one of: ${Object.values(PROPERTY_STATUS).join(', ')}` };
+      }
+      propertyData.status = input;
+      continue;
+    }
+    if (FREE_TEXT_COLUMNS.includes(key)) {
+      propertyData[key] = String(input).trim();
+      continue;
+    }
+
+    const result = validateField(key, String(input), DEFAULT_LOCALE);
+    if (result.error) {
+      return { error: `${column}: ${result.error}` };
+    }
+    propertyData[key] = result.value;
+  }
+
+  // Public pages and feeds find listings by their slug, so two listings can't share one
+  if (propertyData.seoSlug) {
+    const owner = await getPropertyBySlug(propertyData.seoSlug);
+    if (owner && owner.id !== recordId) {
+      return { error: `SEO_URL_Slug ${propertyData.seoSlug} is already used by ${owner.id}`, status: 409 };
+    }
+  }
+
+  return { propertyData };
+}
+
+// A session whose conversation is about a deleted listing starts over
+async function closeSessionsOf(record) {
+  const telegramId = record.fields.Telegram_ID;
+  if (!telegramId) return;
+
+  const userSession = await findUserSession(telegramId);
+  if (!userSession) return;
+  const collectedData = JSON.parse(userSession.Collected_Data || '{}');
+  if (record.id === collectedData.propertyId || record.id === collectedData.editingId) {
+    await updateUserSession(telegramId, 'initial', {}, 'admin delete');
+  }
+}
+
+// Run a session change in the chat's update queue, so it doesn't race a message being processed
+function inChatQueue(telegramId, task) {
+  let result;
+  let failure;
+  return enqueueForChat(Number(telegramId), async () => {
+    try {
+      result = await task();
+    } catch (error) {
+      failure = error;
+    }
+  }).then(() => {
+    if (failure) throw failure;
+    return result;
+  });
+}
+
+function createAdminApi(upload) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  router.get('/properties', asyncRoute(async (req, res) => {
+    const { filter, limit, offset, error } = parseListQuery(req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const records = await searchProperties(filter);
+    res.json({
+      total: records.length,
+      limit,
+      offset,
+      properties: records.slice(offset, offset + limit).map(toRecord)
+    });
+  }));
+
+  router.get('/properties/:id', asyncRoute(async (req, res) => {
+    const record = await getProperty(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Property not found' });
+      return;
+    }
+
+    const images = await getPropertyImages(record.id);
+    res.json({ property: toRecord(record), images: images.map(toRecord) });
+  }));
+
+  router.patch('/properties/:id', asyncRoute(async (req, res) => {
+    const record = await getProperty(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Property not found' });
+      return;
+    }
+
+    const { propertyData, error, status } = await parsePropertyUpdate(record.id, req.body);
+    if (error) {
+      res.status(status || 400).json({ error });
+      return;
+    }
+
+    const updated = await updateProperty(record.id, propertyData);
+    console.log('Property updated through admin API:', {
+      propertyId: record.id,
+      columns: Object.keys(req.body.fields),
+      timestamp: new Date().toISOString()
+    });
+
+    // Publishing here is the same as an admin approving the listing
+    if (listingStatus(record.fields) !== PROPERTY_STATUS.PUBLISHED && propertyData.status === PROPERTY_STATUS.PUBLISHED) {
+      await announceListing(updated);
+    }
+
+    res.json({ property: toRecord(updated) });
+  }));
+
+  router.delete('/properties/:id', asyncRoute(async (req, res) => {
+    const record = await getProperty(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Property not found' });
+      return;
+    }
+
+    await deleteListing(record.id);
+    if (record.fields.Telegram_ID) {
+      await inChatQueue(record.fields.Telegram_ID, () => closeSessionsOf(record));
+    }
+    res.sendStatus(204);
+  }));
+
+  // Multipart upload, one or more files in the "images" field; they are added after the existing photos
+  router.post('/properties/:id/images', upload.array('images', MAX_IMAGES), asyncRoute(async (req, res) => {
+    const record = await getProperty(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Property not found' });
+      return;
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      res.status(400).json({ error: 'Send the photos as multipart form data in the "images" field' });
+      return;
+    }
+    const notImage = files.find(file => !/^image\//.test(file.mimetype));
+    if (notImage) {
+      res.status(400).json({ error: `${notImage.originalname} is not an image` });
+      return;
+    }
+
+    const existing = await getPropertyImages(record.id);
+    if (existing.length + files.length > MAX_IMAGES) {
+      res.status(400).json({ error: `A listing can have up to ${MAX_IMAGES} photos and this one has ${existing.length}` });
+      return;
+    }
+
+    // Uploads run one after another, each numbered so their public ids differ. When one fails,
+    // the ones before it are deleted again and nothing is added to the listing.
+    const batch = Date.now();
+    const uploads = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        uploads.push(await uploadPhoto(file.buffer, file.mimetype, record.id, DEFAULT_LOCALE, `${batch}-${index + 1}`));
+      }
+    } catch (error) {
+      for (const photo of uploads) {
+        await deleteUpload(photo.publicId);
+      }
+      throw error;
+    }
+    const attached = [];
+    for (const [index, photo] of uploads.entries()) {
+      attached.push(await attachImage(record.id, photo, existing.length + index + 1));
+    }
+
+    // A listing without photos gets the first upload as its cover
+    if (existing.length === 0) {
+      await setCoverImage(attached, 0);
+      await updateProperty(record.id, { coverImageUrl: attached[0].url });
+    }
+
+    console.log('Images uploaded through admin API:', {
+      propertyId: record.id,
+      count: attached.length,
+      timestamp: new Date().toISOString()
+    });
+
+    const images = await getPropertyImages(record.id);
+    res.status(201).json({ images: images.map(toRecord) });
+  }));
+
+  router.get('/sessions/:telegramId', asyncRoute(async (req, res) => {
+    const { telegramId } = req.params;
+    if (!TELEGRAM_ID_PATTERN.test(telegramId)) {
+      res.status(400).json({ error: 'telegramId must be a Telegram chat id' });
+      return;
+    }
+
+    const userSession = await findUserSession(telegramId);
+    if (!userSession) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    res.json({ session: sessionResponse(telegramId, userSession) });
+  }));
+
+  // Send the chat back to the start. A listing in progress is parked as a draft, not deleted,
+  // so the agent can pick it up again from /mylistings.
+  router.post('/sessions/:telegramId/reset', asyncRoute(async (req, res) => {
+    const { telegramId } = req.params;
+    if (!TELEGRAM_ID_PATTERN.test(telegramId)) {
+      res.status(400).json({ error: 'telegramId must be a Telegram chat id' });
+      return;
+    }
+
+    const parkedDraft = await inChatQueue(telegramId, async () => {
+      const userSession = await getUserSession(telegramId);
+      const collectedData = JSON.parse(userSession.Collected_Data || '{}');
+      const parked = await parkCurrentDraft(telegramId, userSession, collectedData);
+      await updateUserSession(telegramId, 'initial', {}, 'admin reset');
+      return parked;
+    });
+
+    console.log('Session reset through admin API:', {
+      telegramId,
+      parkedDraft,
+      timestamp: new Date().toISOString()
+    });
+
+    const userSession = await getUserSession(telegramId);
+    res.json({ session: sessionResponse(telegramId, userSession), parkedDraft });
+  }));
+
+  // The allow-list of agents and admins, see users.js
+  router.get('/users', asyncRoute(async (req, res) => {
+    const records = await getUsers();
+    const users = req.query.team ? records.filter(record => (record.fields.Team || '') === req.query.team) : records;
+    res.json({ users: users.map(toRecord) });
+  }));
+
+  // Add a user or change their role, team and name
+  router.put('/users/:telegramId', asyncRoute(async (req, res) => {
+    const { telegramId } = req.params;
+    if (!TELEGRAM_ID_PATTERN.test(telegramId)) {
+      res.status(400).json({ error: 'telegramId must be a Telegram user id' });
+      return;
+    }
+    const { userData, error } = parseUserBody(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const existing = await getUser(telegramId);
+    const record = existing
+      ? await updateUser(existing.id, userData)
+      : await addUser({ telegramId, ...userData });
+    console.log('User saved through admin API:', {
+      telegramId,
+      role: userData.role,
+      team: userData.team,
+      timestamp: new Date().toISOString()
+    });
+    res.status(existing ? 200 : 201).json({ user: toRecord(record) });
+  }));
+
+  router.delete('/users/:telegramId', asyncRoute(async (req, res) => {
+    const existing = await getUser(req.params.telegramId);
+    if (!existing) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    await deleteUser(existing.id);
+    console.log('User removed through admin API:', {
+      telegramId: req.params.telegramId,
+      timestamp: new Date().toISOString()
+    });
+    res.sendStatus(204);
+  }));
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  router.use((error, req, res, next) => {
+    if (error.name === 'MulterError') {
+      res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+      return;
+    }
+
+    console.error('Admin API error:', {
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.originalUrl,
+      timestamp: new Date().toISOString()
+    });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ADMIN_API_KEY,
+  createAdminApi
+};
@@ -1,5 +1,18 @@
 require('dotenv').config();
 const Airtable = require('airtable');
+const {
+    PROPERTY_STATUS,
+    JOB_STATUS,
+    toPropertyFields,
+    toImageFields,
+    toSavedSearchFields,
+    toJobFields,
+    toUserFields,
+    toDeletedListingFields,
+    newSessionFields,
+    toSessionLanguageFields
+} = require('./propertySchema');
+const { NUMBER_FILTERS, STATUS_ANY } = require('./searchFilter');
 
 // Validate required environment variables
 if (!process.env.AIRTABLE_API_KEY || !process.env.AIRTABLE_BASE_ID) {
@@ -26,7 +39,14 @@ const base = new Airtable({
 // Table names
 const TABLES = {
     PROPERTIES: 'Properties',
-    SESSIONS: 'User Sessions'
+    IMAGES: 'Images',
+    SAVED_SEARCHES: 'Saved Searches',
+    PROCESSED_UPDATES: 'Processed Updates',
+    JOBS: 'Jobs',
+    JOB_CLAIMS: 'Job Claims',
+    SESSIONS: 'User Sessions',
+    USERS: 'Users',
+    DELETED_LISTINGS: 'Deleted Listings'
 };
 
 // Verify tables exist
@@ -34,7 +54,14 @@ async function verifyTables() {
     try {
         console.log('Verifying Airtable tables...');
         await base(TABLES.PROPERTIES).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.IMAGES).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.SAVED_SEARCHES).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.PROCESSED_UPDATES).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.JOBS).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.JOB_CLAIMS).select({ maxRecords: 1 }).firstPage();
         await base(TABLES.SESSIONS).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.USERS).select({ maxRecords: 1 }).firstPage();
+        await base(TABLES.DELETED_LISTINGS).select({ maxRecords: 1 }).firstPage();
         console.log('✅ Airtable tables verified successfully');
     } catch (error) {
         console.error('❌ Error verifying Airtable tables:', error);
@@ -65,9 +92,21 @@ async function withRetry(fn, maxRetries = MAX_RETRIES) {
     throw lastError;
 }
 
+// Quote a value for use in a filterByFormula string
+function formulaString(value) {
+    return `'${String(value).replace(/'/g, "\\'")}'`;
+}
+
 // Properties table functions
 const propertiesTable = base(TABLES.PROPERTIES);
+const imagesTable = base(TABLES.IMAGES);
+const savedSearchesTable = base(TABLES.SAVED_SEARCHES);
+const processedUpdatesTable = base(TABLES.PROCESSED_UPDATES);
+const jobsTable = base(TABLES.JOBS);
+const jobClaimsTable = base(TABLES.JOB_CLAIMS);
 const sessionsTable = base(TABLES.SESSIONS);
+const usersTable = base(TABLES.USERS);
+const deletedListingsTable = base(TABLES.DELETED_LISTINGS);
 
 // Add property to Airtable
 async function addProperty(propertyData) {
@@ -77,29 +116,10 @@ async function addProperty(propertyData) {
             timestamp: new Date().toISOString()
         });
 
+        const now = new Date().toISOString();
         const record = await withRetry(async () => {
             const result = await propertiesTable.create([
-                {
-                    fields: {
-                        'Telegram_ID': propertyData.telegramId,
-                        'User_Name': propertyData.userName,
-                        'Property_Type': propertyData.propertyType,
-                        'Address': propertyData.address,
-                        'ZIP': propertyData.zip,
-                        'Size_sqm': propertyData.size,
-                        'Bedrooms': propertyData.bedrooms,
-                        'Bathrooms': propertyData.bathrooms,
-                        'Price': propertyData.price,
-                        'Amenities': propertyData.amenities,
-                        'Image_URL': propertyData.imageUrl,
-                        'SEO_Meta_Title': propertyData.seoTitle,
-                        'SEO_Meta_Desc': propertyData.seoDesc,
-                        'SEO_URL_Slug': propertyData.seoSlug,
-                        'SEO_Keywords': propertyData.seoKeywords,
-                        'Created_At': new Date().toISOString(),
-                        'Updated_At': new Date().toISOString()
-                    }
-                }
+                { fields: { ...toPropertyFields(propertyData), 'Created_At': now, 'Updated_At': now } }
             ]);
             return result[0];
         });
@@ -120,6 +140,483 @@ async function addProperty(propertyData) {
     }
 }
 
+// Update some fields of a property
+async function updateProperty(recordId, propertyData) {
+    try {
+        return await withRetry(async () => {
+            return await propertiesTable.update(recordId, {
+                ...toPropertyFields(propertyData),
+                'Updated_At': new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        console.error('Error updating property:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function deleteProperty(recordId) {
+    try {
+        await withRetry(async () => {
+            await propertiesTable.destroy(recordId);
+        });
+    } catch (error) {
+        console.error('Error deleting property:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Get a property by record id, or null
+async function getProperty(recordId) {
+    try {
+        return await propertiesTable.find(recordId);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return null;
+        }
+        console.error('Error loading property:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// A user's properties, newest first
+async function getPropertiesByTelegramId(telegramId) {
+    try {
+        return await withRetry(async () => {
+            return await propertiesTable.select({
+                filterByFormula: `{Telegram_ID} = '${telegramId}'`,
+                sort: [{ field: 'Created_At', direction: 'desc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading user properties:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Airtable formula for a search filter; mirrors matchesSearch in searchFilter.js
+function searchFormula(filter) {
+    const conditions = [];
+    // Listings without a Status predate statuses and count as published (see listingStatus)
+    const status = filter.status || PROPERTY_STATUS.PUBLISHED;
+    if (status === PROPERTY_STATUS.PUBLISHED) {
+        conditions.push(`OR({Status} = ${formulaString(status)}, {Status} = '')`);
+    } else if (status !== STATUS_ANY) {
+        conditions.push(`{Status} = ${formulaString(status)}`);
+    }
+    if (filter.telegramId) {
+        conditions.push(`{Telegram_ID} = ${formulaString(filter.telegramId.toString())}`);
+    }
+    if (filter.team) {
+        conditions.push(`{Team} = ${formulaString(filter.team)}`);
+    }
+    if (filter.updatedSince) {
+        conditions.push(`NOT(IS_BEFORE({Updated_At}, DATETIME_PARSE(${formulaString(filter.updatedSince)})))`);
+    }
+
+    Object.entries(NUMBER_FILTERS).forEach(([key, [column, bound]]) => {
+        if (filter[key] !== undefined) {
+            conditions.push(`{${column}} ${bound === 'min' ? '>=' : '<='} ${Number(filter[key])}`);
+        }
+    });
+    if (filter.zip) {
+        conditions.push(`FIND(${formulaString(filter.zip)}, {ZIP}) = 1`);
+    }
+    if (filter.propertyType) {
+        conditions.push(`{Property_Type} = ${formulaString(filter.propertyType)}`);
+    }
+    (filter.amenities || []).forEach(amenity => {
+        conditions.push(`FIND(${formulaString(amenity.toLowerCase())}, LOWER({Amenities}))`);
+    });
+
+    return conditions.length > 0 ? `AND(${conditions.join(', ')})` : 'TRUE()';
+}
+
+// Listings matching a search filter (see searchFilter.js), newest first
+async function searchProperties(filter) {
+    try {
+        return await withRetry(async () => {
+            return await propertiesTable.select({
+                filterByFormula: searchFormula(filter),
+                sort: [{ field: 'Created_At', direction: 'desc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error searching properties:', {
+            error: error.message,
+            filter,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Images table functions
+async function addImage(imageData) {
+    try {
+        return await withRetry(async () => {
+            const result = await imagesTable.create([
+                { fields: { ...toImageFields(imageData), 'Created_At': new Date().toISOString() } }
+            ]);
+            return result[0];
+        });
+    } catch (error) {
+        console.error('Error adding image:', {
+            error: error.message,
+            propertyId: imageData.propertyId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function updateImage(recordId, imageData) {
+    try {
+        return await withRetry(async () => {
+            return await imagesTable.update(recordId, toImageFields(imageData));
+        });
+    } catch (error) {
+        console.error('Error updating image:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function deleteImage(recordId) {
+    try {
+        await withRetry(async () => {
+            await imagesTable.destroy(recordId);
+        });
+    } catch (error) {
+        console.error('Error deleting image:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Images of a property, in display order
+async function getPropertyImages(propertyId) {
+    try {
+        return await withRetry(async () => {
+            return await imagesTable.select({
+                filterByFormula: `{Property_ID} = '${propertyId}'`,
+                sort: [{ field: 'Position', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading property images:', {
+            error: error.message,
+            propertyId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Find a property by its SEO URL slug, or null
+async function getPropertyBySlug(slug) {
+    try {
+        const records = await withRetry(async () => {
+            return await propertiesTable.select({
+                filterByFormula: `{SEO_URL_Slug} = ${formulaString(slug)}`,
+                maxRecords: 1
+            }).firstPage();
+        });
+        return records.length > 0 ? records[0] : null;
+    } catch (error) {
+        console.error('Error finding property by slug:', {
+            error: error.message,
+            slug,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Saved Searches table functions
+async function addSavedSearch(searchData) {
+    try {
+        return await withRetry(async () => {
+            const result = await savedSearchesTable.create([
+                { fields: { ...toSavedSearchFields(searchData), 'Created_At': new Date().toISOString() } }
+            ]);
+            return result[0];
+        });
+    } catch (error) {
+        console.error('Error adding saved search:', {
+            error: error.message,
+            telegramId: searchData.telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function updateSavedSearch(recordId, searchData) {
+    try {
+        return await withRetry(async () => {
+            return await savedSearchesTable.update(recordId, toSavedSearchFields(searchData));
+        });
+    } catch (error) {
+        console.error('Error updating saved search:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function deleteSavedSearch(recordId) {
+    try {
+        await withRetry(async () => {
+            await savedSearchesTable.destroy(recordId);
+        });
+    } catch (error) {
+        console.error('Error deleting saved search:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Every saved search, oldest first
+async function getSavedSearches() {
+    try {
+        return await withRetry(async () => {
+            return await savedSearchesTable.select({
+                sort: [{ field: 'Created_At', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading saved searches:', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// A user's saved searches, oldest first
+async function getSavedSearchesByTelegramId(telegramId) {
+    try {
+        return await withRetry(async () => {
+            return await savedSearchesTable.select({
+                filterByFormula: `{Telegram_ID} = '${telegramId}'`,
+                sort: [{ field: 'Created_At', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading user saved searches:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Processed Updates table functions
+// Remember a Telegram update_id until expiresAt; false when it is already remembered.
+// An upsert merged on Update_ID only creates a record when there is none with that id, and
+// Airtable reports whether it did, so two instances claiming the same update can't both win.
+// No retry: if a created record's response got lost, a retry would report the update as a duplicate.
+async function claimUpdate(updateId, expiresAt) {
+    try {
+        const response = await base.makeRequest({
+            method: 'PATCH',
+            path: `/${encodeURIComponent(TABLES.PROCESSED_UPDATES)}`,
+            body: {
+                performUpsert: { fieldsToMergeOn: ['Update_ID'] },
+                records: [{ fields: { 'Update_ID': Number(updateId), 'Expires_At': expiresAt } }]
+            }
+        });
+        return response.body.createdRecords.length > 0;
+    } catch (error) {
+        console.error('Error claiming update:', {
+            error: error.message,
+            updateId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function deleteExpiredUpdates() {
+    try {
+        const records = await withRetry(async () => {
+            return await processedUpdatesTable.select({
+                filterByFormula: 'NOT(IS_AFTER({Expires_At}, NOW()))',
+                fields: []
+            }).all();
+        });
+
+        // Airtable deletes at most 10 records per request
+        for (let i = 0; i < records.length; i += 10) {
+            const ids = records.slice(i, i + 10).map(record => record.id);
+            await withRetry(async () => {
+                await processedUpdatesTable.destroy(ids);
+            });
+        }
+    } catch (error) {
+        console.error('Error deleting expired updates:', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Jobs table functions
+async function addJob(jobData) {
+    try {
+        const now = new Date().toISOString();
+        return await withRetry(async () => {
+            const result = await jobsTable.create([
+                { fields: { ...toJobFields(jobData), 'Created_At': now, 'Updated_At': now } }
+            ]);
+            return result[0];
+        });
+    } catch (error) {
+        console.error('Error adding job:', {
+            error: error.message,
+            chatId: jobData.chatId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function updateJob(recordId, jobData) {
+    try {
+        return await withRetry(async () => {
+            return await jobsTable.update(recordId, {
+                ...toJobFields(jobData),
+                'Updated_At': new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        console.error('Error updating job:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Pending and running jobs, oldest first; only one chat's when chatId is given
+async function getUnfinishedJobs(chatId) {
+    const conditions = [
+        `OR({Status} = ${formulaString(JOB_STATUS.PENDING)}, {Status} = ${formulaString(JOB_STATUS.RUNNING)})`
+    ];
+    if (chatId !== undefined) {
+        conditions.push(`{Chat_ID} = ${formulaString(chatId)}`);
+    }
+
+    try {
+        return await withRetry(async () => {
+            return await jobsTable.select({
+                filterByFormula: `AND(${conditions.join(', ')})`,
+                sort: [{ field: 'Created_At', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading unfinished jobs:', {
+            error: error.message,
+            chatId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Claim an attempt at running a job; false when another worker already claimed it.
+// Like claimUpdate, an upsert merged on Job_ID and Attempt only creates the first claim, and is not retried.
+async function claimJob(jobId, attempt) {
+    try {
+        const response = await base.makeRequest({
+            method: 'PATCH',
+            path: `/${encodeURIComponent(TABLES.JOB_CLAIMS)}`,
+            body: {
+                performUpsert: { fieldsToMergeOn: ['Job_ID', 'Attempt'] },
+                records: [{ fields: { 'Job_ID': jobId, 'Attempt': attempt, 'Claimed_At': new Date().toISOString() } }]
+            }
+        });
+        return response.body.createdRecords.length > 0;
+    } catch (error) {
+        console.error('Error claiming job:', {
+            error: error.message,
+            jobId,
+            attempt,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Finished jobs and the claims made before updatedBefore
+async function deleteFinishedJobs(updatedBefore) {
+    try {
+        const records = await withRetry(async () => {
+            return await jobsTable.select({
+                filterByFormula: `AND(OR({Status} = ${formulaString(JOB_STATUS.DONE)}, {Status} = ${formulaString(JOB_STATUS.FAILED)}), IS_BEFORE({Updated_At}, ${formulaString(updatedBefore)}))`,
+                fields: []
+            }).all();
+        });
+        const claims = await withRetry(async () => {
+            return await jobClaimsTable.select({
+                filterByFormula: `IS_BEFORE({Claimed_At}, ${formulaString(updatedBefore)})`,
+                fields: []
+            }).all();
+        });
+
+        // Airtable deletes at most 10 records per request
+        for (let i = 0; i < records.length; i += 10) {
+            const ids = records.slice(i, i + 10).map(record => record.id);
+            await withRetry(async () => {
+                await jobsTable.destroy(ids);
+            });
+        }
+        for (let i = 0; i < claims.length; i += 10) {
+            const ids = claims.slice(i, i + 10).map(record => record.id);
+            await withRetry(async () => {
+                await jobClaimsTable.destroy(ids);
+            });
+        }
+    } catch (error) {
+        console.error('Error deleting finished jobs:', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
 // Get or create user session
 async function getUserSession(telegramId) {
     try {
@@ -164,16 +661,7 @@ async function getUserSession(telegramId) {
         // If no session exists, create a new one
         const newSession = await withRetry(async () => {
             return await base(TABLES.SESSIONS).create([
-                {
-                    fields: {
-                        'Telegram_ID': telegramId,
-                        'Current_State': 'initial',
-                        'Collected_Data': JSON.stringify({}),
-                        'Last_Message': '',
-                        'Created_At': new Date().toISOString(),
-                        'Last_Updated': new Date().toISOString()
-                    }
-                }
+                { fields: newSessionFields(telegramId) }
             ]);
         });
 
@@ -195,6 +683,26 @@ async function getUserSession(telegramId) {
     }
 }
 
+// A user's session, or null when they have none; unlike getUserSession it never creates one
+async function findUserSession(telegramId) {
+    try {
+        return await withRetry(async () => {
+            const records = await sessionsTable.select({
+                filterByFormula: `{Telegram_ID} = ${formulaString(telegramId.toString())}`,
+                maxRecords: 1
+            }).firstPage();
+            return records.length > 0 ? records[0].fields : null;
+        });
+    } catch (error) {
+        console.error('Error loading session:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
 // Update user session
 async function updateUserSession(telegramId, currentState, collectedData, lastMessage) {
     try {
@@ -248,8 +756,246 @@ async function updateUserSession(telegramId, currentState, collectedData, lastMe
     }
 }
 
+// Update the language fields of a user session
+async function updateUserLanguage(telegramId, languageData) {
+    try {
+        const records = await withRetry(async () => {
+            return await sessionsTable.select({
+                filterByFormula: `{Telegram_ID} = '${telegramId}'`,
+            }).firstPage();
+        });
+
+        const fields = toSessionLanguageFields(languageData);
+        if (records.length > 0) {
+            await withRetry(async () => {
+                await sessionsTable.update(records[0].id, fields);
+            });
+        } else {
+            await withRetry(async () => {
+                await sessionsTable.create({ ...newSessionFields(telegramId), ...fields });
+            });
+        }
+
+        console.log('Session language updated:', {
+            telegramId,
+            ...languageData,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Language update error:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Sessions in the middle of a conversation that haven't changed since updatedBefore
+async function getIdleSessions(updatedBefore) {
+    try {
+        const records = await withRetry(async () => {
+            return await sessionsTable.select({
+                filterByFormula: `AND({Current_State} != 'initial', IS_BEFORE({Last_Updated}, ${formulaString(updatedBefore)}))`
+            }).all();
+        });
+        return records.map(record => record.fields);
+    } catch (error) {
+        console.error('Error reading idle sessions:', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Only Reminded_At changes, so the session still counts as idle
+async function markSessionReminded(telegramId, remindedAt) {
+    try {
+        const records = await withRetry(async () => {
+            return await sessionsTable.select({
+                filterByFormula: `{Telegram_ID} = ${formulaString(telegramId.toString())}`,
+                fields: []
+            }).firstPage();
+        });
+        if (records.length === 0) return;
+
+        await withRetry(async () => {
+            await sessionsTable.update(records[0].id, { 'Reminded_At': remindedAt });
+        });
+    } catch (error) {
+        console.error('Error marking session reminded:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Users table functions
+// A Telegram user's Users record, or null when they are not on the allow-list
+async function getUser(telegramId) {
+    try {
+        return await withRetry(async () => {
+            const records = await usersTable.select({
+                filterByFormula: `{Telegram_ID} = ${formulaString(telegramId.toString())}`,
+                maxRecords: 1
+            }).firstPage();
+            return records[0] || null;
+        });
+    } catch (error) {
+        console.error('Error loading user:', {
+            error: error.message,
+            telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Every agent and admin, oldest first
+async function getUsers() {
+    try {
+        return await withRetry(async () => {
+            return await usersTable.select({
+                sort: [{ field: 'Created_At', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading users:', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function addUser(userData) {
+    try {
+        const now = new Date().toISOString();
+        return await withRetry(async () => {
+            const result = await usersTable.create([
+                { fields: { ...toUserFields(userData), 'Created_At': now, 'Updated_At': now } }
+            ]);
+            return result[0];
+        });
+    } catch (error) {
+        console.error('Error adding user:', {
+            error: error.message,
+            telegramId: userData.telegramId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function updateUser(recordId, userData) {
+    try {
+        return await withRetry(async () => {
+            return await usersTable.update(recordId, {
+                ...toUserFields(userData),
+                'Updated_At': new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        console.error('Error updating user:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function deleteUser(recordId) {
+    try {
+        await withRetry(async () => {
+            await usersTable.destroy(recordId);
+        });
+    } catch (error) {
+        console.error('Error deleting user:', {
+            error: error.message,
+            recordId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Deleted Listings table functions
+async function addDeletedListing(deletedData) {
+    try {
+        return await withRetry(async () => {
+            const result = await deletedListingsTable.create([
+                { fields: { ...toDeletedListingFields(deletedData), 'Deleted_At': new Date().toISOString() } }
+            ]);
+            return result[0];
+        });
+    } catch (error) {
+        console.error('Error adding deleted listing:', {
+            error: error.message,
+            propertyId: deletedData.propertyId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+// Listings deleted at or after deletedSince, oldest first
+async function getDeletedListings(deletedSince) {
+    try {
+        return await withRetry(async () => {
+            return await deletedListingsTable.select({
+                filterByFormula: `NOT(IS_BEFORE({Deleted_At}, DATETIME_PARSE(${formulaString(deletedSince)})))`,
+                sort: [{ field: 'Deleted_At', direction: 'asc' }]
+            }).all();
+        });
+    } catch (error) {
+        console.error('Error loading deleted listings:', {
+            error: error.message,
+            deletedSince,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
 module.exports = {
     addProperty,
+    updateProperty,
+    deleteProperty,
+    getProperty,
+    getPropertiesByTelegramId,
+    searchProperties,
+    getPropertyBySlug,
+    addImage,
+    updateImage,
+    deleteImage,
+    getPropertyImages,
+    addSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getSavedSearches,
+    getSavedSearchesByTelegramId,
+    claimUpdate,
+    deleteExpiredUpdates,
+    addJob,
+    updateJob,
+    getUnfinishedJobs,
+    claimJob,
+    deleteFinishedJobs,
     getUserSession,
-    updateUserSession
+    findUserSession,
+    updateUserSession,
+    updateUserLanguage,
+    getIdleSessions,
+    markSessionReminded,
+    getUser,
+    getUsers,
+    addUser,
+    updateUser,
+    deleteUser,
+    addDeletedListing,
+    getDeletedListings
 }; 
\ No newline at end of file
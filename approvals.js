@@ -0,0 +1,235 @@
+const { getProperty, getPropertyBySlug, updateProperty, searchProperties, findUserSession } = require('./storage');
+const { sendTelegramMessage, escapeHtml } = require('./telegram');
+const { PROPERTY_STATUS, listingStatus, fromPropertyFields } = require('./propertySchema');
+const { notifySavedSearches } = require('./searchAlerts');
+const { listingPageUrl } = require('./listingPages');
+const { commandButton } = require('./keyboards');
+const { findUser, managesTeam, reviewersFor } = require('./users');
+const { t, propertyTypeLabel, resolveLocale } = require('./i18n');
+
+// Listings saved by agents wait as 'pending' until an admin of their team approves them
+// with /approve or rejects them with /reject. Only published listings show up in search,
+// alerts, feeds and listing pages. Edits to a published listing don't need another review.
+
+// Listings shown in one /pending message
+const MAX_PENDING = 10;
+
+// Other chats get messages in the locale of their own session
+async function chatLocale(telegramId) {
+  try {
+    return resolveLocale(await findUserSession(telegramId), null);
+  } catch (error) {
+    return resolveLocale(null, null);
+  }
+}
+
+function listingTitle(record, locale) {
+  const listing = fromPropertyFields(record.fields);
+  const propertyType = listing.propertyType && propertyTypeLabel(locale, listing.propertyType);
+  return [propertyType, listing.address].filter(Boolean).join(' · ') || t(locale, 'listings.untitled');
+}
+
+function listingDetails(record, locale) {
+  const listing = fromPropertyFields(record.fields);
+  return [
+    listing.bedrooms !== undefined ? `🛏️ ${listing.bedrooms}` : null,
+    listing.size !== undefined ? `📏 ${t(locale, 'units.sqm', { value: listing.size })}` : null,
+    listing.price !== undefined ? `💖 ${listing.price}` : null
+  ].filter(Boolean).join('  ');
+}
+
+function reviewButtons(record, locale) {
+  return [
+    commandButton(t(locale, 'approval.buttons.approve'), `/approve ${record.id}`),
+    commandButton(t(locale, 'approval.buttons.reject'), `/reject ${record.id}`)
+  ];
+}
+
+// "\n\n<link>" to add to a message about a published listing, or '' without PUBLIC_URL
+function listingLinkLine(record, locale) {
+  const url = listingPageUrl(record.fields.SEO_URL_Slug);
+  return url ? `\n\n${t(locale, 'conversation.listingLink', { url: escapeHtml(url) })}` : '';
+}
+
+// Tell saved searches about a newly published listing. The listing is published
+// either way, so a failed alert run is only logged.
+async function announceListing(record) {
+  try {
+    await notifySavedSearches(record);
+  } catch (error) {
+    console.error('Saved search alerts failed:', {
+      error: error.message,
+      propertyId: record.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Send a pending listing to every admin who reviews its team
+async function requestReview(record) {
+  const reviewers = await reviewersFor(record.fields.Team);
+  const agent = await findUser(record.fields.Telegram_ID);
+  const agentLabel = (agent && agent.name) || record.fields.Telegram_ID;
+
+  for (const reviewerId of reviewers) {
+    const locale = await chatLocale(reviewerId);
+    try {
+      await sendTelegramMessage(reviewerId, t(locale, 'approval.request', {
+        agent: escapeHtml(agentLabel),
+        title: escapeHtml(listingTitle(record, locale)),
+        details: listingDetails(record, locale),
+        id: record.id
+      }), { reply_markup: { inline_keyboard: [reviewButtons(record, locale)] } });
+    } catch (error) {
+      // One admin who blocked the bot shouldn't keep the others from hearing about it
+      console.error('Failed to send listing for review:', {
+        error: error.message,
+        reviewerId,
+        propertyId: record.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  console.log('Listing sent for review:', {
+    propertyId: record.id,
+    team: record.fields.Team || '',
+    reviewers: reviewers.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// The agent may have blocked the bot; the review is done either way
+async function notifyAgent(record, key, params) {
+  const telegramId = record.fields.Telegram_ID;
+  if (!telegramId) return;
+  const locale = await chatLocale(telegramId);
+  try {
+    await sendTelegramMessage(telegramId, t(locale, key, {
+      title: escapeHtml(listingTitle(record, locale)),
+      ...params(locale)
+    }));
+  } catch (error) {
+    console.error('Failed to notify agent about review:', {
+      error: error.message,
+      telegramId,
+      propertyId: record.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// The listing named in "/approve <id>" or "/reject <id>", or null after telling the admin why not
+async function findReviewable(chatId, reviewer, id, command, locale) {
+  if (!id) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.usage', { command }));
+    return null;
+  }
+
+  const record = await getProperty(id) || await getPropertyBySlug(id);
+  if (!record) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.notFound'));
+    return null;
+  }
+  if (!managesTeam(reviewer, record.fields.Team)) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.otherTeam'));
+    return null;
+  }
+  if (listingStatus(record.fields) === PROPERTY_STATUS.DRAFT) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.notSubmitted'));
+    return null;
+  }
+  return record;
+}
+
+// "/pending" lists the listings waiting for this admin
+async function handlePending(chatId, userSession, collectedData, args, locale) {
+  const reviewer = await findUser(chatId);
+  const records = await searchProperties({
+    status: PROPERTY_STATUS.PENDING,
+    team: reviewer.team || undefined
+  });
+
+  if (records.length === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.none'));
+    return;
+  }
+
+  const shown = records.slice(0, MAX_PENDING);
+  const lines = shown.map((record, index) => [
+    `${index + 1}. <b>${escapeHtml(listingTitle(record, locale))}</b>`,
+    listingDetails(record, locale),
+    `🆔 <code>${record.id}</code>`
+  ].filter(Boolean).join('\n'));
+  const keyboard = shown.map(record => reviewButtons(record, locale));
+
+  await sendTelegramMessage(
+    chatId,
+    t(locale, 'approval.pendingList', { lines: lines.join('\n\n'), count: records.length }),
+    { reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+async function handleApprove(chatId, userSession, collectedData, args, locale) {
+  const reviewer = await findUser(chatId);
+  const record = await findReviewable(chatId, reviewer, args.split(/\s+/)[0], 'approve', locale);
+  if (!record) return;
+  if (listingStatus(record.fields) === PROPERTY_STATUS.PUBLISHED) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.alreadyPublished'));
+    return;
+  }
+
+  const updated = await updateProperty(record.id, { status: PROPERTY_STATUS.PUBLISHED, reviewNote: '' });
+  console.log('Listing approved:', {
+    propertyId: record.id,
+    by: chatId,
+    timestamp: new Date().toISOString()
+  });
+
+  await sendTelegramMessage(chatId, t(locale, 'approval.approved', {
+    title: escapeHtml(listingTitle(updated, locale))
+  }) + listingLinkLine(updated, locale));
+  await notifyAgent(updated, 'approval.agentApproved', agentLocale => ({
+    link: listingLinkLine(updated, agentLocale)
+  }));
+  await announceListing(updated);
+}
+
+// "/reject <id> [reason]", which also takes a published listing offline
+async function handleReject(chatId, userSession, collectedData, args, locale) {
+  const reviewer = await findUser(chatId);
+  const [id, ...reason] = args.split(/\s+/);
+  const record = await findReviewable(chatId, reviewer, id, 'reject', locale);
+  if (!record) return;
+  // Rejecting again is how a reason is added afterwards
+  const note = reason.join(' ').trim();
+  if (listingStatus(record.fields) === PROPERTY_STATUS.REJECTED && !note) {
+    await sendTelegramMessage(chatId, t(locale, 'approval.alreadyRejected', { id: record.id }));
+    return;
+  }
+
+  const updated = await updateProperty(record.id, { status: PROPERTY_STATUS.REJECTED, reviewNote: note });
+  console.log('Listing rejected:', {
+    propertyId: record.id,
+    by: chatId,
+    timestamp: new Date().toISOString()
+  });
+
+  await sendTelegramMessage(chatId, t(locale, note ? 'approval.rejected' : 'approval.rejectedNoReason', {
+    title: escapeHtml(listingTitle(updated, locale)),
+    id: record.id
+  }));
+  await notifyAgent(updated, note ? 'approval.agentRejectedReason' : 'approval.agentRejected', () => ({
+    reason: escapeHtml(note),
+    id: record.id
+  }));
+}
+
+module.exports = {
+  listingLinkLine,
+  announceListing,
+  requestReview,
+  handlePending,
+  handleApprove,
+  handleReject
+};
@@ -0,0 +1,213 @@
+const openai = require('./openaiClient');
+const { updateUserSession, searchProperties } = require('./storage');
+const { sendTelegramMessage, sendTelegramPhoto, escapeHtml } = require('./telegram');
+const { PROPERTY_TYPES } = require('./validation');
+const { NUMBER_FILTERS, describeSearch } = require('./searchFilter');
+const { fromPropertyFields } = require('./propertySchema');
+const { keyboardFor, saveSearchButton } = require('./keyboards');
+const { t, isAnswer, propertyTypeLabel, languageName } = require('./i18n');
+
+// Buyer-side search: the buyer describes what they want, the request is turned into
+// a filter over the Properties table and matching listings come back as cards with
+// the cover photo, RESULTS_PER_PAGE at a time. The session keeps the last search
+// ({ searchQuery, searchFilter, searchPage }) so 'more' can page through it.
+const RESULTS_PER_PAGE = 3;
+
+const SEARCH_SCHEMA = {
+  name: 'property_search',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      minPrice: { type: ['number', 'null'] },
+      maxPrice: { type: ['number', 'null'], description: '"under 400k" -> 400000' },
+      minBedrooms: { type: ['number', 'null'], description: '"2+ bedrooms" -> 2' },
+      maxBedrooms: { type: ['number', 'null'] },
+      minBathrooms: { type: ['number', 'null'] },
+      minSize: { type: ['number', 'null'], description: 'Square meters' },
+      maxSize: { type: ['number', 'null'], description: 'Square meters' },
+      zip: { type: ['string', 'null'], description: 'ZIP / postal code, or its leading digits for an area' },
+      propertyType: { type: ['string', 'null'], enum: [...Object.keys(PROPERTY_TYPES), null] },
+      amenities: { type: 'array', items: { type: 'string' }, description: 'Required features as short keywords, e.g. balcony, garden, lift' }
+    },
+    required: ['minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms', 'minBathrooms', 'minSize', 'maxSize', 'zip', 'propertyType', 'amenities'],
+    additionalProperties: false
+  }
+};
+
+// Turn a buyer's question ("2+ bedrooms under 400k in 10435 with a balcony") into a filter
+async function parseSearchQuery(query, locale) {
+  const completion = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: `You turn a home buyer's request into search filters for a property database. The request may be in any language. Only set filters the request asks for, use null for everything else. Prices are plain numbers without currency. Write amenity keywords in ${languageName(locale)}.`
+      },
+      { role: 'user', content: query }
+    ],
+    response_format: { type: 'json_schema', json_schema: SEARCH_SCHEMA }
+  });
+
+  const parsed = JSON.parse(completion.choices[0].message.content);
+  const filter = {};
+
+  Object.keys(NUMBER_FILTERS).forEach(key => {
+    if (typeof parsed[key] === 'number' && Number.isFinite(parsed[key])) {
+      filter[key] = parsed[key];
+    }
+  });
+  if (parsed.zip && parsed.zip.trim()) {
+    filter.zip = parsed.zip.trim();
+  }
+  if (parsed.propertyType && PROPERTY_TYPES[parsed.propertyType]) {
+    filter.propertyType = parsed.propertyType;
+  }
+  const amenities = parsed.amenities.map(amenity => amenity.trim().toLowerCase()).filter(Boolean);
+  if (amenities.length > 0) {
+    filter.amenities = amenities;
+  }
+
+  return filter;
+}
+
+function resultCard(record, locale) {
+  const listing = fromPropertyFields(record.fields);
+  const propertyType = listing.propertyType && propertyTypeLabel(locale, listing.propertyType);
+  const title = [propertyType, listing.address].filter(Boolean).join(' · ') || t(locale, 'search.untitled');
+  const rooms = [
+    listing.bedrooms !== undefined ? `🛏️ ${listing.bedrooms}` : null,
+    listing.bathrooms !== undefined ? `🚿 ${listing.bathrooms}` : null,
+    listing.size !== undefined ? `📏 ${t(locale, 'units.sqm', { value: listing.size })}` : null
+  ].filter(Boolean).join('  ');
+
+  return [
+    `<b>${escapeHtml(title)}</b>`,
+    listing.zip ? `📮 ${escapeHtml(listing.zip)}` : null,
+    rooms,
+    listing.price !== undefined ? `💖 ${escapeHtml(listing.price)}` : null,
+    // Keep the card inside Telegram's 1024 character caption limit
+    listing.amenities ? `✨ ${escapeHtml(String(listing.amenities).slice(0, 400))}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Cover photo with the details as caption, or just the details when there is no photo
+async function sendResultCard(chatId, record, locale) {
+  const caption = resultCard(record, locale);
+  if (record.fields.Image_URL) {
+    try {
+      await sendTelegramPhoto(chatId, record.fields.Image_URL, caption);
+      return;
+    } catch (error) {
+      console.error('Failed to send result photo:', {
+        error: error.message,
+        propertyId: record.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  await sendTelegramMessage(chatId, caption);
+}
+
+// Send one page of results for the search stored in the session
+async function sendResults(chatId, collectedData, page, lastMessage, locale) {
+  const { searchFilter } = collectedData;
+  const summary = describeSearch(searchFilter, locale);
+  const records = await searchProperties(searchFilter);
+
+  console.log('Search results:', {
+    chatId,
+    filter: searchFilter,
+    results: records.length,
+    page,
+    timestamp: new Date().toISOString()
+  });
+
+  const saveKeyboard = { reply_markup: { inline_keyboard: [[saveSearchButton(locale)]] } };
+  if (records.length === 0) {
+    await sendTelegramMessage(
+      chatId,
+      summary ? t(locale, 'search.noMatches', { summary: escapeHtml(summary) }) : t(locale, 'search.noMatchesAll'),
+      saveKeyboard
+    );
+    await updateUserSession(chatId, 'awaiting_search', collectedData, lastMessage);
+    return;
+  }
+
+  const pageCount = Math.ceil(records.length / RESULTS_PER_PAGE);
+  if (page > pageCount) {
+    await sendTelegramMessage(chatId, t(locale, 'search.seenAll'));
+    return;
+  }
+
+  const currentPage = Math.max(page, 1);
+  const offset = (currentPage - 1) * RESULTS_PER_PAGE;
+  const pageRecords = records.slice(offset, offset + RESULTS_PER_PAGE);
+
+  if (currentPage === 1) {
+    await sendTelegramMessage(chatId, summary
+      ? t(locale, 'search.found', { count: records.length, summary: escapeHtml(summary) })
+      : t(locale, 'search.foundAll', { count: records.length }));
+  }
+
+  for (const record of pageRecords) {
+    await sendResultCard(chatId, record, locale);
+  }
+
+  collectedData.searchPage = currentPage;
+  if (currentPage < pageCount) {
+    await sendTelegramMessage(
+      chatId,
+      t(locale, 'search.showing', { from: offset + 1, to: offset + pageRecords.length, total: records.length }),
+      keyboardFor('awaiting_search', locale)
+    );
+  } else {
+    await sendTelegramMessage(chatId, t(locale, 'search.everything'), saveKeyboard);
+  }
+  await updateUserSession(chatId, 'awaiting_search', collectedData, lastMessage);
+}
+
+async function runSearch(chatId, query, lastMessage, locale) {
+  let searchFilter;
+  try {
+    searchFilter = await parseSearchQuery(query, locale);
+  } catch (error) {
+    console.error('Search query parsing failed:', {
+      error: error.message,
+      chatId,
+      timestamp: new Date().toISOString()
+    });
+    await sendTelegramMessage(chatId, t(locale, 'search.parseFailed'));
+    await updateUserSession(chatId, 'awaiting_search', {}, lastMessage);
+    return;
+  }
+
+  await sendResults(chatId, { searchQuery: query, searchFilter }, 1, lastMessage, locale);
+}
+
+// /search with or without a query
+async function startSearch(chatId, query, lastMessage, locale) {
+  if (query) {
+    await runSearch(chatId, query, lastMessage, locale);
+    return;
+  }
+  await sendTelegramMessage(chatId, t(locale, 'search.prompt'));
+  await updateUserSession(chatId, 'awaiting_search', {}, lastMessage);
+}
+
+// A message while searching: 'more' pages through the last search, anything else is a new search
+async function handleSearchMessage(chatId, text, collectedData, locale) {
+  if (isAnswer(locale, text, 'more') && collectedData.searchFilter) {
+    await sendResults(chatId, collectedData, (collectedData.searchPage || 1) + 1, text, locale);
+  } else if (text.trim()) {
+    await runSearch(chatId, text.trim(), text, locale);
+  } else {
+    await sendTelegramMessage(chatId, t(locale, 'search.prompt'));
+  }
+}
+
+module.exports = {
+  sendResultCard,
+  startSearch,
+  handleSearchMessage
+};
@@ -0,0 +1,53 @@
+const { answerCallbackQuery, editMessageReplyMarkup } = require('./telegram');
+const { COMMAND_CALLBACK, parseCallbackData } = require('./keyboards');
+const { processMessage } = require('./conversation');
+const { handleCommand } = require('./commands');
+const { t } = require('./i18n');
+
+// A press that waited in the job queue may be too old to answer; it is handled anyway
+async function answerPress(callbackQuery, text) {
+  try {
+    await answerCallbackQuery(callbackQuery.id, text);
+  } catch (error) {
+    console.error('Failed to answer callback query:', error.message);
+  }
+}
+
+// Handle an inline keyboard button press by replaying its answer through processMessage
+async function handleCallbackQuery(chatId, callbackQuery, userSession, locale) {
+  const parsed = parseCallbackData(callbackQuery.data);
+  const currentState = userSession.Current_State || 'initial';
+
+  // Command buttons run the command as if it had been typed; their keyboard stays usable
+  if (parsed && parsed.state === COMMAND_CALLBACK) {
+    await answerPress(callbackQuery);
+    await handleCommand(chatId, parsed.answer, userSession, locale);
+    return;
+  }
+
+  if (!parsed || parsed.state !== currentState) {
+    console.log('Stale callback query ignored:', {
+      chatId,
+      data: callbackQuery.data,
+      currentState,
+      timestamp: new Date().toISOString()
+    });
+    await answerPress(callbackQuery, t(locale, 'errors.buttonExpired'));
+    return;
+  }
+
+  await answerPress(callbackQuery);
+
+  // Remove the keyboard so the same question can't be answered twice
+  try {
+    await editMessageReplyMarkup(chatId, callbackQuery.message.message_id, null);
+  } catch (error) {
+    console.error('Failed to remove inline keyboard:', error.message);
+  }
+
+  await processMessage(chatId, parsed.answer, userSession, null, locale);
+}
+
+module.exports = {
+  handleCallbackQuery
+};
@@ -0,0 +1,35 @@
+// Updates for one chat are processed one after another, in the order they arrived,
+// so two quick messages never read and write the same session at the same time.
+// Different chats still run concurrently.
+const chatQueues = new Map();
+
+// Run task after everything queued for the chat before it; returns a promise for this task
+function enqueueForChat(chatId, task) {
+  const previous = chatQueues.get(chatId) || Promise.resolve();
+  const current = previous.then(task).catch(error => {
+    console.error('Queued update failed:', {
+      error: error.message,
+      chatId,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  chatQueues.set(chatId, current);
+  current.then(() => {
+    // Drop the queue once it is empty so idle chats don't pile up
+    if (chatQueues.get(chatId) === current) {
+      chatQueues.delete(chatId);
+    }
+  });
+  return current;
+}
+
+// Resolves once everything queued so far has finished, e.g. before shutting down
+function whenIdle() {
+  return Promise.all([...chatQueues.values()]);
+}
+
+module.exports = {
+  enqueueForChat,
+  whenIdle
+};
@@ -0,0 +1,291 @@
+const { updateUserSession, updateUserLanguage } = require('./storage');
+const { discardDraft } = require('./drafts');
+const { sendTelegramMessage, setMyCommands, escapeHtml } = require('./telegram');
+const {
+  LISTING_STEPS,
+  hasListingInProgress,
+  describeFields,
+  showSummary,
+  askListingStep,
+  repeatCurrentQuestion,
+  startListing
+} = require('./conversation');
+const { describeSearch } = require('./searchFilter');
+const { startSearch } = require('./buyerSearch');
+const {
+  parkCurrentDraft,
+  handleMyListings,
+  handleNew,
+  handleResume,
+  handleEdit,
+  handleDelete
+} = require('./myListings');
+const {
+  handleSaveSearch,
+  handleAlerts,
+  handleUnsubscribe,
+  handleMute,
+  handleUnmute,
+  handleDigest
+} = require('./searchAlerts');
+const { handleAgents, handleAllow, handleRevoke, findUser, hasRole } = require('./users');
+const { handlePending, handleApprove, handleReject } = require('./approvals');
+const { USER_ROLES } = require('./propertySchema');
+const { commandButton } = require('./keyboards');
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  t,
+  isAnswer,
+  matchLocale,
+  resolveLocale
+} = require('./i18n');
+
+// "/cmd@BotName args" -> { name: 'cmd', args: 'args' }
+function parseCommand(text) {
+  const match = (text || '').trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+// The state /back returns to, or null when there is nothing to go back to
+function previousState(currentState) {
+  if (currentState === 'awaiting_seo_review' || currentState === 'awaiting_photo_suggestions') return 'awaiting_images';
+  if (currentState === 'awaiting_images') return 'awaiting_confirmation';
+  if (currentState === 'awaiting_confirmation') return LISTING_STEPS[LISTING_STEPS.length - 1].state;
+  if (currentState === 'awaiting_listing_value') return 'awaiting_listing_edit';
+
+  const index = LISTING_STEPS.findIndex(step => step.state === currentState);
+  return index > 0 ? LISTING_STEPS[index - 1].state : null;
+}
+
+// Buyers are welcomed to search, agents start a listing
+async function handleStart(chatId, userSession, collectedData, args, locale) {
+  const currentState = userSession.Current_State || 'initial';
+  if (!hasRole(await findUser(chatId), USER_ROLES.AGENT)) {
+    await sendTelegramMessage(chatId, t(locale, 'access.welcome', { telegramId: chatId }));
+    return;
+  }
+  if (!hasListingInProgress(currentState)) {
+    await startListing(chatId, t(locale, 'conversation.greeting'), '/start', locale);
+    return;
+  }
+
+  // Picking the listing up again restarts the session timeout (see isStaleSession)
+  await updateUserSession(chatId, currentState, collectedData, '/start');
+  await sendTelegramMessage(chatId, t(locale, 'commands.welcomeBack'));
+  await repeatCurrentQuestion(chatId, currentState, collectedData, locale);
+}
+
+async function handleCancel(chatId, userSession, collectedData, args, locale) {
+  await discardDraft(collectedData);
+  await updateUserSession(chatId, 'initial', {}, '/cancel');
+  if (userSession.Current_State === 'awaiting_search') {
+    await sendTelegramMessage(chatId, t(locale, 'commands.searchClosed'));
+    return;
+  }
+  if (collectedData.editingId) {
+    await sendTelegramMessage(chatId, t(locale, 'commands.editStopped'));
+    return;
+  }
+  await sendTelegramMessage(chatId, t(locale, 'commands.cancelled'));
+}
+
+async function handleBack(chatId, userSession, collectedData, args, locale) {
+  const target = previousState(userSession.Current_State || 'initial');
+  if (!target) {
+    await sendTelegramMessage(chatId, t(locale, 'commands.atBeginning'));
+    return;
+  }
+
+  if (target === 'awaiting_confirmation') {
+    await showSummary(chatId, collectedData, '/back', locale);
+    return;
+  }
+
+  if (target === 'awaiting_images' || target === 'awaiting_listing_edit') {
+    await updateUserSession(chatId, target, collectedData, '/back');
+    await repeatCurrentQuestion(chatId, target, collectedData, locale);
+    return;
+  }
+
+  const step = LISTING_STEPS.find(listingStep => listingStep.state === target);
+  await askListingStep(chatId, step, collectedData, '/back', locale);
+}
+
+async function handleStatus(chatId, userSession, collectedData, args, locale) {
+  const currentState = userSession.Current_State || 'initial';
+  if (currentState === 'awaiting_search') {
+    const summary = collectedData.searchFilter && describeSearch(collectedData.searchFilter, locale);
+    await sendTelegramMessage(chatId, summary
+      ? t(locale, 'commands.searching', { summary: escapeHtml(summary) })
+      : t(locale, 'commands.searchMode'));
+    return;
+  }
+  if (!hasListingInProgress(currentState)) {
+    await sendTelegramMessage(chatId, t(locale, 'commands.noListing'));
+    return;
+  }
+
+  const details = describeFields(collectedData, locale);
+  const photoCount = (collectedData.images || []).length;
+  let status = details
+    ? t(locale, 'commands.collected', { details })
+    : t(locale, 'commands.nothingCollected');
+  if (photoCount > 0) {
+    status += t(locale, 'commands.photoCount', { count: photoCount });
+  }
+
+  await sendTelegramMessage(chatId, status);
+  await repeatCurrentQuestion(chatId, currentState, collectedData, locale);
+}
+
+// Searching replaces the session, so a listing in progress is parked first
+async function handleSearch(chatId, userSession, collectedData, args, locale) {
+  if (await parkCurrentDraft(chatId, userSession, collectedData)) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.parked'));
+  }
+  await startSearch(chatId, args, '/search', locale);
+}
+
+function languageLabel(locale) {
+  return `${t(locale, 'meta.flag')} ${t(locale, 'meta.name')}`;
+}
+
+// A locale from "/language de", "/language deutsch" or "/language german"
+function parseLanguage(args) {
+  const answer = args.trim().toLowerCase();
+  return matchLocale(answer) || SUPPORTED_LOCALES.find(locale =>
+    [t(locale, 'meta.name'), t(locale, 'meta.englishName')].some(name => name.toLowerCase() === answer)
+  ) || null;
+}
+
+// "/language" shows the choices, "/language <locale>" picks one and
+// "/language auto" goes back to following the Telegram app's language
+async function handleLanguage(chatId, userSession, collectedData, args, locale) {
+  if (!args) {
+    const keyboard = SUPPORTED_LOCALES.map(option => [commandButton(languageLabel(option), `/language ${option}`)]);
+    keyboard.push([commandButton(t(locale, 'language.automatic'), '/language auto')]);
+    await sendTelegramMessage(
+      chatId,
+      t(locale, 'language.choose', { current: languageLabel(locale) }),
+      { reply_markup: { inline_keyboard: keyboard } }
+    );
+    return;
+  }
+
+  if (isAnswer(locale, args, 'auto')) {
+    await updateUserLanguage(chatId, { language: '' });
+    const detected = resolveLocale({ ...userSession, Language: '' }, null);
+    await sendTelegramMessage(chatId, t(detected, 'language.followingTelegram', { current: languageLabel(detected) }));
+    return;
+  }
+
+  const chosen = parseLanguage(args);
+  if (!chosen) {
+    await sendTelegramMessage(chatId, t(locale, 'language.unknown', {
+      languages: SUPPORTED_LOCALES.map(languageLabel).join(', ')
+    }));
+    return;
+  }
+
+  await updateUserLanguage(chatId, { language: chosen });
+  console.log('Language chosen:', {
+    chatId,
+    language: chosen,
+    timestamp: new Date().toISOString()
+  });
+  await sendTelegramMessage(chatId, t(chosen, 'language.set'));
+}
+
+// Only the commands this user may use
+async function handleHelp(chatId, userSession, collectedData, args, locale) {
+  const user = await findUser(chatId);
+  const lines = COMMANDS
+    .filter(({ role }) => !role || hasRole(user, role))
+    .map(({ command }) => `/${command} - ${t(locale, `commands.descriptions.${command}`)}`);
+  await sendTelegramMessage(chatId, t(locale, 'commands.help', { lines: lines.join('\n') }));
+}
+
+// Command menu, also registered with Telegram via setMyCommands.
+// Descriptions are commands.descriptions.<command> in the catalogs.
+// Commands with a role are only for agents or admins; admin commands are left out of the menu.
+const COMMANDS = [
+  { command: 'start', handler: handleStart },
+  { command: 'cancel', handler: handleCancel },
+  { command: 'back', handler: handleBack },
+  { command: 'new', handler: handleNew, role: USER_ROLES.AGENT },
+  { command: 'status', handler: handleStatus },
+  { command: 'search', handler: handleSearch },
+  { command: 'savesearch', handler: handleSaveSearch },
+  { command: 'alerts', handler: handleAlerts },
+  { command: 'unsubscribe', handler: handleUnsubscribe },
+  { command: 'mute', handler: handleMute },
+  { command: 'unmute', handler: handleUnmute },
+  { command: 'digest', handler: handleDigest },
+  { command: 'mylistings', handler: handleMyListings, role: USER_ROLES.AGENT },
+  { command: 'resume', handler: handleResume, role: USER_ROLES.AGENT },
+  { command: 'edit', handler: handleEdit, role: USER_ROLES.AGENT },
+  { command: 'delete', handler: handleDelete, role: USER_ROLES.AGENT },
+  { command: 'pending', handler: handlePending, role: USER_ROLES.ADMIN },
+  { command: 'approve', handler: handleApprove, role: USER_ROLES.ADMIN },
+  { command: 'reject', handler: handleReject, role: USER_ROLES.ADMIN },
+  { command: 'agents', handler: handleAgents, role: USER_ROLES.ADMIN },
+  { command: 'allow', handler: handleAllow, role: USER_ROLES.ADMIN },
+  { command: 'revoke', handler: handleRevoke, role: USER_ROLES.ADMIN },
+  { command: 'language', handler: handleLanguage },
+  { command: 'help', handler: handleHelp }
+];
+
+function commandMenu(locale) {
+  return COMMANDS
+    .filter(({ role }) => role !== USER_ROLES.ADMIN)
+    .map(({ command }) => ({ command, description: t(locale, `commands.descriptions.${command}`) }));
+}
+
+// Route slash commands; returns true when the message was a command
+async function handleCommand(chatId, text, userSession, locale) {
+  const parsed = parseCommand(text);
+  if (!parsed) return false;
+
+  console.log('Command received:', {
+    chatId,
+    command: parsed.name,
+    timestamp: new Date().toISOString()
+  });
+
+  const entry = COMMANDS.find(({ command }) => command === parsed.name);
+  if (!entry) {
+    await sendTelegramMessage(chatId, t(locale, 'commands.unknown'));
+    return true;
+  }
+
+  if (entry.role && !hasRole(await findUser(chatId), entry.role)) {
+    const key = entry.role === USER_ROLES.ADMIN ? 'access.adminsOnly' : 'access.agentsOnly';
+    await sendTelegramMessage(chatId, t(locale, key, { telegramId: chatId }));
+    return true;
+  }
+
+  const collectedData = JSON.parse(userSession.Collected_Data || '{}');
+  await entry.handler(chatId, userSession, collectedData, parsed.args, locale);
+  return true;
+}
+
+// The default menu is in DEFAULT_LOCALE; users whose Telegram app is in another supported
+// language get the menu in that language
+async function registerCommands() {
+  await setMyCommands(commandMenu(DEFAULT_LOCALE));
+  for (const locale of SUPPORTED_LOCALES.filter(code => code !== DEFAULT_LOCALE)) {
+    await setMyCommands(commandMenu(locale), locale);
+  }
+  console.log('✅ Bot commands registered:', {
+    commands: COMMANDS.map(({ command }) => command),
+    locales: SUPPORTED_LOCALES,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  handleCommand,
+  registerCommands
+};
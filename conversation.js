@@ -0,0 +1,803 @@
+const { updateUserSession, updateProperty, getPropertyImages } = require('./storage');
+const { sendTelegramMessage, escapeHtml } = require('./telegram');
+const { handlePDF, handleVoiceNote, handleImage } = require('./mediaHandlers');
+const { extractListingFields } = require('./listingExtractor');
+const { validateField } = require('./validation');
+const { keyboardFor, commandButton } = require('./keyboards');
+const { generateSeoFields } = require('./seoGenerator');
+const { findDuplicate, photoWarnings, pickCover, summarisePhotos } = require('./photoReview');
+const { PROPERTY_STATUS, USER_ROLES, listingStatus, fromPropertyFields } = require('./propertySchema');
+const { handleSearchMessage } = require('./buyerSearch');
+const { createDraft, ensureDraft, attachImage, setCoverImage, deleteUpload, discardDraft } = require('./drafts');
+const { findUser, hasRole, isAdmin } = require('./users');
+const { listingLinkLine, announceListing, requestReview } = require('./approvals');
+const { t, words, isAnswer, propertyTypeLabel } = require('./i18n');
+
+// Listing questions, in the order they are asked. Each one's question is steps.<field> in the catalogs.
+const LISTING_STEPS = [
+    { state: 'awaiting_address', field: 'address' },
+    { state: 'awaiting_zip', field: 'zip' },
+    { state: 'awaiting_property_type', field: 'propertyType' },
+    { state: 'awaiting_bedrooms', field: 'bedrooms' },
+    { state: 'awaiting_bathrooms', field: 'bathrooms' },
+    { state: 'awaiting_size', field: 'size' },
+    { state: 'awaiting_price', field: 'price' },
+    { state: 'awaiting_amenities', field: 'amenities' }
+];
+
+function stepPrompt(step, locale) {
+    return t(locale, `steps.${step.field}`);
+}
+
+function fieldLabel(field, locale) {
+    return t(locale, `fields.${field}`);
+}
+
+// 'conversational' parses a free-form description and only asks for what is missing,
+// 'guided' walks through LISTING_STEPS one question at a time
+const INTAKE_MODE = process.env.INTAKE_MODE === 'guided' ? 'guided' : 'conversational';
+
+// Images sent as a file instead of a compressed photo
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/heif'];
+
+// Most photos a single listing can have
+const MAX_IMAGES = parseInt(process.env.MAX_IMAGES_PER_PROPERTY, 10) || 20;
+
+// Messages with at least this many words are treated as a property description
+const LONG_DESCRIPTION_WORDS = 8;
+
+// A listing left alone for this long is stale: the agent's next message first asks whether to
+// carry on or start a new one. SESSION_TIMEOUT_HOURS=0 turns this off.
+const SESSION_TIMEOUT_HOURS = Number(process.env.SESSION_TIMEOUT_HOURS || 12);
+
+// Resume prompt wording for the states that aren't a LISTING_STEPS question (resume.stages.<key>)
+const RESUME_STAGES = {
+    awaiting_description: 'description',
+    awaiting_confirmation: 'confirmation',
+    awaiting_images: 'images',
+    awaiting_photo_suggestions: 'photoSuggestions',
+    awaiting_seo_review: 'seoReview'
+};
+
+function hasListingInProgress(currentState) {
+    return currentState !== 'initial' && currentState !== 'awaiting_search';
+}
+
+function isStaleSession(userSession) {
+    if (!SESSION_TIMEOUT_HOURS || !hasListingInProgress(userSession.Current_State || 'initial')) return false;
+    const idleFor = Date.now() - new Date(userSession.Last_Updated).getTime();
+    return idleFor > SESSION_TIMEOUT_HOURS * 60 * 60 * 1000;
+}
+
+// The resume prompt (resume.prompt, resume.promptEditing) or reminder (resume.reminder) for a listing
+// in progress, with buttons to carry on or leave it. Continuing is /start, leaving parks a draft with
+// /new or stops editing a saved listing with /cancel.
+function resumeMessage(key, currentState, collectedData, locale) {
+    const step = LISTING_STEPS.find(listingStep => listingStep.state === currentState);
+    const title = [
+        collectedData.propertyType && propertyTypeLabel(locale, collectedData.propertyType),
+        collectedData.address
+    ].filter(Boolean).join(' · ') || t(locale, 'listings.untitled');
+    let stage = '';
+    if (step) {
+        stage = fieldLabel(step.field, locale);
+    } else if (RESUME_STAGES[currentState]) {
+        stage = t(locale, `resume.stages.${RESUME_STAGES[currentState]}`);
+    }
+    const text = t(locale, key, { listing: escapeHtml(title), stage });
+    const leave = collectedData.editingId
+        ? commandButton(t(locale, 'resume.buttons.stopEditing'), '/cancel')
+        : commandButton(t(locale, 'resume.buttons.startNew'), '/new');
+
+    return {
+        text,
+        options: { reply_markup: { inline_keyboard: [[commandButton(t(locale, 'resume.buttons.continue'), '/start'), leave]] } }
+    };
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '' || Number.isNaN(value);
+}
+
+// First listing question that still has no answer, or null when everything is collected
+function nextListingStep(collectedData) {
+    return LISTING_STEPS.find(step => isMissing(collectedData[step.field])) || null;
+}
+
+function formatField(field, value, locale) {
+    const formatted = field === 'propertyType' && !isMissing(value) ? propertyTypeLabel(locale, value)
+        : field === 'size' ? t(locale, 'units.sqm', { value })
+            : value;
+    return `${fieldLabel(field, locale)}: ${escapeHtml(formatted)}`;
+}
+
+// One line per field that has a value, in question order
+function describeFields(fields, locale) {
+    return LISTING_STEPS
+        .filter(step => !isMissing(fields[step.field]))
+        .map(step => formatField(step.field, fields[step.field], locale))
+        .join('\n');
+}
+
+function buildSummary(collectedData, locale) {
+    const fields = LISTING_STEPS.map(step => formatField(step.field, collectedData[step.field], locale)).join('\n');
+    return t(locale, 'conversation.summary', { fields });
+}
+
+// Edit buttons on the summary, answering with the field's first English alias ("edit property type")
+function editableFields(locale) {
+    return LISTING_STEPS.map(step => ({
+        field: words('en', `fieldAliases.${step.field}`)[0],
+        label: fieldLabel(step.field, locale)
+    }));
+}
+
+// Send a question together with the inline keyboard for its state, if it has one
+async function sendPrompt(chatId, state, text, locale) {
+    await sendTelegramMessage(chatId, text, keyboardFor(state, locale, editableFields(locale)));
+}
+
+// "edit price 450k" (or "ändere preis 450k") -> { step, value: '450k' }; returns null for anything else
+function parseEditRequest(text, locale) {
+    const verbs = words(locale, 'keywords.edit').join('|');
+    const match = text.trim().match(new RegExp(`^(?:${verbs})\\s+(.+)$`, 'iu'));
+    if (!match) return null;
+
+    const rest = match[1].toLowerCase();
+    for (const step of LISTING_STEPS) {
+        // Longest alias first so "zip code 10435" doesn't match "zip"
+        const aliases = words(locale, `fieldAliases.${step.field}`).sort((a, b) => b.length - a.length);
+        const alias = aliases.find(name => rest === name || rest.startsWith(`${name} `));
+        if (alias) {
+            return { step, value: match[1].slice(alias.length).trim() };
+        }
+    }
+    return { step: null, value: '' };
+}
+
+// Jump to one field from the summary; answering it returns straight to the summary
+async function editField(chatId, step, value, collectedData, lastMessage, locale) {
+    if (value) {
+        const result = validateField(step.field, value, locale);
+        if (!result.error) {
+            collectedData[step.field] = result.value;
+            await showSummary(chatId, collectedData, lastMessage, locale);
+            return;
+        }
+        await sendTelegramMessage(chatId, result.error);
+    } else {
+        await sendPrompt(chatId, step.state, t(locale, 'conversation.askNewValueWithCurrent', {
+            label: fieldLabel(step.field, locale),
+            current: escapeHtml(collectedData[step.field])
+        }), locale);
+    }
+
+    await updateUserSession(chatId, step.state, collectedData, lastMessage);
+}
+
+async function showSummary(chatId, collectedData, lastMessage, locale) {
+    await sendPrompt(chatId, 'awaiting_confirmation', buildSummary(collectedData, locale), locale);
+    await updateUserSession(chatId, 'awaiting_confirmation', collectedData, lastMessage);
+}
+
+async function askListingStep(chatId, step, collectedData, lastMessage, locale) {
+    await sendPrompt(chatId, step.state, stepPrompt(step, locale), locale);
+    await updateUserSession(chatId, step.state, collectedData, lastMessage);
+}
+
+// Ask the next unanswered question, or show the summary once everything is collected
+async function askNextQuestion(chatId, collectedData, lastMessage, locale) {
+    const step = nextListingStep(collectedData);
+    if (!step) {
+        await showSummary(chatId, collectedData, lastMessage, locale);
+        return;
+    }
+
+    await askListingStep(chatId, step, collectedData, lastMessage, locale);
+}
+
+function buildSeoReview(collectedData, locale) {
+    return t(locale, 'seo.review', {
+        title: escapeHtml(collectedData.seoTitle || ''),
+        description: escapeHtml(collectedData.seoDesc || ''),
+        slug: escapeHtml(collectedData.seoSlug || ''),
+        keywords: escapeHtml(collectedData.seoKeywords || '')
+    });
+}
+
+// Write the SEO title, description, slug and keywords and let the agent review them
+async function reviewSeo(chatId, collectedData, lastMessage, locale, regenerate = false) {
+    await sendTelegramMessage(chatId, t(locale, regenerate ? 'seo.regenerating' : 'seo.writing'));
+
+    try {
+        Object.assign(collectedData, await generateSeoFields(collectedData, locale, regenerate ? collectedData.seoTitle : null));
+    } catch (error) {
+        console.error('SEO generation failed:', {
+            error: error.message,
+            chatId,
+            timestamp: new Date().toISOString()
+        });
+        await sendPrompt(chatId, 'awaiting_seo_review', t(locale, 'seo.failed'), locale);
+        await updateUserSession(chatId, 'awaiting_seo_review', collectedData, lastMessage);
+        return;
+    }
+
+    await sendPrompt(chatId, 'awaiting_seo_review', buildSeoReview(collectedData, locale), locale);
+    await updateUserSession(chatId, 'awaiting_seo_review', collectedData, lastMessage);
+}
+
+// Fill in the draft record with the collected details and publish it
+// Agents' listings wait for an admin's approval, admins publish their own right away
+async function saveListing(chatId, collectedData, lastMessage, locale) {
+    const propertyId = await ensureDraft(chatId, collectedData);
+    const autoApprove = isAdmin(await findUser(chatId));
+    const record = await updateProperty(propertyId, {
+        ...collectedData,
+        status: autoApprove ? PROPERTY_STATUS.PUBLISHED : PROPERTY_STATUS.PENDING,
+        reviewNote: '',
+        language: locale
+    });
+    const message = autoApprove
+        ? t(locale, 'conversation.listingSaved') + listingLinkLine(record, locale)
+        : t(locale, 'conversation.listingSubmitted');
+    await sendTelegramMessage(chatId, message);
+    await updateUserSession(chatId, 'initial', {}, lastMessage);
+
+    if (autoApprove) {
+        await announceListing(record);
+    } else {
+        await requestReview(record);
+    }
+}
+
+// Images in a message: the largest size of a photo, or an image sent as a file, with the id of
+// the message it came in. Albums (message.album) contribute one image per item.
+function imagesFromMessage(message) {
+    return (message.album || [message])
+        .map(item => {
+            if (item.photo) {
+                return { ...item.photo[item.photo.length - 1], messageId: item.message_id };
+            }
+            if (item.document && isImageDocument(item.document)) {
+                return { ...item.document, messageId: item.message_id };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+// The image a job already attached for a photo message, as stored in collectedData.images
+function attachedImage(records, messageId) {
+    const record = records.find(image => messageId !== undefined && image.fields.Message_ID === String(messageId));
+    if (!record) return null;
+    return {
+        id: record.id,
+        url: record.fields.Image_URL,
+        publicId: record.fields.Public_ID,
+        analysis: JSON.parse(record.fields.Analysis || '{}')
+    };
+}
+
+function isImageDocument(document) {
+    return IMAGE_MIME_TYPES.includes(document.mime_type) ||
+        /\.(jpe?g|png|hei[cf])$/i.test(document.file_name || '');
+}
+
+// Upload and analyse a batch of photos (one photo, or a whole album) and answer with a single reply.
+// Duplicates are dropped, weak photos get a friendly warning and nothing beyond MAX_IMAGES is accepted.
+async function addPhotos(chatId, images, collectedData, lastMessage, locale) {
+    collectedData.images = collectedData.images || [];
+    const { images: stored } = collectedData;
+
+    const room = MAX_IMAGES - stored.length;
+    if (room <= 0) {
+        await sendPrompt(chatId, 'awaiting_images', t(locale, 'photos.limitReached', { max: MAX_IMAGES }), locale);
+        return;
+    }
+
+    if (images.length > 1) {
+        await sendTelegramMessage(chatId, t(locale, 'photos.received', { count: images.length }));
+    }
+
+    const propertyId = await ensureDraft(chatId, collectedData);
+    // A retried job runs the same photos again; the ones it attached before are not uploaded twice
+    const attached = await getPropertyImages(propertyId);
+    const accepted = images.slice(0, room);
+    const notes = [];
+    let added = 0;
+    let failed = 0;
+    let lastDescription = '';
+
+    for (const image of accepted) {
+        const earlier = attachedImage(attached, image.messageId);
+        if (earlier) {
+            if (!stored.some(({ id }) => id === earlier.id)) {
+                stored.push(earlier);
+                added++;
+                lastDescription = earlier.analysis.description;
+            }
+            continue;
+        }
+
+        let result;
+        try {
+            result = await handleImage(image, propertyId, locale);
+        } catch (error) {
+            failed++;
+            continue;
+        }
+
+        const duplicate = findDuplicate(result.analysis.phash, stored.map(({ analysis }) => analysis));
+        if (duplicate !== -1) {
+            await deleteUpload(result.publicId);
+            notes.push(t(locale, images.length === 1 ? 'photos.duplicateSingle' : 'photos.duplicateInAlbum', { number: duplicate + 1 }));
+            continue;
+        }
+
+        stored.push(await attachImage(propertyId, { ...result, messageId: image.messageId }, stored.length + 1));
+        added++;
+        lastDescription = result.analysis.description;
+
+        const warnings = photoWarnings(result.analysis, locale);
+        if (warnings.length > 0) {
+            notes.push(t(locale, 'photos.weak', {
+                number: stored.length,
+                warnings: warnings.join(t(locale, 'photos.warningSeparator'))
+            }));
+        }
+    }
+
+    if (failed > 0) {
+        notes.push(t(locale, 'photos.failed', { count: failed }));
+    }
+    if (images.length > accepted.length) {
+        notes.push(t(locale, 'photos.overLimit', { max: MAX_IMAGES, count: images.length - accepted.length }));
+    }
+
+    let headline = '';
+    if (added === 1 && images.length === 1) {
+        headline = t(locale, 'photos.addedOne', { description: escapeHtml(lastDescription) });
+    } else if (added > 0) {
+        headline = t(locale, 'photos.added', { count: added, total: stored.length });
+    }
+
+    const footer = t(locale, stored.length >= MAX_IMAGES ? 'photos.full' : 'photos.sendMore');
+    await sendPrompt(chatId, 'awaiting_images', [headline, ...notes, footer].filter(Boolean).join('\n\n'), locale);
+    await updateUserSession(chatId, 'awaiting_images', collectedData, lastMessage);
+}
+
+// Photo check once all photos are in: cover image, condition summary, weak photos
+// and amenities spotted in the photos. Suggestions are offered before the SEO step.
+async function finishPhotos(chatId, collectedData, lastMessage, locale) {
+    const images = collectedData.images || [];
+    const analyses = images.map(({ analysis }) => analysis);
+    if (images.length === 0) {
+        await reviewSeo(chatId, collectedData, lastMessage, locale);
+        return;
+    }
+
+    const cover = pickCover(analyses);
+    await setCoverImage(images, cover);
+    collectedData.coverImageUrl = images[cover].url;
+
+    try {
+        const summary = await summarisePhotos(analyses, collectedData.amenities, locale);
+        collectedData.conditionSummary = summary.conditionSummary;
+        collectedData.suggestedAmenities = summary.suggestedAmenities;
+    } catch (error) {
+        console.error('Photo summary failed:', {
+            error: error.message,
+            chatId,
+            timestamp: new Date().toISOString()
+        });
+        collectedData.suggestedAmenities = [];
+    }
+
+    const lines = [t(locale, 'photos.check', { cover: cover + 1 })];
+    if (collectedData.conditionSummary) {
+        lines.push(t(locale, 'photos.condition', { summary: escapeHtml(collectedData.conditionSummary) }));
+    }
+    analyses.forEach((analysis, index) => {
+        const warnings = photoWarnings(analysis, locale);
+        if (warnings.length > 0) {
+            lines.push(t(locale, 'photos.checkWarning', { number: index + 1, warnings: warnings.join(', ') }));
+        }
+    });
+
+    if (collectedData.suggestedAmenities.length === 0) {
+        delete collectedData.suggestedAmenities;
+        await sendTelegramMessage(chatId, lines.join('\n'));
+        await reviewSeo(chatId, collectedData, lastMessage, locale);
+        return;
+    }
+
+    lines.push(t(locale, 'photos.suggestions', { amenities: escapeHtml(collectedData.suggestedAmenities.join(', ')) }));
+    await sendPrompt(chatId, 'awaiting_photo_suggestions', lines.join('\n'), locale);
+    await updateUserSession(chatId, 'awaiting_photo_suggestions', collectedData, lastMessage);
+}
+
+// Load a saved property into the session for editing. Each change is written
+// to the property straight away, so there is nothing to save at the end.
+async function startListingEdit(chatId, record, lastMessage, locale) {
+    const listing = fromPropertyFields(record.fields);
+    const collectedData = { editingId: record.id };
+    LISTING_STEPS.forEach(({ field }) => {
+        if (!isMissing(listing[field])) {
+            collectedData[field] = listing[field];
+        }
+    });
+    await showListingEdit(chatId, collectedData, t(locale, 'listingEdit.intro'), lastMessage, locale);
+}
+
+async function showListingEdit(chatId, collectedData, intro, lastMessage, locale) {
+    await sendPrompt(chatId, 'awaiting_listing_edit', `${intro}\n\n${describeFields(collectedData, locale)}\n\n${t(locale, 'listingEdit.hint')}`, locale);
+    await updateUserSession(chatId, 'awaiting_listing_edit', collectedData, lastMessage);
+}
+
+async function askListingValue(chatId, step, collectedData, text, lastMessage, locale) {
+    collectedData.editingField = step.field;
+    await sendPrompt(chatId, 'awaiting_listing_value', text, locale);
+    await updateUserSession(chatId, 'awaiting_listing_value', collectedData, lastMessage);
+}
+
+// Validate a new value for the listing being edited and store it on the property
+async function saveListingField(chatId, step, value, collectedData, lastMessage, locale) {
+    const result = validateField(step.field, value, locale);
+    if (result.error) {
+        await askListingValue(chatId, step, collectedData, result.error, lastMessage, locale);
+        return;
+    }
+
+    const record = await updateProperty(collectedData.editingId, { [step.field]: result.value });
+    collectedData[step.field] = result.value;
+    delete collectedData.editingField;
+
+    // Changing a rejected listing sends it back for review
+    let updated = t(locale, 'listingEdit.updated', { label: fieldLabel(step.field, locale) });
+    if (listingStatus(record.fields) === PROPERTY_STATUS.REJECTED) {
+        await requestReview(await updateProperty(record.id, { status: PROPERTY_STATUS.PENDING }));
+        updated += `\n${t(locale, 'listingEdit.resubmitted')}`;
+    }
+
+    console.log('Listing field updated:', {
+        chatId,
+        propertyId: collectedData.editingId,
+        field: step.field,
+        timestamp: new Date().toISOString()
+    });
+
+    await showListingEdit(chatId, collectedData, updated, lastMessage, locale);
+}
+
+// Repeat whatever the user is currently being asked, without changing the session
+async function repeatCurrentQuestion(chatId, currentState, collectedData, locale) {
+    const step = LISTING_STEPS.find(listingStep => listingStep.state === currentState);
+    if (step) {
+        await sendPrompt(chatId, step.state, stepPrompt(step, locale), locale);
+    } else if (currentState === 'awaiting_description') {
+        await sendTelegramMessage(chatId, t(locale, 'conversation.describeAgain'));
+    } else if (currentState === 'awaiting_confirmation') {
+        await sendPrompt(chatId, currentState, buildSummary(collectedData, locale), locale);
+    } else if (currentState === 'awaiting_images') {
+        await sendPrompt(chatId, currentState, t(locale, 'photos.prompt'), locale);
+    } else if (currentState === 'awaiting_photo_suggestions') {
+        await sendPrompt(chatId, currentState, t(locale, 'photos.suggestionsAgain', {
+            amenities: escapeHtml(collectedData.suggestedAmenities.join(', '))
+        }), locale);
+    } else if (currentState === 'awaiting_seo_review') {
+        await sendPrompt(chatId, currentState, buildSeoReview(collectedData, locale), locale);
+    } else if (currentState === 'awaiting_search') {
+        await sendTelegramMessage(chatId, t(locale, 'search.prompt'));
+    } else if (currentState === 'awaiting_listing_edit') {
+        await sendPrompt(chatId, currentState, `${t(locale, 'listingEdit.current')}\n\n${describeFields(collectedData, locale)}\n\n${t(locale, 'listingEdit.hint')}`, locale);
+    } else if (currentState === 'awaiting_listing_value') {
+        await sendPrompt(chatId, currentState, t(locale, 'conversation.askNewValue', { label: fieldLabel(collectedData.editingField, locale) }), locale);
+    }
+}
+
+// Validate the answer to the current question; re-ask with a hint when it doesn't fit
+async function answerListingStep(chatId, step, text, collectedData, locale) {
+    const result = validateField(step.field, text, locale);
+    if (result.error) {
+        console.log('Invalid answer:', {
+            chatId,
+            field: step.field,
+            timestamp: new Date().toISOString()
+        });
+        await sendPrompt(chatId, step.state, result.error, locale);
+        return;
+    }
+
+    collectedData[step.field] = result.value;
+    await askNextQuestion(chatId, collectedData, text, locale);
+}
+
+// Start collecting a new listing in the configured intake mode.
+// collectedData is only passed when continuing an existing, empty draft.
+async function startListing(chatId, greeting, lastMessage, locale, collectedData = null) {
+    collectedData = collectedData || { propertyId: await createDraft(chatId) };
+
+    if (INTAKE_MODE === 'conversational') {
+        await sendTelegramMessage(chatId, t(locale, 'conversation.introConversational', { greeting }));
+        await updateUserSession(chatId, 'awaiting_description', collectedData, lastMessage);
+        return;
+    }
+
+    await sendTelegramMessage(chatId, t(locale, 'conversation.introGuided', { greeting }));
+    await updateUserSession(chatId, 'awaiting_address', collectedData, lastMessage);
+}
+
+// Merge extracted fields, show what was understood and ask only for what is missing
+async function applyExtractedFields(chatId, collectedData, extracted, intro, lastMessage, locale) {
+    Object.assign(collectedData, extracted);
+    await sendTelegramMessage(chatId, `${intro}\n\n${describeFields(extracted, locale)}`);
+    await askNextQuestion(chatId, collectedData, lastMessage, locale);
+}
+
+function isPdfDocument(document) {
+    return document.mime_type === 'application/pdf' ||
+        (document.file_name || '').toLowerCase().endsWith('.pdf');
+}
+
+// Read a listing brochure / exposé and fill in whatever fields it contains
+async function handleBrochure(chatId, document, collectedData, locale) {
+    await sendTelegramMessage(chatId, t(locale, 'conversation.brochureReading'));
+
+    let pdfText;
+    try {
+        pdfText = await handlePDF(document, locale);
+    } catch (error) {
+        await sendTelegramMessage(chatId, error.message);
+        return;
+    }
+    if (!pdfText.trim()) {
+        await sendTelegramMessage(chatId, t(locale, 'conversation.brochureNoText'));
+        return;
+    }
+
+    const extracted = await extractListingFields(pdfText, locale);
+    const foundFields = Object.keys(extracted);
+    console.log('Brochure fields extracted:', {
+        chatId,
+        fields: foundFields,
+        timestamp: new Date().toISOString()
+    });
+
+    if (foundFields.length === 0) {
+        await sendTelegramMessage(chatId, t(locale, 'conversation.brochureNoDetails'));
+        return;
+    }
+
+    await applyExtractedFields(
+        chatId,
+        collectedData,
+        extracted,
+        t(locale, 'conversation.brochureFound', { count: foundFields.length }),
+        document.file_name || '',
+        locale
+    );
+}
+
+function isListingState(state) {
+    return state === 'initial' || state === 'awaiting_description' ||
+        LISTING_STEPS.some(step => step.state === state);
+}
+
+// A longer message usually describes several things at once, so try to pull
+// multiple fields out of it. Returns true when the message was handled.
+async function handleDescription(chatId, text, currentState, collectedData, source, locale) {
+    const wordCount = text.trim().split(/\s+/).length;
+    if (!isListingState(currentState) || wordCount < LONG_DESCRIPTION_WORDS) {
+        return false;
+    }
+
+    const extracted = await extractListingFields(text, locale);
+    const foundFields = Object.keys(extracted);
+    console.log('Description fields extracted:', {
+        chatId,
+        source,
+        fields: foundFields,
+        timestamp: new Date().toISOString()
+    });
+
+    // A single field is just an answer to the current question
+    if (foundFields.length < 2) {
+        return false;
+    }
+
+    const intro = t(locale, source === 'voice note' ? 'conversation.voiceDetailsFound' : 'conversation.messageDetailsFound', {
+        count: foundFields.length
+    });
+    await applyExtractedFields(chatId, collectedData, extracted, intro, text, locale);
+    return true;
+}
+
+// Parse the free-form description that opens a conversational intake
+async function handleListingDescription(chatId, text, collectedData, locale) {
+    let extracted;
+    try {
+        extracted = await extractListingFields(text, locale);
+    } catch (error) {
+        console.error('Description extraction failed, falling back to guided questions:', {
+            error: error.message,
+            chatId,
+            timestamp: new Date().toISOString()
+        });
+        extracted = {};
+    }
+
+    if (Object.keys(extracted).length === 0) {
+        await sendTelegramMessage(chatId, t(locale, 'conversation.descriptionUnclear'));
+        await askNextQuestion(chatId, collectedData, text, locale);
+        return;
+    }
+
+    await applyExtractedFields(chatId, collectedData, extracted, t(locale, 'conversation.understood'), text, locale);
+}
+
+// Process messages with friendly, bubbly responses, in the chat's locale
+async function processMessage(chatId, text, userSession, message, locale) {
+    const currentState = userSession.Current_State || 'initial';
+    const collectedData = JSON.parse(userSession.Collected_Data || '{}');
+
+    // Only agents on the allow-list can add listings, everyone else can search
+    if (currentState !== 'awaiting_search' && !hasRole(await findUser(chatId), USER_ROLES.AGENT)) {
+        await sendTelegramMessage(chatId, t(locale, 'access.agentsOnly', { telegramId: chatId }));
+        return;
+    }
+
+    // Someone coming back to a listing they left long ago is asked first whether to carry on.
+    // Saving the session restarts the clock, so their next message goes through.
+    if (isStaleSession(userSession)) {
+        const key = collectedData.editingId ? 'resume.promptEditing' : 'resume.prompt';
+        const { text: prompt, options } = resumeMessage(key, currentState, collectedData, locale);
+        await sendTelegramMessage(chatId, prompt, options);
+        await updateUserSession(chatId, currentState, collectedData, text || '');
+        console.log('Stale listing, asked to resume:', {
+            chatId,
+            currentState,
+            lastUpdated: userSession.Last_Updated,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    // Brochures can be dropped in at any step of the conversation
+    if (message && message.document && isPdfDocument(message.document)) {
+        await handleBrochure(chatId, message.document, collectedData, locale);
+        return;
+    }
+
+    // Voice notes are answered exactly like the equivalent text message
+    if (message && (message.voice || message.audio)) {
+        try {
+            text = await handleVoiceNote(message.voice || message.audio, locale);
+        } catch (error) {
+            await sendTelegramMessage(chatId, error.message);
+            return;
+        }
+        await sendTelegramMessage(chatId, t(locale, 'conversation.heard', { text: escapeHtml(text) }));
+
+        if (currentState !== 'awaiting_description' &&
+            await handleDescription(chatId, text, currentState, collectedData, 'voice note', locale)) {
+            return;
+        }
+    } else if (INTAKE_MODE === 'conversational' && currentState !== 'awaiting_description' &&
+        await handleDescription(chatId, text, currentState, collectedData, 'message', locale)) {
+        // Follow-up answers in conversational mode may cover several fields at once
+        return;
+    }
+
+    const step = LISTING_STEPS.find(listingStep => listingStep.state === currentState);
+    if (step) {
+        await answerListingStep(chatId, step, text, collectedData, locale);
+        return;
+    }
+
+    switch (currentState) {
+        case 'initial':
+            await startListing(chatId, t(locale, 'conversation.greeting'), text, locale);
+            break;
+
+        case 'awaiting_description':
+            await handleListingDescription(chatId, text, collectedData, locale);
+            break;
+
+        case 'awaiting_confirmation':
+            const editRequest = parseEditRequest(text, locale);
+            if (isAnswer(locale, text, 'yes')) {
+                await sendPrompt(chatId, 'awaiting_images', t(locale, 'conversation.confirmed'), locale);
+                await updateUserSession(chatId, 'awaiting_images', collectedData, text);
+            } else if (editRequest && editRequest.step) {
+                await editField(chatId, editRequest.step, editRequest.value, collectedData, text, locale);
+            } else if (isAnswer(locale, text, 'startOver')) {
+                await discardDraft(collectedData);
+                await startListing(chatId, t(locale, 'conversation.startFresh'), text, locale);
+            } else {
+                // Field names as the agent would type them after 'edit', in their language
+                const fieldNames = LISTING_STEPS.map(({ field }) => t(locale, `fieldAliases.${field}`)[0]).join(', ');
+                await sendPrompt(chatId, 'awaiting_confirmation', t(locale, 'conversation.whichDetail', { fields: fieldNames }), locale);
+            }
+            break;
+
+        case 'awaiting_images':
+            if (isAnswer(locale, text, 'done')) {
+                await finishPhotos(chatId, collectedData, text, locale);
+            } else if (message && imagesFromMessage(message).length > 0) {
+                await addPhotos(chatId, imagesFromMessage(message), collectedData, text, locale);
+            } else {
+                await sendPrompt(chatId, 'awaiting_images', t(locale, 'photos.prompt'), locale);
+            }
+            break;
+
+        case 'awaiting_photo_suggestions':
+            if (isAnswer(locale, text, 'add') || isAnswer(locale, text, 'yes')) {
+                collectedData.amenities = [collectedData.amenities, ...collectedData.suggestedAmenities]
+                    .filter(Boolean)
+                    .join(', ');
+                delete collectedData.suggestedAmenities;
+                await reviewSeo(chatId, collectedData, text, locale);
+            } else if (isAnswer(locale, text, 'skip') || isAnswer(locale, text, 'no')) {
+                delete collectedData.suggestedAmenities;
+                await reviewSeo(chatId, collectedData, text, locale);
+            } else {
+                await sendPrompt(chatId, 'awaiting_photo_suggestions', t(locale, 'photos.suggestionsHint'), locale);
+            }
+            break;
+
+        case 'awaiting_seo_review':
+            if (isAnswer(locale, text, 'save') || isAnswer(locale, text, 'yes')) {
+                await saveListing(chatId, collectedData, text, locale);
+            } else if (isAnswer(locale, text, 'regenerate')) {
+                await reviewSeo(chatId, collectedData, text, locale, true);
+            } else {
+                await sendPrompt(chatId, 'awaiting_seo_review', t(locale, 'seo.hint'), locale);
+            }
+            break;
+
+        case 'awaiting_search':
+            await handleSearchMessage(chatId, text, collectedData, locale);
+            break;
+
+        case 'awaiting_listing_edit':
+            const listingEdit = parseEditRequest(text, locale);
+            if (isAnswer(locale, text, 'done')) {
+                await updateUserSession(chatId, 'initial', {}, text);
+                await sendTelegramMessage(chatId, t(locale, 'listingEdit.done'));
+            } else if (listingEdit && listingEdit.step && listingEdit.value) {
+                await saveListingField(chatId, listingEdit.step, listingEdit.value, collectedData, text, locale);
+            } else if (listingEdit && listingEdit.step) {
+                const field = listingEdit.step.field;
+                await askListingValue(chatId, listingEdit.step, collectedData, t(locale, 'conversation.askNewValueWithCurrent', {
+                    label: fieldLabel(field, locale),
+                    current: escapeHtml(isMissing(collectedData[field]) ? t(locale, 'conversation.notSet') : collectedData[field])
+                }), text, locale);
+            } else {
+                await sendPrompt(chatId, 'awaiting_listing_edit', `🌸 ${t(locale, 'listingEdit.hint')}`, locale);
+            }
+            break;
+
+        case 'awaiting_listing_value':
+            await saveListingField(chatId, LISTING_STEPS.find(({ field }) => field === collectedData.editingField), text, collectedData, text, locale);
+            break;
+
+        default:
+            await discardDraft(collectedData);
+            await startListing(chatId, t(locale, 'conversation.greetingFresh'), text, locale);
+            break;
+    }
+}
+
+module.exports = {
+    MAX_IMAGES,
+    hasListingInProgress,
+    resumeMessage,
+    LISTING_STEPS,
+    describeFields,
+    showSummary,
+    askListingStep,
+    repeatCurrentQuestion,
+    startListing,
+    startListingEdit,
+    processMessage
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const express = require('express');
+const { runDueJobs, pruneFinishedJobs } = require('./jobs');
+const { sendDraftReminders } = require('./draftReminders');
+const { sendDigests } = require('./searchAlerts');
+
+// Scheduled work for hosts without a long-running process, mounted at /cron by server.js.
+// Vercel Cron calls these routes (see "crons" in vercel.json) with "Authorization: Bearer <CRON_SECRET>".
+// Without CRON_SECRET they answer 503, so nobody else can trigger them. With it, the server leaves
+// digests and draft reminders to these routes and doesn't send them on its own timers.
+const CRON_SECRET = process.env.CRON_SECRET;
+
+function requireCronSecret(req, res, next) {
+  if (!CRON_SECRET) {
+    res.status(503).json({ error: 'Cron routes are disabled. Set CRON_SECRET to enable them.' });
+    return;
+  }
+
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const expected = Buffer.from(CRON_SECRET);
+  const received = Buffer.from(bearer ? bearer[1] : '');
+  if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+    next();
+    return;
+  }
+
+  console.warn('Rejected cron request:', {
+    ip: req.ip,
+    path: req.originalUrl,
+    timestamp: new Date().toISOString()
+  });
+  res.status(401).json({ error: 'Missing or invalid cron secret' });
+}
+
+function createCron() {
+  const router = express.Router();
+  router.use(requireCronSecret);
+
+  // Runs the job queue where no worker process does (JOB_WORKER=external without npm run worker)
+  router.get('/jobs', async (req, res, next) => {
+    try {
+      const ran = await runDueJobs();
+      await pruneFinishedJobs();
+      res.json({ ran });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/draft-reminders', async (req, res, next) => {
+    try {
+      res.json(await sendDraftReminders());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Each saved search gets at most one digest a day, however often this runs
+  router.get('/digests', async (req, res, next) => {
+    try {
+      res.json(await sendDigests());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  CRON_SECRET,
+  createCron
+};
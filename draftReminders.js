@@ -0,0 +1,65 @@
+const { getIdleSessions, markSessionReminded } = require('./storage');
+const { sendTelegramMessage } = require('./telegram');
+const { hasListingInProgress, resumeMessage } = require('./conversation');
+const { findUser, hasRole } = require('./users');
+const { USER_ROLES } = require('./propertySchema');
+const { resolveLocale } = require('./i18n');
+
+// Nudges agents about a listing they left unfinished for DRAFT_REMINDER_HOURS (default 24, 0 turns
+// reminders off). Each stretch of inactivity gets one reminder; anything that moves the conversation
+// on starts the clock again. Runs hourly in the server, or from the cron route in cron.js once
+// CRON_SECRET is set.
+const DRAFT_REMINDER_HOURS = Number(process.env.DRAFT_REMINDER_HOURS || 24);
+
+// Reminded_At is only set by a reminder, so one sent after the last change covers this stretch
+function alreadyReminded(session) {
+  return Boolean(session.Reminded_At) && session.Reminded_At >= session.Last_Updated;
+}
+
+// Returns { reminded } for the cron route's response
+async function sendDraftReminders() {
+  if (!DRAFT_REMINDER_HOURS) return { reminded: 0 };
+
+  const now = new Date();
+  const idleSince = new Date(now.getTime() - DRAFT_REMINDER_HOURS * 60 * 60 * 1000).toISOString();
+  let reminded = 0;
+
+  for (const session of await getIdleSessions(idleSince)) {
+    const currentState = session.Current_State;
+    const collectedData = JSON.parse(session.Collected_Data || '{}');
+    // Changes to a saved listing are stored right away, so there is nothing to lose there
+    if (!hasListingInProgress(currentState) || collectedData.editingId || alreadyReminded(session)) continue;
+
+    const telegramId = session.Telegram_ID;
+    try {
+      // Marked first, so a user who blocked the bot isn't tried again every hour
+      await markSessionReminded(telegramId, now.toISOString());
+
+      // Agents who were removed from the allow-list can't finish the listing anyway
+      if (hasRole(await findUser(telegramId), USER_ROLES.AGENT)) {
+        const locale = resolveLocale(session, null);
+        const { text, options } = resumeMessage('resume.reminder', currentState, collectedData, locale);
+        await sendTelegramMessage(telegramId, text, options);
+        reminded++;
+      }
+    } catch (error) {
+      console.error('Failed to send draft reminder:', {
+        error: error.message,
+        telegramId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  console.log('Draft reminders sent:', {
+    reminded,
+    idleSince,
+    timestamp: new Date().toISOString()
+  });
+  return { reminded };
+}
+
+module.exports = {
+  DRAFT_REMINDER_HOURS,
+  sendDraftReminders
+};
@@ -0,0 +1,127 @@
+const cloudinary = require('cloudinary').v2;
+const {
+  addProperty,
+  deleteProperty,
+  getProperty,
+  addImage,
+  updateImage,
+  deleteImage,
+  getPropertyImages,
+  addDeletedListing
+} = require('./storage');
+const { PROPERTY_STATUS, listingStatus } = require('./propertySchema');
+const { findUser } = require('./users');
+
+// A listing gets its Properties record (status 'draft') as soon as it is started,
+// so photos can be stored in the Images table against the real record id while
+// the agent is still sending them. The session keeps { id, url, publicId, analysis }
+// for each photo in collectedData.images, in display order.
+
+// The listing belongs to the agent's team, which decides who reviews it
+async function createDraft(chatId) {
+  const user = await findUser(chatId);
+  const record = await addProperty({
+    telegramId: chatId.toString(),
+    status: PROPERTY_STATUS.DRAFT,
+    team: (user && user.team) || undefined
+  });
+
+  console.log('Draft property created:', {
+    chatId,
+    propertyId: record.id,
+    timestamp: new Date().toISOString()
+  });
+
+  return record.id;
+}
+
+// The draft behind the listing in progress, created when the session doesn't have one yet
+async function ensureDraft(chatId, collectedData) {
+  if (!collectedData.propertyId) {
+    collectedData.propertyId = await createDraft(chatId);
+  }
+  return collectedData.propertyId;
+}
+
+// Store an uploaded photo (the result of handleImage) as the image at the given position
+async function attachImage(propertyId, upload, position) {
+  const record = await addImage({
+    propertyId,
+    url: upload.imageUrl,
+    publicId: upload.publicId,
+    position,
+    isCover: false,
+    analysis: upload.analysis,
+    messageId: upload.messageId
+  });
+
+  return {
+    id: record.id,
+    url: upload.imageUrl,
+    publicId: upload.publicId,
+    analysis: upload.analysis
+  };
+}
+
+// Flag one image as the cover and clear the flag on the others
+async function setCoverImage(images, coverIndex) {
+  for (let i = 0; i < images.length; i++) {
+    const isCover = i === coverIndex;
+    if (Boolean(images[i].isCover) !== isCover) {
+      await updateImage(images[i].id, { isCover });
+      images[i].isCover = isCover;
+    }
+  }
+}
+
+// Remove an upload from Cloudinary; a failure here shouldn't interrupt the agent
+async function deleteUpload(publicId) {
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (error) {
+    console.error('Failed to delete photo from Cloudinary:', {
+      error: error.message,
+      publicId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Delete a property with all of its images, both the records and the Cloudinary files.
+// A listing that got past the draft stage may be in a partner's feed, so it is remembered
+// in Deleted Listings for the incremental feeds.
+async function deleteListing(propertyId) {
+  const record = await getProperty(propertyId);
+  const images = await getPropertyImages(propertyId);
+  for (const image of images) {
+    await deleteUpload(image.fields.Public_ID);
+    await deleteImage(image.id);
+  }
+  await deleteProperty(propertyId);
+  if (record && listingStatus(record.fields) !== PROPERTY_STATUS.DRAFT) {
+    await addDeletedListing({ propertyId, slug: record.fields.SEO_URL_Slug, team: record.fields.Team });
+  }
+
+  console.log('Property deleted:', {
+    propertyId,
+    images: images.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Throw away the draft of a listing that was cancelled or started over
+async function discardDraft(collectedData) {
+  if (collectedData.propertyId) {
+    await deleteListing(collectedData.propertyId);
+  }
+}
+
+module.exports = {
+  createDraft,
+  ensureDraft,
+  attachImage,
+  setCoverImage,
+  deleteUpload,
+  deleteListing,
+  discardDraft
+};
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const express = require('express');
+const { searchProperties, getPropertyImages, getDeletedListings } = require('./storage');
+const { STATUS_ANY, matchesSearch, parseFilterQuery } = require('./searchFilter');
+const { LISTING_COUNTRY, LISTING_CURRENCY } = require('./validation');
+const { PUBLIC_URL } = require('./listingPages');
+const { version } = require('./package.json');
+
+// Export feeds of the published listings for partner portals, mounted at /feeds by server.js:
+//   /feeds/properties.json, /feeds/properties.csv, /feeds/properties.rss, /feeds/properties.atom
+//   and /feeds/openimmo.xml (OpenImmo 1.2.7, the German portal exchange format).
+// They take the search filter query parameters (see parseFilterQuery), so a partner can sync
+// incrementally with updatedSince and then cursor. When FEED_TOKEN is set, the feeds need it as ?token=
+// or a bearer token.
+const FEED_TOKEN = process.env.FEED_TOKEN;
+const FEED_TITLE = process.env.FEED_TITLE || 'Keyly listings';
+// Listing links are <LISTING_BASE_URL>/<SEO_URL_Slug>, our own listing pages unless the listings live on another site
+const LISTING_BASE_URL = (process.env.LISTING_BASE_URL || (PUBLIC_URL ? `${PUBLIC_URL}/p` : '')).replace(/\/+$/, '');
+const OPENIMMO_PROVIDER_ID = process.env.OPENIMMO_PROVIDER_ID || 'KEYLY';
+
+const DEFAULT_FEED_SIZE = 100;
+const MAX_FEED_SIZE = 500;
+
+// LISTING_COUNTRY (ISO 3166 alpha-2) -> the alpha-3 code OpenImmo uses
+const ISO3_COUNTRIES = {
+  DE: 'DEU', AT: 'AUT', CH: 'CHE', FR: 'FRA', ES: 'ESP', IT: 'ITA', NL: 'NLD', GB: 'GBR', US: 'USA', IR: 'IRN'
+};
+
+// PROPERTY_TYPES key -> OpenImmo nutzungsart and objektart
+const OPENIMMO_TYPES = {
+  Apartment: { usage: 'WOHNEN', objektart: '<wohnung wohnungtyp="ETAGE"/>' },
+  Penthouse: { usage: 'WOHNEN', objektart: '<wohnung wohnungtyp="PENTHOUSE"/>' },
+  Studio: { usage: 'WOHNEN', objektart: '<wohnung wohnungtyp="APARTMENT"/>' },
+  House: { usage: 'WOHNEN', objektart: '<haus haustyp="EINFAMILIENHAUS"/>' },
+  Townhouse: { usage: 'WOHNEN', objektart: '<haus haustyp="REIHENHAUS"/>' },
+  Villa: { usage: 'WOHNEN', objektart: '<haus haustyp="VILLA"/>' },
+  Land: { usage: 'WOHNEN', objektart: '<grundstueck grundst_typ="WOHNEN"/>' },
+  Commercial: { usage: 'GEWERBE', objektart: '<sonstige sonstige_typ="SONSTIGE"/>' }
+};
+const OPENIMMO_UNKNOWN_TYPE = { usage: 'WOHNEN', objektart: '<wohnung wohnungtyp="KEINE_ANGABE"/>' };
+
+// The token from ?token= (for portals that can only be given a URL) or "Authorization: Bearer <token>"
+function hasFeedToken(req) {
+  if (!FEED_TOKEN) return true;
+
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const expected = Buffer.from(FEED_TOKEN);
+  const received = Buffer.from(bearer ? bearer[1] : String(req.query.token || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function requireFeedToken(req, res, next) {
+  if (hasFeedToken(req)) {
+    next();
+    return;
+  }
+
+  console.warn('Rejected feed request:', {
+    ip: req.ip,
+    path: req.path,
+    timestamp: new Date().toISOString()
+  });
+  res.status(401).json({ error: 'Missing or invalid feed token' });
+}
+
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// <name>value</name>, or nothing when there is no value
+function xmlElement(name, value) {
+  if (value === undefined || value === null || value === '') return '';
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function numberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function listingUrl(record) {
+  if (!LISTING_BASE_URL) return null;
+  return `${LISTING_BASE_URL}/${encodeURIComponent(record.fields.SEO_URL_Slug || record.id)}`;
+}
+
+function imageMimeType(url) {
+  const extension = (String(url).split('?')[0].match(/\.(\w+)$/) || [])[1] || '';
+  return {
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    heic: 'image/heic'
+  }[extension.toLowerCase()] || 'image/jpeg';
+}
+
+// The feed's view of a Properties record: published details only, no Telegram ids or drafts
+function toFeedListing(record, images) {
+  const fields = record.fields;
+  const imageUrls = images ? images.map(image => image.fields.Image_URL).filter(Boolean) : [];
+  return {
+    id: record.id,
+    slug: fields.SEO_URL_Slug || null,
+    url: listingUrl(record),
+    title: fields.SEO_Meta_Title || [fields.Property_Type, fields.Address].filter(Boolean).join(', '),
+    description: fields.SEO_Meta_Desc || fields.Condition_Summary || '',
+    propertyType: fields.Property_Type || null,
+    address: fields.Address || null,
+    zip: fields.ZIP ? String(fields.ZIP) : null,
+    country: LISTING_COUNTRY,
+    bedrooms: numberOrNull(fields.Bedrooms),
+    bathrooms: numberOrNull(fields.Bathrooms),
+    size: numberOrNull(fields.Size_sqm),
+    price: numberOrNull(fields.Price),
+    currency: LISTING_CURRENCY,
+    amenities: String(fields.Amenities || '').split(',').map(amenity => amenity.trim()).filter(Boolean),
+    conditionSummary: fields.Condition_Summary || '',
+    keywords: String(fields.SEO_Keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+    coverImage: fields.Image_URL || imageUrls[0] || null,
+    images: imageUrls,
+    agentName: fields.User_Name || null,
+    createdAt: fields.Created_At || null,
+    updatedAt: fields.Updated_At || null
+  };
+}
+
+// Paging cursor: the (Updated_At, id) of the last entry sent, so entries changed at the same moment
+// are neither sent twice nor skipped
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.at, entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [at, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof at === 'string' && typeof id === 'string' && !Number.isNaN(new Date(at).getTime())) {
+      return { at, id };
+    }
+  } catch (error) {
+    // Not a cursor we sent
+  }
+  return null;
+}
+
+function compareEntries(a, b) {
+  return a.at.localeCompare(b.at) || a.id.localeCompare(b.id);
+}
+
+// Feed entries changed since the given time: published listings that match the filter, and removals,
+// { id, slug }, of listings that were unpublished, no longer match or were deleted since.
+// Removals are limited to the filter's team, so a partner doesn't learn about other teams' listings.
+async function loadChanges(filter, since) {
+  const changed = await searchProperties({ status: STATUS_ANY, team: filter.team, updatedSince: since });
+  const entries = changed.map(record => {
+    const at = String(record.fields.Updated_At || '');
+    return matchesSearch(record.fields, filter)
+      ? { at, id: record.id, record }
+      : { at, id: record.id, removed: { id: record.id, slug: record.fields.SEO_URL_Slug || null } };
+  });
+
+  const deleted = await getDeletedListings(since);
+  deleted
+    .filter(record => !filter.team || (record.fields.Team || '') === filter.team)
+    .forEach(record => entries.push({
+      at: record.fields.Deleted_At,
+      id: record.fields.Property_ID,
+      removed: { id: record.fields.Property_ID, slug: record.fields.SEO_URL_Slug || null }
+    }));
+  return entries;
+}
+
+// Published listings for a feed request -> { listings, removed, nextCursor } or { error }.
+// A full feed has every published listing. With updatedSince or cursor it is incremental: only what
+// changed since, oldest change first, including removals. When more is left than limit, nextCursor
+// is where the next request starts. RSS and Atom are newest first, like feed readers expect.
+async function loadListings(query, { newestFirst = false, withImages = false } = {}) {
+  const { filter, error } = parseFilterQuery(query);
+  if (error) return { error };
+
+  const limit = query.limit === undefined ? DEFAULT_FEED_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_FEED_SIZE}` };
+  }
+
+  const cursor = query.cursor === undefined ? null : decodeCursor(query.cursor);
+  if (query.cursor !== undefined && (!cursor || newestFirst)) {
+    return { error: newestFirst ? 'This feed has no paging' : 'cursor must be the nextCursor of an earlier request' };
+  }
+
+  let entries;
+  if (cursor || filter.updatedSince) {
+    const since = cursor && !(filter.updatedSince > cursor.at) ? cursor.at : filter.updatedSince;
+    entries = (await loadChanges(filter, since))
+      .filter(entry => !cursor || compareEntries(entry, cursor) > 0);
+  } else {
+    entries = (await searchProperties(filter))
+      .map(record => ({ at: String(record.fields.Updated_At || ''), id: record.id, record }));
+  }
+  entries.sort(compareEntries);
+  if (newestFirst) entries.reverse();
+
+  const page = entries.slice(0, limit);
+  const listings = [];
+  for (const { record } of page.filter(entry => entry.record)) {
+    listings.push(toFeedListing(record, withImages ? await getPropertyImages(record.id) : null));
+  }
+  const removed = page.filter(entry => entry.removed).map(entry => entry.removed);
+
+  const nextCursor = !newestFirst && entries.length > limit ? encodeCursor(page[page.length - 1]) : null;
+  return { listings, removed, nextCursor };
+}
+
+// The URL of this feed, without the token
+function selfUrl(req) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.delete('token');
+  return url.toString();
+}
+
+const CSV_COLUMNS = [
+  ['ID', listing => listing.id],
+  ['URL', listing => listing.url],
+  ['Property_Type', listing => listing.propertyType],
+  ['Address', listing => listing.address],
+  ['ZIP', listing => listing.zip],
+  ['Country', listing => listing.country],
+  ['Size_sqm', listing => listing.size],
+  ['Bedrooms', listing => listing.bedrooms],
+  ['Bathrooms', listing => listing.bathrooms],
+  ['Price', listing => listing.price],
+  ['Currency', listing => listing.currency],
+  ['Amenities', listing => listing.amenities.join(', ')],
+  ['Condition_Summary', listing => listing.conditionSummary],
+  ['SEO_Meta_Title', listing => listing.title],
+  ['SEO_Meta_Desc', listing => listing.description],
+  ['SEO_URL_Slug', listing => listing.slug],
+  ['SEO_Keywords', listing => listing.keywords.join(', ')],
+  ['Image_URL', listing => listing.coverImage],
+  ['Images', listing => listing.images.join(' ')],
+  ['Created_At', listing => listing.createdAt],
+  ['Updated_At', listing => listing.updatedAt]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Text starting like a formula is not run when the file is opened in a spreadsheet
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(listings) {
+  const rows = [CSV_COLUMNS.map(([header]) => header)];
+  listings.forEach(listing => rows.push(CSV_COLUMNS.map(([, value]) => csvCell(value(listing)))));
+  return rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+function toRss(listings, feedUrl) {
+  const items = listings.map(listing => [
+    '<item>',
+    xmlElement('title', listing.title),
+    xmlElement('link', listing.url),
+    `<guid isPermaLink="false">${escapeXml(listing.id)}</guid>`,
+    xmlElement('description', listing.description),
+    xmlElement('category', listing.propertyType),
+    xmlElement('pubDate', listing.createdAt && new Date(listing.createdAt).toUTCString()),
+    listing.coverImage
+      ? `<enclosure url="${escapeXml(listing.coverImage)}" type="${imageMimeType(listing.coverImage)}" length="0"/>`
+      : '',
+    '</item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    xmlElement('title', FEED_TITLE),
+    xmlElement('link', LISTING_BASE_URL || feedUrl),
+    xmlElement('description', `Property listings from ${FEED_TITLE}`),
+    xmlElement('lastBuildDate', new Date().toUTCString()),
+    `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].filter(Boolean).join('\n') + '\n';
+}
+
+function toAtom(listings, feedUrl) {
+  const entries = listings.map(listing => [
+    '<entry>',
+    xmlElement('id', `urn:keyly:property:${listing.id}`),
+    xmlElement('title', listing.title),
+    xmlElement('updated', listing.updatedAt || listing.createdAt),
+    xmlElement('published', listing.createdAt),
+    listing.url ? `<link rel="alternate" type="text/html" href="${escapeXml(listing.url)}"/>` : '',
+    listing.coverImage
+      ? `<link rel="enclosure" type="${imageMimeType(listing.coverImage)}" href="${escapeXml(listing.coverImage)}"/>`
+      : '',
+    listing.propertyType ? `<category term="${escapeXml(listing.propertyType)}"/>` : '',
+    xmlElement('summary', listing.description),
+    '</entry>'
+  ].filter(Boolean).join('\n'));
+
+  const updated = listings.map(listing => listing.updatedAt).filter(Boolean).sort().pop() || new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    xmlElement('id', feedUrl),
+    xmlElement('title', FEED_TITLE),
+    xmlElement('updated', updated),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    LISTING_BASE_URL ? `<link rel="alternate" type="text/html" href="${escapeXml(LISTING_BASE_URL)}"/>` : '',
+    `<author>${xmlElement('name', FEED_TITLE)}</author>`,
+    ...entries,
+    '</feed>'
+  ].filter(Boolean).join('\n') + '\n';
+}
+
+// "Kastanienallee 12a, Berlin" -> { street: 'Kastanienallee', houseNumber: '12a', city: 'Berlin' }
+function splitAddress(address) {
+  const [streetPart, ...rest] = String(address || '').split(',').map(part => part.trim());
+  const street = streetPart.match(/^(.*?)\s+(\d+\s*[a-z]?(?:\s*[-/]\s*\d+\s*[a-z]?)?)$/i);
+  const city = rest.map(part => part.replace(/\b\d{4,5}\b/, '').trim()).filter(Boolean).pop() || '';
+  return street
+    ? { street: street[1], houseNumber: street[2], city }
+    : { street: streetPart, houseNumber: '', city };
+}
+
+function toOpenImmoProperty(listing) {
+  const type = OPENIMMO_TYPES[listing.propertyType] || OPENIMMO_UNKNOWN_TYPE;
+  const address = splitAddress(listing.address);
+  const areaElement = listing.propertyType === 'Commercial' ? 'nutzflaeche' : 'wohnflaeche';
+  const attachments = listing.images.map((url, index) => [
+    `<anhang location="REMOTE" gruppe="${index === 0 ? 'TITELBILD' : 'BILD'}">`,
+    xmlElement('anhangtitel', `${listing.title} ${index + 1}`),
+    xmlElement('format', imageMimeType(url)),
+    `<daten>${xmlElement('pfad', url)}</daten>`,
+    '</anhang>'
+  ].join(''));
+  if (listing.url) {
+    attachments.push(`<anhang location="REMOTE" gruppe="LINKS">${xmlElement('anhangtitel', listing.title)}`
+      + `<format>text/html</format><daten>${xmlElement('pfad', listing.url)}</daten></anhang>`);
+  }
+
+  return [
+    '<immobilie>',
+    '<objektkategorie>',
+    `<nutzungsart WOHNEN="${type.usage === 'WOHNEN'}" GEWERBE="${type.usage === 'GEWERBE'}"/>`,
+    '<vermarktungsart KAUF="true" MIETE_PACHT="false"/>',
+    `<objektart>${type.objektart}</objektart>`,
+    '</objektkategorie>',
+    '<geo>',
+    `<plz>${escapeXml(listing.zip || '')}</plz>`,
+    `<ort>${escapeXml(address.city)}</ort>`,
+    xmlElement('strasse', address.street),
+    xmlElement('hausnummer', address.houseNumber),
+    `<land iso_land="${ISO3_COUNTRIES[listing.country] || listing.country}"/>`,
+    '</geo>',
+    `<kontaktperson><name>${escapeXml(listing.agentName || FEED_TITLE)}</name></kontaktperson>`,
+    '<preise>',
+    xmlElement('kaufpreis', listing.price),
+    `<waehrung iso_waehrung="${escapeXml(listing.currency)}"/>`,
+    '</preise>',
+    '<flaechen>',
+    listing.propertyType === 'Land' ? '' : xmlElement(areaElement, listing.size),
+    xmlElement('anzahl_schlafzimmer', listing.bedrooms),
+    xmlElement('anzahl_badezimmer', listing.bathrooms),
+    listing.propertyType === 'Land' ? xmlElement('grundstuecksflaeche', listing.size) : '',
+    '</flaechen>',
+    '<freitexte>',
+    xmlElement('objekttitel', listing.title),
+    xmlElement('ausstatt_beschr', listing.amenities.join(', ')),
+    xmlElement('objektbeschreibung', [listing.description, listing.conditionSummary].filter(Boolean).join('\n\n')),
+    '</freitexte>',
+    attachments.length > 0 ? `<anhaenge>\n${attachments.join('\n')}\n</anhaenge>` : '',
+    '<verwaltung_objekt><objektadresse_freigeben>true</objektadresse_freigeben></verwaltung_objekt>',
+    '<verwaltung_techn>',
+    xmlElement('objektnr_extern', listing.slug || listing.id),
+    '<aktion aktionart="CHANGE"/>',
+    xmlElement('openimmo_obid', listing.id),
+    xmlElement('stand_vom', (listing.updatedAt || new Date().toISOString()).slice(0, 10)),
+    '</verwaltung_techn>',
+    '</immobilie>'
+  ].filter(Boolean).join('\n');
+}
+
+// A removal only needs the ids the partner knows the listing by
+function toOpenImmoRemoval(removal) {
+  return [
+    '<immobilie>',
+    '<verwaltung_techn>',
+    xmlElement('objektnr_extern', removal.slug || removal.id),
+    '<aktion aktionart="DELETE"/>',
+    xmlElement('openimmo_obid', removal.id),
+    xmlElement('stand_vom', new Date().toISOString().slice(0, 10)),
+    '</verwaltung_techn>',
+    '</immobilie>'
+  ].join('\n');
+}
+
+// A partial transfer when only changes are sent, otherwise a full one
+function toOpenImmo(listings, removed, incremental) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<openimmo>',
+    `<uebertragung art="ONLINE" umfang="${incremental ? 'TEIL' : 'VOLL'}" modus="CHANGE" version="1.2.7"`
+      + ` sendersoftware="Keyly" senderversion="${escapeXml(version)}" timestamp="${new Date().toISOString()}"/>`,
+    '<anbieter>',
+    xmlElement('anbieternr', OPENIMMO_PROVIDER_ID),
+    xmlElement('firma', FEED_TITLE),
+    xmlElement('openimmo_anid', OPENIMMO_PROVIDER_ID),
+    ...listings.map(toOpenImmoProperty),
+    ...removed.map(toOpenImmoRemoval),
+    '</anbieter>',
+    '</openimmo>'
+  ].join('\n') + '\n';
+}
+
+function createFeeds() {
+  const router = express.Router();
+  router.use(requireFeedToken);
+
+  // Route for one format: loads the listings, sets the paging header and sends render(changes, req)
+  const feedRoute = (contentType, options, render) => asyncRoute(async (req, res) => {
+    const { listings, removed, nextCursor, error } = await loadListings(req.query, options);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    console.log('Feed served:', {
+      path: req.path,
+      listings: listings.length,
+      removed: removed.length,
+      updatedSince: req.query.updatedSince || null,
+      timestamp: new Date().toISOString()
+    });
+
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    res.type(contentType).send(render({ listings, removed, nextCursor }, req));
+  });
+
+  // Listings that were removed since are listed by id in "deleted"
+  router.get('/properties.json', feedRoute('application/json', { withImages: true }, ({ listings, removed, nextCursor }) =>
+    JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      count: listings.length,
+      nextCursor,
+      properties: listings,
+      deleted: removed.map(removal => removal.id)
+    })
+  ));
+
+  // CSV, RSS and Atom have no way to say a listing is gone, so they only carry listings
+  router.get('/properties.csv', feedRoute('text/csv; charset=utf-8', { withImages: true }, ({ listings }) => toCsv(listings)));
+
+  router.get('/properties.rss', feedRoute('application/rss+xml; charset=utf-8', { newestFirst: true }, ({ listings }, req) =>
+    toRss(listings, selfUrl(req))
+  ));
+
+  router.get('/properties.atom', feedRoute('application/atom+xml; charset=utf-8', { newestFirst: true }, ({ listings }, req) =>
+    toAtom(listings, selfUrl(req))
+  ));
+
+  router.get('/openimmo.xml', feedRoute('application/xml; charset=utf-8', { withImages: true }, ({ listings, removed }, req) =>
+    toOpenImmo(listings, removed, Boolean(req.query.updatedSince || req.query.cursor))
+  ));
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  router.use((error, req, res, next) => {
+    console.error('Feed error:', {
+      error: error.message,
+      stack: error.stack,
+      path: req.originalUrl,
+      timestamp: new Date().toISOString()
+    });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFeeds
+};
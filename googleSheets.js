@@ -1,4 +1,35 @@
+const crypto = require('crypto');
 const { google } = require('googleapis');
+const {
+  PROPERTY_COLUMNS,
+  IMAGE_COLUMNS,
+  SAVED_SEARCH_COLUMNS,
+  PROCESSED_UPDATE_COLUMNS,
+  JOB_COLUMNS,
+  JOB_CLAIM_COLUMNS,
+  JOB_STATUS,
+  SESSION_COLUMNS,
+  USER_COLUMNS,
+  DELETED_LISTING_COLUMNS,
+  toPropertyFields,
+  toImageFields,
+  toSavedSearchFields,
+  toJobFields,
+  toUserFields,
+  toDeletedListingFields,
+  newSessionFields,
+  toSessionLanguageFields
+} = require('./propertySchema');
+const { matchesSearch } = require('./searchFilter');
+
+// Validate environment variables
+if (!process.env.GOOGLE_SHEETS_CREDENTIALS || !process.env.GOOGLE_SHEETS_ID) {
+  console.error('❌ Missing required Google Sheets environment variables:');
+  if (!process.env.GOOGLE_SHEETS_CREDENTIALS) console.error('   - GOOGLE_SHEETS_CREDENTIALS');
+  if (!process.env.GOOGLE_SHEETS_ID) console.error('   - GOOGLE_SHEETS_ID');
+  throw new Error('Missing required Google Sheets environment variables');
+}
+
 const auth = new google.auth.GoogleAuth({
   keyFile: process.env.GOOGLE_SHEETS_CREDENTIALS,
   scopes: ['https://www.googleapis.com/auth/spreadsheets'],
@@ -7,10 +38,18 @@ const auth = new google.auth.GoogleAuth({
 const sheets = google.sheets({ version: 'v4', auth });
 const SPREADSHEET_ID = process.env.GOOGLE_SHEETS_ID;
 
-// Validate environment variables
-if (!process.env.GOOGLE_SHEETS_CREDENTIALS || !process.env.GOOGLE_SHEETS_ID) {
-  throw new Error('Missing required Google Sheets environment variables');
-}
+// Sheet names (row 1 of each sheet holds the column headers)
+const SHEETS = {
+  PROPERTIES: 'Properties',
+  IMAGES: 'Images',
+  SAVED_SEARCHES: 'SavedSearches',
+  PROCESSED_UPDATES: 'ProcessedUpdates',
+  JOBS: 'Jobs',
+  JOB_CLAIMS: 'JobClaims',
+  SESSIONS: 'Sessions',
+  USERS: 'Users',
+  DELETED_LISTINGS: 'DeletedListings'
+};
 
 // Retry logic for Google Sheets operations
 async function withRetry(operation, maxRetries = 3) {
@@ -29,76 +68,252 @@ async function withRetry(operation, maxRetries = 3) {
   throw lastError;
 }
 
-async function getUserSession(chatId) {
-  if (!chatId || typeof chatId !== 'string') {
-    throw new Error('Invalid chat ID');
+// Spreadsheet column letter for a zero-based index (A..Z is enough here)
+function columnLetter(index) {
+  return String.fromCharCode('A'.charCodeAt(0) + index);
+}
+
+function rowToFields(row, columns) {
+  const fields = {};
+  columns.forEach((column, i) => {
+    if (row[i] !== undefined && row[i] !== '') {
+      fields[column] = row[i];
+    }
+  });
+  return fields;
+}
+
+function fieldsToRow(fields, columns) {
+  return columns.map(column => {
+    const value = fields[column];
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : value;
+  });
+}
+
+function sheetRange(sheetName, columns) {
+  return `${sheetName}!A:${columnLetter(columns.length - 1)}`;
+}
+
+// Property, image, saved search and job record ids are the A1 range of their row, e.g. "Properties!A12:S12"
+function rowRange(sheetName, columns, rowNumber) {
+  const lastColumn = columnLetter(columns.length - 1);
+  return `${sheetName}!A${rowNumber}:${lastColumn}${rowNumber}`;
+}
+
+// Row number of an A1 range like "ProcessedUpdates!A12:C12"
+function rowOf(range) {
+  return Number(range.match(/![A-Z]+(\d+)/)[1]);
+}
+
+// All records of a sheet as { id, fields }, skipping the header row and cleared rows
+async function readRecords(sheetName, columns) {
+  const response = await withRetry(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(sheetName, columns),
+    })
+  );
+
+  const rows = response.data.values || [];
+  const records = [];
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].some(value => value !== '')) {
+      records.push({ id: rowRange(sheetName, columns, i + 1), fields: rowToFields(rows[i], columns) });
+    }
   }
+  return records;
+}
 
-  const SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+// Merge fields into an existing record's row
+async function updateRecord(recordId, fields, columns) {
+  const response = await withRetry(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: recordId,
+    })
+  );
+  const row = (response.data.values || [])[0];
+  if (!row) {
+    throw new Error(`Record ${recordId} not found`);
+  }
 
-  try {
-    const response = await withRetry(() => 
-      sheets.spreadsheets.values.get({
+  const merged = { ...rowToFields(row, columns), ...fields };
+  await withRetry(() =>
+    sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: recordId,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [fieldsToRow(merged, columns)],
+      },
+    })
+  );
+  return { id: recordId, fields: merged };
+}
+
+// Rows are cleared rather than removed, so the row-based ids of the records below stay valid
+async function clearRecord(recordId) {
+  await withRetry(() =>
+    sheets.spreadsheets.values.clear({
+      spreadsheetId: SPREADSHEET_ID,
+      range: recordId,
+    })
+  );
+}
+
+// Find a session row; returns { rowNumber, fields } or null
+async function findSessionRow(telegramId) {
+  const response = await withRetry(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(SHEETS.SESSIONS, SESSION_COLUMNS),
+    })
+  );
+
+  const rows = response.data.values || [];
+  // Skip the header row
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i][0] === telegramId.toString()) {
+      return { rowNumber: i + 1, fields: rowToFields(rows[i], SESSION_COLUMNS) };
+    }
+  }
+  return null;
+}
+
+async function writeSessionRow(rowNumber, fields) {
+  await withRetry(() =>
+    sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: rowRange(SHEETS.SESSIONS, SESSION_COLUMNS, rowNumber),
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [fieldsToRow(fields, SESSION_COLUMNS)],
+      },
+    })
+  );
+}
+
+async function appendToSheet(fields, sheetName, columns) {
+  const response = await withRetry(() =>
+    sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(sheetName, columns),
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [fieldsToRow(fields, columns)],
+      },
+    })
+  );
+  return response.data;
+}
+
+// Append a row and tell whether it is the first one with its key columns. Sheets applies appends
+// one after another, so every claimant sees the rows appended before its own and they all agree on
+// the first. The sheet has a Claim_ID column after the given ones, a random id per claim, so a
+// claimant can tell its own row apart. Only the rows up to the new one are read.
+async function appendOnce(sheetName, columns, keyColumns, fields) {
+  const claimColumns = [...columns, 'Claim_ID'];
+  const claimId = crypto.randomBytes(8).toString('hex');
+  const result = await appendToSheet({ ...fields, 'Claim_ID': claimId }, sheetName, claimColumns);
+
+  const response = await withRetry(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${sheetName}!A2:${columnLetter(claimColumns.length - 1)}${rowOf(result.updates.updatedRange)}`,
+    })
+  );
+  const first = (response.data.values || [])
+    .map(row => rowToFields(row, claimColumns))
+    .find(row => keyColumns.every(column => row[column] === String(fields[column])));
+  return Boolean(first) && first.Claim_ID === claimId;
+}
+
+// Numeric sheet ids, which deleting rows needs
+const sheetIds = {};
+
+async function getSheetId(sheetName) {
+  if (sheetIds[sheetName] === undefined) {
+    const response = await withRetry(() =>
+      sheets.spreadsheets.get({
         spreadsheetId: SPREADSHEET_ID,
-        range: 'Sessions!A:D',
+        fields: 'sheets.properties',
       })
     );
+    response.data.sheets.forEach(({ properties }) => {
+      sheetIds[properties.title] = properties.sheetId;
+    });
+  }
+  return sheetIds[sheetName];
+}
+
+// Delete the first count rows below the header. Only for sheets whose records have no row-based
+// ids, since the rows below move up. Not retried: a retry after a lost response would delete more.
+async function deleteLeadingRows(sheetName, count) {
+  if (count === 0) return;
+  const sheetId = await getSheetId(sheetName);
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: {
+      requests: [{ deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: 1, endIndex: 1 + count } } }],
+    },
+  });
+}
 
-    const rows = response.data.values;
-    const session = rows.find(row => row[0] === chatId.toString());
+// Number of rows at the top of a sheet, below the header, up to the first record whose column is
+// not before the ISO timestamp. Rows are appended in time order, so these are all the old ones.
+async function countLeadingRowsBefore(sheetName, columns, column, before) {
+  const records = await readRecords(sheetName, columns);
+  const current = records.find(record => !(record.fields[column] < before));
+  if (current) return rowOf(current.id) - 2;
+  return records.length > 0 ? rowOf(records[records.length - 1].id) - 1 : 0;
+}
 
-    if (session) {
-      const lastUpdate = new Date(session[3]).getTime();
-      if (Date.now() - lastUpdate > SESSION_TIMEOUT) {
-        // Session expired
-        return null;
-      }
+// Get or create user session
+async function getUserSession(telegramId) {
+  try {
+    const existing = await findSessionRow(telegramId);
+
+    if (existing) {
+      return existing.fields;
     }
 
-    return session;
+    const fields = newSessionFields(telegramId);
+    await appendToSheet(fields, SHEETS.SESSIONS, SESSION_COLUMNS);
+    return fields;
   } catch (error) {
     console.error('Error getting user session:', error);
     throw new Error('Failed to get user session');
   }
 }
 
-async function updateUserSession(chatId, state, data, lastMessage) {
-  if (!chatId || typeof chatId !== 'string') {
-    throw new Error('Invalid chat ID');
+// A user's session, or null when they have none; unlike getUserSession it never creates one
+async function findUserSession(telegramId) {
+  try {
+    const existing = await findSessionRow(telegramId);
+    return existing ? existing.fields : null;
+  } catch (error) {
+    console.error('Error finding user session:', error);
+    throw new Error('Failed to find user session');
   }
+}
 
+// Update user session
+async function updateUserSession(telegramId, currentState, collectedData, lastMessage) {
   try {
-    const row = [
-      chatId.toString(),
-      state,
-      JSON.stringify(data),
-      new Date().toISOString()
-    ];
+    const existing = await findSessionRow(telegramId);
+    const fields = {
+      ...(existing ? existing.fields : newSessionFields(telegramId)),
+      'Current_State': currentState,
+      'Collected_Data': JSON.stringify(collectedData),
+      'Last_Message': lastMessage,
+      'Last_Updated': new Date().toISOString()
+    };
 
-    const existingSession = await getUserSession(chatId);
-    
-    if (existingSession) {
-      await withRetry(() =>
-        sheets.spreadsheets.values.update({
-          spreadsheetId: SPREADSHEET_ID,
-          range: `Sessions!A${existingSession[0]}:D${existingSession[0]}`,
-          valueInputOption: 'USER_ENTERED',
-          requestBody: {
-            values: [row],
-          },
-        })
-      );
+    if (existing) {
+      await writeSessionRow(existing.rowNumber, fields);
     } else {
-      await withRetry(() =>
-        sheets.spreadsheets.values.append({
-          spreadsheetId: SPREADSHEET_ID,
-          range: 'Sessions!A:D',
-          valueInputOption: 'USER_ENTERED',
-          requestBody: {
-            values: [row],
-          },
-        })
-      );
+      await appendToSheet(fields, SHEETS.SESSIONS, SESSION_COLUMNS);
     }
   } catch (error) {
     console.error('Error updating user session:', error);
@@ -106,27 +321,427 @@ async function updateUserSession(chatId, state, data, lastMessage) {
   }
 }
 
-async function appendToSheet(data, sheetName = 'Properties') {
+async function updateUserLanguage(telegramId, languageData) {
   try {
-    const response = await withRetry(() =>
-      sheets.spreadsheets.values.append({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${sheetName}!A:Z`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [data],
-        },
-      })
-    );
-    return response.data;
+    const existing = await findSessionRow(telegramId);
+    const fields = {
+      ...(existing ? existing.fields : newSessionFields(telegramId)),
+      ...toSessionLanguageFields(languageData)
+    };
+
+    if (existing) {
+      await writeSessionRow(existing.rowNumber, fields);
+    } else {
+      await appendToSheet(fields, SHEETS.SESSIONS, SESSION_COLUMNS);
+    }
+  } catch (error) {
+    console.error('Error updating user language:', error);
+    throw new Error('Failed to update user language');
+  }
+}
+
+// Sessions in the middle of a conversation that haven't changed since updatedBefore
+async function getIdleSessions(updatedBefore) {
+  try {
+    const records = await readRecords(SHEETS.SESSIONS, SESSION_COLUMNS);
+    return records
+      .map(record => record.fields)
+      .filter(session => session.Current_State !== 'initial' && session.Last_Updated < updatedBefore);
+  } catch (error) {
+    console.error('Error reading sessions sheet:', error);
+    throw new Error('Failed to read idle sessions');
+  }
+}
+
+// Only Reminded_At changes, so the session still counts as idle
+async function markSessionReminded(telegramId, remindedAt) {
+  try {
+    const existing = await findSessionRow(telegramId);
+    if (!existing) return;
+    await writeSessionRow(existing.rowNumber, { ...existing.fields, 'Reminded_At': remindedAt });
+  } catch (error) {
+    console.error('Error marking session reminded:', error);
+    throw new Error('Failed to mark session reminded');
+  }
+}
+
+// Add property as a new row of the Properties sheet
+async function addProperty(propertyData) {
+  try {
+    const now = new Date().toISOString();
+    const fields = { ...toPropertyFields(propertyData), 'Created_At': now, 'Updated_At': now };
+    const result = await appendToSheet(fields, SHEETS.PROPERTIES, PROPERTY_COLUMNS);
+
+    // Use the A1 row reference as a stable record id, e.g. "Properties!A12:S12"
+    return { id: result.updates.updatedRange, fields };
   } catch (error) {
     console.error('Error appending to sheet:', error);
     throw new Error('Failed to append data to sheet');
   }
 }
 
+// Update some fields of a property
+async function updateProperty(recordId, propertyData) {
+  try {
+    return await updateRecord(recordId, {
+      ...toPropertyFields(propertyData),
+      'Updated_At': new Date().toISOString()
+    }, PROPERTY_COLUMNS);
+  } catch (error) {
+    console.error('Error updating property row:', error);
+    throw new Error('Failed to update property');
+  }
+}
+
+async function deleteProperty(recordId) {
+  try {
+    await clearRecord(recordId);
+  } catch (error) {
+    console.error('Error clearing property row:', error);
+    throw new Error('Failed to delete property');
+  }
+}
+
+// Get a property by record id, or null
+async function getProperty(recordId) {
+  try {
+    const records = await readRecords(SHEETS.PROPERTIES, PROPERTY_COLUMNS);
+    return records.find(record => record.id === recordId) || null;
+  } catch (error) {
+    console.error('Error reading property row:', error);
+    throw new Error('Failed to read properties sheet');
+  }
+}
+
+// A user's properties, newest first
+async function getPropertiesByTelegramId(telegramId) {
+  try {
+    const records = await readRecords(SHEETS.PROPERTIES, PROPERTY_COLUMNS);
+    return records
+      .filter(record => record.fields.Telegram_ID === telegramId.toString())
+      .sort((a, b) => (b.fields.Created_At || '').localeCompare(a.fields.Created_At || ''));
+  } catch (error) {
+    console.error('Error reading properties sheet:', error);
+    throw new Error('Failed to read properties sheet');
+  }
+}
+
+// Listings matching a search filter (see searchFilter.js), newest first
+async function searchProperties(filter) {
+  try {
+    const records = await readRecords(SHEETS.PROPERTIES, PROPERTY_COLUMNS);
+    return records
+      .filter(record => matchesSearch(record.fields, filter))
+      .sort((a, b) => (b.fields.Created_At || '').localeCompare(a.fields.Created_At || ''));
+  } catch (error) {
+    console.error('Error searching properties sheet:', error);
+    throw new Error('Failed to read properties sheet');
+  }
+}
+
+// Find a property by its SEO URL slug, or null
+async function getPropertyBySlug(slug) {
+  try {
+    const records = await readRecords(SHEETS.PROPERTIES, PROPERTY_COLUMNS);
+    return records.find(record => record.fields.SEO_URL_Slug === slug) || null;
+  } catch (error) {
+    console.error('Error finding property by slug:', error);
+    throw new Error('Failed to read properties sheet');
+  }
+}
+
+// Add image as a new row of the Images sheet
+async function addImage(imageData) {
+  try {
+    const fields = { ...toImageFields(imageData), 'Created_At': new Date().toISOString() };
+    const result = await appendToSheet(fields, SHEETS.IMAGES, IMAGE_COLUMNS);
+    return { id: result.updates.updatedRange, fields };
+  } catch (error) {
+    console.error('Error appending image row:', error);
+    throw new Error('Failed to add image');
+  }
+}
+
+async function updateImage(recordId, imageData) {
+  try {
+    return await updateRecord(recordId, toImageFields(imageData), IMAGE_COLUMNS);
+  } catch (error) {
+    console.error('Error updating image row:', error);
+    throw new Error('Failed to update image');
+  }
+}
+
+async function deleteImage(recordId) {
+  try {
+    await clearRecord(recordId);
+  } catch (error) {
+    console.error('Error clearing image row:', error);
+    throw new Error('Failed to delete image');
+  }
+}
+
+// Images of a property, in display order
+async function getPropertyImages(propertyId) {
+  try {
+    const records = await readRecords(SHEETS.IMAGES, IMAGE_COLUMNS);
+    return records
+      .filter(record => record.fields.Property_ID === propertyId)
+      .sort((a, b) => Number(a.fields.Position) - Number(b.fields.Position));
+  } catch (error) {
+    console.error('Error reading images sheet:', error);
+    throw new Error('Failed to read images sheet');
+  }
+}
+
+// Add saved search as a new row of the SavedSearches sheet
+async function addSavedSearch(searchData) {
+  try {
+    const fields = { ...toSavedSearchFields(searchData), 'Created_At': new Date().toISOString() };
+    const result = await appendToSheet(fields, SHEETS.SAVED_SEARCHES, SAVED_SEARCH_COLUMNS);
+    return { id: result.updates.updatedRange, fields };
+  } catch (error) {
+    console.error('Error appending saved search row:', error);
+    throw new Error('Failed to add saved search');
+  }
+}
+
+async function updateSavedSearch(recordId, searchData) {
+  try {
+    return await updateRecord(recordId, toSavedSearchFields(searchData), SAVED_SEARCH_COLUMNS);
+  } catch (error) {
+    console.error('Error updating saved search row:', error);
+    throw new Error('Failed to update saved search');
+  }
+}
+
+async function deleteSavedSearch(recordId) {
+  try {
+    await clearRecord(recordId);
+  } catch (error) {
+    console.error('Error clearing saved search row:', error);
+    throw new Error('Failed to delete saved search');
+  }
+}
+
+// Every saved search, oldest first
+async function getSavedSearches() {
+  try {
+    return await readRecords(SHEETS.SAVED_SEARCHES, SAVED_SEARCH_COLUMNS);
+  } catch (error) {
+    console.error('Error reading saved searches sheet:', error);
+    throw new Error('Failed to read saved searches sheet');
+  }
+}
+
+// A user's saved searches, oldest first
+async function getSavedSearchesByTelegramId(telegramId) {
+  const records = await getSavedSearches();
+  return records.filter(record => record.fields.Telegram_ID === telegramId.toString());
+}
+
+// Remember a Telegram update_id until expiresAt; false when it is already remembered
+async function claimUpdate(updateId, expiresAt) {
+  try {
+    return await appendOnce(SHEETS.PROCESSED_UPDATES, PROCESSED_UPDATE_COLUMNS, ['Update_ID'], {
+      'Update_ID': updateId.toString(),
+      'Expires_At': expiresAt
+    });
+  } catch (error) {
+    console.error('Error claiming update:', error);
+    throw new Error('Failed to claim update');
+  }
+}
+
+// Every update_id is kept for the same time, so the expired rows are the ones at the top.
+// Two instances compacting at the same moment can remove a few live rows as well, which only
+// lets a late redelivery through.
+async function deleteExpiredUpdates() {
+  try {
+    const count = await countLeadingRowsBefore(SHEETS.PROCESSED_UPDATES, PROCESSED_UPDATE_COLUMNS, 'Expires_At', new Date().toISOString());
+    await deleteLeadingRows(SHEETS.PROCESSED_UPDATES, count);
+  } catch (error) {
+    console.error('Error deleting expired updates:', error);
+    throw new Error('Failed to delete expired updates');
+  }
+}
+
+// Add job as a new row of the Jobs sheet
+async function addJob(jobData) {
+  try {
+    const now = new Date().toISOString();
+    const fields = { ...toJobFields(jobData), 'Created_At': now, 'Updated_At': now };
+    const result = await appendToSheet(fields, SHEETS.JOBS, JOB_COLUMNS);
+    return { id: result.updates.updatedRange, fields };
+  } catch (error) {
+    console.error('Error appending job row:', error);
+    throw new Error('Failed to add job');
+  }
+}
+
+async function updateJob(recordId, jobData) {
+  try {
+    return await updateRecord(recordId, {
+      ...toJobFields(jobData),
+      'Updated_At': new Date().toISOString()
+    }, JOB_COLUMNS);
+  } catch (error) {
+    console.error('Error updating job row:', error);
+    throw new Error('Failed to update job');
+  }
+}
+
+function isUnfinished(record) {
+  return record.fields.Status === JOB_STATUS.PENDING || record.fields.Status === JOB_STATUS.RUNNING;
+}
+
+// Pending and running jobs, oldest first; only one chat's when chatId is given
+async function getUnfinishedJobs(chatId) {
+  try {
+    const records = await readRecords(SHEETS.JOBS, JOB_COLUMNS);
+    return records
+      .filter(record => isUnfinished(record) && (chatId === undefined || record.fields.Chat_ID === chatId.toString()))
+      .sort((a, b) => (a.fields.Created_At || '').localeCompare(b.fields.Created_At || ''));
+  } catch (error) {
+    console.error('Error reading jobs sheet:', error);
+    throw new Error('Failed to read jobs sheet');
+  }
+}
+
+// Claim an attempt at running a job; false when another worker already claimed it
+async function claimJob(jobId, attempt) {
+  try {
+    return await appendOnce(SHEETS.JOB_CLAIMS, JOB_CLAIM_COLUMNS, ['Job_ID', 'Attempt'], {
+      'Job_ID': jobId,
+      'Attempt': attempt.toString(),
+      'Claimed_At': new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error claiming job:', error);
+    throw new Error('Failed to claim job');
+  }
+}
+
+// Finished jobs and the claims made before updatedBefore. Job ids are row ranges, so finished jobs
+// are cleared; claims are appended in time order, so the old ones are the rows at the top.
+async function deleteFinishedJobs(updatedBefore) {
+  try {
+    const records = await readRecords(SHEETS.JOBS, JOB_COLUMNS);
+    for (const record of records.filter(job => !isUnfinished(job) && !(job.fields.Updated_At >= updatedBefore))) {
+      await clearRecord(record.id);
+    }
+    const count = await countLeadingRowsBefore(SHEETS.JOB_CLAIMS, JOB_CLAIM_COLUMNS, 'Claimed_At', updatedBefore);
+    await deleteLeadingRows(SHEETS.JOB_CLAIMS, count);
+  } catch (error) {
+    console.error('Error clearing finished jobs:', error);
+    throw new Error('Failed to delete finished jobs');
+  }
+}
+
+// Every agent and admin, oldest first
+async function getUsers() {
+  try {
+    return await readRecords(SHEETS.USERS, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error reading users sheet:', error);
+    throw new Error('Failed to read users sheet');
+  }
+}
+
+// A Telegram user's Users record, or null when they are not on the allow-list
+async function getUser(telegramId) {
+  const records = await getUsers();
+  return records.find(record => record.fields.Telegram_ID === telegramId.toString()) || null;
+}
+
+// Add user as a new row of the Users sheet
+async function addUser(userData) {
+  try {
+    const now = new Date().toISOString();
+    const fields = { ...toUserFields(userData), 'Created_At': now, 'Updated_At': now };
+    const result = await appendToSheet(fields, SHEETS.USERS, USER_COLUMNS);
+    return { id: result.updates.updatedRange, fields };
+  } catch (error) {
+    console.error('Error appending user row:', error);
+    throw new Error('Failed to add user');
+  }
+}
+
+async function updateUser(recordId, userData) {
+  try {
+    return await updateRecord(recordId, { ...toUserFields(userData), 'Updated_At': new Date().toISOString() }, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error updating user row:', error);
+    throw new Error('Failed to update user');
+  }
+}
+
+async function deleteUser(recordId) {
+  try {
+    await clearRecord(recordId);
+  } catch (error) {
+    console.error('Error clearing user row:', error);
+    throw new Error('Failed to delete user');
+  }
+}
+
+// Add a deleted listing as a new row of the DeletedListings sheet
+async function addDeletedListing(deletedData) {
+  try {
+    const fields = { ...toDeletedListingFields(deletedData), 'Deleted_At': new Date().toISOString() };
+    const result = await appendToSheet(fields, SHEETS.DELETED_LISTINGS, DELETED_LISTING_COLUMNS);
+    return { id: result.updates.updatedRange, fields };
+  } catch (error) {
+    console.error('Error appending deleted listing row:', error);
+    throw new Error('Failed to add deleted listing');
+  }
+}
+
+// Listings deleted at or after deletedSince, oldest first (rows are appended in that order)
+async function getDeletedListings(deletedSince) {
+  try {
+    const records = await readRecords(SHEETS.DELETED_LISTINGS, DELETED_LISTING_COLUMNS);
+    return records.filter(record => record.fields.Deleted_At >= deletedSince);
+  } catch (error) {
+    console.error('Error reading deleted listings sheet:', error);
+    throw new Error('Failed to read deleted listings sheet');
+  }
+}
+
 module.exports = {
+  addProperty,
+  updateProperty,
+  deleteProperty,
+  getProperty,
+  getPropertiesByTelegramId,
+  searchProperties,
+  getPropertyBySlug,
+  addImage,
+  updateImage,
+  deleteImage,
+  getPropertyImages,
+  addSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearches,
+  getSavedSearchesByTelegramId,
+  claimUpdate,
+  deleteExpiredUpdates,
+  addJob,
+  updateJob,
+  getUnfinishedJobs,
+  claimJob,
+  deleteFinishedJobs,
   getUserSession,
+  findUserSession,
   updateUserSession,
-  appendToSheet
-}; 
\ No newline at end of file
+  updateUserLanguage,
+  getIdleSessions,
+  markSessionReminded,
+  getUser,
+  getUsers,
+  addUser,
+  updateUser,
+  deleteUser,
+  addDeletedListing,
+  getDeletedListings
+};
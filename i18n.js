@@ -0,0 +1,85 @@
+// Message catalogs and locale selection. Every user-facing string lives in locales/<locale>.js;
+// code asks for it with t(locale, 'section.key', params).
+// A chat's locale is the one picked with /language (the session's Language), otherwise the
+// language of the user's Telegram app, otherwise DEFAULT_LOCALE.
+const CATALOGS = {
+  en: require('./locales/en'),
+  de: require('./locales/de'),
+  es: require('./locales/es'),
+  fa: require('./locales/fa')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+// The supported locale for a Telegram language_code ("de", "de-AT", "pt-br"), or null
+function matchLocale(languageCode) {
+  if (!languageCode) return null;
+  const locale = String(languageCode).toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[locale] ? locale : null;
+}
+
+// Locale for a chat. userSession may be null (e.g. the session could not be loaded),
+// from is the Telegram user of the current update, when there is one.
+function resolveLocale(userSession, from) {
+  return matchLocale(userSession && userSession.Language) ||
+    matchLocale(from && from.language_code) ||
+    matchLocale(userSession && userSession.Telegram_Language) ||
+    DEFAULT_LOCALE;
+}
+
+// Message for key in locale, falling back to English. {name} placeholders are filled from params.
+function t(locale, key, params = {}) {
+  let message = lookup(CATALOGS[locale] || CATALOGS.en, key);
+  if (message === undefined) message = lookup(CATALOGS.en, key);
+  if (message === undefined) {
+    console.warn('Missing message:', {
+      locale,
+      key,
+      timestamp: new Date().toISOString()
+    });
+    return key;
+  }
+
+  if (typeof message === 'function') return message(params);
+  if (typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+// Words for key in locale plus the English ones, which buttons send and most agents know
+function words(locale, key) {
+  const localized = lookup(CATALOGS[locale] || {}, key) || [];
+  return [...new Set([...lookup(CATALOGS.en, key) || [], ...localized])];
+}
+
+// Whether a typed answer is one of the words for keywords.<keyword>, e.g. isAnswer('de', 'Fertig', 'done')
+function isAnswer(locale, text, keyword) {
+  const answer = String(text || '').trim().toLowerCase();
+  return words(locale, `keywords.${keyword}`).includes(answer);
+}
+
+// Label for a stored property type (a PROPERTY_TYPES key); anything else is shown as stored
+function propertyTypeLabel(locale, type) {
+  return lookup(CATALOGS[locale] || CATALOGS.en, `propertyTypes.${type}`) || lookup(CATALOGS.en, `propertyTypes.${type}`) || type;
+}
+
+// English name of a locale, for telling the AI models which language to use
+function languageName(locale) {
+  return lookup(CATALOGS[locale] || CATALOGS.en, 'meta.englishName');
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  matchLocale,
+  resolveLocale,
+  t,
+  words,
+  isAnswer,
+  propertyTypeLabel,
+  languageName
+};
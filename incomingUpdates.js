@@ -0,0 +1,101 @@
+const { processUpdate } = require('./updates');
+const { hasSlowWork, needsJob, enqueueUpdate } = require('./jobs');
+const { enqueueForChat } = require('./chatQueue');
+const { claimUpdateOnce } = require('./updateDedup');
+
+// Entry point for every Telegram update, from the webhook or from long polling (polling.js).
+// Updates are expected to have passed validateUpdate already.
+
+// Updates with slow media work, and anything sent after them, go through the job queue;
+// the rest is processed right away. When the queue can't be reached the update is processed here.
+async function dispatchUpdate(chatId, text, message, callbackQuery, messageId) {
+  try {
+    if (await needsJob(chatId, message, callbackQuery)) {
+      await enqueueUpdate(chatId, text, message, callbackQuery, messageId);
+      return;
+    }
+  } catch (error) {
+    console.error('Failed to queue update, processing it now:', {
+      error: error.message,
+      chatId,
+      messageId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await processUpdate(chatId, text, message, callbackQuery, messageId);
+}
+
+// Store an update with slow media work as a job. Resolves to true once it is stored, false when it
+// is to be processed in the chat's queue instead: it has no slow work, or the job couldn't be stored.
+async function storeSlowWork(chatId, text, message, callbackQuery, messageId) {
+  if (!hasSlowWork(message, callbackQuery)) return false;
+  try {
+    await enqueueUpdate(chatId, text, message, callbackQuery, messageId);
+    return true;
+  } catch (error) {
+    console.error('Failed to queue update, processing it now:', {
+      error: error.message,
+      chatId,
+      messageId,
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+}
+
+// Deduplicate an update, store it as a job when it has slow media work, and process the rest in
+// its chat's queue. Resolves once the update is stored as a job or processed, so the webhook answers
+// only then; on serverless hosts the function can be frozen as soon as it has.
+async function handleTelegramUpdate(update) {
+  const callbackQuery = update.callback_query;
+  // Button presses carry the message their keyboard was attached to
+  const message = update.message || update.edited_message ||
+    (callbackQuery && callbackQuery.message);
+  if (!message) {
+    console.log('No message found in update');
+    return;
+  }
+
+  const chatId = message.chat.id;
+  const text = callbackQuery ? '' : (message.text || '');
+  const messageId = callbackQuery ? `callback:${callbackQuery.id}` : message.message_id;
+
+  console.log('Processing message:', {
+    chatId,
+    text,
+    messageId,
+    callbackData: callbackQuery ? callbackQuery.data : undefined,
+    timestamp: new Date().toISOString()
+  });
+
+  // The update joins the chat's queue before the first await, so updates keep the order they
+  // arrived in. accepted resolves to the message still to process there, or null when there is none.
+  const updateId = update.update_id;
+  const isNew = claimUpdateOnce(updateId);
+  const accepted = (async () => {
+    if (!await isNew) {
+      console.log('Duplicate update detected:', {
+        chatId,
+        updateId,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    // Album photos are stored one by one, and the job worker puts them back together
+    return await storeSlowWork(chatId, text, message, callbackQuery, messageId) ? null : message;
+  })();
+
+  await enqueueForChat(chatId, async () => {
+    const pending = await accepted;
+    if (pending) {
+      await dispatchUpdate(chatId, text, pending, callbackQuery, messageId);
+    }
+  });
+  // The queue logs a failed update; a failed claim or job store still fails the webhook, so Telegram retries
+  await accepted;
+}
+
+module.exports = {
+  handleTelegramUpdate
+};
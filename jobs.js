@@ -0,0 +1,348 @@
+const { getUserSession, addJob, updateJob, getUnfinishedJobs, claimJob, deleteFinishedJobs } = require('./storage');
+const { sendTelegramMessage, editMessageText } = require('./telegram');
+const { JOB_STATUS, fromJobFields } = require('./propertySchema');
+const { updateSender, routeUpdate } = require('./updates');
+const { enqueueForChat } = require('./chatQueue');
+const { t, resolveLocale } = require('./i18n');
+
+// Job queue for updates with slow media work (photo uploads and vision analysis, voice notes,
+// PDF brochures). On serverless hosts the function can be frozen as soon as the webhook has
+// answered, so these updates are stored as jobs before it answers and run by a worker: inside
+// the server (JOB_WORKER=inline, the default), as a separate process (JOB_WORKER=external,
+// npm run worker) or from the cron route in cron.js.
+// Jobs of one chat run one at a time in the order they were queued, and while a chat has
+// unfinished jobs its other updates are queued behind them.
+// Several workers can see the same job (two instances, or a worker process and the cron route), so
+// every attempt at a job is claimed first and only the worker that gets the claim runs it.
+// Telegram delivers an album as one update per photo, all sharing a media_group_id. Each photo
+// is stored as a job of its own, and the worker runs them together as a single message once no
+// new photo has come for ALBUM_WAIT, so this works when the photos reach different instances.
+const JOB_WORKER = (process.env.JOB_WORKER || 'inline').toLowerCase();
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 30 * 1000; // 30 seconds, times the number of attempts so far
+// A job still 'running' after this long lost its worker and is tried again
+const JOB_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const POLL_INTERVAL = 5 * 1000; // 5 seconds
+const KEEP_FINISHED_JOBS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const ALBUM_WAIT = 1500; // 1.5 seconds
+
+function isPdf(document) {
+  return document.mime_type === 'application/pdf' || /\.pdf$/i.test(document.file_name || '');
+}
+
+// Catalog key for what the user sent; null for updates without slow media work
+function slowWorkKind(message) {
+  if (!message) return null;
+  if (message.album) return 'photos';
+  // One photo of an album, whose job the rest of it joins
+  if (message.media_group_id) return 'album';
+  if (message.photo) return 'photo';
+  if (message.voice || message.audio) return 'voiceNote';
+  if (message.document) return isPdf(message.document) ? 'brochure' : 'file';
+  return null;
+}
+
+// What the user sent, for the status message, e.g. "3 photos"
+function slowWorkLabel(message, locale) {
+  const kind = slowWorkKind(message);
+  if (!kind) return null;
+  return t(locale, `jobs.labels.${kind}`, { count: message.album && message.album.length });
+}
+
+// Locale for status messages; the session is only needed for a language picked with /language
+async function jobLocale(chatId, message, callbackQuery) {
+  let userSession = null;
+  try {
+    userSession = await getUserSession(chatId);
+  } catch (error) {
+    console.error('Failed to load session for job locale:', {
+      error: error.message,
+      chatId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return resolveLocale(userSession, updateSender(message, callbackQuery));
+}
+
+// Whether the update itself has slow media work. Button presses carry their keyboard's message,
+// which is not something the user sent.
+function hasSlowWork(message, callbackQuery) {
+  return !callbackQuery && Boolean(slowWorkKind(message));
+}
+
+// Whether an update has to go through the job queue: it has slow media work, or the chat
+// still has jobs that must finish first
+async function needsJob(chatId, message, callbackQuery) {
+  if (hasSlowWork(message, callbackQuery)) return true;
+  const unfinished = await getUnfinishedJobs(chatId);
+  return unfinished.length > 0;
+}
+
+// media_group_id of an album photo, else null
+function albumId(payload) {
+  return !payload.callbackQuery && payload.message && payload.message.media_group_id || null;
+}
+
+// Whether an earlier photo of the same album is already waiting, and has the "processing" message
+async function albumQueued(chatId, payload) {
+  const groupId = albumId(payload);
+  if (!groupId) return false;
+  const unfinished = await getUnfinishedJobs(chatId);
+  return unfinished.some(record => albumId(fromJobFields(record.fields).payload) === groupId);
+}
+
+// Store an update as a job. Slow ones get a "processing" message that is edited when the job ends.
+async function enqueueUpdate(chatId, text, message, callbackQuery, messageId) {
+  const kind = callbackQuery ? null : slowWorkKind(message);
+  const payload = { text, message, callbackQuery, messageId };
+  let statusMessageId;
+  if (kind && !await albumQueued(chatId, payload)) {
+    try {
+      const locale = await jobLocale(chatId, message, callbackQuery);
+      const label = slowWorkLabel(message, locale);
+      const sent = await sendTelegramMessage(chatId, t(locale, 'jobs.processing', { label }));
+      statusMessageId = sent && sent.message_id;
+    } catch (error) {
+      console.error('Failed to send processing message:', {
+        error: error.message,
+        chatId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const record = await addJob({
+    chatId,
+    status: JOB_STATUS.PENDING,
+    payload,
+    attempts: 0,
+    runAfter: new Date().toISOString(),
+    statusMessageId
+  });
+
+  console.log('Job queued:', {
+    jobId: record.id,
+    chatId,
+    messageId,
+    kind,
+    timestamp: new Date().toISOString()
+  });
+
+  wakeWorker();
+  if (albumId(payload)) {
+    // Run the album once it is complete, without waiting for the next poll
+    setTimeout(wakeWorker, ALBUM_WAIT).unref();
+  }
+  return record;
+}
+
+// Edit the "processing" messages of the jobs, if they have one
+async function updateStatusMessages(jobs, text) {
+  for (const job of jobs.filter(job => job.statusMessageId)) {
+    try {
+      await editMessageText(job.chatId, job.statusMessageId, text);
+    } catch (error) {
+      console.error('Failed to update processing message:', {
+        error: error.message,
+        chatId: job.chatId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+async function updateJobs(records, fields) {
+  for (const record of records) {
+    await updateJob(record.id, fields);
+  }
+}
+
+// The message the jobs process: an album's photos become one message with all of them
+function jobMessage(jobs) {
+  const { message } = jobs[0].payload;
+  if (!albumId(jobs[0].payload)) return message;
+  // Updates can arrive out of order; keep the order the agent picked the photos in
+  const album = jobs.map(job => job.payload.message).sort((a, b) => a.message_id - b.message_id);
+  return { ...album[0], album };
+}
+
+// A worker can get the claim and stop before it marks the job running, which leaves the job pending
+// with an attempt nobody can claim anymore. Once that is JOB_TIMEOUT ago, count the attempt as made.
+async function skipClaimedAttempt(record, attempts) {
+  const job = fromJobFields(record.fields);
+  if (job.status !== JOB_STATUS.PENDING || Date.now() - new Date(record.fields.Updated_At) < JOB_TIMEOUT) return;
+  await updateJob(record.id, { attempts });
+}
+
+// Run a job, or the jobs of an album's photos together; false when another worker claimed it first
+async function runJob(records) {
+  const jobs = records.map(record => fromJobFields(record.fields));
+  const job = jobs[0];
+  const attempts = job.attempts + 1;
+  // Workers that loaded the job at the same time all try to claim the same attempt
+  if (!await claimJob(records[0].id, attempts)) {
+    await skipClaimedAttempt(records[0], attempts);
+    return false;
+  }
+  await updateJobs(records, { status: JOB_STATUS.RUNNING, attempts });
+
+  const { text, callbackQuery, messageId } = job.payload;
+  const message = jobMessage(jobs);
+  const from = updateSender(message, callbackQuery);
+  const jobIds = records.map(record => record.id);
+  let userSession = null;
+  try {
+    userSession = await getUserSession(job.chatId);
+    await routeUpdate(job.chatId, text, message, callbackQuery, userSession);
+    await updateJobs(records, { status: JOB_STATUS.DONE, lastError: null });
+    const locale = resolveLocale(userSession, from);
+    await updateStatusMessages(jobs, t(locale, 'jobs.done', { label: slowWorkLabel(message, locale) }));
+
+    console.log('Job done:', {
+      jobIds,
+      chatId: job.chatId,
+      messageId,
+      attempts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    const locale = resolveLocale(userSession, from);
+    const label = slowWorkLabel(message, locale);
+    console.error('Job failed:', {
+      error: error.message,
+      stack: error.stack,
+      jobIds,
+      chatId: job.chatId,
+      attempts,
+      willRetry: !failed,
+      timestamp: new Date().toISOString()
+    });
+
+    if (failed) {
+      await updateJobs(records, { status: JOB_STATUS.FAILED, lastError: error.message });
+      await updateStatusMessages(jobs, t(locale, 'jobs.failed', { label }));
+      if (!jobs.some(other => other.statusMessageId)) {
+        await sendTelegramMessage(job.chatId, t(locale, 'errors.wonky'));
+      }
+      return true;
+    }
+
+    await updateJobs(records, {
+      status: JOB_STATUS.PENDING,
+      lastError: error.message,
+      runAfter: new Date(Date.now() + RETRY_DELAY * attempts).toISOString()
+    });
+    await updateStatusMessages(jobs, t(locale, 'jobs.retrying', { label }));
+  }
+  return true;
+}
+
+// The job and, for an album photo, the other photos of the album
+function jobsToRun(records, record) {
+  const job = fromJobFields(record.fields);
+  const groupId = albumId(job.payload);
+  if (!groupId) return [record];
+  return records.filter(other => {
+    const otherJob = fromJobFields(other.fields);
+    return otherJob.chatId === job.chatId && albumId(otherJob.payload) === groupId;
+  });
+}
+
+// Run the next job of every chat that has one due; returns how many jobs ran
+async function runDueJobs() {
+  const records = await getUnfinishedJobs();
+  const now = Date.now();
+  const seenChats = new Set();
+  let ran = 0;
+
+  for (const record of records) {
+    const job = fromJobFields(record.fields);
+    // Later jobs of a chat wait until the earlier ones are finished
+    if (seenChats.has(job.chatId)) continue;
+    seenChats.add(job.chatId);
+
+    if (job.status === JOB_STATUS.RUNNING && now - new Date(record.fields.Updated_At) < JOB_TIMEOUT) continue;
+    if (job.runAfter && new Date(job.runAfter) > now) continue;
+
+    // An album waits until no new photo has come for a while
+    const due = jobsToRun(records, record);
+    if (albumId(job.payload) && due.some(other => now - new Date(other.fields.Created_At) < ALBUM_WAIT)) continue;
+
+    // Updates of the chat that arrived before the job was stored may still be processing here
+    if (await enqueueForChat(job.chatId, () => runJob(due))) ran++;
+  }
+  return ran;
+}
+
+// Worker loop: run due jobs, then poll again (right away when there was work)
+let workerStarted = false;
+let workerTimer = null;
+let workerRunning = false;
+let wakeRequested = false;
+let lastPruneAt = 0;
+
+async function pruneFinishedJobs() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL) return;
+  lastPruneAt = Date.now();
+  await deleteFinishedJobs(new Date(Date.now() - KEEP_FINISHED_JOBS).toISOString());
+}
+
+function scheduleWork(delay) {
+  if (workerRunning || workerTimer) return;
+  workerTimer = setTimeout(workLoop, delay);
+}
+
+async function workLoop() {
+  workerTimer = null;
+  workerRunning = true;
+  wakeRequested = false;
+
+  let ran = 0;
+  try {
+    ran = await runDueJobs();
+    await pruneFinishedJobs();
+  } catch (error) {
+    console.error('Job worker error:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  workerRunning = false;
+  scheduleWork(ran > 0 || wakeRequested ? 0 : POLL_INTERVAL);
+}
+
+function startWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+  console.log('✅ Job worker started:', {
+    pollInterval: POLL_INTERVAL,
+    timestamp: new Date().toISOString()
+  });
+  scheduleWork(0);
+}
+
+// Run a newly queued job without waiting for the next poll (only when the worker is in this process)
+function wakeWorker() {
+  if (!workerStarted) return;
+  if (workerRunning) {
+    wakeRequested = true;
+    return;
+  }
+  clearTimeout(workerTimer);
+  workerTimer = null;
+  scheduleWork(0);
+}
+
+module.exports = {
+  JOB_WORKER,
+  hasSlowWork,
+  needsJob,
+  enqueueUpdate,
+  runDueJobs,
+  pruneFinishedJobs,
+  startWorker
+};
@@ -0,0 +1,102 @@
+const { PROPERTY_TYPES } = require('./validation');
+const { t, propertyTypeLabel } = require('./i18n');
+
+// Inline keyboards for the conversation states that have a fixed set of answers.
+// Each button's callback_data is "<state>|<answer>": the answer is fed to
+// processMessage exactly as if it had been typed, and the state lets us ignore
+// buttons left over from an earlier question. Labels are in the chat's locale,
+// answers are always the English keywords.
+// Command buttons use "cmd|<command>" instead and work in any state.
+const COMMAND_CALLBACK = 'cmd';
+
+function button(state, label, answer) {
+  return { text: label, callback_data: `${state}|${answer}` };
+}
+
+// A button that runs a slash command, e.g. commandButton('➡️ Next', '/mylistings 2')
+function commandButton(label, command) {
+  return button(COMMAND_CALLBACK, label, command);
+}
+
+// Saves the search the user is looking at, see searchAlerts.js
+function saveSearchButton(locale) {
+  return commandButton(t(locale, 'buttons.alertMe'), '/savesearch');
+}
+
+// Split buttons into rows of the given width
+function rows(buttons, width) {
+  const result = [];
+  for (let i = 0; i < buttons.length; i += width) {
+    result.push(buttons.slice(i, i + width));
+  }
+  return result;
+}
+
+const KEYBOARDS = {
+  awaiting_property_type: (locale) => rows(
+    Object.keys(PROPERTY_TYPES).map(type => button('awaiting_property_type', propertyTypeLabel(locale, type), type)),
+    2
+  ),
+
+  awaiting_bedrooms: (locale) => rows([
+    button('awaiting_bedrooms', t(locale, 'buttons.studio'), '0'),
+    ...['1', '2', '3', '4', '5', '6'].map(count => button('awaiting_bedrooms', count, count))
+  ], 4),
+
+  awaiting_bathrooms: () => rows(
+    ['1', '1.5', '2', '2.5', '3', '4'].map(count => button('awaiting_bathrooms', count, count)),
+    3
+  ),
+
+  awaiting_confirmation: (locale, editableFields) => [
+    [
+      button('awaiting_confirmation', t(locale, 'buttons.confirm'), 'yes'),
+      button('awaiting_confirmation', t(locale, 'buttons.startOver'), 'start over')
+    ],
+    ...rows(editableFields.map(({ field, label }) => button('awaiting_confirmation', label, `edit ${field}`)), 2)
+  ],
+
+  awaiting_images: (locale) => [[button('awaiting_images', t(locale, 'buttons.done'), 'done')]],
+
+  awaiting_photo_suggestions: (locale) => [[
+    button('awaiting_photo_suggestions', t(locale, 'buttons.addSuggestions'), 'add'),
+    button('awaiting_photo_suggestions', t(locale, 'buttons.skip'), 'skip')
+  ]],
+
+  awaiting_listing_edit: (locale, editableFields) => [
+    ...rows(editableFields.map(({ field, label }) => button('awaiting_listing_edit', label, `edit ${field}`)), 2),
+    [button('awaiting_listing_edit', t(locale, 'buttons.done'), 'done')]
+  ],
+
+  awaiting_search: (locale) => [
+    [button('awaiting_search', t(locale, 'buttons.moreResults'), 'more')],
+    [saveSearchButton(locale)]
+  ],
+
+  awaiting_seo_review: (locale) => [[
+    button('awaiting_seo_review', t(locale, 'buttons.saveListing'), 'save'),
+    button('awaiting_seo_review', t(locale, 'buttons.regenerate'), 'regenerate')
+  ]]
+};
+
+// sendMessage extras with the keyboard for a state, or {} when it has none.
+// editableFields ({ field, label }) is only used by the keyboards with edit buttons.
+function keyboardFor(state, locale, editableFields = []) {
+  const build = KEYBOARDS[state];
+  return build ? { reply_markup: { inline_keyboard: build(locale, editableFields) } } : {};
+}
+
+// "<state>|<answer>" -> { state, answer }
+function parseCallbackData(data) {
+  const separator = (data || '').indexOf('|');
+  if (separator === -1) return null;
+  return { state: data.slice(0, separator), answer: data.slice(separator + 1) };
+}
+
+module.exports = {
+  COMMAND_CALLBACK,
+  commandButton,
+  saveSearchButton,
+  keyboardFor,
+  parseCallbackData
+};
@@ -0,0 +1,62 @@
+const openai = require('./openaiClient');
+const { PROPERTY_TYPES, validateField } = require('./validation');
+const { languageName } = require('./i18n');
+
+// Keep prompts well inside the model's context window
+const MAX_SOURCE_LENGTH = 15000;
+
+// Structured output schema for the listing fields we collect
+const LISTING_SCHEMA = {
+  name: 'property_listing',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      address: { type: ['string', 'null'], description: 'Street name and house number, plus city if given' },
+      zip: { type: ['string', 'null'], description: 'Postal / ZIP code' },
+      propertyType: { type: ['string', 'null'], enum: [...Object.keys(PROPERTY_TYPES), null] },
+      bedrooms: { type: ['number', 'null'] },
+      bathrooms: { type: ['number', 'null'] },
+      size: { type: ['number', 'null'], description: 'Living area in square meters' },
+      price: { type: ['number', 'null'], description: 'Asking price as a plain number without currency' },
+      amenities: { type: ['array', 'null'], items: { type: 'string' } }
+    },
+    required: ['address', 'zip', 'propertyType', 'bedrooms', 'bathrooms', 'size', 'price', 'amenities'],
+    additionalProperties: false
+  }
+};
+
+// Pull listing fields out of free text (brochure, transcript, chat message).
+// Returns only the fields that were found and pass validation, in the collectedData shape.
+// The text can be in any language; amenities come back in the chat's language.
+async function extractListingFields(sourceText, locale) {
+  const completion = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: `You extract real estate listing details. Only use facts stated in the text, which may be in any language. Use null for anything that is not mentioned. Do not guess. Keep the address as written and write the amenities in ${languageName(locale)}.`
+      },
+      { role: 'user', content: sourceText.slice(0, MAX_SOURCE_LENGTH) }
+    ],
+    response_format: { type: 'json_schema', json_schema: LISTING_SCHEMA }
+  });
+
+  const extracted = JSON.parse(completion.choices[0].message.content);
+  const fields = {};
+
+  for (const [key, value] of Object.entries(extracted)) {
+    if (value === null || value === '') continue;
+    const input = key === 'amenities' ? value.join(', ') : value;
+    const result = validateField(key, input, locale);
+    if (!result.error) {
+      fields[key] = result.value;
+    }
+  }
+
+  return fields;
+}
+
+module.exports = {
+  extractListingFields
+};
@@ -0,0 +1,265 @@
+const express = require('express');
+const { getPropertyBySlug, getPropertyImages, searchProperties } = require('./storage');
+const { PROPERTY_STATUS, listingStatus } = require('./propertySchema');
+const { LISTING_COUNTRY, LISTING_CURRENCY } = require('./validation');
+const { DEFAULT_LOCALE, t, propertyTypeLabel, matchLocale } = require('./i18n');
+
+// Public listing pages at /p/<SEO_URL_Slug>, rendered from the SEO fields, and /sitemap.xml.
+// Links the bot sends and the sitemap need the app's public address: PUBLIC_URL, or on Vercel
+// the deployment URL. Without either, pages still work but the bot doesn't send a link.
+const PUBLIC_URL = (process.env.PUBLIC_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : ''))
+  .replace(/\/+$/, '');
+const SITE_NAME = 'Keyly';
+
+// PROPERTY_TYPES key -> schema.org type of the listed place
+const SCHEMA_TYPES = {
+  Apartment: 'Apartment',
+  Penthouse: 'Apartment',
+  Studio: 'Apartment',
+  House: 'SingleFamilyResidence',
+  Townhouse: 'SingleFamilyResidence',
+  Villa: 'SingleFamilyResidence',
+  Land: 'Place',
+  Commercial: 'Place'
+};
+
+function listingPageUrl(slug) {
+  return PUBLIC_URL && slug ? `${PUBLIC_URL}/p/${encodeURIComponent(slug)}` : null;
+}
+
+// Base URL for links on a page: PUBLIC_URL, else the host the request came to
+function baseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isPublished(record) {
+  return Boolean(record) && listingStatus(record.fields) === PROPERTY_STATUS.PUBLISHED;
+}
+
+function formatPrice(price, locale) {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: LISTING_CURRENCY, maximumFractionDigits: 0 })
+      .format(price);
+  } catch (error) {
+    return `${price} ${LISTING_CURRENCY}`;
+  }
+}
+
+// Photos with the cover first, each with the vision description as alt text
+function galleryImages(images) {
+  return images
+    .map(image => {
+      let description = '';
+      try {
+        description = JSON.parse(image.fields.Analysis || '{}').description || '';
+      } catch (error) {
+        // No alt text
+      }
+      const isCover = image.fields.Is_Cover === true || String(image.fields.Is_Cover).toLowerCase() === 'true';
+      return { url: image.fields.Image_URL, description, isCover };
+    })
+    .filter(image => image.url)
+    .sort((a, b) => Number(b.isCover) - Number(a.isCover));
+}
+
+function listingJsonLd(fields, url, images) {
+  const place = {
+    '@type': SCHEMA_TYPES[fields.Property_Type] || 'Accommodation',
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: fields.Address || undefined,
+      postalCode: fields.ZIP ? String(fields.ZIP) : undefined,
+      addressCountry: LISTING_COUNTRY
+    },
+    numberOfBedrooms: fields.Bedrooms !== undefined && fields.Bedrooms !== '' ? Number(fields.Bedrooms) : undefined,
+    numberOfBathroomsTotal: fields.Bathrooms !== undefined && fields.Bathrooms !== '' ? Number(fields.Bathrooms) : undefined,
+    floorSize: fields.Size_sqm ? { '@type': 'QuantitativeValue', value: Number(fields.Size_sqm), unitCode: 'MTK' } : undefined,
+    amenityFeature: String(fields.Amenities || '').split(',').map(amenity => amenity.trim()).filter(Boolean)
+      .map(amenity => ({ '@type': 'LocationFeatureSpecification', name: amenity, value: true }))
+  };
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'RealEstateListing',
+    name: fields.SEO_Meta_Title || undefined,
+    description: fields.SEO_Meta_Desc || undefined,
+    url,
+    datePosted: fields.Created_At || undefined,
+    dateModified: fields.Updated_At || undefined,
+    keywords: fields.SEO_Keywords || undefined,
+    image: images.map(image => image.url),
+    offers: fields.Price ? {
+      '@type': 'Offer',
+      price: Number(fields.Price),
+      priceCurrency: LISTING_CURRENCY,
+      availability: 'https://schema.org/InStock'
+    } : undefined,
+    about: place
+  };
+}
+
+// "<" in JSON-LD would let a field close the script tag
+function jsonForScript(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #222; background: #fafafa; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px 16px 48px; }
+  h1 { margin: 0 0 8px; font-size: 1.8rem; }
+  .address { color: #666; margin: 0 0 16px; }
+  .price { font-size: 1.5rem; font-weight: 600; margin: 0 0 16px; }
+  .facts { display: flex; flex-wrap: wrap; gap: 8px 24px; padding: 0; list-style: none; }
+  .gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 8px; }
+  .gallery figure { margin: 0; }
+  .gallery img { width: 100%; aspect-ratio: 4 / 3; object-fit: cover; border-radius: 8px; display: block; }
+  .gallery figure:first-child { grid-column: 1 / -1; }
+  .gallery figure:first-child img { aspect-ratio: 16 / 9; }
+`;
+
+function renderPage({ locale, title, description, head = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${escapeHtml(t(locale, 'meta.dir'))}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${[description ? `<meta name="description" content="${escapeHtml(description)}">` : '', head].filter(Boolean).join('\n')}
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// The listing page, in the language of the agent who wrote the SEO texts
+function renderListing(record, images, locale, url) {
+  const fields = record.fields;
+  const title = fields.SEO_Meta_Title || [propertyTypeLabel(locale, fields.Property_Type), fields.Address].filter(Boolean).join(', ');
+  const description = fields.SEO_Meta_Desc || '';
+  const gallery = galleryImages(images);
+
+  const facts = [
+    ['propertyType', fields.Property_Type && propertyTypeLabel(locale, fields.Property_Type)],
+    ['bedrooms', fields.Bedrooms],
+    ['bathrooms', fields.Bathrooms],
+    ['size', fields.Size_sqm && t(locale, 'units.sqm', { value: fields.Size_sqm })],
+    ['amenities', fields.Amenities]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const head = [
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    fields.SEO_Keywords ? `<meta name="keywords" content="${escapeHtml(fields.SEO_Keywords)}">` : '',
+    '<meta property="og:type" content="website">',
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    description ? `<meta property="og:description" content="${escapeHtml(description)}">` : '',
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta property="og:locale" content="${escapeHtml(locale)}">`,
+    ...gallery.map(image => `<meta property="og:image" content="${escapeHtml(image.url)}">`),
+    `<meta name="twitter:card" content="${gallery.length > 0 ? 'summary_large_image' : 'summary'}">`,
+    `<script type="application/ld+json">${jsonForScript(listingJsonLd(fields, url, gallery))}</script>`
+  ].filter(Boolean).join('\n');
+
+  const body = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    fields.Address ? `<p class="address">${escapeHtml([fields.Address, fields.ZIP].filter(Boolean).join(', '))}</p>` : '',
+    fields.Price ? `<p class="price">${escapeHtml(formatPrice(Number(fields.Price), locale))}</p>` : '',
+    facts.length > 0
+      ? `<ul class="facts">${facts.map(([field, value]) =>
+        `<li>${escapeHtml(t(locale, `fields.${field}`))}: ${escapeHtml(value)}</li>`).join('')}</ul>`
+      : '',
+    description ? `<p>${escapeHtml(description)}</p>` : '',
+    gallery.length > 0 ? `<h2>${escapeHtml(t(locale, 'listingPage.photos'))}</h2>
+<div class="gallery">
+${gallery.map((image, index) => `<figure><img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.description || `${title} ${index + 1}`)}"${index > 0 ? ' loading="lazy"' : ''}></figure>`).join('\n')}
+</div>` : '',
+    fields.Condition_Summary
+      ? `<h2>${escapeHtml(t(locale, 'listingPage.condition'))}</h2>\n<p>${escapeHtml(fields.Condition_Summary)}</p>`
+      : ''
+  ].filter(Boolean).join('\n');
+
+  return renderPage({ locale, title: `${title} | ${SITE_NAME}`, description, head, body });
+}
+
+function renderNotFound(locale) {
+  return renderPage({
+    locale,
+    title: `${t(locale, 'listingPage.notFoundTitle')} | ${SITE_NAME}`,
+    head: '<meta name="robots" content="noindex">',
+    body: `<h1>${escapeHtml(t(locale, 'listingPage.notFoundTitle'))}</h1>\n<p>${escapeHtml(t(locale, 'listingPage.notFound'))}</p>`
+  });
+}
+
+function toSitemap(records, base) {
+  const urls = records
+    .filter(record => record.fields.SEO_URL_Slug)
+    .map(record => [
+      '<url>',
+      `<loc>${escapeHtml(`${base}/p/${encodeURIComponent(record.fields.SEO_URL_Slug)}`)}</loc>`,
+      record.fields.Updated_At ? `<lastmod>${escapeHtml(record.fields.Updated_At)}</lastmod>` : '',
+      '</url>'
+    ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>'
+  ].join('\n') + '\n';
+}
+
+function createListingPages() {
+  const router = express.Router();
+
+  router.get('/p/:slug', async (req, res, next) => {
+    try {
+      const record = await getPropertyBySlug(req.params.slug);
+      if (!isPublished(record)) {
+        res.status(404).type('html').send(renderNotFound(DEFAULT_LOCALE));
+        return;
+      }
+
+      // Pages are in the language the listing was written in; listings saved before it was kept get the default
+      const locale = matchLocale(record.fields.Language) || DEFAULT_LOCALE;
+      const images = await getPropertyImages(record.id);
+      const url = `${baseUrl(req)}/p/${encodeURIComponent(record.fields.SEO_URL_Slug)}`;
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.type('html').send(renderListing(record, images, locale, url));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/sitemap.xml', async (req, res, next) => {
+    try {
+      const records = await searchProperties({});
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.type('application/xml').send(toSitemap(records, baseUrl(req)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  PUBLIC_URL,
+  listingPageUrl,
+  createListingPages
+};
@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  JOB_STATUS,
+  toPropertyFields,
+  toImageFields,
+  toSavedSearchFields,
+  toJobFields,
+  toUserFields,
+  toDeletedListingFields,
+  newSessionFields,
+  toSessionLanguageFields
+} = require('./propertySchema');
+const { matchesSearch } = require('./searchFilter');
+
+// Local JSON-file storage for offline development and tests.
+// Records use the same column names as the Airtable tables.
+const STORE_PATH = process.env.LOCAL_STORE_PATH || path.join(__dirname, 'data', 'keyly-store.json');
+
+console.log('Initializing local store:', {
+  path: STORE_PATH,
+  timestamp: new Date().toISOString()
+});
+
+function emptyStore() {
+  return { sessions: {}, properties: [], images: [], savedSearches: [], processedUpdates: {}, jobs: [], jobClaims: {}, users: [], deletedListings: [] };
+}
+
+function readStore() {
+  if (!fs.existsSync(STORE_PATH)) {
+    return emptyStore();
+  }
+  return { ...emptyStore(), ...JSON.parse(fs.readFileSync(STORE_PATH, 'utf8')) };
+}
+
+// Write to a temp file first so a crash never leaves half a JSON file behind
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmpPath = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2));
+  fs.renameSync(tmpPath, STORE_PATH);
+}
+
+function newRecordId() {
+  return `loc${crypto.randomBytes(7).toString('hex')}`;
+}
+
+// Add property to the local store
+async function addProperty(propertyData) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toPropertyFields(propertyData), 'Created_At': now, 'Updated_At': now }
+  };
+  store.properties.push(record);
+  writeStore(store);
+
+  console.log('Property added successfully:', {
+    recordId: record.id,
+    timestamp: new Date().toISOString()
+  });
+
+  return record;
+}
+
+// Update some fields of a property; returns the updated record
+async function updateProperty(recordId, propertyData) {
+  const store = readStore();
+  const record = store.properties.find(property => property.id === recordId);
+  if (!record) {
+    throw new Error(`Property ${recordId} not found`);
+  }
+
+  record.fields = {
+    ...record.fields,
+    ...toPropertyFields(propertyData),
+    'Updated_At': new Date().toISOString()
+  };
+  writeStore(store);
+  return record;
+}
+
+async function deleteProperty(recordId) {
+  const store = readStore();
+  store.properties = store.properties.filter(property => property.id !== recordId);
+  writeStore(store);
+}
+
+async function addImage(imageData) {
+  const store = readStore();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toImageFields(imageData), 'Created_At': new Date().toISOString() }
+  };
+  store.images.push(record);
+  writeStore(store);
+  return record;
+}
+
+async function updateImage(recordId, imageData) {
+  const store = readStore();
+  const record = store.images.find(image => image.id === recordId);
+  if (!record) {
+    throw new Error(`Image ${recordId} not found`);
+  }
+
+  record.fields = { ...record.fields, ...toImageFields(imageData) };
+  writeStore(store);
+  return record;
+}
+
+async function deleteImage(recordId) {
+  const store = readStore();
+  store.images = store.images.filter(image => image.id !== recordId);
+  writeStore(store);
+}
+
+// Images of a property, in display order
+async function getPropertyImages(propertyId) {
+  const store = readStore();
+  return store.images
+    .filter(image => image.fields.Property_ID === propertyId)
+    .sort((a, b) => a.fields.Position - b.fields.Position);
+}
+
+async function getProperty(recordId) {
+  const store = readStore();
+  return store.properties.find(property => property.id === recordId) || null;
+}
+
+// A user's properties, newest first
+async function getPropertiesByTelegramId(telegramId) {
+  const store = readStore();
+  return store.properties
+    .filter(property => property.fields.Telegram_ID === telegramId.toString())
+    .sort((a, b) => b.fields.Created_At.localeCompare(a.fields.Created_At));
+}
+
+// Listings matching a search filter (see searchFilter.js), newest first
+async function searchProperties(filter) {
+  const store = readStore();
+  return store.properties
+    .filter(property => matchesSearch(property.fields, filter))
+    .sort((a, b) => b.fields.Created_At.localeCompare(a.fields.Created_At));
+}
+
+// Find a property by its SEO URL slug, or null
+async function getPropertyBySlug(slug) {
+  const store = readStore();
+  return store.properties.find(record => record.fields.SEO_URL_Slug === slug) || null;
+}
+
+async function addSavedSearch(searchData) {
+  const store = readStore();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toSavedSearchFields(searchData), 'Created_At': new Date().toISOString() }
+  };
+  store.savedSearches.push(record);
+  writeStore(store);
+  return record;
+}
+
+async function updateSavedSearch(recordId, searchData) {
+  const store = readStore();
+  const record = store.savedSearches.find(search => search.id === recordId);
+  if (!record) {
+    throw new Error(`Saved search ${recordId} not found`);
+  }
+
+  record.fields = { ...record.fields, ...toSavedSearchFields(searchData) };
+  writeStore(store);
+  return record;
+}
+
+async function deleteSavedSearch(recordId) {
+  const store = readStore();
+  store.savedSearches = store.savedSearches.filter(search => search.id !== recordId);
+  writeStore(store);
+}
+
+// Every saved search, oldest first
+async function getSavedSearches() {
+  const store = readStore();
+  return store.savedSearches;
+}
+
+// A user's saved searches, oldest first
+async function getSavedSearchesByTelegramId(telegramId) {
+  const store = readStore();
+  return store.savedSearches.filter(search => search.fields.Telegram_ID === telegramId.toString());
+}
+
+// Remember a Telegram update_id until expiresAt; false when it is already remembered
+async function claimUpdate(updateId, expiresAt) {
+  const store = readStore();
+  const existing = store.processedUpdates[updateId];
+  if (existing && existing > new Date().toISOString()) {
+    return false;
+  }
+
+  store.processedUpdates[updateId] = expiresAt;
+  writeStore(store);
+  return true;
+}
+
+async function deleteExpiredUpdates() {
+  const store = readStore();
+  const now = new Date().toISOString();
+  store.processedUpdates = Object.fromEntries(
+    Object.entries(store.processedUpdates).filter(([, expiresAt]) => expiresAt > now)
+  );
+  writeStore(store);
+}
+
+async function addJob(jobData) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toJobFields(jobData), 'Created_At': now, 'Updated_At': now }
+  };
+  store.jobs.push(record);
+  writeStore(store);
+  return record;
+}
+
+async function updateJob(recordId, jobData) {
+  const store = readStore();
+  const record = store.jobs.find(job => job.id === recordId);
+  if (!record) {
+    throw new Error(`Job ${recordId} not found`);
+  }
+
+  record.fields = { ...record.fields, ...toJobFields(jobData), 'Updated_At': new Date().toISOString() };
+  writeStore(store);
+  return record;
+}
+
+function isUnfinished(job) {
+  return job.fields.Status === JOB_STATUS.PENDING || job.fields.Status === JOB_STATUS.RUNNING;
+}
+
+// Pending and running jobs, oldest first; only one chat's when chatId is given
+async function getUnfinishedJobs(chatId) {
+  const store = readStore();
+  return store.jobs
+    .filter(job => isUnfinished(job) && (chatId === undefined || job.fields.Chat_ID === chatId.toString()))
+    .sort((a, b) => a.fields.Created_At.localeCompare(b.fields.Created_At));
+}
+
+// Claim an attempt at running a job; false when another worker already claimed it
+async function claimJob(jobId, attempt) {
+  const store = readStore();
+  const key = `${jobId}:${attempt}`;
+  if (store.jobClaims[key]) {
+    return false;
+  }
+
+  store.jobClaims[key] = new Date().toISOString();
+  writeStore(store);
+  return true;
+}
+
+// Finished jobs and the claims made before updatedBefore
+async function deleteFinishedJobs(updatedBefore) {
+  const store = readStore();
+  store.jobs = store.jobs.filter(job => isUnfinished(job) || job.fields.Updated_At >= updatedBefore);
+  store.jobClaims = Object.fromEntries(
+    Object.entries(store.jobClaims).filter(([, claimedAt]) => claimedAt >= updatedBefore)
+  );
+  writeStore(store);
+}
+
+// Get or create user session
+async function getUserSession(telegramId) {
+  const store = readStore();
+  const key = telegramId.toString();
+
+  if (!store.sessions[key]) {
+    store.sessions[key] = newSessionFields(telegramId);
+    writeStore(store);
+  }
+
+  return store.sessions[key];
+}
+
+// A user's session, or null when they have none; unlike getUserSession it never creates one
+async function findUserSession(telegramId) {
+  const store = readStore();
+  return store.sessions[telegramId.toString()] || null;
+}
+
+// Update user session
+async function updateUserSession(telegramId, currentState, collectedData, lastMessage) {
+  const store = readStore();
+  const key = telegramId.toString();
+
+  store.sessions[key] = {
+    ...(store.sessions[key] || newSessionFields(telegramId)),
+    'Current_State': currentState,
+    'Collected_Data': JSON.stringify(collectedData),
+    'Last_Message': lastMessage,
+    'Last_Updated': new Date().toISOString()
+  };
+  writeStore(store);
+}
+
+async function updateUserLanguage(telegramId, languageData) {
+  const store = readStore();
+  const key = telegramId.toString();
+
+  store.sessions[key] = {
+    ...(store.sessions[key] || newSessionFields(telegramId)),
+    ...toSessionLanguageFields(languageData)
+  };
+  writeStore(store);
+}
+
+// Sessions in the middle of a conversation that haven't changed since updatedBefore
+async function getIdleSessions(updatedBefore) {
+  const store = readStore();
+  return Object.values(store.sessions)
+    .filter(session => session.Current_State !== 'initial' && session.Last_Updated < updatedBefore);
+}
+
+// Only Reminded_At changes, so the session still counts as idle
+async function markSessionReminded(telegramId, remindedAt) {
+  const store = readStore();
+  const session = store.sessions[telegramId.toString()];
+  if (!session) return;
+
+  session.Reminded_At = remindedAt;
+  writeStore(store);
+}
+
+// A Telegram user's Users record, or null when they are not on the allow-list
+async function getUser(telegramId) {
+  const store = readStore();
+  return store.users.find(user => user.fields.Telegram_ID === telegramId.toString()) || null;
+}
+
+// Every agent and admin, oldest first
+async function getUsers() {
+  const store = readStore();
+  return store.users;
+}
+
+async function addUser(userData) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toUserFields(userData), 'Created_At': now, 'Updated_At': now }
+  };
+  store.users.push(record);
+  writeStore(store);
+  return record;
+}
+
+async function updateUser(recordId, userData) {
+  const store = readStore();
+  const record = store.users.find(user => user.id === recordId);
+  if (!record) {
+    throw new Error(`User ${recordId} not found`);
+  }
+
+  record.fields = { ...record.fields, ...toUserFields(userData), 'Updated_At': new Date().toISOString() };
+  writeStore(store);
+  return record;
+}
+
+async function deleteUser(recordId) {
+  const store = readStore();
+  store.users = store.users.filter(user => user.id !== recordId);
+  writeStore(store);
+}
+
+async function addDeletedListing(deletedData) {
+  const store = readStore();
+  const record = {
+    id: newRecordId(),
+    fields: { ...toDeletedListingFields(deletedData), 'Deleted_At': new Date().toISOString() }
+  };
+  store.deletedListings.push(record);
+  writeStore(store);
+  return record;
+}
+
+// Listings deleted at or after deletedSince, oldest first
+async function getDeletedListings(deletedSince) {
+  const store = readStore();
+  return store.deletedListings.filter(record => record.fields.Deleted_At >= deletedSince);
+}
+
+module.exports = {
+  addProperty,
+  updateProperty,
+  deleteProperty,
+  getProperty,
+  getPropertiesByTelegramId,
+  searchProperties,
+  getPropertyBySlug,
+  addImage,
+  updateImage,
+  deleteImage,
+  getPropertyImages,
+  addSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearches,
+  getSavedSearchesByTelegramId,
+  claimUpdate,
+  deleteExpiredUpdates,
+  addJob,
+  updateJob,
+  getUnfinishedJobs,
+  claimJob,
+  deleteFinishedJobs,
+  getUserSession,
+  findUserSession,
+  updateUserSession,
+  updateUserLanguage,
+  getIdleSessions,
+  markSessionReminded,
+  getUser,
+  getUsers,
+  addUser,
+  updateUser,
+  deleteUser,
+  addDeletedListing,
+  getDeletedListings
+};
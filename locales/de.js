@@ -0,0 +1,410 @@
+// German messages. Keys missing here fall back to locales/en.js.
+module.exports = {
+  meta: {
+    name: 'Deutsch',
+    englishName: 'German',
+    flag: '🇩🇪',
+    dir: 'ltr'
+  },
+
+  keywords: {
+    yes: ['ja', 'jep', 'passt'],
+    no: ['nein'],
+    done: ['fertig'],
+    edit: ['ändern', 'ändere', 'bearbeiten', 'korrigieren'],
+    startOver: ['neu anfangen', 'von vorne'],
+    save: ['speichern'],
+    regenerate: ['neu schreiben', 'neu'],
+    add: ['hinzufügen'],
+    skip: ['überspringen'],
+    more: ['mehr', 'weiter'],
+    all: ['alle'],
+    on: ['an', 'ein'],
+    off: ['aus'],
+    auto: ['automatisch']
+  },
+
+  fieldAliases: {
+    address: ['adresse', 'straße', 'strasse', 'lage'],
+    zip: ['plz', 'postleitzahl'],
+    propertyType: ['objektart', 'art', 'typ'],
+    bedrooms: ['schlafzimmer', 'zimmer'],
+    bathrooms: ['bäder', 'badezimmer', 'bad'],
+    size: ['größe', 'groesse', 'fläche', 'wohnfläche', 'qm'],
+    price: ['preis', 'kaufpreis'],
+    amenities: ['ausstattung', 'extras', 'merkmale']
+  },
+
+  fields: {
+    address: '🏠 Adresse',
+    zip: '📮 PLZ',
+    propertyType: '🏡 Objektart',
+    bedrooms: '🛏️ Schlafzimmer',
+    bathrooms: '🚿 Bäder',
+    size: '📏 Fläche',
+    price: '💖 Preis',
+    amenities: '✨ Ausstattung'
+  },
+
+  propertyTypes: {
+    Apartment: 'Wohnung',
+    House: 'Haus',
+    Townhouse: 'Reihenhaus',
+    Villa: 'Villa',
+    Penthouse: 'Penthouse',
+    Studio: 'Studio',
+    Land: 'Grundstück',
+    Commercial: 'Gewerbe'
+  },
+
+  units: {
+    sqm: '{value} m²'
+  },
+
+  steps: {
+    address: '🏠 Wie lautet die Adresse der Immobilie? 🌟',
+    zip: '🎀 Perfekt! Das ist eine schöne Lage! Und wie ist die Postleitzahl? 📮',
+    propertyType: '🏡 Schön! Was für eine Immobilie ist es? Wähl unten eine aus oder schreib sie einfach! ✨',
+    bedrooms: '🌈 Super! Wie viele Schlafzimmer hat diese tolle Immobilie? 🛏️',
+    bathrooms: '🎭 Wunderbar! Und wie viele Bäder gibt es? 🚿',
+    size: '🌺 Fantastisch! Wie groß ist sie in Quadratmetern? 📏',
+    price: '✨ Klasse! Was kostet diese schöne Immobilie? 💖',
+    amenities: '🎪 Großartig! Erzähl mir jetzt von der besonderen Ausstattung, die diese Immobilie einzigartig macht! ✨'
+  },
+
+  conversation: {
+    greeting: '✨ Hallo! Ich bin Keyly, deine freundliche Immobilien-Assistentin! 🏠\n\nLass uns deine tolle Immobilie in unsere Sammlung aufnehmen!',
+    greetingFresh: '✨ Hallo! Ich bin Keyly, deine freundliche Immobilien-Assistentin! Fangen wir neu an! 🏠',
+    startFresh: '🌸 Kein Problem! Fangen wir neu an! 🏠',
+    introConversational: '{greeting}\n\nErzähl mir einfach in deinen eigenen Worten von der Immobilie, zum Beispiel: „3 Zimmer, 2 Bäder, 95 m², Kastanienallee 12, 10435, 450.000 €, Balkon + Aufzug". Du kannst mir auch ein PDF-Exposé oder eine Sprachnachricht schicken! 🌟',
+    introGuided: '{greeting}\n\nWie lautet zuerst die Adresse der Immobilie? Du kannst mir auch ein PDF-Exposé schicken, dann fülle ich die Details für dich aus! 🌟',
+    describeAgain: '🌟 Erzähl mir einfach in deinen eigenen Worten von der Immobilie, oder schick mir ein PDF-Exposé oder eine Sprachnachricht!',
+    summary: "🌟 Hier ist eine Zusammenfassung dieser wunderbaren Immobilie:\n\n{fields}\n\nStimmt alles? Tipp unten auf einen Button, oder antworte mit 'ja' zum Bestätigen, 'ändere' und dem Detail, das du ändern möchtest (z. B. 'ändere preis' oder 'ändere preis 450k'), oder 'neu anfangen'! 🎀",
+    whichDetail: "🌸 Kein Problem! Welches Detail soll ich ändern? Antworte mit 'ändere' und einem von: {fields} (z. B. 'ändere preis'), oder 'neu anfangen', um von vorne zu beginnen! ✏️",
+    askNewValue: '✏️ Was soll der neue Wert für {label} sein?',
+    askNewValueWithCurrent: '✏️ Klar! Was soll der neue Wert für {label} sein? (aktuell: {current})',
+    notSet: 'nicht angegeben',
+    heard: '🎤 Ich habe verstanden: „{text}"',
+    understood: '🌟 Das habe ich verstanden:',
+    descriptionUnclear: '🌸 Hmm, die Details habe ich nicht ganz mitbekommen. Kein Problem, gehen wir Schritt für Schritt vor! 💖',
+    messageDetailsFound: ({ count }) => `🎉 Juhu! Ich habe ${count} ${count === 1 ? 'Detail' : 'Details'} aus deiner Nachricht übernommen:`,
+    voiceDetailsFound: ({ count }) => `🎉 Juhu! Ich habe ${count} ${count === 1 ? 'Detail' : 'Details'} aus deiner Sprachnachricht übernommen:`,
+    brochureReading: '📄 Oh, ein Exposé! Gib mir einen Moment zum Durchlesen... ✨',
+    brochureNoText: '🌸 Hmm, in dem PDF konnte ich keinen Text finden (ist es ein Scan?). Machen wir wie gewohnt weiter! 💖',
+    brochureNoDetails: '🌸 Ich habe das ganze Exposé gelesen, aber keine Angaben zur Immobilie gefunden. Machen wir wie gewohnt weiter! 💖',
+    brochureFound: ({ count }) => `🎉 Juhu! Ich habe ${count} ${count === 1 ? 'Detail' : 'Details'} in deinem Exposé gefunden:`,
+    confirmed: "🎉 Juhu! Jetzt fügen wir ein paar schöne Fotos der Immobilie hinzu! Schick mir die Bilder einzeln oder als Album und schreib 'fertig', wenn du soweit bist! 📸",
+    listingSaved: '🎊 Wunderbar! Ich habe alle Details deiner tollen Immobilie gespeichert! Möchtest du noch eine hinzufügen? Sag einfach Bescheid! 🌟',
+    listingLink: '🔗 Dein Inserat ist jetzt online unter {url} - teile den Link, wo du magst! 💖',
+    listingSubmitted: '🎊 Wunderbar! Ich habe deine tolle Immobilie gespeichert und einem Admin zur Freigabe geschickt. Ich sage dir Bescheid, sobald sie online ist! 🌟'
+  },
+
+  photos: {
+    prompt: "🎀 Bitte schick mir Fotos der Immobilie, oder schreib 'fertig', wenn du soweit bist! 📸",
+    limitReached: "🌸 Dieses Inserat hat schon die maximale Anzahl von {max} Fotos! Schreib 'fertig', um weiterzumachen ✨",
+    received: '📸 Deine {count} Fotos sind da! Gib mir einen Moment, sie mir anzusehen...',
+    duplicateSingle: '👯 Das Foto sieht genauso aus wie #{number}, deshalb habe ich es übersprungen.',
+    duplicateInAlbum: '👯 Ein Foto sieht genauso aus wie #{number}, deshalb habe ich es übersprungen.',
+    weak: '🤔 Foto #{number}: {warnings}. Vielleicht schickst du lieber ein besseres!',
+    failed: ({ count }) => count === 1
+      ? '🌈 Hoppla! Ein Foto ist nicht angekommen. Kannst du es noch einmal schicken? 📸'
+      : `🌈 Hoppla! ${count} Fotos sind nicht angekommen. Kannst du sie noch einmal schicken? 📸`,
+    overLimit: '🌸 Ein Inserat kann bis zu {max} Fotos haben, deshalb habe ich die letzten {count} weggelassen.',
+    addedOne: '🌈 Schönes Foto! {description}',
+    added: ({ count, total }) => `🌈 ${count === 1 ? 'Ein schönes Foto' : `${count} schöne Fotos`} hinzugefügt! Das sind bisher ${total}.`,
+    full: "Mehr Fotos passen nicht in dieses Inserat! Schreib 'fertig', um weiterzumachen ✨",
+    sendMore: "Schick mir mehr oder schreib 'fertig', wenn du soweit bist! 📸",
+    check: '📸 Foto-Check:\n\n⭐ Titelbild: #{cover}',
+    condition: '🏚️ Zustand: {summary}',
+    checkWarning: '⚠️ Foto #{number}: {warnings}',
+    suggestions: "\n✨ Auf den Fotos habe ich außerdem das hier entdeckt: {amenities}\nAntworte mit 'hinzufügen', um es zur Ausstattung hinzuzufügen, oder 'überspringen'!",
+    suggestionsAgain: "✨ Auf den Fotos habe ich das hier entdeckt: {amenities}\nAntworte mit 'hinzufügen', um es zur Ausstattung hinzuzufügen, oder 'überspringen'!",
+    suggestionsHint: "🎀 Antworte mit 'hinzufügen', um die vorgeschlagene Ausstattung zu übernehmen, oder 'überspringen', um alles so zu lassen! ✨",
+    warningSeparator: ' und ',
+    warnings: {
+      notProperty: 'ich kann die Immobilie darauf nicht erkennen',
+      blurry: 'es ist etwas unscharf',
+      dark: 'es ist ziemlich dunkel'
+    }
+  },
+
+  seo: {
+    writing: '✍️ Fast geschafft! Ich schreibe noch einen ansprechenden Titel und eine Beschreibung für dein Inserat...',
+    regenerating: '🔄 Kommt sofort, ich schreibe eine neue Version... ✍️',
+    failed: "🌸 Hoppla, die Suchtexte konnte ich gerade nicht schreiben. Antworte mit 'neu schreiben', um es noch einmal zu versuchen, oder 'speichern', um das Inserat ohne sie zu speichern!",
+    review: "🔍 So sieht dein Inserat in den Suchergebnissen aus:\n\n<b>{title}</b>\n{description}\n\n🔗 URL: {slug}\n🏷️ Keywords: {keywords}\n\nAntworte mit 'speichern', um das Inserat zu speichern, oder 'neu schreiben' für eine neue Version! ✨",
+    hint: "🎀 Antworte mit 'speichern', um das Inserat zu speichern, oder 'neu schreiben' für einen neuen Titel und eine neue Beschreibung! ✨"
+  },
+
+  listingEdit: {
+    intro: '✏️ Lass uns dieses Inserat aktualisieren:',
+    current: '✏️ Das ist das Inserat, das du gerade bearbeitest:',
+    hint: "Tipp auf ein Detail, um es zu ändern, oder antworte z. B. mit 'ändere preis 480k'. Antworte mit 'fertig', wenn du soweit bist! ✨",
+    updated: '✅ {label} aktualisiert!',
+    resubmitted: '📨 Ich habe es einem Admin noch einmal zur Freigabe geschickt!',
+    done: '🎉 Alles erledigt, dein Inserat ist auf dem neuesten Stand! Schick /mylistings, um alle deine Immobilien zu sehen ✨'
+  },
+
+  validation: {
+    address: '🌸 Hmm, das sieht nicht nach einer Adresse aus. Kannst du mir Straße und Hausnummer schicken, z. B. „Kastanienallee 12"? 🏠',
+    zip: '🌸 Hmm, die Postleitzahl sieht nicht ganz richtig aus. Kannst du sie noch einmal schicken? 📮',
+    zipExample: '🌸 Hmm, die Postleitzahl sieht nicht ganz richtig aus. Sie sollte so aussehen: {example}. Kannst du sie noch einmal schicken? 📮',
+    bedrooms: '🌸 Hmm, ich brauche eine ganze Zahl an Schlafzimmern, z. B. 3 (oder 0 für ein Studio). Wie viele Schlafzimmer gibt es? 🛏️',
+    bathrooms: '🌸 Hmm, ich brauche die Anzahl der Bäder, z. B. 2 oder 1,5 mit Gäste-WC. Wie viele Bäder gibt es? 🚿',
+    size: '🌸 Hmm, ich brauche die Fläche in Quadratmetern, z. B. 95. Wie groß ist die Immobilie? 📏',
+    price: '🌸 Hmm, ich brauche den Preis als Zahl, z. B. 450000, 450.000 € oder 450k. Was kostet die Immobilie? 💖',
+    priceTooLow: '🌸 Hmm, der Preis wirkt sehr niedrig. Kannst du den vollen Preis schicken, z. B. 450000 oder 450k? 💖',
+    propertyType: '🌸 Hmm, diese Objektart kenne ich nicht. Kannst du eine davon wählen: {types}? 🏡',
+    amenities: "🌸 Erzähl mir von besonderer Ausstattung wie Balkon, Aufzug oder Garten, oder sag einfach 'keine'! ✨"
+  },
+
+  media: {
+    pdfFailed: '✨ Hoppla! Ich hatte Probleme, das PDF zu lesen. Kannst du es noch einmal schicken? 📄',
+    voiceFailed: '🎀 Oje! Ich konnte die Sprachnachricht nicht richtig verstehen. Kannst du sie noch einmal aufnehmen? 🎤',
+    imageFailed: '🌈 Hoppla! Mit dem Foto ist etwas schiefgegangen. Kannst du es noch einmal schicken? 📸'
+  },
+
+  buttons: {
+    confirm: '✅ Ja, passt',
+    startOver: '🔄 Neu anfangen',
+    done: '✅ Fertig, das war alles',
+    addSuggestions: '➕ Hinzufügen',
+    skip: '⏭️ Überspringen',
+    moreResults: 'Mehr Ergebnisse ➡️',
+    saveListing: '💾 Inserat speichern',
+    regenerate: '🔄 Neu schreiben',
+    studio: 'Studio',
+    alertMe: '🔔 Bei neuen Treffern benachrichtigen'
+  },
+
+  errors: {
+    settingUp: '✨ Hallo! Ich bin Keyly, deine freundliche Immobilien-Assistentin! Ich richte gerade meinen Arbeitsplatz für dich ein. Gib mir einen Moment! 🎀',
+    connection: '🌟 Hoppla! Ich habe gerade ein kleines Verbindungsproblem. Ich kümmere mich sofort darum! ✨',
+    wonky: '🎈 Oh nein! Da ist etwas schiefgegangen. Versuchen wir es noch einmal! 🌈',
+    buttonExpired: '⌛ Dieser Button ist abgelaufen, bitte nutze die neueste Nachricht!'
+  },
+
+  jobs: {
+    labels: {
+      photos: '{count} Fotos',
+      photo: 'Foto',
+      album: 'Fotos',
+      voiceNote: 'Sprachnachricht',
+      brochure: 'Exposé',
+      file: 'Datei'
+    },
+    processing: '⏳ Habe erhalten: {label}! Wird verarbeitet…',
+    done: '✅ Verarbeitet: {label}!',
+    retrying: '⏳ Ich arbeite noch an: {label}, gleich versuche ich es noch einmal…',
+    failed: '😔 Tut mir leid, das konnte ich nicht verarbeiten: {label}. Kannst du es noch einmal schicken?'
+  },
+
+  search: {
+    prompt: '🔎 Sag mir, wonach du suchst, z. B. „ab 2 Schlafzimmer unter 400k in 10435 mit Balkon"! ✨',
+    parseFailed: '🌸 Hoppla, die Suche habe ich gerade nicht verstanden. Kannst du sie anders formulieren?',
+    noMatches: '😔 Zu {summary} passt noch nichts. Versuch eine breitere Suche, oder tipp unten und ich sage dir Bescheid, sobald etwas auftaucht! ✨',
+    noMatchesAll: '😔 Dazu passt noch nichts. Versuch eine breitere Suche, oder tipp unten und ich sage dir Bescheid, sobald etwas auftaucht! ✨',
+    found: ({ count, summary }) => `🏡 Ich habe ${count === 1 ? '1 Immobilie' : `${count} Immobilien`} für ${summary} gefunden:`,
+    foundAll: ({ count }) => `🏡 Hier ${count === 1 ? 'ist unsere 1 Immobilie' : `sind alle ${count} Immobilien, die wir haben`}:`,
+    showing: '{from}-{to} von {total}. Tipp unten für mehr, oder schick mir eine neue Suche! 🔎',
+    everything: '✨ Das war alles! Schick mir jederzeit eine neue Suche, oder /cancel, um die Suche zu beenden.',
+    seenAll: '✨ Du hast alle Ergebnisse gesehen! Schick mir jederzeit eine neue Suche, oder /cancel, um die Suche zu beenden.',
+    untitled: 'Immobilie',
+    upTo: 'bis {max}'
+  },
+
+  alerts: {
+    instant: '⚡ sofort',
+    daily: '📬 tägliche Zusammenfassung',
+    allListings: 'alle neuen Inserate',
+    noSearchYet: "🔔 Starte zuerst eine /search und tipp dann auf 'Benachrichtigen', um bei jeder passenden neuen Immobilie eine Nachricht zu bekommen! ✨",
+    alreadySaved: '🔔 Für diese Suche bekommst du schon Benachrichtigungen! Alle siehst du mit /alerts.',
+    tooMany: '🌸 Du hast schon {max} gespeicherte Suchen, mehr kann ich nicht speichern. Entferne zuerst eine in /alerts!',
+    savedMuted: '🔔 Deine Suche nach {summary} ist gespeichert! Deine Benachrichtigungen sind gerade stummgeschaltet, schick /unmute, um sie wieder einzuschalten.',
+    saved: '🔔 Gespeichert! Ich schreibe dir, sobald eine neue Immobilie zu {summary} passt. Verwalte deine Benachrichtigungen mit /alerts ✨',
+    none: "🔕 Du hast noch keine gespeicherten Suchen. Starte eine /search und tipp auf 'Benachrichtigen', um eine zu speichern! ✨",
+    list: '🔔 Deine gespeicherten Suchen:\n\n{lines}',
+    listMuted: '🔔 Deine gespeicherten Suchen (🔕 stumm):\n\n{lines}',
+    removedAll: '🔕 Erledigt! Ich habe alle deine gespeicherten Suchen entfernt. Du bekommst keine Benachrichtigungen mehr.',
+    notFound: '🤔 Diese gespeicherte Suche konnte ich nicht finden. Schick /alerts, um deine zu sehen, oder /unsubscribe alle, um alle zu entfernen!',
+    notFoundShort: '🤔 Diese gespeicherte Suche konnte ich nicht finden. Schick /alerts, um deine zu sehen!',
+    removed: '🗑️ Erledigt! Keine Benachrichtigungen mehr für {summary}.',
+    nothingToMute: '🔕 Du hast keine gespeicherten Suchen, also gibt es nichts stummzuschalten!',
+    muted: '🔕 Benachrichtigungen stummgeschaltet! Deine gespeicherten Suchen bleiben erhalten, schick /unmute, wenn du wieder von neuen Treffern hören möchtest.',
+    unmuted: '🔔 Benachrichtigungen sind wieder an! Ich sage dir Bescheid, wenn es neue Treffer gibt.',
+    digestUsage: '📬 Schick /digest an, um einmal am Tag eine Nachricht mit allen neuen Treffern zu bekommen, oder /digest aus für sofortige Benachrichtigungen.',
+    digestOn: '📬 Alles klar! Neue Treffer kommen einmal am Tag in einer Nachricht. Schick /digest aus, um sie wieder sofort zu bekommen.',
+    digestOff: '⚡ Alles klar! Ich sage dir sofort Bescheid, wenn es neue Treffer gibt.',
+    newMatch: '🔔 Eine neue Immobilie passt zu deiner Suche nach {summary}!',
+    digest: ({ count }) => `📬 Deine tägliche Zusammenfassung: ${count === 1 ? '1 neue Immobilie passt' : `${count} neue Immobilien passen`} zu deinen gespeicherten Suchen!`,
+    digestMore: '✨ ...und {count} weitere! Schick /search, um alle zu sehen.',
+    buttons: {
+      dailyInstead: '📬 Lieber täglich',
+      daily: '📬 Täglich',
+      dailyNumber: '📬 Täglich #{number}',
+      instantNumber: '⚡ Sofort #{number}',
+      removeNumber: '🗑️ #{number} entfernen',
+      mute: '🔕 Stummschalten',
+      unmute: '🔔 Wieder einschalten'
+    }
+  },
+
+  listings: {
+    untitled: 'Inserat ohne Titel',
+    published: '✅ veröffentlicht',
+    draft: '📝 Entwurf',
+    draftInProgress: '📝 Entwurf, in Bearbeitung',
+    pending: '⏳ wartet auf Freigabe',
+    rejected: '🚫 nicht freigegeben',
+    reviewNote: '📝 {note}',
+    none: '📭 Du hast noch keine Inserate. Schick /start, um deine erste Immobilie hinzuzufügen! ✨',
+    page: '🏘️ Deine Inserate (Seite {page} von {pageCount}):\n\n{lines}',
+    parked: '📌 Ich habe deinen aktuellen Entwurf geparkt, du kannst ihn über /mylistings wieder aufnehmen.',
+    parkedNew: '📌 Ich habe deinen aktuellen Entwurf geparkt, du kannst ihn über /mylistings wieder aufnehmen.\n\n🏠 Lass uns eine weitere Immobilie hinzufügen!',
+    new: '✨ Lass uns eine neue Immobilie hinzufügen! 🏠',
+    draftNotFound: '🤔 Diesen Entwurf konnte ich nicht finden. Schick /mylistings, um deine Entwürfe zu sehen, und tipp auf Fortsetzen! ✨',
+    alreadyEditing: '🎀 Daran arbeitest du gerade schon!',
+    continue: '▶️ Machen wir mit {title} weiter!',
+    welcomeBack: '▶️ Willkommen zurück bei {title}! Machen wir da weiter, wo du aufgehört hast.',
+    whichListing: '✏️ Welches Inserat soll ich ändern? Schick /mylistings und tipp auf Bearbeiten, oder schick /edit mit der ID des Inserats.',
+    notFound: '🤔 Dieses Inserat konnte ich nicht finden. Schick /mylistings, um deine Immobilien zu sehen! ✨',
+    confirmDelete: ({ title, photoCount }) => {
+      const photos = photoCount > 0 ? ` und ${photoCount === 1 ? 'sein Foto' : `seine ${photoCount} Fotos`}` : '';
+      return `🗑️ <b>${title}</b>${photos} löschen? Das kann nicht rückgängig gemacht werden!`;
+    },
+    deleted: '🗑️ Erledigt! <b>{title}</b> wurde gelöscht.',
+    buttons: {
+      resume: '▶️ #{number} fortsetzen',
+      edit: '✏️ #{number} bearbeiten',
+      delete: '🗑️ #{number} löschen',
+      previous: '⬅️ Zurück',
+      next: 'Weiter ➡️',
+      confirmDelete: '🗑️ Ja, löschen',
+      keep: '🌸 Behalten'
+    }
+  },
+
+  commands: {
+    descriptions: {
+      start: 'Neue Immobilie hinzufügen',
+      cancel: 'Aktuelles Inserat abbrechen',
+      back: 'Eine Frage zurück',
+      new: 'Aktuellen Entwurf parken und weitere Immobilie hinzufügen',
+      status: 'Bisher gesammelte Details anzeigen',
+      search: 'Inserate suchen, z. B. /search ab 2 Schlafzimmer unter 400k',
+      savesearch: 'Bei neuen passenden Inseraten benachrichtigt werden',
+      alerts: 'Gespeicherte Suchen anzeigen und verwalten',
+      unsubscribe: 'Gespeicherte Suche entfernen, oder alle mit /unsubscribe alle',
+      mute: 'Alle Suchbenachrichtigungen pausieren',
+      unmute: 'Suchbenachrichtigungen wieder einschalten',
+      digest: 'Neue Treffer einmal täglich: /digest an oder aus',
+      mylistings: 'Deine Inserate und Entwürfe anzeigen',
+      resume: 'Geparkten Entwurf fortsetzen',
+      edit: 'Gespeichertes Inserat ändern',
+      delete: 'Inserat löschen',
+      pending: 'Inserate anzeigen, die auf Freigabe warten',
+      approve: 'Ein Inserat freigeben',
+      reject: 'Ein Inserat ablehnen, optional mit Grund',
+      agents: 'Makler und Admins anzeigen',
+      allow: 'Einen Makler oder Admin hinzufügen',
+      revoke: 'Einen Makler entfernen',
+      language: 'Sprache wählen, in der ich mit dir spreche',
+      help: 'Zeigen, was ich kann'
+    },
+    unknown: '🤔 Diesen Befehl kenne ich nicht. Schick /help, um zu sehen, was ich kann! ✨',
+    help: '✨ Das kann ich:\n\n{lines}',
+    welcomeBack: '🎀 Willkommen zurück! Du hast schon ein Inserat in Arbeit, also machen wir da weiter, wo wir aufgehört haben. Schick /cancel, wenn du lieber neu anfangen möchtest, oder /new, um es zu parken und eine weitere Immobilie hinzuzufügen! ✨',
+    searchClosed: '🌸 Okay, ich habe die Suche beendet. Schick /search, wann immer du wieder suchen möchtest! ✨',
+    editStopped: '🌸 Okay, ich habe das Bearbeiten beendet. Alle Änderungen, die du schon gemacht hast, sind gespeichert! ✨',
+    cancelled: '🌸 Kein Problem, ich habe das Inserat abgebrochen. Schick /start, wann immer du eine Immobilie hinzufügen möchtest! ✨',
+    atBeginning: '🌸 Wir sind schon am Anfang, es gibt nichts, wohin wir zurückgehen könnten! ✨',
+    searching: "🔎 Du suchst nach: {summary}\nAntworte mit 'mehr' für die nächsten Ergebnisse, oder schick eine neue Suche!",
+    searchMode: '🔎 Du bist im Suchmodus. Sag mir, wonach du suchst, oder /cancel zum Beenden!',
+    noListing: '📋 Du hast gerade kein Inserat in Arbeit. Schick /start, um eine Immobilie hinzuzufügen! ✨',
+    collected: '📋 Das habe ich bisher:\n\n{details}',
+    nothingCollected: '📋 Ich habe noch keine Details gesammelt.',
+    photoCount: '\n📸 Fotos: {count}'
+  },
+
+  language: {
+    choose: '🌍 Welche Sprache soll ich verwenden? Gerade spreche ich {current}.\n\nWähl unten eine aus, oder „Automatisch", um der Sprache deiner Telegram-App zu folgen.',
+    automatic: '🌍 Automatisch',
+    set: '🎉 Super, ab jetzt spreche ich Deutsch mit dir!',
+    followingTelegram: '🌍 Alles klar! Ich folge der Sprache deiner Telegram-App ({current}).',
+    unknown: '🤔 Diese Sprache spreche ich noch nicht. Ich kann: {languages}'
+  },
+
+  listingPage: {
+    photos: '📸 Fotos',
+    condition: '🔍 Zustand',
+    notFoundTitle: 'Inserat nicht gefunden',
+    notFound: '🌸 Dieses Inserat gibt es nicht oder es ist nicht mehr veröffentlicht.'
+  },
+
+  access: {
+    agentsOnly: '🔒 Inserate können nur unsere Makler anlegen! Dein Traumzuhause findest du trotzdem mit /search 💖\n\nDu bist Makler? Bitte einen Admin, dich mit <code>/allow {telegramId}</code> hinzuzufügen.',
+    adminsOnly: '🔒 Das dürfen leider nur Admins!',
+    welcome: '✨ Hallo! Ich bin Keyly, deine freundliche Immobilien-Assistentin! 🏠\n\nSag mir, was du suchst, z. B. /search ab 2 Schlafzimmer unter 400k, und ich zeige dir die passenden Objekte! 💖\n\nDu bist Makler? Bitte einen Admin, dich mit <code>/allow {telegramId}</code> hinzuzufügen.'
+  },
+
+  approval: {
+    request: '🆕 {agent} hat ein neues Inserat zur Freigabe geschickt:\n\n<b>{title}</b>\n{details}\n🆔 <code>{id}</code>',
+    buttons: {
+      approve: '✅ Freigeben',
+      reject: '🚫 Ablehnen'
+    },
+    usage: '🌸 Sag mir, welches Inserat, etwa /{command} <code>ID</code>. /pending zeigt alle, die auf Freigabe warten.',
+    notFound: '🤔 Ich konnte kein Inserat mit dieser ID finden.',
+    otherTeam: '🔒 Dieses Inserat gehört zu einem anderen Team.',
+    notSubmitted: '🌸 Dieses Inserat ist noch ein Entwurf, es gibt noch nichts freizugeben.',
+    alreadyPublished: '✨ Dieses Inserat ist schon online!',
+    alreadyRejected: '🚫 Dieses Inserat wurde schon abgelehnt. Um einen Grund nachzureichen, sende <code>/reject {id} dein Grund</code>.',
+    approved: '✅ Freigegeben! <b>{title}</b> ist jetzt online.',
+    rejected: '🚫 <b>{title}</b> abgelehnt, ich habe dem Makler Bescheid gesagt.',
+    rejectedNoReason: '🚫 <b>{title}</b> abgelehnt, ich habe dem Makler Bescheid gesagt. Um einen Grund nachzureichen, sende <code>/reject {id} dein Grund</code>.',
+    agentApproved: '🎉 Tolle Neuigkeiten! <b>{title}</b> wurde freigegeben und ist jetzt online! 🌟{link}',
+    agentRejected: '🌸 <b>{title}</b> wurde diesmal nicht freigegeben. Ändere es mit /edit {id}, dann schicke ich es noch einmal zur Prüfung! 💖',
+    agentRejectedReason: '🌸 <b>{title}</b> wurde diesmal nicht freigegeben:\n<i>{reason}</i>\n\nÄndere es mit /edit {id}, dann schicke ich es noch einmal zur Prüfung! 💖',
+    none: '🎉 Keine Inserate warten auf Freigabe!',
+    pendingList: '⏳ Inserate, die auf Freigabe warten ({count}):\n\n{lines}'
+  },
+
+  team: {
+    roles: {
+      admin: 'Admin',
+      agent: 'Makler'
+    },
+    noTeam: 'kein Team',
+    list: '👥 Team {team}:\n\n{lines}',
+    listAll: '👥 Makler und Admins:\n\n{lines}',
+    none: '👥 Noch niemand auf der Liste. Füge einen Makler mit <code>/allow Telegram-ID</code> hinzu.',
+    usageAllow: '🌸 Schick mir die Telegram-ID, etwa <code>/allow 123456789</code>, oder <code>/allow 123456789 admin</code> für einen Admin. Admins ohne Team können am Ende einen Teamnamen angeben. Die eigene ID sieht jeder, der mir /start schickt.',
+    ownTeamOnly: '🔒 Du kannst nur Leute zu deinem eigenen Team ({team}) hinzufügen.',
+    otherTeam: '🔒 <code>{telegramId}</code> gehört zu einem anderen Team.',
+    allowed: '✅ <code>{telegramId}</code> ist jetzt {role} ({team})!',
+    welcome: '🎉 Du wurdest als {role} hinzugefügt ({team})! Schick mir /start, um deine erste Immobilie anzulegen 🏠',
+    usageRevoke: '🌸 Schick mir die Telegram-ID, etwa <code>/revoke 123456789</code>.',
+    notYourself: '🌸 Du kannst dich nicht selbst entfernen.',
+    builtIn: '🔒 <code>{telegramId}</code> ist über ADMIN_TELEGRAM_IDS Admin und bleibt es, bis die ID dort entfernt wird.',
+    notFound: '🤔 <code>{telegramId}</code> steht nicht auf der Liste.',
+    revoked: '🗑️ Erledigt! <code>{telegramId}</code> kann keine Inserate mehr anlegen. Bestehende Inserate bleiben online.'
+  },
+
+  resume: {
+    prompt: '👋 Willkommen zurück! Du warst mitten in einem Inserat: <b>{listing}</b>, wir waren bei {stage}.\n\nMachen wir weiter, oder fängst du ein neues an? Dein Entwurf bleibt so oder so in /mylistings ✨',
+    promptEditing: '👋 Willkommen zurück! Du warst dabei, <b>{listing}</b> zu bearbeiten. Machen wir weiter? Alle bisherigen Änderungen sind gespeichert ✨',
+    reminder: '⏰ Kleine Erinnerung! Dein Inserat <b>{listing}</b> wartet noch auf dich, wir waren bei {stage}.\n\nWollen wir es fertigstellen? 🏠',
+    stages: {
+      description: 'der Beschreibung',
+      confirmation: 'der Zusammenfassung',
+      images: 'den Fotos',
+      photoSuggestions: 'den Ausstattungsvorschlägen aus den Fotos',
+      seoReview: 'Titel und Beschreibung'
+    },
+    buttons: {
+      continue: '▶️ Weitermachen',
+      startNew: '🆕 Neues anfangen',
+      stopEditing: '✋ Bearbeiten beenden'
+    }
+  }
+};
@@ -0,0 +1,417 @@
+// English messages. This is the reference catalog: other locales fall back to it for any
+// missing key. Strings use {name} placeholders; entries that depend on a count are functions.
+// Values passed in are already HTML-escaped by the caller.
+module.exports = {
+  meta: {
+    name: 'English',
+    englishName: 'English',
+    flag: '🇬🇧',
+    // Text direction of the public listing pages
+    dir: 'ltr'
+  },
+
+  // Words accepted as typed answers, on top of the English ones the buttons send
+  keywords: {
+    yes: ['yes'],
+    no: ['no'],
+    done: ['done'],
+    edit: ['edit', 'change', 'fix'],
+    startOver: ['start over'],
+    save: ['save'],
+    regenerate: ['regenerate'],
+    add: ['add'],
+    skip: ['skip'],
+    more: ['more', 'next'],
+    all: ['all'],
+    on: ['on'],
+    off: ['off'],
+    auto: ['auto']
+  },
+
+  // Words agents use for each field after "edit"; the first one is what the edit buttons send
+  fieldAliases: {
+    address: ['address', 'street', 'location'],
+    zip: ['zip', 'zip code', 'postcode', 'postal code', 'plz'],
+    propertyType: ['property type', 'type', 'kind'],
+    bedrooms: ['bedrooms', 'bedroom', 'beds', 'bed', 'rooms'],
+    bathrooms: ['bathrooms', 'bathroom', 'baths', 'bath'],
+    size: ['size', 'sqm', 'area', 'square meters'],
+    price: ['price', 'cost', 'asking price'],
+    amenities: ['amenities', 'amenity', 'features', 'extras']
+  },
+
+  fields: {
+    address: '🏠 Address',
+    zip: '📮 ZIP',
+    propertyType: '🏡 Type',
+    bedrooms: '🛏️ Bedrooms',
+    bathrooms: '🚿 Bathrooms',
+    size: '📏 Size',
+    price: '💖 Price',
+    amenities: '✨ Amenities'
+  },
+
+  propertyTypes: {
+    Apartment: 'Apartment',
+    House: 'House',
+    Townhouse: 'Townhouse',
+    Villa: 'Villa',
+    Penthouse: 'Penthouse',
+    Studio: 'Studio',
+    Land: 'Land',
+    Commercial: 'Commercial'
+  },
+
+  units: {
+    sqm: '{value} sqm'
+  },
+
+  steps: {
+    address: "🏠 Could you share the property's address with me? 🌟",
+    zip: "🎀 Perfect! That's a lovely location! Now, could you tell me the ZIP code? 📮",
+    propertyType: '🏡 Lovely! What type of property is it? Pick one below or just type it! ✨',
+    bedrooms: '🌈 Great! Now, how many bedrooms does this charming property have? 🛏️',
+    bathrooms: '🎭 Wonderful! And how many bathrooms are there? 🚿',
+    size: '🌺 Fantastic! Could you tell me the size in square meters? 📏',
+    price: "✨ Amazing! What's the price for this lovely property? 💖",
+    amenities: '🎪 Brilliant! Now, tell me about any special amenities or features that make this property unique! ✨'
+  },
+
+  conversation: {
+    greeting: "✨ Hi there! I'm Keyly, your friendly property assistant! 🏠\n\nLet's add your amazing property to our collection!",
+    greetingFresh: "✨ Hi! I'm Keyly, your friendly property assistant! Let's start fresh! 🏠",
+    startFresh: "🌸 No problem at all! Let's start fresh! 🏠",
+    introConversational: '{greeting}\n\nJust tell me about the property in your own words, for example: "3-bed 2-bath flat, 95 sqm, Kastanienallee 12, 10435, €450k, balcony + lift". You can also send me a PDF brochure or a voice note! 🌟',
+    introGuided: "{greeting}\n\nFirst, could you share the property's address with me? You can also send me a PDF brochure and I'll fill in the details for you! 🌟",
+    describeAgain: '🌟 Just tell me about the property in your own words, or send me a PDF brochure or a voice note!',
+    summary: "🌟 Here's a summary of this wonderful property:\n\n{fields}\n\nIs this all correct? Tap a button below, or reply with 'yes' to confirm, 'edit' and the detail to change one (e.g. 'edit price' or 'edit price 450k'), or 'start over'! 🎀",
+    whichDetail: "🌸 No problem! Which detail should I change? Reply with 'edit' and one of: {fields} (e.g. 'edit price'), or 'start over' to begin again! ✏️",
+    askNewValue: '✏️ What should the new {label} be?',
+    askNewValueWithCurrent: '✏️ Sure! What should the new {label} be? (currently: {current})',
+    notSet: 'not set',
+    heard: '🎤 I heard: "{text}"',
+    understood: "🌟 Here's what I understood:",
+    descriptionUnclear: "🌸 Hmm, I couldn't quite catch the details there. No worries, let's go step by step! 💖",
+    messageDetailsFound: ({ count }) => `🎉 Yay! I picked up ${count} details from your message:`,
+    voiceDetailsFound: ({ count }) => `🎉 Yay! I picked up ${count} details from your voice note:`,
+    brochureReading: '📄 Ooh, a brochure! Give me a moment to read through it... ✨',
+    brochureNoText: "🌸 Hmm, I couldn't find any text in that PDF (is it a scan?). Let's keep going the usual way! 💖",
+    brochureNoDetails: "🌸 I read the whole brochure but couldn't spot any listing details in it. Let's keep going the usual way! 💖",
+    brochureFound: ({ count }) => `🎉 Yay! I found ${count} detail${count === 1 ? '' : 's'} in your brochure:`,
+    confirmed: "🎉 Yay! Now, let's add some beautiful photos of the property! Send me the images one by one or as an album, and type 'done' when you're finished! 📸",
+    listingSaved: "🎊 Wonderful! I've saved all the details of your amazing property! Need to add another one? Just let me know! 🌟",
+    listingLink: "🔗 It's live at {url} - share it anywhere! 💖",
+    listingSubmitted: "🎊 Wonderful! I've saved your amazing property and sent it to an admin for a quick look. I'll let you know as soon as it's live! 🌟"
+  },
+
+  photos: {
+    prompt: "🎀 Please send me photos of the property, or type 'done' if you're finished! 📸",
+    limitReached: "🌸 This listing already has the maximum of {max} photos! Type 'done' to continue ✨",
+    received: '📸 Got your {count} photos! Give me a moment to look at them...',
+    duplicateSingle: '👯 That photo looks the same as #{number}, so I skipped it.',
+    duplicateInAlbum: '👯 One photo looks the same as #{number}, so I skipped it.',
+    weak: '🤔 Photo #{number}: {warnings}. You might want to send a better one!',
+    failed: ({ count }) => count === 1
+      ? "🌈 Oops! One photo didn't go through. Could you try sending it again? 📸"
+      : `🌈 Oops! ${count} photos didn't go through. Could you try sending them again? 📸`,
+    overLimit: '🌸 A listing can have up to {max} photos, so I left out the last {count}.',
+    addedOne: '🌈 Beautiful photo! {description}',
+    added: ({ count, total }) => `🌈 Added ${count === 1 ? 'one beautiful photo' : `${count} beautiful photos`}! That's ${total} so far.`,
+    full: "That's all the photos this listing can hold! Type 'done' to continue ✨",
+    sendMore: "Send more or type 'done' when you're finished! 📸",
+    check: '📸 Photo check:\n\n⭐ Cover photo: #{cover}',
+    condition: '🏚️ Condition: {summary}',
+    checkWarning: '⚠️ Photo #{number}: {warnings}',
+    suggestions: "\n✨ I also spotted these in the photos: {amenities}\nReply 'add' to add them to the amenities, or 'skip'!",
+    suggestionsAgain: "✨ I spotted these in the photos: {amenities}\nReply 'add' to add them to the amenities, or 'skip'!",
+    suggestionsHint: "🎀 Reply 'add' to add the suggested amenities, or 'skip' to keep them as they are! ✨",
+    // Joins the warnings of one photo: "it looks a bit blurry and it's quite dark"
+    warningSeparator: ' and ',
+    warnings: {
+      notProperty: "I can't see the property in it",
+      blurry: 'it looks a bit blurry',
+      dark: "it's quite dark"
+    }
+  },
+
+  seo: {
+    writing: '✍️ Almost there! Let me write a catchy title and description for your listing...',
+    regenerating: '🔄 Coming right up, writing a fresh version... ✍️',
+    failed: "🌸 Oops, I couldn't write the search texts just now. Reply 'regenerate' to try again, or 'save' to save the listing without them!",
+    review: "🔍 Here's how your listing will look in search results:\n\n<b>{title}</b>\n{description}\n\n🔗 URL: {slug}\n🏷️ Keywords: {keywords}\n\nReply 'save' to save the listing, or 'regenerate' for a fresh version! ✨",
+    hint: "🎀 Reply 'save' to save the listing, or 'regenerate' for a fresh title and description! ✨"
+  },
+
+  listingEdit: {
+    intro: "✏️ Let's update this listing:",
+    current: "✏️ Here's the listing you're editing:",
+    hint: "Tap a detail to change it, or reply with e.g. 'edit price 480k'. Reply 'done' when you're finished! ✨",
+    updated: '✅ {label} updated!',
+    resubmitted: "📨 I've sent it to an admin for another look!",
+    done: '🎉 All done, your listing is up to date! Send /mylistings to see all your properties ✨'
+  },
+
+  validation: {
+    address: '🌸 Hmm, that doesn\'t look like an address. Could you send the street and house number, like "Kastanienallee 12"? 🏠',
+    zip: '🌸 Hmm, that ZIP code looks a bit off. Could you send it again? 📮',
+    zipExample: '🌸 Hmm, that ZIP code looks a bit off. It should look like {example}. Could you send it again? 📮',
+    bedrooms: '🌸 Hmm, I need a whole number of bedrooms, like 3 (or 0 for a studio). How many bedrooms are there? 🛏️',
+    bathrooms: '🌸 Hmm, I need a number of bathrooms, like 2 or 1.5 for a guest WC. How many bathrooms are there? 🚿',
+    size: '🌸 Hmm, I need the size in square meters, like 95. How big is the property? 📏',
+    price: '🌸 Hmm, I need the price as a number, like 450000, €450.000 or 450k. What is the price? 💖',
+    priceTooLow: '🌸 Hmm, that price looks very low. Could you send the full price, like 450000 or 450k? 💖',
+    propertyType: "🌸 Hmm, I don't know that property type. Could you pick one of: {types}? 🏡",
+    amenities: "🌸 Tell me about any special features, like a balcony, lift or garden, or just say 'none'! ✨"
+  },
+
+  media: {
+    pdfFailed: '✨ Oopsie! I had a bit of trouble reading that PDF. Could you try sending it again? 📄',
+    voiceFailed: '🎀 Oh dear! I had trouble understanding that voice note. Could you try recording it again? 🎤',
+    imageFailed: '🌈 Oops! Something went wrong with that photo. Could you try sending it again? 📸'
+  },
+
+  buttons: {
+    confirm: '✅ Yes, looks good',
+    startOver: '🔄 Start over',
+    done: "✅ Done, that's all",
+    addSuggestions: '➕ Add them',
+    skip: '⏭️ Skip',
+    moreResults: 'More results ➡️',
+    saveListing: '💾 Save listing',
+    regenerate: '🔄 Regenerate',
+    studio: 'Studio',
+    alertMe: '🔔 Alert me about new matches'
+  },
+
+  errors: {
+    settingUp: "✨ Hi there! I'm Keyly, your friendly property assistant! I'm just getting my workspace ready for you. Give me a moment to set things up! 🎀",
+    connection: '🌟 Oopsie! Having a little hiccup connecting. Let me fix that for you real quick! ✨',
+    wonky: "🎈 Oh no! Something went a bit wonky. Let's try that again, shall we? 🌈",
+    buttonExpired: '⌛ That button has expired, please use the latest message!'
+  },
+
+  jobs: {
+    labels: {
+      photos: '{count} photos',
+      photo: 'photo',
+      album: 'photos',
+      voiceNote: 'voice note',
+      brochure: 'brochure',
+      file: 'file'
+    },
+    processing: '⏳ Got your {label}! Processing…',
+    done: '✅ Your {label} is processed!',
+    retrying: '⏳ Still working on your {label}, trying again in a moment…',
+    failed: "😔 Sorry, I couldn't process your {label}. Could you send it again?"
+  },
+
+  search: {
+    prompt: '🔎 Tell me what you\'re looking for, e.g. "2+ bedrooms under 400k in 10435 with a balcony"! ✨',
+    parseFailed: "🌸 Oops, I couldn't understand that search just now. Could you try rephrasing it?",
+    noMatches: "😔 Nothing matches {summary} yet. Try a wider search, or tap below and I'll tell you when something comes up! ✨",
+    noMatchesAll: "😔 Nothing matches that yet. Try a wider search, or tap below and I'll tell you when something comes up! ✨",
+    found: ({ count, summary }) => `🏡 I found ${count === 1 ? '1 property' : `${count} properties`} for ${summary}:`,
+    foundAll: ({ count }) => `🏡 Here are all ${count === 1 ? '1 property' : `${count} properties`} we have:`,
+    showing: 'Showing {from}-{to} of {total}. Tap below for more, or send me a new search! 🔎',
+    everything: "✨ That's everything! Send me another search anytime, or /cancel to stop searching.",
+    seenAll: "✨ You've seen all the results! Send me another search anytime, or /cancel to stop searching.",
+    untitled: 'Property',
+    // Pieces of the one-line search summary, e.g. "🛏️ 2+ · 💖 up to 400000"
+    upTo: 'up to {max}'
+  },
+
+  alerts: {
+    instant: '⚡ instant',
+    daily: '📬 daily digest',
+    allListings: 'all new listings',
+    noSearchYet: "🔔 Run a /search first, then tap 'Alert me' to get a message whenever a new property matches! ✨",
+    alreadySaved: '🔔 You already get alerts for this search! See them all with /alerts.',
+    tooMany: '🌸 You already have {max} saved searches, the most I can keep. Remove one in /alerts first!',
+    savedMuted: '🔔 Saved your search for {summary}! Your alerts are muted right now, send /unmute to turn them back on.',
+    saved: "🔔 Saved! I'll message you as soon as a new property matches {summary}. Manage your alerts with /alerts ✨",
+    none: "🔕 You don't have any saved searches yet. Run a /search and tap 'Alert me' to save one! ✨",
+    list: '🔔 Your saved searches:\n\n{lines}',
+    listMuted: '🔔 Your saved searches (🔕 muted):\n\n{lines}',
+    removedAll: "🔕 Done! I've removed all your saved searches. You won't get any more alerts.",
+    notFound: "🤔 I couldn't find that saved search. Send /alerts to see yours, or /unsubscribe all to remove every one!",
+    notFoundShort: "🤔 I couldn't find that saved search. Send /alerts to see yours!",
+    removed: '🗑️ Done! No more alerts for {summary}.',
+    nothingToMute: "🔕 You don't have any saved searches, so there's nothing to mute!",
+    muted: '🔕 Alerts muted! Your saved searches are kept, send /unmute whenever you want to hear about new matches again.',
+    unmuted: "🔔 Alerts are back on! I'll let you know about new matches.",
+    digestUsage: '📬 Send /digest on to get one message a day with all new matches, or /digest off for instant alerts.',
+    digestOn: '📬 Got it! New matches will come in one message a day. Send /digest off to get them right away again.',
+    digestOff: "⚡ Got it! I'll tell you about new matches right away.",
+    newMatch: '🔔 A new property matches your search for {summary}!',
+    digest: ({ count }) => `📬 Your daily digest: ${count === 1 ? '1 new property matches' : `${count} new properties match`} your saved searches!`,
+    digestMore: '✨ ...and {count} more! Send /search to see them all.',
+    buttons: {
+      dailyInstead: '📬 Daily digest instead',
+      daily: '📬 Daily digest',
+      dailyNumber: '📬 Daily #{number}',
+      instantNumber: '⚡ Instant #{number}',
+      removeNumber: '🗑️ Remove #{number}',
+      mute: '🔕 Mute alerts',
+      unmute: '🔔 Unmute alerts'
+    }
+  },
+
+  listings: {
+    untitled: 'Untitled listing',
+    published: '✅ published',
+    draft: '📝 draft',
+    draftInProgress: '📝 draft, in progress',
+    pending: '⏳ waiting for approval',
+    rejected: '🚫 not approved',
+    reviewNote: '📝 {note}',
+    none: "📭 You don't have any listings yet. Send /start to add your first property! ✨",
+    page: '🏘️ Your listings (page {page} of {pageCount}):\n\n{lines}',
+    parked: "📌 I've parked your current draft, you can pick it up again from /mylistings.",
+    parkedNew: "📌 I've parked your current draft, you can pick it up again from /mylistings.\n\n🏠 Let's add another property!",
+    new: "✨ Let's add a new property! 🏠",
+    draftNotFound: "🤔 I couldn't find that draft. Send /mylistings to see your drafts and tap Resume! ✨",
+    alreadyEditing: "🎀 You're already working on this one!",
+    continue: "▶️ Let's continue with {title}!",
+    welcomeBack: "▶️ Welcome back to {title}! Let's pick up where you left off.",
+    whichListing: "✏️ Which listing should I change? Send /mylistings and tap Edit, or send /edit followed by the listing's ID.",
+    notFound: "🤔 I couldn't find that listing. Send /mylistings to see your properties! ✨",
+    confirmDelete: ({ title, photoCount }) => {
+      const photos = photoCount > 0 ? ` and its ${photoCount} photo${photoCount === 1 ? '' : 's'}` : '';
+      return `🗑️ Delete <b>${title}</b>${photos}? This can't be undone!`;
+    },
+    deleted: '🗑️ Done! <b>{title}</b> has been deleted.',
+    buttons: {
+      resume: '▶️ Resume #{number}',
+      edit: '✏️ Edit #{number}',
+      delete: '🗑️ Delete #{number}',
+      previous: '⬅️ Previous',
+      next: 'Next ➡️',
+      confirmDelete: '🗑️ Yes, delete it',
+      keep: '🌸 Keep it'
+    }
+  },
+
+  commands: {
+    descriptions: {
+      start: 'Add a new property',
+      cancel: 'Cancel the current listing',
+      back: 'Go back one question',
+      new: 'Park the current draft and add another property',
+      status: 'Show the details collected so far',
+      search: 'Search listings, e.g. /search 2+ bedrooms under 400k',
+      savesearch: 'Get alerts for new listings matching your search',
+      alerts: 'Show and manage your saved searches',
+      unsubscribe: 'Remove a saved search, or all with /unsubscribe all',
+      mute: 'Pause all search alerts',
+      unmute: 'Turn search alerts back on',
+      digest: 'Get new matches once a day: /digest on or off',
+      mylistings: 'Show your listings and drafts',
+      resume: 'Continue a parked draft',
+      edit: 'Change a saved listing',
+      delete: 'Delete a listing',
+      pending: 'Show the listings waiting for approval',
+      approve: 'Approve a listing',
+      reject: 'Reject a listing, with an optional reason',
+      agents: 'Show the agents and admins',
+      allow: 'Add an agent or admin',
+      revoke: 'Remove an agent',
+      language: 'Choose the language I talk in',
+      help: 'Show what I can do'
+    },
+    unknown: "🤔 I don't know that command. Send /help to see what I can do! ✨",
+    help: "✨ Here's what I can do:\n\n{lines}",
+    welcomeBack: "🎀 Welcome back! You already have a listing in progress, so let's pick up where we left off. Send /cancel if you'd rather start over, or /new to park it and add another property! ✨",
+    searchClosed: "🌸 Okay, I've closed the search. Send /search whenever you want to look again! ✨",
+    editStopped: "🌸 Okay, I've stopped editing. Any changes you already made are saved! ✨",
+    cancelled: "🌸 No problem, I've cancelled that listing. Send /start whenever you want to add a property! ✨",
+    atBeginning: "🌸 We're already at the beginning, there's nothing to go back to! ✨",
+    searching: "🔎 You're searching for: {summary}\nReply 'more' for the next results, or send a new search!",
+    searchMode: "🔎 You're in search mode. Tell me what you're looking for, or /cancel to stop!",
+    noListing: "📋 You don't have a listing in progress. Send /start to add a property! ✨",
+    collected: "📋 Here's what I have so far:\n\n{details}",
+    nothingCollected: "📋 I haven't collected any details yet.",
+    photoCount: '\n📸 Photos: {count}'
+  },
+
+  language: {
+    choose: '🌍 Which language should I use? Right now I\'m talking in {current}.\n\nPick one below, or "Automatic" to follow your Telegram app.',
+    automatic: '🌍 Automatic',
+    set: "🎉 Great, from now on I'll talk to you in English!",
+    followingTelegram: "🌍 Got it! I'll follow your Telegram app's language ({current}).",
+    unknown: "🤔 I don't speak that one yet. I can talk in: {languages}"
+  },
+
+  listingPage: {
+    photos: '📸 Photos',
+    condition: '🔍 Condition',
+    notFoundTitle: 'Listing not found',
+    notFound: "🌸 This listing doesn't exist or isn't published anymore."
+  },
+
+  access: {
+    agentsOnly: '🔒 Adding listings is just for our agents! You can still find your dream home with /search 💖\n\nAre you an agent? Ask an admin to add you with <code>/allow {telegramId}</code>',
+    adminsOnly: '🔒 Sorry, only admins can do that!',
+    welcome: "✨ Hi there! I'm Keyly, your friendly property assistant! 🏠\n\nTell me what you're looking for, like /search 2+ bedrooms under 400k, and I'll show you the homes that match! 💖\n\nAre you an agent? Ask an admin to add you with <code>/allow {telegramId}</code>"
+  },
+
+  approval: {
+    request: '🆕 {agent} sent a new listing for approval:\n\n<b>{title}</b>\n{details}\n🆔 <code>{id}</code>',
+    buttons: {
+      approve: '✅ Approve',
+      reject: '🚫 Reject'
+    },
+    usage: '🌸 Tell me which listing, like /{command} <code>id</code>. /pending shows the ones waiting for approval.',
+    notFound: "🤔 I couldn't find a listing with that id.",
+    otherTeam: '🔒 That listing belongs to another team.',
+    notSubmitted: "🌸 That listing is still a draft, there's nothing to approve yet.",
+    alreadyPublished: '✨ That listing is already live!',
+    alreadyRejected: '🚫 That listing was already rejected. To give the agent a reason, send <code>/reject {id} your reason</code>.',
+    approved: '✅ Approved! <b>{title}</b> is live now.',
+    rejected: "🚫 Rejected <b>{title}</b>, I've let the agent know.",
+    rejectedNoReason: "🚫 Rejected <b>{title}</b>, I've let the agent know. To tell them why, send <code>/reject {id} your reason</code>.",
+    agentApproved: '🎉 Great news! <b>{title}</b> was approved and is live now! 🌟{link}',
+    agentRejected: "🌸 <b>{title}</b> wasn't approved this time. Change it with /edit {id} and I'll send it for another look! 💖",
+    agentRejectedReason: "🌸 <b>{title}</b> wasn't approved this time:\n<i>{reason}</i>\n\nChange it with /edit {id} and I'll send it for another look! 💖",
+    none: '🎉 No listings are waiting for approval!',
+    pendingList: '⏳ Listings waiting for approval ({count}):\n\n{lines}'
+  },
+
+  team: {
+    roles: {
+      admin: 'admin',
+      agent: 'agent'
+    },
+    noTeam: 'no team',
+    list: '👥 Team {team}:\n\n{lines}',
+    listAll: '👥 Agents and admins:\n\n{lines}',
+    none: '👥 Nobody is on the list yet. Add an agent with <code>/allow Telegram-ID</code>.',
+    usageAllow: '🌸 Send me their Telegram ID, like <code>/allow 123456789</code>, or <code>/allow 123456789 admin</code> for an admin. Admins without a team can add a team name at the end. Anyone can see their ID by sending me /start.',
+    ownTeamOnly: '🔒 You can only add people to your own team ({team}).',
+    otherTeam: '🔒 <code>{telegramId}</code> belongs to another team.',
+    allowed: '✅ <code>{telegramId}</code> is now an {role} ({team})!',
+    welcome: "🎉 You've been added as an {role} ({team})! Send /start to add your first property 🏠",
+    usageRevoke: '🌸 Send me their Telegram ID, like <code>/revoke 123456789</code>.',
+    notYourself: "🌸 You can't remove yourself.",
+    builtIn: '🔒 <code>{telegramId}</code> is an admin through ADMIN_TELEGRAM_IDS and stays one until removed there.',
+    notFound: "🤔 <code>{telegramId}</code> isn't on the list.",
+    revoked: '🗑️ Done! <code>{telegramId}</code> can no longer add listings. Their listings stay online.'
+  },
+
+  resume: {
+    prompt: "👋 Welcome back! You were in the middle of a listing: <b>{listing}</b>, and we'd got as far as {stage}.\n\nShall we carry on, or start a new one? Your draft stays in /mylistings either way ✨",
+    promptEditing: '👋 Welcome back! You were editing <b>{listing}</b>. Shall we carry on? Everything you changed so far is saved ✨',
+    reminder: "⏰ Just a friendly nudge! Your listing <b>{listing}</b> is still waiting for you, we'd got as far as {stage}.\n\nShall we finish it? 🏠",
+    stages: {
+      description: 'the description',
+      confirmation: 'the summary',
+      images: 'the photos',
+      photoSuggestions: 'the amenities spotted in the photos',
+      seoReview: 'the title and description'
+    },
+    buttons: {
+      continue: '▶️ Carry on',
+      startNew: '🆕 Start a new one',
+      stopEditing: '✋ Stop editing'
+    }
+  }
+};
@@ -0,0 +1,410 @@
+// Spanish messages. Keys missing here fall back to locales/en.js.
+module.exports = {
+  meta: {
+    name: 'Español',
+    englishName: 'Spanish',
+    flag: '🇪🇸',
+    dir: 'ltr'
+  },
+
+  keywords: {
+    yes: ['sí', 'si', 'vale'],
+    no: ['no'],
+    done: ['listo', 'terminado'],
+    edit: ['editar', 'cambiar', 'cambia', 'corregir'],
+    startOver: ['empezar de nuevo', 'desde el principio'],
+    save: ['guardar'],
+    regenerate: ['regenerar', 'otra vez'],
+    add: ['añadir', 'agregar'],
+    skip: ['omitir', 'saltar'],
+    more: ['más', 'mas', 'siguiente'],
+    all: ['todas', 'todo', 'todos'],
+    on: ['activar'],
+    off: ['desactivar'],
+    auto: ['automático', 'automatico']
+  },
+
+  fieldAliases: {
+    address: ['dirección', 'direccion', 'calle', 'ubicación'],
+    zip: ['código postal', 'codigo postal', 'cp'],
+    propertyType: ['tipo de inmueble', 'tipo'],
+    bedrooms: ['dormitorios', 'habitaciones', 'dormitorio', 'habitación'],
+    bathrooms: ['baños', 'banos', 'baño'],
+    size: ['superficie', 'tamaño', 'metros', 'm2'],
+    price: ['precio', 'coste'],
+    amenities: ['características', 'caracteristicas', 'extras', 'comodidades']
+  },
+
+  fields: {
+    address: '🏠 Dirección',
+    zip: '📮 Código postal',
+    propertyType: '🏡 Tipo',
+    bedrooms: '🛏️ Dormitorios',
+    bathrooms: '🚿 Baños',
+    size: '📏 Superficie',
+    price: '💖 Precio',
+    amenities: '✨ Características'
+  },
+
+  propertyTypes: {
+    Apartment: 'Piso',
+    House: 'Casa',
+    Townhouse: 'Adosado',
+    Villa: 'Villa',
+    Penthouse: 'Ático',
+    Studio: 'Estudio',
+    Land: 'Terreno',
+    Commercial: 'Local comercial'
+  },
+
+  units: {
+    sqm: '{value} m²'
+  },
+
+  steps: {
+    address: '🏠 ¿Me dices la dirección del inmueble? 🌟',
+    zip: '🎀 ¡Perfecto! ¡Qué buena ubicación! Ahora, ¿cuál es el código postal? 📮',
+    propertyType: '🏡 ¡Genial! ¿Qué tipo de inmueble es? ¡Elige uno abajo o escríbelo! ✨',
+    bedrooms: '🌈 ¡Estupendo! ¿Cuántos dormitorios tiene este inmueble tan bonito? 🛏️',
+    bathrooms: '🎭 ¡Maravilloso! ¿Y cuántos baños tiene? 🚿',
+    size: '🌺 ¡Fantástico! ¿Cuál es la superficie en metros cuadrados? 📏',
+    price: '✨ ¡Increíble! ¿Cuál es el precio de este inmueble tan bonito? 💖',
+    amenities: '🎪 ¡Genial! Ahora cuéntame qué características especiales hacen único a este inmueble ✨'
+  },
+
+  conversation: {
+    greeting: '✨ ¡Hola! Soy Keyly, tu asistente inmobiliaria. 🏠\n\n¡Vamos a añadir tu fantástico inmueble a nuestra colección!',
+    greetingFresh: '✨ ¡Hola! Soy Keyly, tu asistente inmobiliaria. ¡Empecemos de nuevo! 🏠',
+    startFresh: '🌸 ¡Sin problema! ¡Empecemos de nuevo! 🏠',
+    introConversational: '{greeting}\n\nCuéntame el inmueble con tus propias palabras, por ejemplo: "piso de 3 dormitorios y 2 baños, 95 m², Calle Mayor 12, 28013, 450.000 €, balcón y ascensor". ¡También puedes enviarme un folleto en PDF o una nota de voz! 🌟',
+    introGuided: '{greeting}\n\nPrimero, ¿me dices la dirección del inmueble? ¡También puedes enviarme un folleto en PDF y yo relleno los datos por ti! 🌟',
+    describeAgain: '🌟 Cuéntame el inmueble con tus propias palabras, o envíame un folleto en PDF o una nota de voz.',
+    summary: "🌟 Este es el resumen de este inmueble tan bonito:\n\n{fields}\n\n¿Está todo bien? Toca un botón abajo, o responde 'sí' para confirmar, 'cambiar' y el dato que quieras cambiar (p. ej. 'cambiar precio' o 'cambiar precio 450k'), o 'empezar de nuevo'. 🎀",
+    whichDetail: "🌸 ¡Sin problema! ¿Qué dato cambio? Responde 'cambiar' y uno de estos: {fields} (p. ej. 'cambiar precio'), o 'empezar de nuevo' para volver a empezar. ✏️",
+    askNewValue: '✏️ ¿Cuál es el nuevo valor de {label}?',
+    askNewValueWithCurrent: '✏️ ¡Claro! ¿Cuál es el nuevo valor de {label}? (ahora: {current})',
+    notSet: 'sin indicar',
+    heard: '🎤 He entendido: "{text}"',
+    understood: '🌟 Esto es lo que he entendido:',
+    descriptionUnclear: '🌸 Mmm, no he pillado bien los datos. No pasa nada, ¡vamos paso a paso! 💖',
+    messageDetailsFound: ({ count }) => `🎉 ¡Bien! He sacado ${count} ${count === 1 ? 'dato' : 'datos'} de tu mensaje:`,
+    voiceDetailsFound: ({ count }) => `🎉 ¡Bien! He sacado ${count} ${count === 1 ? 'dato' : 'datos'} de tu nota de voz:`,
+    brochureReading: '📄 ¡Un folleto! Dame un momento para leerlo... ✨',
+    brochureNoText: '🌸 Mmm, no he encontrado texto en ese PDF (¿es un escaneo?). ¡Sigamos como siempre! 💖',
+    brochureNoDetails: '🌸 He leído todo el folleto pero no he encontrado datos del inmueble. ¡Sigamos como siempre! 💖',
+    brochureFound: ({ count }) => `🎉 ¡Bien! He encontrado ${count} ${count === 1 ? 'dato' : 'datos'} en tu folleto:`,
+    confirmed: "🎉 ¡Bien! Ahora vamos a añadir unas fotos bonitas del inmueble. Envíame las imágenes una a una o como álbum, y escribe 'listo' cuando termines. 📸",
+    listingSaved: '🎊 ¡Maravilloso! He guardado todos los datos de tu fantástico inmueble. ¿Quieres añadir otro? ¡Solo dímelo! 🌟',
+    listingLink: '🔗 ¡Ya está publicado en {url}! Compártelo donde quieras 💖',
+    listingSubmitted: '🎊 ¡Maravilloso! He guardado tu fantástico inmueble y se lo he enviado a un administrador para que lo apruebe. ¡Te aviso en cuanto esté publicado! 🌟'
+  },
+
+  photos: {
+    prompt: "🎀 Envíame fotos del inmueble, o escribe 'listo' si ya has terminado. 📸",
+    limitReached: "🌸 Este anuncio ya tiene el máximo de {max} fotos. Escribe 'listo' para continuar ✨",
+    received: '📸 ¡Tengo tus {count} fotos! Dame un momento para verlas...',
+    duplicateSingle: '👯 Esa foto es igual que la #{number}, así que la he omitido.',
+    duplicateInAlbum: '👯 Una foto es igual que la #{number}, así que la he omitido.',
+    weak: '🤔 Foto #{number}: {warnings}. ¡Quizá quieras enviar una mejor!',
+    failed: ({ count }) => count === 1
+      ? '🌈 ¡Vaya! Una foto no ha llegado. ¿Puedes enviarla otra vez? 📸'
+      : `🌈 ¡Vaya! ${count} fotos no han llegado. ¿Puedes enviarlas otra vez? 📸`,
+    overLimit: '🌸 Un anuncio puede tener hasta {max} fotos, así que he dejado fuera las últimas {count}.',
+    addedOne: '🌈 ¡Qué foto tan bonita! {description}',
+    added: ({ count, total }) => `🌈 ¡${count === 1 ? 'He añadido una foto bonita' : `He añadido ${count} fotos bonitas`}! Llevamos ${total}.`,
+    full: "¡No caben más fotos en este anuncio! Escribe 'listo' para continuar ✨",
+    sendMore: "Envía más o escribe 'listo' cuando termines. 📸",
+    check: '📸 Revisión de fotos:\n\n⭐ Foto de portada: #{cover}',
+    condition: '🏚️ Estado: {summary}',
+    checkWarning: '⚠️ Foto #{number}: {warnings}',
+    suggestions: "\n✨ También he visto esto en las fotos: {amenities}\nResponde 'añadir' para sumarlo a las características, u 'omitir'.",
+    suggestionsAgain: "✨ He visto esto en las fotos: {amenities}\nResponde 'añadir' para sumarlo a las características, u 'omitir'.",
+    suggestionsHint: "🎀 Responde 'añadir' para sumar las características sugeridas, u 'omitir' para dejarlas como están. ✨",
+    warningSeparator: ' y ',
+    warnings: {
+      notProperty: 'no se ve el inmueble',
+      blurry: 'está un poco borrosa',
+      dark: 'está bastante oscura'
+    }
+  },
+
+  seo: {
+    writing: '✍️ ¡Ya casi está! Voy a escribir un título y una descripción atractivos para tu anuncio...',
+    regenerating: '🔄 ¡Marchando! Escribiendo una versión nueva... ✍️',
+    failed: "🌸 Vaya, ahora mismo no he podido escribir los textos para buscadores. Responde 'regenerar' para intentarlo de nuevo, o 'guardar' para guardar el anuncio sin ellos.",
+    review: "🔍 Así se verá tu anuncio en los resultados de búsqueda:\n\n<b>{title}</b>\n{description}\n\n🔗 URL: {slug}\n🏷️ Palabras clave: {keywords}\n\nResponde 'guardar' para guardar el anuncio, o 'regenerar' para una versión nueva. ✨",
+    hint: "🎀 Responde 'guardar' para guardar el anuncio, o 'regenerar' para un título y una descripción nuevos. ✨"
+  },
+
+  listingEdit: {
+    intro: '✏️ Vamos a actualizar este anuncio:',
+    current: '✏️ Este es el anuncio que estás editando:',
+    hint: "Toca un dato para cambiarlo, o responde por ejemplo 'cambiar precio 480k'. Responde 'listo' cuando termines. ✨",
+    updated: '✅ ¡{label} actualizado!',
+    resubmitted: '📨 ¡Se lo he enviado a un administrador para que lo revise de nuevo!',
+    done: '🎉 ¡Listo, tu anuncio está al día! Envía /mylistings para ver todos tus inmuebles ✨'
+  },
+
+  validation: {
+    address: '🌸 Mmm, eso no parece una dirección. ¿Me envías la calle y el número, como "Calle Mayor 12"? 🏠',
+    zip: '🌸 Mmm, ese código postal no parece correcto. ¿Puedes enviarlo otra vez? 📮',
+    zipExample: '🌸 Mmm, ese código postal no parece correcto. Debería ser como {example}. ¿Puedes enviarlo otra vez? 📮',
+    bedrooms: '🌸 Mmm, necesito un número entero de dormitorios, como 3 (o 0 para un estudio). ¿Cuántos dormitorios hay? 🛏️',
+    bathrooms: '🌸 Mmm, necesito el número de baños, como 2 o 1,5 con aseo. ¿Cuántos baños hay? 🚿',
+    size: '🌸 Mmm, necesito la superficie en metros cuadrados, como 95. ¿Cuánto mide el inmueble? 📏',
+    price: '🌸 Mmm, necesito el precio como número, por ejemplo 450000, 450.000 € o 450k. ¿Cuál es el precio? 💖',
+    priceTooLow: '🌸 Mmm, ese precio parece muy bajo. ¿Puedes enviarme el precio completo, por ejemplo 450000 o 450k? 💖',
+    propertyType: '🌸 Mmm, no conozco ese tipo de inmueble. ¿Puedes elegir uno de estos: {types}? 🏡',
+    amenities: "🌸 Cuéntame las características especiales, como balcón, ascensor o jardín, o simplemente di 'ninguna'. ✨"
+  },
+
+  media: {
+    pdfFailed: '✨ ¡Vaya! He tenido problemas para leer ese PDF. ¿Puedes enviarlo otra vez? 📄',
+    voiceFailed: '🎀 ¡Ay! No he entendido bien esa nota de voz. ¿Puedes grabarla otra vez? 🎤',
+    imageFailed: '🌈 ¡Vaya! Algo ha fallado con esa foto. ¿Puedes enviarla otra vez? 📸'
+  },
+
+  buttons: {
+    confirm: '✅ Sí, está bien',
+    startOver: '🔄 Empezar de nuevo',
+    done: '✅ Listo, eso es todo',
+    addSuggestions: '➕ Añadirlas',
+    skip: '⏭️ Omitir',
+    moreResults: 'Más resultados ➡️',
+    saveListing: '💾 Guardar anuncio',
+    regenerate: '🔄 Regenerar',
+    studio: 'Estudio',
+    alertMe: '🔔 Avísame de nuevos resultados'
+  },
+
+  errors: {
+    settingUp: '✨ ¡Hola! Soy Keyly, tu asistente inmobiliaria. Estoy preparando mi espacio de trabajo para ti. ¡Dame un momento! 🎀',
+    connection: '🌟 ¡Vaya! Tengo un pequeño problema de conexión. ¡Lo arreglo enseguida! ✨',
+    wonky: '🎈 ¡Oh, no! Algo ha salido mal. ¿Lo intentamos otra vez? 🌈',
+    buttonExpired: '⌛ Ese botón ha caducado, usa el mensaje más reciente.'
+  },
+
+  jobs: {
+    labels: {
+      photos: 'tus {count} fotos',
+      photo: 'tu foto',
+      album: 'tus fotos',
+      voiceNote: 'tu nota de voz',
+      brochure: 'tu folleto',
+      file: 'tu archivo'
+    },
+    processing: '⏳ ¡Recibido: {label}! Procesando…',
+    done: '✅ ¡Procesado: {label}!',
+    retrying: '⏳ Sigo trabajando en {label}, lo intento de nuevo en un momento…',
+    failed: '😔 Lo siento, no he podido procesar {label}. ¿Puedes enviarlo otra vez?'
+  },
+
+  search: {
+    prompt: '🔎 Dime qué buscas, p. ej. "2 o más dormitorios por menos de 400k en 28013 con balcón". ✨',
+    parseFailed: '🌸 Vaya, ahora mismo no he entendido esa búsqueda. ¿Puedes decirlo de otra forma?',
+    noMatches: '😔 Todavía no hay nada para {summary}. Prueba una búsqueda más amplia, o toca abajo y te aviso cuando aparezca algo. ✨',
+    noMatchesAll: '😔 Todavía no hay nada que encaje. Prueba una búsqueda más amplia, o toca abajo y te aviso cuando aparezca algo. ✨',
+    found: ({ count, summary }) => `🏡 He encontrado ${count === 1 ? '1 inmueble' : `${count} inmuebles`} para ${summary}:`,
+    foundAll: ({ count }) => `🏡 ${count === 1 ? 'Este es el único inmueble' : `Estos son los ${count} inmuebles`} que tenemos:`,
+    showing: 'Mostrando {from}-{to} de {total}. Toca abajo para ver más, o envíame una búsqueda nueva. 🔎',
+    everything: '✨ ¡Eso es todo! Envíame otra búsqueda cuando quieras, o /cancel para dejar de buscar.',
+    seenAll: '✨ ¡Ya has visto todos los resultados! Envíame otra búsqueda cuando quieras, o /cancel para dejar de buscar.',
+    untitled: 'Inmueble',
+    upTo: 'hasta {max}'
+  },
+
+  alerts: {
+    instant: '⚡ al instante',
+    daily: '📬 resumen diario',
+    allListings: 'todos los anuncios nuevos',
+    noSearchYet: "🔔 Haz primero una /search y toca 'Avísame' para recibir un mensaje cada vez que un inmueble nuevo encaje. ✨",
+    alreadySaved: '🔔 ¡Ya recibes avisos de esta búsqueda! Puedes verlos todos con /alerts.',
+    tooMany: '🌸 Ya tienes {max} búsquedas guardadas, el máximo que puedo guardar. ¡Elimina una en /alerts primero!',
+    savedMuted: '🔔 ¡He guardado tu búsqueda de {summary}! Tus avisos están silenciados ahora mismo, envía /unmute para activarlos.',
+    saved: '🔔 ¡Guardada! Te escribiré en cuanto un inmueble nuevo encaje con {summary}. Gestiona tus avisos con /alerts ✨',
+    none: "🔕 Todavía no tienes búsquedas guardadas. ¡Haz una /search y toca 'Avísame' para guardar una! ✨",
+    list: '🔔 Tus búsquedas guardadas:\n\n{lines}',
+    listMuted: '🔔 Tus búsquedas guardadas (🔕 silenciadas):\n\n{lines}',
+    removedAll: '🔕 ¡Hecho! He eliminado todas tus búsquedas guardadas. No recibirás más avisos.',
+    notFound: '🤔 No he encontrado esa búsqueda guardada. Envía /alerts para ver las tuyas, o /unsubscribe todas para eliminarlas todas.',
+    notFoundShort: '🤔 No he encontrado esa búsqueda guardada. ¡Envía /alerts para ver las tuyas!',
+    removed: '🗑️ ¡Hecho! No más avisos para {summary}.',
+    nothingToMute: '🔕 No tienes búsquedas guardadas, ¡así que no hay nada que silenciar!',
+    muted: '🔕 ¡Avisos silenciados! Tus búsquedas guardadas se mantienen, envía /unmute cuando quieras volver a recibir novedades.',
+    unmuted: '🔔 ¡Los avisos vuelven a estar activos! Te avisaré de los nuevos resultados.',
+    digestUsage: '📬 Envía /digest activar para recibir un mensaje al día con todos los resultados nuevos, o /digest desactivar para avisos al instante.',
+    digestOn: '📬 ¡Entendido! Los resultados nuevos llegarán en un mensaje al día. Envía /digest desactivar para recibirlos al instante otra vez.',
+    digestOff: '⚡ ¡Entendido! Te avisaré de los resultados nuevos al momento.',
+    newMatch: '🔔 ¡Un inmueble nuevo encaja con tu búsqueda de {summary}!',
+    digest: ({ count }) => `📬 Tu resumen diario: ¡${count === 1 ? '1 inmueble nuevo encaja' : `${count} inmuebles nuevos encajan`} con tus búsquedas guardadas!`,
+    digestMore: '✨ ...¡y {count} más! Envía /search para verlos todos.',
+    buttons: {
+      dailyInstead: '📬 Mejor un resumen diario',
+      daily: '📬 Resumen diario',
+      dailyNumber: '📬 Diario #{number}',
+      instantNumber: '⚡ Al instante #{number}',
+      removeNumber: '🗑️ Eliminar #{number}',
+      mute: '🔕 Silenciar avisos',
+      unmute: '🔔 Activar avisos'
+    }
+  },
+
+  listings: {
+    untitled: 'Anuncio sin título',
+    published: '✅ publicado',
+    draft: '📝 borrador',
+    draftInProgress: '📝 borrador, en curso',
+    pending: '⏳ esperando aprobación',
+    rejected: '🚫 no aprobado',
+    reviewNote: '📝 {note}',
+    none: '📭 Todavía no tienes anuncios. ¡Envía /start para añadir tu primer inmueble! ✨',
+    page: '🏘️ Tus anuncios (página {page} de {pageCount}):\n\n{lines}',
+    parked: '📌 He aparcado tu borrador actual, puedes retomarlo desde /mylistings.',
+    parkedNew: '📌 He aparcado tu borrador actual, puedes retomarlo desde /mylistings.\n\n🏠 ¡Vamos a añadir otro inmueble!',
+    new: '✨ ¡Vamos a añadir un inmueble nuevo! 🏠',
+    draftNotFound: '🤔 No he encontrado ese borrador. ¡Envía /mylistings para ver tus borradores y toca Retomar! ✨',
+    alreadyEditing: '🎀 ¡Ya estás trabajando en este!',
+    continue: '▶️ ¡Sigamos con {title}!',
+    welcomeBack: '▶️ ¡Bienvenido de nuevo a {title}! Sigamos donde lo dejaste.',
+    whichListing: '✏️ ¿Qué anuncio cambio? Envía /mylistings y toca Editar, o envía /edit seguido del ID del anuncio.',
+    notFound: '🤔 No he encontrado ese anuncio. ¡Envía /mylistings para ver tus inmuebles! ✨',
+    confirmDelete: ({ title, photoCount }) => {
+      const photos = photoCount > 0 ? ` y ${photoCount === 1 ? 'su foto' : `sus ${photoCount} fotos`}` : '';
+      return `🗑️ ¿Eliminar <b>${title}</b>${photos}? ¡No se puede deshacer!`;
+    },
+    deleted: '🗑️ ¡Hecho! <b>{title}</b> se ha eliminado.',
+    buttons: {
+      resume: '▶️ Retomar #{number}',
+      edit: '✏️ Editar #{number}',
+      delete: '🗑️ Eliminar #{number}',
+      previous: '⬅️ Anterior',
+      next: 'Siguiente ➡️',
+      confirmDelete: '🗑️ Sí, eliminarlo',
+      keep: '🌸 Conservarlo'
+    }
+  },
+
+  commands: {
+    descriptions: {
+      start: 'Añadir un inmueble nuevo',
+      cancel: 'Cancelar el anuncio actual',
+      back: 'Volver a la pregunta anterior',
+      new: 'Aparcar el borrador actual y añadir otro inmueble',
+      status: 'Ver los datos recogidos hasta ahora',
+      search: 'Buscar anuncios, p. ej. /search 2+ dormitorios por menos de 400k',
+      savesearch: 'Recibir avisos de anuncios nuevos que encajen con tu búsqueda',
+      alerts: 'Ver y gestionar tus búsquedas guardadas',
+      unsubscribe: 'Eliminar una búsqueda guardada, o todas con /unsubscribe todas',
+      mute: 'Pausar todos los avisos de búsqueda',
+      unmute: 'Volver a activar los avisos de búsqueda',
+      digest: 'Recibir resultados nuevos una vez al día: /digest activar o desactivar',
+      mylistings: 'Ver tus anuncios y borradores',
+      resume: 'Retomar un borrador aparcado',
+      edit: 'Cambiar un anuncio guardado',
+      delete: 'Eliminar un anuncio',
+      pending: 'Ver los anuncios pendientes de aprobación',
+      approve: 'Aprobar un anuncio',
+      reject: 'Rechazar un anuncio, con un motivo opcional',
+      agents: 'Ver los agentes y administradores',
+      allow: 'Añadir un agente o administrador',
+      revoke: 'Quitar a un agente',
+      language: 'Elegir el idioma en el que hablo',
+      help: 'Ver lo que puedo hacer'
+    },
+    unknown: '🤔 No conozco ese comando. ¡Envía /help para ver lo que puedo hacer! ✨',
+    help: '✨ Esto es lo que puedo hacer:\n\n{lines}',
+    welcomeBack: '🎀 ¡Bienvenido de nuevo! Ya tienes un anuncio en curso, así que sigamos donde lo dejamos. Envía /cancel si prefieres empezar de nuevo, o /new para aparcarlo y añadir otro inmueble. ✨',
+    searchClosed: '🌸 Vale, he cerrado la búsqueda. ¡Envía /search cuando quieras volver a buscar! ✨',
+    editStopped: '🌸 Vale, he dejado de editar. ¡Los cambios que ya hiciste están guardados! ✨',
+    cancelled: '🌸 Sin problema, he cancelado ese anuncio. ¡Envía /start cuando quieras añadir un inmueble! ✨',
+    atBeginning: '🌸 Ya estamos al principio, ¡no hay nada a lo que volver! ✨',
+    searching: "🔎 Estás buscando: {summary}\nResponde 'más' para ver los siguientes resultados, o envía una búsqueda nueva.",
+    searchMode: '🔎 Estás en modo búsqueda. Dime qué buscas, o /cancel para parar.',
+    noListing: '📋 No tienes ningún anuncio en curso. ¡Envía /start para añadir un inmueble! ✨',
+    collected: '📋 Esto es lo que tengo hasta ahora:\n\n{details}',
+    nothingCollected: '📋 Todavía no he recogido ningún dato.',
+    photoCount: '\n📸 Fotos: {count}'
+  },
+
+  language: {
+    choose: '🌍 ¿Qué idioma uso? Ahora mismo hablo en {current}.\n\nElige uno abajo, o "Automático" para seguir el idioma de tu app de Telegram.',
+    automatic: '🌍 Automático',
+    set: '🎉 ¡Genial, a partir de ahora te hablaré en español!',
+    followingTelegram: '🌍 ¡Entendido! Seguiré el idioma de tu app de Telegram ({current}).',
+    unknown: '🤔 Ese idioma todavía no lo hablo. Puedo hablar en: {languages}'
+  },
+
+  listingPage: {
+    photos: '📸 Fotos',
+    condition: '🔍 Estado',
+    notFoundTitle: 'Anuncio no encontrado',
+    notFound: '🌸 Este anuncio no existe o ya no está publicado.'
+  },
+
+  access: {
+    agentsOnly: '🔒 ¡Solo nuestros agentes pueden añadir anuncios! Aun así puedes encontrar la casa de tus sueños con /search 💖\n\n¿Eres agente? Pide a un administrador que te añada con <code>/allow {telegramId}</code>',
+    adminsOnly: '🔒 ¡Lo siento, eso solo lo pueden hacer los administradores!',
+    welcome: '✨ ¡Hola! Soy Keyly, tu asistente inmobiliaria. 🏠\n\nDime qué buscas, p. ej. /search 2+ dormitorios por menos de 400k, ¡y te enseño las viviendas que encajan! 💖\n\n¿Eres agente? Pide a un administrador que te añada con <code>/allow {telegramId}</code>'
+  },
+
+  approval: {
+    request: '🆕 {agent} ha enviado un anuncio nuevo para aprobar:\n\n<b>{title}</b>\n{details}\n🆔 <code>{id}</code>',
+    buttons: {
+      approve: '✅ Aprobar',
+      reject: '🚫 Rechazar'
+    },
+    usage: '🌸 Dime qué anuncio, por ejemplo /{command} <code>id</code>. /pending muestra los que esperan aprobación.',
+    notFound: '🤔 No he encontrado ningún anuncio con ese id.',
+    otherTeam: '🔒 Ese anuncio pertenece a otro equipo.',
+    notSubmitted: '🌸 Ese anuncio todavía es un borrador, aún no hay nada que aprobar.',
+    alreadyPublished: '✨ ¡Ese anuncio ya está publicado!',
+    alreadyRejected: '🚫 Ese anuncio ya fue rechazado. Para darle un motivo al agente, envía <code>/reject {id} tu motivo</code>.',
+    approved: '✅ ¡Aprobado! <b>{title}</b> ya está publicado.',
+    rejected: '🚫 <b>{title}</b> rechazado, ya se lo he dicho al agente.',
+    rejectedNoReason: '🚫 <b>{title}</b> rechazado, ya se lo he dicho al agente. Para explicarle por qué, envía <code>/reject {id} tu motivo</code>.',
+    agentApproved: '🎉 ¡Buenas noticias! ¡<b>{title}</b> ha sido aprobado y ya está publicado! 🌟{link}',
+    agentRejected: '🌸 Esta vez <b>{title}</b> no ha sido aprobado. ¡Cámbialo con /edit {id} y lo enviaré a revisar de nuevo! 💖',
+    agentRejectedReason: '🌸 Esta vez <b>{title}</b> no ha sido aprobado:\n<i>{reason}</i>\n\n¡Cámbialo con /edit {id} y lo enviaré a revisar de nuevo! 💖',
+    none: '🎉 ¡No hay anuncios esperando aprobación!',
+    pendingList: '⏳ Anuncios pendientes de aprobación ({count}):\n\n{lines}'
+  },
+
+  team: {
+    roles: {
+      admin: 'administrador',
+      agent: 'agente'
+    },
+    noTeam: 'sin equipo',
+    list: '👥 Equipo {team}:\n\n{lines}',
+    listAll: '👥 Agentes y administradores:\n\n{lines}',
+    none: '👥 Todavía no hay nadie en la lista. Añade un agente con <code>/allow ID-de-Telegram</code>.',
+    usageAllow: '🌸 Envíame su ID de Telegram, por ejemplo <code>/allow 123456789</code>, o <code>/allow 123456789 admin</code> para un administrador. Los administradores sin equipo pueden añadir un nombre de equipo al final. Cualquiera puede ver su ID enviándome /start.',
+    ownTeamOnly: '🔒 Solo puedes añadir personas a tu propio equipo ({team}).',
+    otherTeam: '🔒 <code>{telegramId}</code> pertenece a otro equipo.',
+    allowed: '✅ ¡<code>{telegramId}</code> ahora es {role} ({team})!',
+    welcome: '🎉 ¡Te han añadido como {role} ({team})! Envía /start para añadir tu primer inmueble 🏠',
+    usageRevoke: '🌸 Envíame su ID de Telegram, por ejemplo <code>/revoke 123456789</code>.',
+    notYourself: '🌸 No puedes quitarte a ti mismo.',
+    builtIn: '🔒 <code>{telegramId}</code> es administrador por ADMIN_TELEGRAM_IDS y lo seguirá siendo hasta que se quite de ahí.',
+    notFound: '🤔 <code>{telegramId}</code> no está en la lista.',
+    revoked: '🗑️ ¡Hecho! <code>{telegramId}</code> ya no puede añadir anuncios. Sus anuncios siguen publicados.'
+  },
+
+  resume: {
+    prompt: '👋 ¡Hola de nuevo! Estabas a mitad de un anuncio: <b>{listing}</b>, e íbamos por {stage}.\n\n¿Seguimos, o empiezas uno nuevo? Tu borrador se queda en /mylistings en cualquier caso ✨',
+    promptEditing: '👋 ¡Hola de nuevo! Estabas editando <b>{listing}</b>. ¿Seguimos? Todos los cambios que hiciste ya están guardados ✨',
+    reminder: '⏰ ¡Un recordatorio amistoso! Tu anuncio <b>{listing}</b> sigue esperándote, íbamos por {stage}.\n\n¿Lo terminamos? 🏠',
+    stages: {
+      description: 'la descripción',
+      confirmation: 'el resumen',
+      images: 'las fotos',
+      photoSuggestions: 'las comodidades vistas en las fotos',
+      seoReview: 'el título y la descripción'
+    },
+    buttons: {
+      continue: '▶️ Seguir',
+      startNew: '🆕 Empezar uno nuevo',
+      stopEditing: '✋ Dejar de editar'
+    }
+  }
+};
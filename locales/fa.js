@@ -0,0 +1,410 @@
+// Persian (Farsi) messages. Keys missing here fall back to locales/en.js.
+module.exports = {
+  meta: {
+    name: 'فارسی',
+    englishName: 'Persian',
+    flag: '🇮🇷',
+    dir: 'rtl'
+  },
+
+  keywords: {
+    yes: ['بله', 'آره', 'درسته'],
+    no: ['نه', 'خیر'],
+    done: ['تمام', 'تموم', 'کافیه'],
+    edit: ['ویرایش', 'تغییر', 'اصلاح'],
+    startOver: ['از اول', 'شروع دوباره'],
+    save: ['ذخیره'],
+    regenerate: ['دوباره بنویس', 'دوباره'],
+    add: ['اضافه کن', 'اضافه'],
+    skip: ['رد کن', 'رد'],
+    more: ['بیشتر', 'بعدی'],
+    all: ['همه'],
+    on: ['روشن'],
+    off: ['خاموش'],
+    auto: ['خودکار']
+  },
+
+  fieldAliases: {
+    address: ['آدرس', 'نشانی', 'خیابان'],
+    zip: ['کد پستی'],
+    propertyType: ['نوع ملک', 'نوع'],
+    bedrooms: ['اتاق خواب', 'خواب', 'اتاق'],
+    bathrooms: ['حمام', 'سرویس بهداشتی'],
+    size: ['متراژ', 'مساحت', 'متر'],
+    price: ['قیمت'],
+    amenities: ['امکانات', 'ویژگی‌ها']
+  },
+
+  fields: {
+    address: '🏠 آدرس',
+    zip: '📮 کد پستی',
+    propertyType: '🏡 نوع ملک',
+    bedrooms: '🛏️ اتاق خواب',
+    bathrooms: '🚿 حمام',
+    size: '📏 متراژ',
+    price: '💖 قیمت',
+    amenities: '✨ امکانات'
+  },
+
+  propertyTypes: {
+    Apartment: 'آپارتمان',
+    House: 'خانه',
+    Townhouse: 'تاون‌هاوس',
+    Villa: 'ویلا',
+    Penthouse: 'پنت‌هاوس',
+    Studio: 'استودیو',
+    Land: 'زمین',
+    Commercial: 'تجاری'
+  },
+
+  units: {
+    sqm: '{value} متر مربع'
+  },
+
+  steps: {
+    address: '🏠 لطفاً آدرس ملک را برایم بفرستید 🌟',
+    zip: '🎀 عالی! چه موقعیت خوبی! حالا کد پستی را می‌گویید؟ 📮',
+    propertyType: '🏡 چه خوب! ملک از چه نوعی است؟ یکی را از پایین انتخاب کنید یا فقط بنویسید! ✨',
+    bedrooms: '🌈 عالی! این ملک دوست‌داشتنی چند اتاق خواب دارد؟ 🛏️',
+    bathrooms: '🎭 فوق‌العاده! و چند حمام دارد؟ 🚿',
+    size: '🌺 محشر! متراژ ملک چند متر مربع است؟ 📏',
+    price: '✨ عالی! قیمت این ملک زیبا چقدر است؟ 💖',
+    amenities: '🎪 خیلی خوب! حالا از امکانات و ویژگی‌های خاصی بگویید که این ملک را منحصربه‌فرد می‌کند! ✨'
+  },
+
+  conversation: {
+    greeting: '✨ سلام! من کیلی هستم، دستیار املاک شما! 🏠\n\nبیایید ملک فوق‌العاده‌تان را به مجموعه‌مان اضافه کنیم!',
+    greetingFresh: '✨ سلام! من کیلی هستم، دستیار املاک شما! بیایید از نو شروع کنیم! 🏠',
+    startFresh: '🌸 هیچ مشکلی نیست! بیایید از نو شروع کنیم! 🏠',
+    introConversational: '{greeting}\n\nفقط با زبان خودتان درباره ملک بگویید، مثلاً: «آپارتمان ۳ خوابه، ۲ حمام، ۹۵ متر، خیابان ولیعصر ۱۲، ۸ میلیارد تومان، بالکن و آسانسور». می‌توانید یک بروشور PDF یا پیام صوتی هم بفرستید! 🌟',
+    introGuided: '{greeting}\n\nاول، آدرس ملک را برایم می‌فرستید؟ می‌توانید یک بروشور PDF هم بفرستید تا جزئیات را خودم پر کنم! 🌟',
+    describeAgain: '🌟 فقط با زبان خودتان درباره ملک بگویید، یا یک بروشور PDF یا پیام صوتی بفرستید!',
+    summary: "🌟 این خلاصه‌ی این ملک فوق‌العاده است:\n\n{fields}\n\nهمه‌چیز درست است؟ یکی از دکمه‌های پایین را بزنید، یا برای تأیید «بله» بنویسید، برای تغییر یک مورد «ویرایش» و نام آن را (مثلاً «ویرایش قیمت» یا «ویرایش قیمت 450k»)، یا «از اول»! 🎀",
+    whichDetail: '🌸 مشکلی نیست! کدام مورد را تغییر دهم؟ «ویرایش» و یکی از این‌ها را بنویسید: {fields} (مثلاً «ویرایش قیمت»)، یا «از اول» برای شروع دوباره! ✏️',
+    askNewValue: '✏️ مقدار جدید {label} چه باشد؟',
+    askNewValueWithCurrent: '✏️ حتماً! مقدار جدید {label} چه باشد؟ (الان: {current})',
+    notSet: 'وارد نشده',
+    heard: '🎤 شنیدم: «{text}»',
+    understood: '🌟 این‌ها را متوجه شدم:',
+    descriptionUnclear: '🌸 اوه، جزئیات را کامل متوجه نشدم. اشکالی ندارد، قدم‌به‌قدم پیش می‌رویم! 💖',
+    messageDetailsFound: ({ count }) => `🎉 هورا! ${count} مورد از پیام شما برداشتم:`,
+    voiceDetailsFound: ({ count }) => `🎉 هورا! ${count} مورد از پیام صوتی شما برداشتم:`,
+    brochureReading: '📄 اوه، یک بروشور! یک لحظه صبر کنید تا بخوانمش... ✨',
+    brochureNoText: '🌸 در این PDF متنی پیدا نکردم (اسکن است؟). بیایید به روش معمول ادامه دهیم! 💖',
+    brochureNoDetails: '🌸 کل بروشور را خواندم اما اطلاعاتی درباره ملک پیدا نکردم. بیایید به روش معمول ادامه دهیم! 💖',
+    brochureFound: ({ count }) => `🎉 هورا! ${count} مورد در بروشور شما پیدا کردم:`,
+    confirmed: '🎉 هورا! حالا چند عکس زیبا از ملک اضافه کنیم! عکس‌ها را تک‌تک یا به‌صورت آلبوم بفرستید و وقتی تمام شد «تمام» بنویسید! 📸',
+    listingSaved: '🎊 فوق‌العاده! همه‌ی جزئیات ملک شما را ذخیره کردم! ملک دیگری هم دارید؟ کافی است بگویید! 🌟',
+    listingLink: '🔗 آگهی شما در {url} منتشر شد - هر جا خواستید به اشتراک بگذارید! 💖',
+    listingSubmitted: '🎊 عالی است! ملک فوق‌العاده‌تان را ذخیره کردم و برای تأیید به یک مدیر فرستادم. به محض انتشار به شما خبر می‌دهم! 🌟'
+  },
+
+  photos: {
+    prompt: '🎀 لطفاً عکس‌های ملک را بفرستید، یا اگر تمام شد «تمام» بنویسید! 📸',
+    limitReached: '🌸 این آگهی به سقف {max} عکس رسیده است! برای ادامه «تمام» بنویسید ✨',
+    received: '📸 {count} عکس شما رسید! یک لحظه صبر کنید تا نگاهشان کنم...',
+    duplicateSingle: '👯 این عکس مثل عکس #{number} است، برای همین ردش کردم.',
+    duplicateInAlbum: '👯 یکی از عکس‌ها مثل عکس #{number} است، برای همین ردش کردم.',
+    weak: '🤔 عکس #{number}: {warnings}. شاید بخواهید عکس بهتری بفرستید!',
+    failed: ({ count }) => count === 1
+      ? '🌈 اوه! یک عکس نرسید. می‌شود دوباره بفرستید؟ 📸'
+      : `🌈 اوه! ${count} عکس نرسید. می‌شود دوباره بفرستید؟ 📸`,
+    overLimit: '🌸 هر آگهی حداکثر {max} عکس می‌تواند داشته باشد، برای همین {count} عکس آخر را کنار گذاشتم.',
+    addedOne: '🌈 چه عکس زیبایی! {description}',
+    added: ({ count, total }) => `🌈 ${count === 1 ? 'یک عکس زیبا' : `${count} عکس زیبا`} اضافه شد! تا الان ${total} عکس.`,
+    full: 'این آگهی عکس بیشتری جا ندارد! برای ادامه «تمام» بنویسید ✨',
+    sendMore: 'عکس‌های بیشتری بفرستید یا وقتی تمام شد «تمام» بنویسید! 📸',
+    check: '📸 بررسی عکس‌ها:\n\n⭐ عکس اصلی: #{cover}',
+    condition: '🏚️ وضعیت: {summary}',
+    checkWarning: '⚠️ عکس #{number}: {warnings}',
+    suggestions: '\n✨ این‌ها را هم در عکس‌ها دیدم: {amenities}\nبرای افزودن به امکانات «اضافه» بنویسید، یا «رد»!',
+    suggestionsAgain: '✨ این‌ها را در عکس‌ها دیدم: {amenities}\nبرای افزودن به امکانات «اضافه» بنویسید، یا «رد»!',
+    suggestionsHint: '🎀 برای افزودن امکانات پیشنهادی «اضافه» بنویسید، یا «رد» تا همان‌طور بمانند! ✨',
+    warningSeparator: ' و ',
+    warnings: {
+      notProperty: 'ملک در آن دیده نمی‌شود',
+      blurry: 'کمی تار است',
+      dark: 'خیلی تاریک است'
+    }
+  },
+
+  seo: {
+    writing: '✍️ تقریباً تمام است! بگذارید یک عنوان و توضیح جذاب برای آگهی‌تان بنویسم...',
+    regenerating: '🔄 الان یک نسخه‌ی تازه می‌نویسم... ✍️',
+    failed: '🌸 اوه، الان نتوانستم متن‌های جستجو را بنویسم. برای تلاش دوباره «دوباره» بنویسید، یا «ذخیره» تا آگهی بدون آن‌ها ذخیره شود!',
+    review: '🔍 آگهی شما در نتایج جستجو این‌طور دیده می‌شود:\n\n<b>{title}</b>\n{description}\n\n🔗 آدرس: {slug}\n🏷️ کلیدواژه‌ها: {keywords}\n\nبرای ذخیره‌ی آگهی «ذخیره» بنویسید، یا «دوباره» برای نسخه‌ی تازه! ✨',
+    hint: '🎀 برای ذخیره‌ی آگهی «ذخیره» بنویسید، یا «دوباره» برای عنوان و توضیح تازه! ✨'
+  },
+
+  listingEdit: {
+    intro: '✏️ بیایید این آگهی را به‌روز کنیم:',
+    current: '✏️ این آگهی‌ای است که دارید ویرایش می‌کنید:',
+    hint: 'برای تغییر، روی یک مورد بزنید یا مثلاً بنویسید «ویرایش قیمت 480k». وقتی تمام شد «تمام» بنویسید! ✨',
+    updated: '✅ {label} به‌روز شد!',
+    resubmitted: '📨 دوباره برای بررسی به یک مدیر فرستادم!',
+    done: '🎉 تمام شد، آگهی شما به‌روز است! برای دیدن همه‌ی ملک‌هایتان /mylistings را بفرستید ✨'
+  },
+
+  validation: {
+    address: '🌸 این شبیه آدرس نیست. می‌شود خیابان و پلاک را بفرستید، مثلاً «خیابان ولیعصر ۱۲»؟ 🏠',
+    zip: '🌸 این کد پستی درست به نظر نمی‌رسد. می‌شود دوباره بفرستید؟ 📮',
+    zipExample: '🌸 این کد پستی درست به نظر نمی‌رسد. باید شبیه {example} باشد. می‌شود دوباره بفرستید؟ 📮',
+    bedrooms: '🌸 تعداد اتاق خواب باید یک عدد صحیح باشد، مثلاً ۳ (یا ۰ برای استودیو). چند اتاق خواب دارد؟ 🛏️',
+    bathrooms: '🌸 تعداد حمام را به عدد لازم دارم، مثلاً ۲ یا ۱.۵ با سرویس مهمان. چند حمام دارد؟ 🚿',
+    size: '🌸 متراژ را به متر مربع لازم دارم، مثلاً ۹۵. ملک چند متر است؟ 📏',
+    price: '🌸 قیمت را به عدد لازم دارم، مثلاً 450000، ۴۵۰ هزار یا 450k. قیمت چقدر است؟ 💖',
+    priceTooLow: '🌸 این قیمت خیلی پایین به نظر می‌رسد. لطفاً قیمت کامل را بفرستید، مثلاً 450000 یا 450k. 💖',
+    propertyType: '🌸 این نوع ملک را نمی‌شناسم. می‌شود یکی از این‌ها را انتخاب کنید: {types}؟ 🏡',
+    amenities: '🌸 از امکانات خاص مثل بالکن، آسانسور یا حیاط بگویید، یا فقط بنویسید «هیچ»! ✨'
+  },
+
+  media: {
+    pdfFailed: '✨ اوه! در خواندن این PDF مشکلی پیش آمد. می‌شود دوباره بفرستید؟ 📄',
+    voiceFailed: '🎀 ای وای! این پیام صوتی را درست متوجه نشدم. می‌شود دوباره ضبطش کنید؟ 🎤',
+    imageFailed: '🌈 اوه! با این عکس مشکلی پیش آمد. می‌شود دوباره بفرستید؟ 📸'
+  },
+
+  buttons: {
+    confirm: '✅ بله، درست است',
+    startOver: '🔄 از اول',
+    done: '✅ تمام، همین بود',
+    addSuggestions: '➕ اضافه کن',
+    skip: '⏭️ رد کن',
+    moreResults: 'نتایج بیشتر ⬅️',
+    saveListing: '💾 ذخیره‌ی آگهی',
+    regenerate: '🔄 نسخه‌ی تازه',
+    studio: 'استودیو',
+    alertMe: '🔔 از موارد جدید خبرم کن'
+  },
+
+  errors: {
+    settingUp: '✨ سلام! من کیلی هستم، دستیار املاک شما! دارم محیط کارم را برایتان آماده می‌کنم. یک لحظه صبر کنید! 🎀',
+    connection: '🌟 اوه! در اتصال کمی مشکل دارم. همین الان درستش می‌کنم! ✨',
+    wonky: '🎈 ای وای! مشکلی پیش آمد. بیایید دوباره امتحان کنیم! 🌈',
+    buttonExpired: '⌛ این دکمه منقضی شده است، لطفاً از آخرین پیام استفاده کنید!'
+  },
+
+  jobs: {
+    labels: {
+      photos: '{count} عکس',
+      photo: 'عکس',
+      album: 'عکس‌ها',
+      voiceNote: 'پیام صوتی',
+      brochure: 'بروشور',
+      file: 'فایل'
+    },
+    processing: '⏳ {label} شما رسید! در حال پردازش…',
+    done: '✅ {label} شما پردازش شد!',
+    retrying: '⏳ هنوز روی {label} شما کار می‌کنم، چند لحظه دیگر دوباره امتحان می‌کنم…',
+    failed: '😔 متأسفم، نتوانستم {label} شما را پردازش کنم. می‌شود دوباره بفرستید؟'
+  },
+
+  search: {
+    prompt: '🔎 بگویید دنبال چه هستید، مثلاً «حداقل ۲ خواب زیر ۸ میلیارد با بالکن»! ✨',
+    parseFailed: '🌸 اوه، الان این جستجو را متوجه نشدم. می‌شود جور دیگری بنویسید؟',
+    noMatches: '😔 هنوز چیزی با {summary} جور نیست. جستجوی گسترده‌تری امتحان کنید، یا دکمه‌ی پایین را بزنید تا هر وقت چیزی آمد خبرتان کنم! ✨',
+    noMatchesAll: '😔 هنوز چیزی جور نیست. جستجوی گسترده‌تری امتحان کنید، یا دکمه‌ی پایین را بزنید تا هر وقت چیزی آمد خبرتان کنم! ✨',
+    found: ({ count, summary }) => `🏡 ${count} ملک برای ${summary} پیدا کردم:`,
+    foundAll: ({ count }) => `🏡 این ${count === 1 ? 'تنها ملکی است' : `${count} ملکی است`} که داریم:`,
+    showing: 'نمایش {from} تا {to} از {total}. برای موارد بیشتر دکمه‌ی پایین را بزنید، یا جستجوی تازه‌ای بفرستید! 🔎',
+    everything: '✨ همین بود! هر وقت خواستید جستجوی دیگری بفرستید، یا /cancel برای پایان جستجو.',
+    seenAll: '✨ همه‌ی نتایج را دیدید! هر وقت خواستید جستجوی دیگری بفرستید، یا /cancel برای پایان جستجو.',
+    untitled: 'ملک',
+    upTo: 'تا {max}'
+  },
+
+  alerts: {
+    instant: '⚡ فوری',
+    daily: '📬 خلاصه‌ی روزانه',
+    allListings: 'همه‌ی آگهی‌های جدید',
+    noSearchYet: '🔔 اول یک /search انجام دهید، بعد «خبرم کن» را بزنید تا هر بار ملک جدیدی جور شد پیام بگیرید! ✨',
+    alreadySaved: '🔔 برای این جستجو از قبل هشدار می‌گیرید! همه را با /alerts ببینید.',
+    tooMany: '🌸 شما الان {max} جستجوی ذخیره‌شده دارید، بیشتر از این نمی‌توانم نگه دارم. اول یکی را در /alerts حذف کنید!',
+    savedMuted: '🔔 جستجوی شما برای {summary} ذخیره شد! هشدارهایتان الان بی‌صداست، برای روشن کردنشان /unmute بفرستید.',
+    saved: '🔔 ذخیره شد! به محض اینکه ملک جدیدی با {summary} جور شود پیام می‌دهم. هشدارها را با /alerts مدیریت کنید ✨',
+    none: '🔕 هنوز جستجوی ذخیره‌شده‌ای ندارید. یک /search انجام دهید و «خبرم کن» را بزنید! ✨',
+    list: '🔔 جستجوهای ذخیره‌شده‌ی شما:\n\n{lines}',
+    listMuted: '🔔 جستجوهای ذخیره‌شده‌ی شما (🔕 بی‌صدا):\n\n{lines}',
+    removedAll: '🔕 انجام شد! همه‌ی جستجوهای ذخیره‌شده را حذف کردم. دیگر هشداری نمی‌گیرید.',
+    notFound: '🤔 این جستجوی ذخیره‌شده را پیدا نکردم. برای دیدن جستجوهایتان /alerts بفرستید، یا /unsubscribe همه برای حذف همه!',
+    notFoundShort: '🤔 این جستجوی ذخیره‌شده را پیدا نکردم. برای دیدن جستجوهایتان /alerts بفرستید!',
+    removed: '🗑️ انجام شد! دیگر برای {summary} هشداری نمی‌آید.',
+    nothingToMute: '🔕 جستجوی ذخیره‌شده‌ای ندارید، پس چیزی برای بی‌صدا کردن نیست!',
+    muted: '🔕 هشدارها بی‌صدا شد! جستجوهای ذخیره‌شده سر جایشان هستند، هر وقت خواستید /unmute بفرستید.',
+    unmuted: '🔔 هشدارها دوباره روشن شد! از موارد جدید خبرتان می‌کنم.',
+    digestUsage: '📬 برای گرفتن روزی یک پیام با همه‌ی موارد جدید /digest روشن بفرستید، یا /digest خاموش برای هشدار فوری.',
+    digestOn: '📬 باشه! موارد جدید روزی یک بار در یک پیام می‌آیند. برای هشدار فوری دوباره /digest خاموش بفرستید.',
+    digestOff: '⚡ باشه! موارد جدید را فوراً خبر می‌دهم.',
+    newMatch: '🔔 یک ملک جدید با جستجوی شما برای {summary} جور است!',
+    digest: ({ count }) => `📬 خلاصه‌ی روزانه‌ی شما: ${count} ملک جدید با جستجوهای ذخیره‌شده‌تان جور است!`,
+    digestMore: '✨ ...و {count} مورد دیگر! برای دیدن همه /search بفرستید.',
+    buttons: {
+      dailyInstead: '📬 به جایش خلاصه‌ی روزانه',
+      daily: '📬 خلاصه‌ی روزانه',
+      dailyNumber: '📬 روزانه #{number}',
+      instantNumber: '⚡ فوری #{number}',
+      removeNumber: '🗑️ حذف #{number}',
+      mute: '🔕 بی‌صدا کردن هشدارها',
+      unmute: '🔔 روشن کردن هشدارها'
+    }
+  },
+
+  listings: {
+    untitled: 'آگهی بدون عنوان',
+    published: '✅ منتشرشده',
+    draft: '📝 پیش‌نویس',
+    draftInProgress: '📝 پیش‌نویس، در حال تکمیل',
+    pending: '⏳ در انتظار تأیید',
+    rejected: '🚫 تأیید نشده',
+    reviewNote: '📝 {note}',
+    none: '📭 هنوز آگهی‌ای ندارید. برای افزودن اولین ملک /start بفرستید! ✨',
+    page: '🏘️ آگهی‌های شما (صفحه‌ی {page} از {pageCount}):\n\n{lines}',
+    parked: '📌 پیش‌نویس فعلی‌تان را کنار گذاشتم، می‌توانید از /mylistings دوباره سراغش بروید.',
+    parkedNew: '📌 پیش‌نویس فعلی‌تان را کنار گذاشتم، می‌توانید از /mylistings دوباره سراغش بروید.\n\n🏠 بیایید ملک دیگری اضافه کنیم!',
+    new: '✨ بیایید یک ملک جدید اضافه کنیم! 🏠',
+    draftNotFound: '🤔 این پیش‌نویس را پیدا نکردم. /mylistings را بفرستید تا پیش‌نویس‌هایتان را ببینید و «ادامه» را بزنید! ✨',
+    alreadyEditing: '🎀 همین الان دارید روی همین کار می‌کنید!',
+    continue: '▶️ بیایید با {title} ادامه دهیم!',
+    welcomeBack: '▶️ به {title} خوش برگشتید! از همان جایی که ماندید ادامه می‌دهیم.',
+    whichListing: '✏️ کدام آگهی را تغییر دهم؟ /mylistings را بفرستید و «ویرایش» را بزنید، یا /edit را همراه شناسه‌ی آگهی بفرستید.',
+    notFound: '🤔 این آگهی را پیدا نکردم. برای دیدن ملک‌هایتان /mylistings بفرستید! ✨',
+    confirmDelete: ({ title, photoCount }) => {
+      const photos = photoCount > 0 ? ` و ${photoCount} عکس آن` : '';
+      return `🗑️ <b>${title}</b>${photos} حذف شود؟ این کار برگشت‌پذیر نیست!`;
+    },
+    deleted: '🗑️ انجام شد! <b>{title}</b> حذف شد.',
+    buttons: {
+      resume: '▶️ ادامه #{number}',
+      edit: '✏️ ویرایش #{number}',
+      delete: '🗑️ حذف #{number}',
+      previous: '➡️ قبلی',
+      next: 'بعدی ⬅️',
+      confirmDelete: '🗑️ بله، حذف کن',
+      keep: '🌸 نگهش دار'
+    }
+  },
+
+  commands: {
+    descriptions: {
+      start: 'افزودن ملک جدید',
+      cancel: 'لغو آگهی فعلی',
+      back: 'برگشت به سؤال قبلی',
+      new: 'کنار گذاشتن پیش‌نویس فعلی و افزودن ملک دیگر',
+      status: 'نمایش جزئیاتی که تا الان جمع شده',
+      search: 'جستجوی آگهی‌ها، مثلاً /search حداقل ۲ خواب',
+      savesearch: 'دریافت هشدار برای آگهی‌های جدید مطابق جستجو',
+      alerts: 'دیدن و مدیریت جستجوهای ذخیره‌شده',
+      unsubscribe: 'حذف یک جستجوی ذخیره‌شده، یا همه با /unsubscribe همه',
+      mute: 'توقف همه‌ی هشدارهای جستجو',
+      unmute: 'روشن کردن دوباره‌ی هشدارها',
+      digest: 'دریافت موارد جدید روزی یک بار: /digest روشن یا خاموش',
+      mylistings: 'نمایش آگهی‌ها و پیش‌نویس‌های شما',
+      resume: 'ادامه‌ی یک پیش‌نویس کنارگذاشته',
+      edit: 'تغییر یک آگهی ذخیره‌شده',
+      delete: 'حذف یک آگهی',
+      pending: 'نمایش آگهی‌های در انتظار تأیید',
+      approve: 'تأیید یک آگهی',
+      reject: 'رد یک آگهی، با دلیل اختیاری',
+      agents: 'نمایش مشاوران و مدیران',
+      allow: 'افزودن مشاور یا مدیر',
+      revoke: 'حذف یک مشاور',
+      language: 'انتخاب زبانی که با شما صحبت می‌کنم',
+      help: 'نمایش کارهایی که می‌توانم انجام دهم'
+    },
+    unknown: '🤔 این دستور را نمی‌شناسم. برای دیدن کارهایی که می‌توانم انجام دهم /help بفرستید! ✨',
+    help: '✨ این کارها را می‌توانم انجام دهم:\n\n{lines}',
+    welcomeBack: '🎀 خوش برگشتید! یک آگهی نیمه‌کاره دارید، پس از همان جایی که ماندیم ادامه می‌دهیم. اگر می‌خواهید از اول شروع کنید /cancel بفرستید، یا /new تا کنارش بگذارید و ملک دیگری اضافه کنید! ✨',
+    searchClosed: '🌸 باشه، جستجو را بستم. هر وقت خواستید دوباره /search بفرستید! ✨',
+    editStopped: '🌸 باشه، ویرایش را تمام کردم. تغییراتی که داده‌اید ذخیره شده‌اند! ✨',
+    cancelled: '🌸 مشکلی نیست، آن آگهی را لغو کردم. هر وقت خواستید ملکی اضافه کنید /start بفرستید! ✨',
+    atBeginning: '🌸 ما همین الان اول کار هستیم، جایی برای برگشتن نیست! ✨',
+    searching: '🔎 دنبال این هستید: {summary}\nبرای نتایج بعدی «بیشتر» بنویسید، یا جستجوی تازه‌ای بفرستید!',
+    searchMode: '🔎 در حالت جستجو هستید. بگویید دنبال چه هستید، یا /cancel برای توقف!',
+    noListing: '📋 آگهی نیمه‌کاره‌ای ندارید. برای افزودن ملک /start بفرستید! ✨',
+    collected: '📋 تا الان این‌ها را دارم:\n\n{details}',
+    nothingCollected: '📋 هنوز هیچ جزئیاتی جمع نکرده‌ام.',
+    photoCount: '\n📸 عکس‌ها: {count}'
+  },
+
+  language: {
+    choose: '🌍 به چه زبانی صحبت کنم؟ الان به {current} صحبت می‌کنم.\n\nیکی را از پایین انتخاب کنید، یا «خودکار» تا از زبان تلگرام شما پیروی کنم.',
+    automatic: '🌍 خودکار',
+    set: '🎉 عالی، از این به بعد فارسی صحبت می‌کنم!',
+    followingTelegram: '🌍 باشه! از زبان اپ تلگرام شما پیروی می‌کنم ({current}).',
+    unknown: '🤔 هنوز این زبان را بلد نیستم. می‌توانم به این زبان‌ها صحبت کنم: {languages}'
+  },
+
+  listingPage: {
+    photos: '📸 عکس‌ها',
+    condition: '🔍 وضعیت',
+    notFoundTitle: 'آگهی پیدا نشد',
+    notFound: '🌸 این آگهی وجود ندارد یا دیگر منتشر نشده است.'
+  },
+
+  access: {
+    agentsOnly: '🔒 ثبت آگهی فقط مخصوص مشاوران ماست! اما می‌توانید با /search خانه رؤیایی‌تان را پیدا کنید 💖\n\nمشاور هستید؟ از یک مدیر بخواهید شما را با <code>/allow {telegramId}</code> اضافه کند.',
+    adminsOnly: '🔒 متأسفم، این کار فقط از مدیران برمی‌آید!',
+    welcome: '✨ سلام! من کیلی هستم، دستیار املاک شما! 🏠\n\nبگویید دنبال چه هستید، مثلاً /search حداقل ۲ خواب، تا خانه‌های مناسب را نشانتان بدهم! 💖\n\nمشاور هستید؟ از یک مدیر بخواهید شما را با <code>/allow {telegramId}</code> اضافه کند.'
+  },
+
+  approval: {
+    request: '🆕 {agent} یک آگهی جدید برای تأیید فرستاده است:\n\n<b>{title}</b>\n{details}\n🆔 <code>{id}</code>',
+    buttons: {
+      approve: '✅ تأیید',
+      reject: '🚫 رد'
+    },
+    usage: '🌸 بگویید کدام آگهی، مثلاً /{command} <code>id</code>. با /pending آگهی‌های در انتظار تأیید را می‌بینید.',
+    notFound: '🤔 آگهی‌ای با این شناسه پیدا نکردم.',
+    otherTeam: '🔒 این آگهی متعلق به تیم دیگری است.',
+    notSubmitted: '🌸 این آگهی هنوز پیش‌نویس است و چیزی برای تأیید ندارد.',
+    alreadyPublished: '✨ این آگهی قبلاً منتشر شده است!',
+    alreadyRejected: '🚫 این آگهی قبلاً رد شده است. برای گفتن دلیل به مشاور، <code>/reject {id} دلیل</code> را بفرستید.',
+    approved: '✅ تأیید شد! <b>{title}</b> اکنون منتشر شده است.',
+    rejected: '🚫 <b>{title}</b> رد شد و به مشاور خبر دادم.',
+    rejectedNoReason: '🚫 <b>{title}</b> رد شد و به مشاور خبر دادم. برای گفتن دلیل، <code>/reject {id} دلیل</code> را بفرستید.',
+    agentApproved: '🎉 خبر خوب! <b>{title}</b> تأیید شد و اکنون منتشر شده است! 🌟{link}',
+    agentRejected: '🌸 <b>{title}</b> این بار تأیید نشد. با /edit {id} آن را تغییر دهید تا دوباره برای بررسی بفرستم! 💖',
+    agentRejectedReason: '🌸 <b>{title}</b> این بار تأیید نشد:\n<i>{reason}</i>\n\nبا /edit {id} آن را تغییر دهید تا دوباره برای بررسی بفرستم! 💖',
+    none: '🎉 هیچ آگهی‌ای در انتظار تأیید نیست!',
+    pendingList: '⏳ آگهی‌های در انتظار تأیید ({count}):\n\n{lines}'
+  },
+
+  team: {
+    roles: {
+      admin: 'مدیر',
+      agent: 'مشاور'
+    },
+    noTeam: 'بدون تیم',
+    list: '👥 تیم {team}:\n\n{lines}',
+    listAll: '👥 مشاوران و مدیران:\n\n{lines}',
+    none: '👥 هنوز کسی در فهرست نیست. با <code>/allow شناسه-تلگرام</code> یک مشاور اضافه کنید.',
+    usageAllow: '🌸 شناسه تلگرام او را بفرستید، مثلاً <code>/allow 123456789</code>، یا <code>/allow 123456789 admin</code> برای یک مدیر. مدیران بدون تیم می‌توانند نام تیم را در انتها بنویسند. هر کسی با فرستادن /start شناسه خود را می‌بیند.',
+    ownTeamOnly: '🔒 فقط می‌توانید افراد را به تیم خودتان ({team}) اضافه کنید.',
+    otherTeam: '🔒 <code>{telegramId}</code> عضو تیم دیگری است.',
+    allowed: '✅ <code>{telegramId}</code> اکنون {role} است ({team})!',
+    welcome: '🎉 شما به عنوان {role} اضافه شدید ({team})! برای ثبت اولین ملکتان /start را بفرستید 🏠',
+    usageRevoke: '🌸 شناسه تلگرام او را بفرستید، مثلاً <code>/revoke 123456789</code>.',
+    notYourself: '🌸 نمی‌توانید خودتان را حذف کنید.',
+    builtIn: '🔒 <code>{telegramId}</code> از طریق ADMIN_TELEGRAM_IDS مدیر است و تا وقتی از آنجا حذف نشود مدیر می‌ماند.',
+    notFound: '🤔 <code>{telegramId}</code> در فهرست نیست.',
+    revoked: '🗑️ انجام شد! <code>{telegramId}</code> دیگر نمی‌تواند آگهی ثبت کند. آگهی‌های او منتشر شده باقی می‌مانند.'
+  },
+
+  resume: {
+    prompt: '👋 خوش برگشتید! در میانه ثبت یک آگهی بودید: <b>{listing}</b>، و به {stage} رسیده بودیم.\n\nادامه بدهیم یا یک آگهی جدید شروع کنید؟ پیش‌نویس شما در هر صورت در /mylistings می‌ماند ✨',
+    promptEditing: '👋 خوش برگشتید! در حال ویرایش <b>{listing}</b> بودید. ادامه بدهیم؟ همه تغییرات قبلی شما ذخیره شده است ✨',
+    reminder: '⏰ یک یادآوری دوستانه! آگهی <b>{listing}</b> هنوز منتظر شماست، به {stage} رسیده بودیم.\n\nتمامش کنیم؟ 🏠',
+    stages: {
+      description: 'توضیحات',
+      confirmation: 'خلاصه',
+      images: 'عکس‌ها',
+      photoSuggestions: 'امکانات دیده‌شده در عکس‌ها',
+      seoReview: 'عنوان و توضیحات'
+    },
+    buttons: {
+      continue: '▶️ ادامه',
+      startNew: '🆕 شروع آگهی جدید',
+      stopEditing: '✋ پایان ویرایش'
+    }
+  }
+};
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const cloudinary = require('cloudinary').v2;
+const { toFile } = require('openai');
+const openai = require('./openaiClient');
+const { analyzePhoto } = require('./photoReview');
+const { t } = require('./i18n');
+
+// Handle PDF files with improved error handling.
+// locale is the chat's locale, used for the error message and by the AI models.
+async function handlePDF(document, locale) {
+  try {
+    const fileInfo = await axios.get(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${document.file_id}`
+    );
+    
+    const filePath = fileInfo.data.result.file_path;
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
+    
+    const response = await axios.get(fileUrl, { 
+      responseType: 'arraybuffer',
+      timeout: 30000 // 30 second timeout
+    });
+    
+    const pdfData = await pdfParse(response.data);
+    return pdfData.text;
+  } catch (error) {
+    console.error('Error processing PDF:', error);
+    throw new Error(t(locale, 'media.pdfFailed'));
+  }
+}
+
+// Handle voice notes with improved error handling
+async function handleVoiceNote(voice, locale) {
+  try {
+    const fileInfo = await axios.get(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${voice.file_id}`
+    );
+    
+    const filePath = fileInfo.data.result.file_path;
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
+    
+    const response = await axios.get(fileUrl, { 
+      responseType: 'arraybuffer',
+      timeout: 30000 // 30 second timeout
+    });
+    
+    const whisperResponse = await openai.audio.transcriptions.create({
+      file: await toFile(Buffer.from(response.data), path.basename(filePath) || 'voice.ogg'),
+      model: "whisper-1",
+      // Telling Whisper the language makes short notes in German, Spanish or Farsi much more reliable
+      language: locale
+    });
+    
+    return whisperResponse.text;
+  } catch (error) {
+    console.error('Error processing voice note:', error);
+    throw new Error(t(locale, 'media.voiceFailed'));
+  }
+}
+
+// Upload image bytes to Cloudinary and run the vision analysis on the result.
+// Used for photos sent in Telegram and for uploads through the admin API.
+// The public id is the property id and uploadKey; uploading again with the same key replaces the photo.
+async function uploadPhoto(data, mimeType, propertyId, locale, uploadKey = Date.now()) {
+  const uploadResponse = await cloudinary.uploader.upload(
+    `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`,
+    {
+      folder: 'property-images',
+      // Sheets record ids are A1 ranges, so keep only characters Cloudinary accepts in an id
+      public_id: propertyId ? `${String(propertyId).replace(/[^\w-]/g, '_')}-${uploadKey}` : undefined,
+      phash: true, // perceptual hash, used to spot duplicate photos
+      // iPhone HEIC files are stored as JPEG so browsers and the vision model can read them
+      format: /hei[cf]$/.test(mimeType) ? 'jpg' : undefined
+    }
+  );
+
+  let analysis;
+  try {
+    analysis = await analyzePhoto(uploadResponse.secure_url, locale);
+  } catch (error) {
+    // The photo is not stored without its analysis, so don't leave the upload behind
+    try {
+      await cloudinary.uploader.destroy(uploadResponse.public_id);
+    } catch (destroyError) {
+      console.error('Failed to delete photo from Cloudinary:', {
+        error: destroyError.message,
+        publicId: uploadResponse.public_id,
+        timestamp: new Date().toISOString()
+      });
+    }
+    throw error;
+  }
+
+  return {
+    imageUrl: uploadResponse.secure_url,
+    publicId: uploadResponse.public_id,
+    analysis: { ...analysis, phash: uploadResponse.phash }
+  };
+}
+
+// Handle images with improved error handling.
+// image is a Telegram file ({ file_id, mime_type }): a photo size or an image sent as a document.
+// With its messageId, a retried job replaces the photo it uploaded before instead of adding another.
+async function handleImage(image, propertyId = null, locale) {
+  try {
+    const mimeType = image.mime_type || 'image/jpeg';
+    
+    const fileInfo = await axios.get(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${image.file_id}`
+    );
+    
+    const filePath = fileInfo.data.result.file_path;
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
+    
+    const response = await axios.get(fileUrl, { 
+      responseType: 'arraybuffer',
+      timeout: 30000 // 30 second timeout
+    });
+    
+    return await uploadPhoto(response.data, mimeType, propertyId, locale, image.messageId);
+  } catch (error) {
+    console.error('Error processing image:', error);
+    throw new Error(t(locale, 'media.imageFailed'));
+  }
+}
+
+module.exports = {
+  handlePDF,
+  handleVoiceNote,
+  handleImage,
+  uploadPhoto
+};
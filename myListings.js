@@ -0,0 +1,220 @@
+const {
+  getProperty,
+  getPropertyBySlug,
+  getPropertiesByTelegramId,
+  updateProperty,
+  getPropertyImages,
+  updateUserSession
+} = require('./storage');
+const { sendTelegramMessage, escapeHtml } = require('./telegram');
+const { PROPERTY_STATUS, listingStatus, fromPropertyFields } = require('./propertySchema');
+const { commandButton } = require('./keyboards');
+const { deleteListing } = require('./drafts');
+const { repeatCurrentQuestion, startListing, startListingEdit } = require('./conversation');
+const { t, propertyTypeLabel } = require('./i18n');
+
+// /mylistings, /new, /resume, /edit and /delete: managing a user's saved listings and drafts.
+// Listings are addressed by record id (shown in /mylistings) or by SEO URL slug.
+
+const PAGE_SIZE = 5;
+
+function isDraft(record) {
+  return record.fields.Status === PROPERTY_STATUS.DRAFT;
+}
+
+function listingTitle(record, locale) {
+  const listing = fromPropertyFields(record.fields);
+  const propertyType = listing.propertyType && propertyTypeLabel(locale, listing.propertyType);
+  return [propertyType, listing.address].filter(Boolean).join(' · ') || t(locale, 'listings.untitled');
+}
+
+// A property owned by this chat, or null
+async function findOwnListing(chatId, id) {
+  if (!id) return null;
+  const record = await getProperty(id) || await getPropertyBySlug(id);
+  return record && record.fields.Telegram_ID === chatId.toString() ? record : null;
+}
+
+// Keep the listing in progress on its draft record so another one can be started.
+// Returns true when there was a draft to park.
+async function parkCurrentDraft(chatId, userSession, collectedData) {
+  const currentState = userSession.Current_State || 'initial';
+  if (currentState === 'initial' || !collectedData.propertyId) {
+    return false;
+  }
+
+  await updateProperty(collectedData.propertyId, {
+    ...collectedData,
+    draftData: { state: currentState, collectedData }
+  });
+
+  console.log('Draft parked:', {
+    chatId,
+    propertyId: collectedData.propertyId,
+    state: currentState,
+    timestamp: new Date().toISOString()
+  });
+
+  return true;
+}
+
+function describeListing(record, number, currentPropertyId, locale) {
+  const listing = fromPropertyFields(record.fields);
+  const listingState = listingStatus(record.fields);
+  let status = t(locale, 'listings.published');
+  if (isDraft(record)) {
+    status = t(locale, record.id === currentPropertyId ? 'listings.draftInProgress' : 'listings.draft');
+  } else if (listingState === PROPERTY_STATUS.PENDING || listingState === PROPERTY_STATUS.REJECTED) {
+    status = t(locale, `listings.${listingState}`);
+  }
+
+  const details = [
+    listing.bedrooms !== undefined ? `🛏️ ${listing.bedrooms}` : null,
+    listing.size !== undefined ? `📏 ${t(locale, 'units.sqm', { value: listing.size })}` : null,
+    listing.price !== undefined ? `💖 ${listing.price}` : null
+  ].filter(Boolean).join('  ');
+
+  return [
+    `${number}. <b>${escapeHtml(listingTitle(record, locale))}</b> (${status})`,
+    details,
+    record.fields.Review_Note ? t(locale, 'listings.reviewNote', { note: escapeHtml(record.fields.Review_Note) }) : null,
+    `🆔 <code>${escapeHtml(record.id)}</code>`
+  ].filter(Boolean).join('\n');
+}
+
+async function handleMyListings(chatId, userSession, collectedData, args, locale) {
+  const records = await getPropertiesByTelegramId(chatId);
+  if (records.length === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.none'));
+    return;
+  }
+
+  const pageCount = Math.ceil(records.length / PAGE_SIZE);
+  const page = Math.min(Math.max(parseInt(args, 10) || 1, 1), pageCount);
+  const offset = (page - 1) * PAGE_SIZE;
+  const pageRecords = records.slice(offset, offset + PAGE_SIZE);
+
+  const lines = pageRecords.map((record, i) => describeListing(record, offset + i + 1, collectedData.propertyId, locale));
+  const keyboard = pageRecords.map((record, i) => {
+    const number = offset + i + 1;
+    return [
+      isDraft(record)
+        ? commandButton(t(locale, 'listings.buttons.resume', { number }), `/resume ${record.id}`)
+        : commandButton(t(locale, 'listings.buttons.edit', { number }), `/edit ${record.id}`),
+      commandButton(t(locale, 'listings.buttons.delete', { number }), `/delete ${record.id}`)
+    ];
+  });
+
+  const navigation = [];
+  if (page > 1) navigation.push(commandButton(t(locale, 'listings.buttons.previous'), `/mylistings ${page - 1}`));
+  if (page < pageCount) navigation.push(commandButton(t(locale, 'listings.buttons.next'), `/mylistings ${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+
+  await sendTelegramMessage(
+    chatId,
+    t(locale, 'listings.page', { page, pageCount, lines: lines.join('\n\n') }),
+    { reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+async function handleNew(chatId, userSession, collectedData, args, locale) {
+  const parked = await parkCurrentDraft(chatId, userSession, collectedData);
+  await startListing(chatId, t(locale, parked ? 'listings.parkedNew' : 'listings.new'), '/new', locale);
+}
+
+async function handleResume(chatId, userSession, collectedData, args, locale) {
+  const record = await findOwnListing(chatId, args);
+  if (!record || !isDraft(record)) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.draftNotFound'));
+    return;
+  }
+
+  const currentState = userSession.Current_State || 'initial';
+  if (record.id === collectedData.propertyId) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.alreadyEditing'));
+    await repeatCurrentQuestion(chatId, currentState, collectedData, locale);
+    return;
+  }
+
+  await parkCurrentDraft(chatId, userSession, collectedData);
+
+  const title = escapeHtml(listingTitle(record, locale));
+  const { draftData } = fromPropertyFields(record.fields);
+  if (!draftData) {
+    await startListing(chatId, t(locale, 'listings.continue', { title }), '/resume', locale, { propertyId: record.id });
+    return;
+  }
+
+  await updateProperty(record.id, { draftData: null });
+  await updateUserSession(chatId, draftData.state, draftData.collectedData, '/resume');
+  await sendTelegramMessage(chatId, t(locale, 'listings.welcomeBack', { title }));
+  await repeatCurrentQuestion(chatId, draftData.state, draftData.collectedData, locale);
+}
+
+async function handleEdit(chatId, userSession, collectedData, args, locale) {
+  if (!args) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.whichListing'));
+    return;
+  }
+
+  const record = await findOwnListing(chatId, args);
+  if (!record) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.notFound'));
+    return;
+  }
+  if (isDraft(record)) {
+    await handleResume(chatId, userSession, collectedData, record.id, locale);
+    return;
+  }
+
+  if (await parkCurrentDraft(chatId, userSession, collectedData)) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.parked'));
+  }
+  await startListingEdit(chatId, record, '/edit', locale);
+}
+
+// "/delete <id>" asks for confirmation, "/delete <id> yes" deletes
+async function handleDelete(chatId, userSession, collectedData, args, locale) {
+  const [id, confirmation] = args.split(/\s+/);
+  const record = await findOwnListing(chatId, id);
+  if (!record) {
+    await sendTelegramMessage(chatId, t(locale, 'listings.notFound'));
+    return;
+  }
+
+  const title = escapeHtml(listingTitle(record, locale));
+  if (confirmation !== 'yes') {
+    const images = await getPropertyImages(record.id);
+    await sendTelegramMessage(
+      chatId,
+      t(locale, 'listings.confirmDelete', { title, photoCount: images.length }),
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            commandButton(t(locale, 'listings.buttons.confirmDelete'), `/delete ${record.id} yes`),
+            commandButton(t(locale, 'listings.buttons.keep'), '/mylistings')
+          ]]
+        }
+      }
+    );
+    return;
+  }
+
+  await deleteListing(record.id);
+
+  // Deleting the listing that is open in the session also ends that conversation
+  if (record.id === collectedData.propertyId || record.id === collectedData.editingId) {
+    await updateUserSession(chatId, 'initial', {}, '/delete');
+  }
+
+  await sendTelegramMessage(chatId, t(locale, 'listings.deleted', { title }));
+}
+
+module.exports = {
+  parkCurrentDraft,
+  handleMyListings,
+  handleNew,
+  handleResume,
+  handleEdit,
+  handleDelete
+};
@@ -0,0 +1,15 @@
+require('dotenv').config();
+const OpenAI = require('openai');
+
+if (!process.env.OPENAI_API_KEY) {
+  console.error('❌ Missing required OpenAI environment variable:');
+  console.error('   - OPENAI_API_KEY');
+  throw new Error('Missing required OpenAI environment variables');
+}
+
+// Shared OpenAI client
+const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY
+});
+
+module.exports = openai;
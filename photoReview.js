@@ -0,0 +1,137 @@
+const openai = require('./openaiClient');
+const { t, languageName } = require('./i18n');
+
+// Photos whose perceptual hashes differ in at most this many bits are duplicates
+const DUPLICATE_HASH_DISTANCE = 6;
+
+const PHOTO_SCHEMA = {
+  name: 'property_photo',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      description: { type: 'string', description: 'One sentence describing what the photo shows' },
+      showsProperty: { type: 'boolean', description: 'False for selfies, documents, screenshots, pets, random objects' },
+      room: { type: 'string', description: 'e.g. living room, kitchen, bathroom, bedroom, exterior, view, floor plan' },
+      features: { type: 'array', items: { type: 'string' }, description: 'Visible amenities, e.g. balcony, fireplace, parquet floor' },
+      condition: { type: 'string', enum: ['excellent', 'good', 'fair', 'needs renovation', 'unknown'] },
+      conditionNotes: { type: 'string' },
+      blurry: { type: 'boolean' },
+      dark: { type: 'boolean' },
+      coverScore: { type: 'number', description: 'How well this photo would work as the main listing photo, 0 to 10' }
+    },
+    required: ['description', 'showsProperty', 'room', 'features', 'condition', 'conditionNotes', 'blurry', 'dark', 'coverScore'],
+    additionalProperties: false
+  }
+};
+
+const SUMMARY_SCHEMA = {
+  name: 'photo_summary',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      conditionSummary: { type: 'string', description: 'Two sentences on the overall condition of the property' },
+      suggestedAmenities: { type: 'array', items: { type: 'string' }, description: 'Features seen in the photos that are not in the listed amenities' }
+    },
+    required: ['conditionSummary', 'suggestedAmenities'],
+    additionalProperties: false
+  }
+};
+
+// Run one uploaded photo through the vision model. The texts come back in the chat's language.
+async function analyzePhoto(imageUrl, locale) {
+  const visionResponse = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: `Please analyze this property image for a real estate listing. Describe what it shows, the visible features and condition, and judge the photo quality honestly. Write the description, room, features and condition notes in ${languageName(locale)}.` },
+          { type: 'image_url', image_url: { url: imageUrl } }
+        ]
+      }
+    ],
+    response_format: { type: 'json_schema', json_schema: PHOTO_SCHEMA },
+    max_tokens: 500
+  });
+
+  return JSON.parse(visionResponse.choices[0].message.content);
+}
+
+// Number of differing bits between two hex perceptual hashes
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    let diff = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Index of an earlier photo that looks the same, or -1
+function findDuplicate(phash, analyses) {
+  if (!phash) return -1;
+  return analyses.findIndex(analysis =>
+    analysis && analysis.phash && hashDistance(phash, analysis.phash) <= DUPLICATE_HASH_DISTANCE
+  );
+}
+
+// Friendly warnings for a photo that could hurt the listing
+function photoWarnings(analysis, locale) {
+  const warnings = [];
+  if (!analysis.showsProperty) warnings.push(t(locale, 'photos.warnings.notProperty'));
+  if (analysis.blurry) warnings.push(t(locale, 'photos.warnings.blurry'));
+  if (analysis.dark) warnings.push(t(locale, 'photos.warnings.dark'));
+  return warnings;
+}
+
+// Index of the best photo for the cover, preferring photos without warnings; -1 when there are none
+function pickCover(analyses) {
+  const candidates = analyses.map((analysis, index) => ({ analysis, index }));
+  const usable = candidates.filter(({ analysis }) => photoWarnings(analysis).length === 0);
+  const pool = usable.length > 0 ? usable : candidates;
+  if (pool.length === 0) return -1;
+
+  return pool.reduce((best, candidate) =>
+    candidate.analysis.coverScore > best.analysis.coverScore ? candidate : best
+  ).index;
+}
+
+// Merge the per-photo analyses into a condition summary and amenity suggestions
+async function summarisePhotos(analyses, amenities, locale) {
+  const completion = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: `You summarise photo analyses of a property for a real estate agent. Only use what the analyses say. Write in ${languageName(locale)}.`
+      },
+      {
+        role: 'user',
+        content: `Listed amenities: ${amenities || 'none'}\n\nPhoto analyses:\n${JSON.stringify(analyses.map(({ phash, ...analysis }) => analysis), null, 2)}`
+      }
+    ],
+    response_format: { type: 'json_schema', json_schema: SUMMARY_SCHEMA }
+  });
+
+  const summary = JSON.parse(completion.choices[0].message.content);
+  const listed = (amenities || '').toLowerCase();
+  return {
+    conditionSummary: summary.conditionSummary.trim(),
+    suggestedAmenities: summary.suggestedAmenities
+      .map(amenity => amenity.trim())
+      .filter(amenity => amenity && !listed.includes(amenity.toLowerCase()))
+  };
+}
+
+module.exports = {
+  analyzePhoto,
+  findDuplicate,
+  photoWarnings,
+  pickCover,
+  summarisePhotos
+};
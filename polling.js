@@ -0,0 +1,90 @@
+const { deleteWebhook, getUpdates } = require('./telegram');
+const { ALLOWED_UPDATES, validateUpdate } = require('./webhookSecurity');
+const { handleTelegramUpdate } = require('./incomingUpdates');
+
+// Long-polling mode for local development: updates are fetched with getUpdates instead of
+// being pushed to the webhook, so no public URL is needed. Each update goes through the
+// same handler as the webhook.
+const POLL_TIMEOUT = 30; // seconds Telegram holds each getUpdates request open
+const ERROR_DELAY = 5000; // 5 seconds
+
+let offset;
+let polling = false;
+let abortController = null;
+let stopped = null;
+
+async function pollLoop() {
+  while (polling) {
+    let updates;
+    try {
+      abortController = new AbortController();
+      updates = await getUpdates(offset, POLL_TIMEOUT, ALLOWED_UPDATES, abortController.signal);
+    } catch (error) {
+      if (!polling) break;
+      console.error('getUpdates failed:', {
+        error: error.response ? error.response.data : error.message,
+        timestamp: new Date().toISOString()
+      });
+      await new Promise(resolve => setTimeout(resolve, ERROR_DELAY));
+      continue;
+    }
+
+    for (const update of updates) {
+      // Asking for updates after this one confirms it, so Telegram won't send it again
+      offset = update.update_id + 1;
+
+      const invalid = validateUpdate(update);
+      if (invalid) {
+        console.warn('Invalid Telegram update:', {
+          reason: invalid,
+          timestamp: new Date().toISOString()
+        });
+        continue;
+      }
+      // Not awaited, so one chat's update doesn't hold up the other chats; the chat queue keeps each chat's order
+      handleTelegramUpdate(update).catch(error => {
+        console.error('Failed to handle update:', {
+          error: error.message,
+          updateId: update.update_id,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+  }
+}
+
+// Remove the webhook (Telegram refuses getUpdates while one is set) and start polling
+async function startPolling() {
+  await deleteWebhook();
+  polling = true;
+  console.log('✅ Long polling started:', {
+    allowedUpdates: ALLOWED_UPDATES,
+    timestamp: new Date().toISOString()
+  });
+  stopped = pollLoop();
+}
+
+// Stop polling and confirm the updates received so far, so they aren't delivered again on the next start
+async function stopPolling() {
+  if (!polling) return;
+  polling = false;
+  if (abortController) abortController.abort();
+  await stopped;
+
+  if (offset !== undefined) {
+    try {
+      await getUpdates(offset, 0, ALLOWED_UPDATES);
+    } catch (error) {
+      console.error('Failed to confirm the last updates:', error.message);
+    }
+  }
+  console.log('Long polling stopped:', {
+    offset,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  startPolling,
+  stopPolling
+};
@@ -0,0 +1,360 @@
+// Shared column layout for the Properties, Images, Saved Searches, Processed Updates, Jobs, Job Claims, User Sessions,
+// Users and Deleted Listings tables.
+// Every storage adapter reads and writes records using these column names,
+// so server.js never has to know which backend is active.
+
+// Properties columns, in the order they appear in the README / sheet
+const PROPERTY_COLUMNS = [
+    'Telegram_ID',
+    'User_Name',
+    'Property_Type',
+    'Address',
+    'ZIP',
+    'Size_sqm',
+    'Bedrooms',
+    'Bathrooms',
+    'Price',
+    'Amenities',
+    'Image_URL',
+    'Condition_Summary',
+    'SEO_Meta_Title',
+    'SEO_Meta_Desc',
+    'SEO_URL_Slug',
+    'SEO_Keywords',
+    'Status',
+    'Draft_Data',
+    'Created_At',
+    'Updated_At',
+    'Team',
+    'Review_Note',
+    'Language'
+];
+
+// Property status: 'draft' while the agent is still adding details and photos.
+// A draft that was parked to start another listing keeps its conversation in Draft_Data.
+// A saved listing is 'pending' until an admin approves ('published') or rejects it ('rejected').
+const PROPERTY_STATUS = {
+    DRAFT: 'draft',
+    PENDING: 'pending',
+    PUBLISHED: 'published',
+    REJECTED: 'rejected'
+};
+
+// Listings saved before statuses existed have no Status and count as published
+function listingStatus(fields) {
+    return fields.Status || PROPERTY_STATUS.PUBLISHED;
+}
+
+// Images columns: one row per photo, linked to its property by record id
+const IMAGE_COLUMNS = [
+    'Property_ID',
+    'Image_URL',
+    'Public_ID',
+    'Position',
+    'Is_Cover',
+    'Analysis',
+    'Created_At',
+    'Message_ID'
+];
+
+// Saved Searches columns: a buyer's search that is checked against every newly published listing
+const SAVED_SEARCH_COLUMNS = [
+    'Telegram_ID',
+    'Query',
+    'Filter',
+    'Frequency',
+    'Muted',
+    'Pending',
+    'Last_Digest_At',
+    'Created_At'
+];
+
+// 'instant' sends an alert as soon as a match is published, 'daily' collects matches in Pending for the digest
+const ALERT_FREQUENCY = {
+    INSTANT: 'instant',
+    DAILY: 'daily'
+};
+
+// Processed Updates columns: Telegram update_ids already handled, kept until they expire
+const PROCESSED_UPDATE_COLUMNS = [
+    'Update_ID',
+    'Expires_At'
+];
+
+// Jobs columns: updates with slow media work, processed by the job worker (jobs.js)
+const JOB_COLUMNS = [
+    'Chat_ID',
+    'Status',
+    'Payload',
+    'Attempts',
+    'Run_After',
+    'Last_Error',
+    'Status_Message_ID',
+    'Created_At',
+    'Updated_At'
+];
+
+// Job Claims columns: one row per attempt at running a job, so only one worker runs each attempt
+const JOB_CLAIM_COLUMNS = [
+    'Job_ID',
+    'Attempt',
+    'Claimed_At'
+];
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// User Sessions columns, in sheet order
+const SESSION_COLUMNS = [
+    'Telegram_ID',
+    'Current_State',
+    'Collected_Data',
+    'Last_Message',
+    'Created_At',
+    'Last_Updated',
+    // Locale picked with /language ('' follows the Telegram app), and the app's language_code last seen
+    'Language',
+    'Telegram_Language',
+    // When the user was last reminded of the listing they left unfinished
+    'Reminded_At'
+];
+
+// Users columns: the allow-list of agents and admins. Team scopes listings and approvals to an agency;
+// an admin without a team reviews every team's listings.
+const USER_COLUMNS = [
+    'Telegram_ID',
+    'Name',
+    'Role',
+    'Team',
+    'Created_At',
+    'Updated_At'
+];
+
+const USER_ROLES = {
+    ADMIN: 'admin',
+    AGENT: 'agent'
+};
+
+// Deleted Listings columns: listings deleted after they were submitted, so incremental
+// export feeds can tell partners to take them down (feeds.js)
+const DELETED_LISTING_COLUMNS = [
+    'Property_ID',
+    'SEO_URL_Slug',
+    'Team',
+    'Deleted_At'
+];
+
+// Drop fields that were not provided, so the result also works for partial updates
+function definedFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+// camelCase property data collected by the bot -> Properties column
+const PROPERTY_FIELD_COLUMNS = {
+    telegramId: 'Telegram_ID',
+    userName: 'User_Name',
+    propertyType: 'Property_Type',
+    address: 'Address',
+    zip: 'ZIP',
+    size: 'Size_sqm',
+    bedrooms: 'Bedrooms',
+    bathrooms: 'Bathrooms',
+    price: 'Price',
+    amenities: 'Amenities',
+    // The cover photo; every photo is in the Images table
+    coverImageUrl: 'Image_URL',
+    conditionSummary: 'Condition_Summary',
+    seoTitle: 'SEO_Meta_Title',
+    seoDesc: 'SEO_Meta_Desc',
+    seoSlug: 'SEO_URL_Slug',
+    seoKeywords: 'SEO_Keywords',
+    status: 'Status',
+    // { state, collectedData } of a parked draft, as JSON; null clears it
+    draftData: 'Draft_Data',
+    // The agent's team when the listing was started
+    team: 'Team',
+    // Why an admin rejected the listing
+    reviewNote: 'Review_Note',
+    // The locale the agent wrote the listing in, for its public page
+    language: 'Language'
+};
+
+// Map the camelCase property data collected by the bot to table columns.
+// Timestamps are set by the adapters: Created_At on create, Updated_At on every write.
+function toPropertyFields(propertyData) {
+    const fields = {};
+    Object.entries(PROPERTY_FIELD_COLUMNS).forEach(([key, column]) => {
+        fields[column] = propertyData[key];
+    });
+    if (propertyData.draftData) {
+        fields['Draft_Data'] = JSON.stringify(propertyData.draftData);
+    }
+    return definedFields(fields);
+}
+
+// The reverse of toPropertyFields, for showing and editing a stored property
+function fromPropertyFields(fields) {
+    const propertyData = {};
+    Object.entries(PROPERTY_FIELD_COLUMNS).forEach(([key, column]) => {
+        if (fields[column] !== undefined && fields[column] !== null && fields[column] !== '') {
+            propertyData[key] = fields[column];
+        }
+    });
+    if (propertyData.draftData) {
+        propertyData.draftData = JSON.parse(propertyData.draftData);
+    }
+    return propertyData;
+}
+
+function toImageFields(imageData) {
+    return definedFields({
+        'Property_ID': imageData.propertyId,
+        'Image_URL': imageData.url,
+        'Public_ID': imageData.publicId,
+        'Position': imageData.position,
+        'Is_Cover': imageData.isCover,
+        // The vision analysis, kept as JSON so every backend can store it in one cell
+        'Analysis': imageData.analysis ? JSON.stringify(imageData.analysis) : undefined,
+        // The Telegram message the photo came in, so a retried job reuses it instead of uploading it again
+        'Message_ID': imageData.messageId !== undefined ? imageData.messageId.toString() : undefined
+    });
+}
+
+function toSavedSearchFields(searchData) {
+    return definedFields({
+        'Telegram_ID': searchData.telegramId !== undefined ? searchData.telegramId.toString() : undefined,
+        'Query': searchData.query,
+        // The filter (see searchFilter.js) and the pending property ids are kept as JSON
+        'Filter': searchData.filter ? JSON.stringify(searchData.filter) : undefined,
+        'Frequency': searchData.frequency,
+        'Muted': searchData.muted,
+        'Pending': searchData.pending ? JSON.stringify(searchData.pending) : undefined,
+        'Last_Digest_At': searchData.lastDigestAt
+    });
+}
+
+// The reverse of toSavedSearchFields. Google Sheets returns booleans as 'TRUE' / 'FALSE'.
+function fromSavedSearchFields(fields) {
+    return {
+        telegramId: fields.Telegram_ID,
+        query: fields.Query || '',
+        filter: fields.Filter ? JSON.parse(fields.Filter) : {},
+        frequency: fields.Frequency || ALERT_FREQUENCY.INSTANT,
+        muted: fields.Muted === true || String(fields.Muted).toLowerCase() === 'true',
+        pending: fields.Pending ? JSON.parse(fields.Pending) : [],
+        lastDigestAt: fields.Last_Digest_At || null
+    };
+}
+
+// Timestamps are set by the adapters, like for properties
+function toJobFields(jobData) {
+    return definedFields({
+        'Chat_ID': jobData.chatId !== undefined ? jobData.chatId.toString() : undefined,
+        'Status': jobData.status,
+        // The update to process: { text, message, callbackQuery, messageId }
+        'Payload': jobData.payload ? JSON.stringify(jobData.payload) : undefined,
+        'Attempts': jobData.attempts,
+        'Run_After': jobData.runAfter,
+        'Last_Error': jobData.lastError,
+        'Status_Message_ID': jobData.statusMessageId
+    });
+}
+
+// The reverse of toJobFields. Google Sheets returns numbers as strings.
+function fromJobFields(fields) {
+    return {
+        // Telegram chat ids are numbers, as in incoming updates
+        chatId: Number(fields.Chat_ID),
+        status: fields.Status,
+        payload: fields.Payload ? JSON.parse(fields.Payload) : {},
+        attempts: Number(fields.Attempts) || 0,
+        runAfter: fields.Run_After || null,
+        lastError: fields.Last_Error || null,
+        statusMessageId: fields.Status_Message_ID ? Number(fields.Status_Message_ID) : null
+    };
+}
+
+// Timestamps are set by the adapters, like for properties
+function toUserFields(userData) {
+    return definedFields({
+        'Telegram_ID': userData.telegramId !== undefined ? userData.telegramId.toString() : undefined,
+        'Name': userData.name,
+        'Role': userData.role,
+        'Team': userData.team
+    });
+}
+
+function fromUserFields(fields) {
+    return {
+        telegramId: fields.Telegram_ID,
+        name: fields.Name || '',
+        role: fields.Role || USER_ROLES.AGENT,
+        team: fields.Team || ''
+    };
+}
+
+// Deleted_At is set by the adapters
+function toDeletedListingFields(deletedData) {
+    return {
+        'Property_ID': deletedData.propertyId,
+        'SEO_URL_Slug': deletedData.slug || '',
+        'Team': deletedData.team || ''
+    };
+}
+
+// Fresh session fields for a Telegram user
+function newSessionFields(telegramId) {
+    const now = new Date().toISOString();
+    return {
+        'Telegram_ID': telegramId.toString(),
+        'Current_State': 'initial',
+        'Collected_Data': JSON.stringify({}),
+        'Last_Message': '',
+        'Created_At': now,
+        'Last_Updated': now,
+        'Language': '',
+        'Telegram_Language': '',
+        'Reminded_At': ''
+    };
+}
+
+// { language, telegramLanguage } -> session columns; undefined values are left unchanged
+function toSessionLanguageFields({ language, telegramLanguage }) {
+    return definedFields({
+        'Language': language,
+        'Telegram_Language': telegramLanguage
+    });
+}
+
+module.exports = {
+    PROPERTY_COLUMNS,
+    PROPERTY_STATUS,
+    listingStatus,
+    IMAGE_COLUMNS,
+    SAVED_SEARCH_COLUMNS,
+    ALERT_FREQUENCY,
+    PROCESSED_UPDATE_COLUMNS,
+    JOB_COLUMNS,
+    JOB_CLAIM_COLUMNS,
+    JOB_STATUS,
+    SESSION_COLUMNS,
+    USER_COLUMNS,
+    USER_ROLES,
+    DELETED_LISTING_COLUMNS,
+    toPropertyFields,
+    fromPropertyFields,
+    toImageFields,
+    toSavedSearchFields,
+    fromSavedSearchFields,
+    toJobFields,
+    fromJobFields,
+    toUserFields,
+    fromUserFields,
+    toDeletedListingFields,
+    newSessionFields,
+    toSessionLanguageFields
+};
@@ -0,0 +1,340 @@
+const {
+  findUserSession,
+  getProperty,
+  addSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearches,
+  getSavedSearchesByTelegramId
+} = require('./storage');
+const { sendTelegramMessage, escapeHtml } = require('./telegram');
+const { PROPERTY_STATUS, ALERT_FREQUENCY, fromSavedSearchFields } = require('./propertySchema');
+const { matchesSearch, describeSearch } = require('./searchFilter');
+const { sendResultCard } = require('./buyerSearch');
+const { commandButton } = require('./keyboards');
+const { t, isAnswer, resolveLocale } = require('./i18n');
+
+// Saved searches: a buyer saves a /search and is told whenever a newly published listing
+// matches it, either right away or in a daily digest. /mute pauses all of a user's alerts.
+
+const MAX_SAVED_SEARCHES = 10;
+const DIGEST_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+// Listings shown as cards in one digest, the rest are only counted
+const MAX_DIGEST_CARDS = 10;
+
+function frequencyLabel(savedSearch, locale) {
+  return t(locale, savedSearch.frequency === ALERT_FREQUENCY.DAILY ? 'alerts.daily' : 'alerts.instant');
+}
+
+function searchTitle(savedSearch, locale) {
+  return describeSearch(savedSearch.filter, locale) || t(locale, 'alerts.allListings');
+}
+
+// Alerts and digests go to other chats, so their locale comes from their own session
+async function recipientLocale(telegramId, locales) {
+  if (!locales.has(telegramId)) {
+    let userSession = null;
+    try {
+      userSession = await findUserSession(telegramId);
+    } catch (error) {
+      console.error('Failed to load recipient session:', {
+        error: error.message,
+        telegramId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    locales.set(telegramId, resolveLocale(userSession, null));
+  }
+  return locales.get(telegramId);
+}
+
+// A saved search owned by this chat, or null
+async function findOwnSavedSearch(chatId, id) {
+  const records = await getSavedSearchesByTelegramId(chatId);
+  return records.find(record => record.id === id) || null;
+}
+
+// "/savesearch" saves the search the user is looking at in search mode
+async function handleSaveSearch(chatId, userSession, collectedData, args, locale) {
+  if (userSession.Current_State !== 'awaiting_search' || !collectedData.searchFilter) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.noSearchYet'));
+    return;
+  }
+
+  const records = await getSavedSearchesByTelegramId(chatId);
+  const savedSearches = records.map(record => fromSavedSearchFields(record.fields));
+  const filter = JSON.stringify(collectedData.searchFilter);
+  if (savedSearches.some(savedSearch => JSON.stringify(savedSearch.filter) === filter)) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.alreadySaved'));
+    return;
+  }
+  if (records.length >= MAX_SAVED_SEARCHES) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.tooMany', { max: MAX_SAVED_SEARCHES }));
+    return;
+  }
+
+  // Muting is per user, so a new search joins the user's other searches in being muted
+  const muted = savedSearches.some(savedSearch => savedSearch.muted);
+  const record = await addSavedSearch({
+    telegramId: chatId,
+    query: collectedData.searchQuery,
+    filter: collectedData.searchFilter,
+    frequency: ALERT_FREQUENCY.INSTANT,
+    muted
+  });
+
+  console.log('Search saved:', {
+    chatId,
+    savedSearchId: record.id,
+    filter: collectedData.searchFilter,
+    timestamp: new Date().toISOString()
+  });
+
+  const summary = escapeHtml(searchTitle(fromSavedSearchFields(record.fields), locale));
+  await sendTelegramMessage(
+    chatId,
+    t(locale, muted ? 'alerts.savedMuted' : 'alerts.saved', { summary }),
+    { reply_markup: { inline_keyboard: [[commandButton(t(locale, 'alerts.buttons.dailyInstead'), `/digest ${record.id} on`)]] } }
+  );
+}
+
+async function handleAlerts(chatId, userSession, collectedData, args, locale) {
+  const records = await getSavedSearchesByTelegramId(chatId);
+  if (records.length === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.none'));
+    return;
+  }
+
+  const savedSearches = records.map(record => fromSavedSearchFields(record.fields));
+  const muted = savedSearches.some(savedSearch => savedSearch.muted);
+  const lines = savedSearches.map((savedSearch, i) =>
+    `${i + 1}. ${escapeHtml(searchTitle(savedSearch, locale))} (${frequencyLabel(savedSearch, locale)})`
+  );
+
+  const keyboard = records.map((record, i) => [
+    savedSearches[i].frequency === ALERT_FREQUENCY.DAILY
+      ? commandButton(t(locale, 'alerts.buttons.instantNumber', { number: i + 1 }), `/digest ${record.id} off`)
+      : commandButton(t(locale, 'alerts.buttons.dailyNumber', { number: i + 1 }), `/digest ${record.id} on`),
+    commandButton(t(locale, 'alerts.buttons.removeNumber', { number: i + 1 }), `/unsubscribe ${record.id}`)
+  ]);
+  keyboard.push([muted
+    ? commandButton(t(locale, 'alerts.buttons.unmute'), '/unmute')
+    : commandButton(t(locale, 'alerts.buttons.mute'), '/mute')]);
+
+  await sendTelegramMessage(
+    chatId,
+    t(locale, muted ? 'alerts.listMuted' : 'alerts.list', { lines: lines.join('\n') }),
+    { reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+// "/unsubscribe <id>" removes one saved search, "/unsubscribe all" removes them all
+async function handleUnsubscribe(chatId, userSession, collectedData, args, locale) {
+  if (isAnswer(locale, args, 'all')) {
+    const records = await getSavedSearchesByTelegramId(chatId);
+    for (const record of records) {
+      await deleteSavedSearch(record.id);
+    }
+    await sendTelegramMessage(chatId, t(locale, 'alerts.removedAll'));
+    return;
+  }
+
+  const record = await findOwnSavedSearch(chatId, args);
+  if (!record) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.notFound'));
+    return;
+  }
+
+  await deleteSavedSearch(record.id);
+  await sendTelegramMessage(chatId, t(locale, 'alerts.removed', {
+    summary: escapeHtml(searchTitle(fromSavedSearchFields(record.fields), locale))
+  }));
+}
+
+async function setMuted(chatId, muted) {
+  const records = await getSavedSearchesByTelegramId(chatId);
+  for (const record of records) {
+    // Matches found while muted are not delivered later either
+    await updateSavedSearch(record.id, muted ? { muted, pending: [] } : { muted });
+  }
+  return records.length;
+}
+
+async function handleMute(chatId, userSession, collectedData, args, locale) {
+  if (await setMuted(chatId, true) === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.nothingToMute'));
+    return;
+  }
+  await sendTelegramMessage(chatId, t(locale, 'alerts.muted'));
+}
+
+async function handleUnmute(chatId, userSession, collectedData, args, locale) {
+  if (await setMuted(chatId, false) === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.none'));
+    return;
+  }
+  await sendTelegramMessage(chatId, t(locale, 'alerts.unmuted'));
+}
+
+// "/digest on|off" switches every saved search between the daily digest and instant alerts,
+// "/digest <id> on|off" just one of them
+async function handleDigest(chatId, userSession, collectedData, args, locale) {
+  const parts = args.split(/\s+/);
+  const setting = parts.pop();
+  const on = isAnswer(locale, setting, 'on');
+  if (!on && !isAnswer(locale, setting, 'off')) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.digestUsage'));
+    return;
+  }
+
+  let records = await getSavedSearchesByTelegramId(chatId);
+  const [id] = args.split(/\s+/);
+  if (parts.length > 0) {
+    records = records.filter(record => record.id === id);
+    if (records.length === 0) {
+      await sendTelegramMessage(chatId, t(locale, 'alerts.notFoundShort'));
+      return;
+    }
+  }
+  if (records.length === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'alerts.none'));
+    return;
+  }
+
+  const frequency = on ? ALERT_FREQUENCY.DAILY : ALERT_FREQUENCY.INSTANT;
+  for (const record of records) {
+    const savedSearch = fromSavedSearchFields(record.fields);
+    // The first digest goes out a day after it is switched on
+    const lastDigestAt = frequency === ALERT_FREQUENCY.DAILY && !savedSearch.lastDigestAt
+      ? new Date().toISOString()
+      : undefined;
+    await updateSavedSearch(record.id, { frequency, lastDigestAt });
+  }
+
+  await sendTelegramMessage(chatId, t(locale, frequency === ALERT_FREQUENCY.DAILY ? 'alerts.digestOn' : 'alerts.digestOff'));
+}
+
+// Tell everyone with a matching saved search about a newly published listing.
+// Instant searches get the listing straight away (once per user), daily searches queue it for the digest.
+async function notifySavedSearches(record) {
+  const records = await getSavedSearches();
+  const alerted = new Set();
+  const locales = new Map();
+  let queued = 0;
+
+  for (const searchRecord of records) {
+    const savedSearch = fromSavedSearchFields(searchRecord.fields);
+    if (savedSearch.muted || savedSearch.telegramId === record.fields.Telegram_ID) continue;
+    if (!matchesSearch(record.fields, savedSearch.filter)) continue;
+
+    if (savedSearch.frequency === ALERT_FREQUENCY.DAILY) {
+      if (!savedSearch.pending.includes(record.id)) {
+        await updateSavedSearch(searchRecord.id, { pending: [...savedSearch.pending, record.id] });
+        queued++;
+      }
+      continue;
+    }
+
+    if (alerted.has(savedSearch.telegramId)) continue;
+    alerted.add(savedSearch.telegramId);
+
+    // One blocked or failing chat must not stop the alerts for everyone else
+    try {
+      const locale = await recipientLocale(savedSearch.telegramId, locales);
+      await sendTelegramMessage(
+        savedSearch.telegramId,
+        t(locale, 'alerts.newMatch', { summary: escapeHtml(searchTitle(savedSearch, locale)) }),
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              commandButton(t(locale, 'alerts.buttons.daily'), '/digest on'),
+              commandButton(t(locale, 'alerts.buttons.mute'), '/mute')
+            ]]
+          }
+        }
+      );
+      await sendResultCard(savedSearch.telegramId, record, locale);
+    } catch (error) {
+      console.error('Failed to send search alert:', {
+        error: error.message,
+        telegramId: savedSearch.telegramId,
+        propertyId: record.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  console.log('Saved searches checked:', {
+    propertyId: record.id,
+    alerted: alerted.size,
+    queued,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Send the queued matches of every daily saved search whose last digest is a day old,
+// one message per user. Deleted listings are dropped from the digest.
+// Returns how many users were due.
+async function sendDigests() {
+  const now = new Date();
+  const due = new Map();
+  const locales = new Map();
+
+  for (const record of await getSavedSearches()) {
+    const savedSearch = fromSavedSearchFields(record.fields);
+    if (savedSearch.muted || savedSearch.pending.length === 0) continue;
+    if (savedSearch.lastDigestAt && now - new Date(savedSearch.lastDigestAt) < DIGEST_INTERVAL) continue;
+
+    if (!due.has(savedSearch.telegramId)) due.set(savedSearch.telegramId, []);
+    due.get(savedSearch.telegramId).push({ record, savedSearch });
+  }
+
+  for (const [telegramId, entries] of due) {
+    const propertyIds = [...new Set(entries.flatMap(({ savedSearch }) => savedSearch.pending))];
+    const listings = [];
+    for (const propertyId of propertyIds) {
+      const property = await getProperty(propertyId);
+      if (property && property.fields.Status === PROPERTY_STATUS.PUBLISHED) listings.push(property);
+    }
+
+    try {
+      if (listings.length > 0) {
+        const locale = await recipientLocale(telegramId, locales);
+        await sendTelegramMessage(telegramId, t(locale, 'alerts.digest', { count: listings.length }));
+        for (const listing of listings.slice(0, MAX_DIGEST_CARDS)) {
+          await sendResultCard(telegramId, listing, locale);
+        }
+        if (listings.length > MAX_DIGEST_CARDS) {
+          await sendTelegramMessage(telegramId, t(locale, 'alerts.digestMore', { count: listings.length - MAX_DIGEST_CARDS }));
+        }
+      }
+
+      for (const { record } of entries) {
+        await updateSavedSearch(record.id, { pending: [], lastDigestAt: now.toISOString() });
+      }
+    } catch (error) {
+      console.error('Failed to send digest:', {
+        error: error.message,
+        telegramId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  console.log('Digests sent:', {
+    users: due.size,
+    timestamp: new Date().toISOString()
+  });
+  return { users: due.size };
+}
+
+module.exports = {
+  handleSaveSearch,
+  handleAlerts,
+  handleUnsubscribe,
+  handleMute,
+  handleUnmute,
+  handleDigest,
+  notifySavedSearches,
+  sendDigests
+};
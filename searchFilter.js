@@ -0,0 +1,118 @@
+const { PROPERTY_STATUS, listingStatus } = require('./propertySchema');
+const { t, propertyTypeLabel } = require('./i18n');
+const { PROPERTY_TYPES } = require('./validation');
+
+// A search filter is a plain object with any of:
+//   minPrice, maxPrice, minBedrooms, maxBedrooms, minBathrooms, minSize, maxSize (numbers),
+//   zip (a ZIP code or its first digits), propertyType (a PROPERTY_TYPES key),
+//   amenities (keywords that must all appear in the Amenities column),
+//   updatedSince (an ISO timestamp; only listings with that Updated_At or later, for incremental exports),
+//   team (the agency the listing belongs to)
+// and, for the admin API only:
+//   status (a PROPERTY_STATUS, 'published' by default, or STATUS_ANY), telegramId (the agent's chat)
+
+// status value that matches every listing, drafts included
+const STATUS_ANY = 'any';
+
+// Numeric filters: filter key -> [Properties column, 'min' | 'max']
+const NUMBER_FILTERS = {
+  minPrice: ['Price', 'min'],
+  maxPrice: ['Price', 'max'],
+  minBedrooms: ['Bedrooms', 'min'],
+  maxBedrooms: ['Bedrooms', 'max'],
+  minBathrooms: ['Bathrooms', 'min'],
+  minSize: ['Size_sqm', 'min'],
+  maxSize: ['Size_sqm', 'max']
+};
+
+// Whether a Properties record's fields match a filter. Only approved listings match unless the filter asks
+// for another status. Values are compared as numbers because Google Sheets returns every cell as a string.
+function matchesSearch(fields, filter) {
+  const status = filter.status || PROPERTY_STATUS.PUBLISHED;
+  if (status !== STATUS_ANY && listingStatus(fields) !== status) return false;
+  if (filter.telegramId && fields.Telegram_ID !== filter.telegramId.toString()) return false;
+  if (filter.team && (fields.Team || '') !== filter.team) return false;
+  // ISO timestamps sort as strings
+  if (filter.updatedSince && !(String(fields.Updated_At || '') >= filter.updatedSince)) return false;
+
+  for (const [key, [column, bound]] of Object.entries(NUMBER_FILTERS)) {
+    if (filter[key] === undefined) continue;
+    const value = Number(fields[column]);
+    if (fields[column] === undefined || fields[column] === '' || Number.isNaN(value)) return false;
+    if (bound === 'min' ? value < filter[key] : value > filter[key]) return false;
+  }
+
+  if (filter.zip && !String(fields.ZIP || '').startsWith(filter.zip)) return false;
+  if (filter.propertyType && fields.Property_Type !== filter.propertyType) return false;
+
+  const amenities = String(fields.Amenities || '').toLowerCase();
+  return (filter.amenities || []).every(amenity => amenities.includes(amenity));
+}
+
+// Filter from URL query parameters, for the HTTP endpoints -> { filter } or { error }.
+// Takes the keys above except the admin-only ones; amenities are comma-separated.
+function parseFilterQuery(query) {
+  const filter = {};
+  for (const key of Object.keys(NUMBER_FILTERS)) {
+    if (query[key] === undefined) continue;
+    const value = Number(query[key]);
+    if (query[key] === '' || Number.isNaN(value)) {
+      return { error: `${key} must be a number` };
+    }
+    filter[key] = value;
+  }
+
+  if (query.propertyType) {
+    if (!PROPERTY_TYPES[query.propertyType]) {
+      return { error: `propertyType must be one of: ${Object.keys(PROPERTY_TYPES).join(', ')}` };
+    }
+    filter.propertyType = query.propertyType;
+  }
+  if (query.zip) filter.zip = String(query.zip).trim();
+  if (query.team) filter.team = String(query.team).trim();
+  if (query.amenities) {
+    filter.amenities = String(query.amenities).split(',').map(amenity => amenity.trim().toLowerCase()).filter(Boolean);
+  }
+  if (query.updatedSince) {
+    const since = new Date(query.updatedSince);
+    if (Number.isNaN(since.getTime())) {
+      return { error: 'updatedSince must be a date, like 2024-05-01T12:00:00Z' };
+    }
+    filter.updatedSince = since.toISOString();
+  }
+
+  return { filter };
+}
+
+// "🛏️ 2+ · 💖 up to 400000 · 📮 10435 · ✨ balcony", in the given locale
+function describeSearch(filter, locale) {
+  const range = (min, max) => {
+    if (min !== undefined && max !== undefined) return `${min}-${max}`;
+    if (min !== undefined) return `${min}+`;
+    return t(locale, 'search.upTo', { max });
+  };
+
+  const parts = [];
+  if (filter.propertyType) parts.push(`🏡 ${propertyTypeLabel(locale, filter.propertyType)}`);
+  if (filter.minBedrooms !== undefined || filter.maxBedrooms !== undefined) {
+    parts.push(`🛏️ ${range(filter.minBedrooms, filter.maxBedrooms)}`);
+  }
+  if (filter.minBathrooms !== undefined) parts.push(`🚿 ${filter.minBathrooms}+`);
+  if (filter.minSize !== undefined || filter.maxSize !== undefined) {
+    parts.push(`📏 ${t(locale, 'units.sqm', { value: range(filter.minSize, filter.maxSize) })}`);
+  }
+  if (filter.minPrice !== undefined || filter.maxPrice !== undefined) {
+    parts.push(`💖 ${range(filter.minPrice, filter.maxPrice)}`);
+  }
+  if (filter.zip) parts.push(`📮 ${filter.zip}`);
+  if (filter.amenities) parts.push(`✨ ${filter.amenities.join(', ')}`);
+  return parts.join(' · ');
+}
+
+module.exports = {
+  NUMBER_FILTERS,
+  STATUS_ANY,
+  matchesSearch,
+  parseFilterQuery,
+  describeSearch
+};
@@ -0,0 +1,110 @@
+const openai = require('./openaiClient');
+const { getPropertyBySlug } = require('./storage');
+const { languageName } = require('./i18n');
+
+// Search engines truncate anything longer than this
+const MAX_TITLE_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 155;
+
+const SEO_SCHEMA = {
+  name: 'listing_seo',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', description: `Meta title, at most ${MAX_TITLE_LENGTH} characters` },
+      description: { type: 'string', description: `Meta description, at most ${MAX_DESCRIPTION_LENGTH} characters` },
+      keywords: { type: 'array', items: { type: 'string' }, description: '5 to 10 search keywords' }
+    },
+    required: ['title', 'description', 'keywords'],
+    additionalProperties: false
+  }
+};
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+// "Kastanienallee 12, Berlin" -> "kastanienallee-12-berlin"
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// Slug built from the listing itself, suffixed with -2, -3, ... until it is unused
+async function uniqueSlug(collectedData) {
+  const base = slugify([
+    collectedData.propertyType,
+    collectedData.bedrooms !== undefined ? `${collectedData.bedrooms}-bedroom` : null,
+    collectedData.address,
+    collectedData.zip
+  ].filter(Boolean).join(' ')) || 'property';
+
+  // The listing's own draft record may already carry the slug from an earlier review
+  const isTaken = async (candidate) => {
+    const record = await getPropertyBySlug(candidate);
+    return Boolean(record) && record.id !== collectedData.propertyId;
+  };
+
+  let slug = base;
+  for (let suffix = 2; await isTaken(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
+
+// Generate SEO title, description, keywords and slug for a listing.
+// previousTitle is passed when regenerating so the model tries something different.
+// The texts are written in the chat's language; the slug stays ASCII.
+async function generateSeoFields(collectedData, locale, previousTitle = null) {
+  const listing = {
+    propertyType: collectedData.propertyType,
+    address: collectedData.address,
+    zip: collectedData.zip,
+    bedrooms: collectedData.bedrooms,
+    bathrooms: collectedData.bathrooms,
+    sizeSqm: collectedData.size,
+    price: collectedData.price,
+    amenities: collectedData.amenities,
+    condition: collectedData.conditionSummary,
+    photoNotes: (collectedData.images || []).map(({ analysis }) => analysis.description)
+  };
+
+  const completion = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    temperature: previousTitle ? 1 : 0.7,
+    messages: [
+      {
+        role: 'system',
+        content: `You write SEO metadata for real estate listing pages. Be specific and factual, mention the property type, size, rooms and location. Never invent features that are not in the data. Write the title, description and keywords in ${languageName(locale)}.`
+      },
+      {
+        role: 'user',
+        content: `Listing data:\n${JSON.stringify(listing, null, 2)}${previousTitle ? `\n\nThe agent did not like this title, write a different one: ${previousTitle}` : ''}`
+      }
+    ],
+    response_format: { type: 'json_schema', json_schema: SEO_SCHEMA }
+  });
+
+  const seo = JSON.parse(completion.choices[0].message.content);
+
+  return {
+    seoTitle: truncate(seo.title.trim(), MAX_TITLE_LENGTH),
+    seoDesc: truncate(seo.description.trim(), MAX_DESCRIPTION_LENGTH),
+    seoKeywords: seo.keywords.map(keyword => keyword.trim()).filter(Boolean).join(', '),
+    seoSlug: await uniqueSlug(collectedData)
+  };
+}
+
+module.exports = {
+  slugify,
+  generateSeoFields
+};
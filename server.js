@@ -1,20 +1,43 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 const cors = require('cors');
-const OpenAI = require('openai');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const FormData = require('form-data');
-const fs = require('fs');
-const path = require('path');
 const cloudinary = require('cloudinary').v2;
 const rateLimit = require('express-rate-limit');
-const { getUserSession, updateUserSession, addProperty } = require('./airtableConfig');
+const { STORAGE_BACKEND } = require('./storage');
+const { registerCommands } = require('./commands');
+const { JOB_WORKER, startWorker } = require('./jobs');
+const { handleTelegramUpdate } = require('./incomingUpdates');
+const { startPolling, stopPolling } = require('./polling');
+const { whenIdle } = require('./chatQueue');
+const { sendDigests } = require('./searchAlerts');
+const { ADMIN_API_KEY, createAdminApi } = require('./adminApi');
+const { createFeeds } = require('./feeds');
+const { PUBLIC_URL, createListingPages } = require('./listingPages');
+const { ADMIN_TELEGRAM_IDS } = require('./users');
+const { DRAFT_REMINDER_HOURS, sendDraftReminders } = require('./draftReminders');
+const { CRON_SECRET, createCron } = require('./cron');
+const {
+  WEBHOOK_SECRET,
+  WEBHOOK_PATH,
+  isVerifiedTelegramRequest,
+  verifyTelegramRequest,
+  loggableHeaders,
+  validateUpdate
+} = require('./webhookSecurity');
 
 const app = express();
 const port = process.env.PORT || 3000;
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DRAFT_REMINDER_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const SHUTDOWN_TIMEOUT = 10 * 1000; // 10 seconds for queued updates to finish
+
+// 'webhook' (default) or 'polling', which fetches updates with getUpdates so no public URL is needed.
+// npm run dev passes --polling.
+const TELEGRAM_MODE = process.argv.includes('--polling')
+  ? 'polling'
+  : (process.env.TELEGRAM_MODE || 'webhook').toLowerCase();
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -22,9 +45,7 @@ const requiredEnvVars = [
   'OPENAI_API_KEY',
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET',
-  'AIRTABLE_API_KEY',
-  'AIRTABLE_BASE_ID'
+  'CLOUDINARY_API_SECRET'
 ];
 
 // Load environment variables from .env file if it exists
@@ -43,11 +64,6 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
 // Validate Cloudinary configuration
 if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
   console.error('❌ Missing required Cloudinary environment variables:');
@@ -57,6 +73,10 @@ if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !pr
   throw new Error('Missing required Cloudinary environment variables');
 }
 
+if (TELEGRAM_MODE === 'webhook' && !WEBHOOK_SECRET) {
+  console.warn('⚠️ TELEGRAM_WEBHOOK_SECRET is not set, so anyone can post to the webhook. Set it and run npm run set-webhook.');
+}
+
 // Configure Cloudinary
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -94,6 +114,8 @@ const limiter = rateLimit({
     legacyHeaders: false,
     skipFailedRequests: true,
     keyGenerator: (req) => req.ip || req.connection.remoteAddress,
+    // All Telegram traffic comes from a few Telegram IPs, so verified updates are not limited
+    skip: (req) => req.path === WEBHOOK_PATH && isVerifiedTelegramRequest(req),
     handler: (req, res) => {
         res.status(429).json({
             error: '🎀 Too many requests! Please try again in a few minutes! ✨'
@@ -109,239 +131,17 @@ app.get('/', (req, res) => {
   res.json({ status: 'ok', message: 'Telegram AI Property Bot is running' });
 });
 
-// Add message deduplication
-const processedMessages = new Set();
-
-// Helper function to send Telegram messages with retry
-async function sendTelegramMessage(chatId, text, maxRetries = 3) {
-  let lastError;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/sendMessage`, {
-        chat_id: chatId,
-        text: text,
-        parse_mode: 'HTML'
-      });
-      return;
-    } catch (error) {
-      lastError = error;
-      if (i < maxRetries - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-      }
-    }
-  }
-  throw lastError;
-}
-
-// Handle PDF files with improved error handling
-async function handlePDF(document) {
-  try {
-    const fileInfo = await axios.get(
-      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${document.file_id}`
-    );
-    
-    const filePath = fileInfo.data.result.file_path;
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
-    
-    const response = await axios.get(fileUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 30000 // 30 second timeout
-    });
-    
-    const pdfData = await pdfParse(response.data);
-    return pdfData.text;
-  } catch (error) {
-    console.error('Error processing PDF:', error);
-    throw new Error('✨ Oopsie! I had a bit of trouble reading that PDF. Could you try sending it again? 📄');
-  }
-}
-
-// Handle voice notes with improved error handling
-async function handleVoiceNote(voice) {
-  try {
-    const fileInfo = await axios.get(
-      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${voice.file_id}`
-    );
-    
-    const filePath = fileInfo.data.result.file_path;
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
-    
-    const response = await axios.get(fileUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 30000 // 30 second timeout
-    });
-    
-    const whisperResponse = await openai.audio.transcriptions.create({
-      file: response.data,
-      model: "whisper-1"
-    });
-    
-    return whisperResponse.text;
-  } catch (error) {
-    console.error('Error processing voice note:', error);
-    throw new Error('🎀 Oh dear! I had trouble understanding that voice note. Could you try recording it again? 🎤');
-  }
-}
-
-// Handle images with improved error handling
-async function handleImage(photos, propertyId = null) {
-  try {
-    const photo = photos[photos.length - 1];
-    
-    const fileInfo = await axios.get(
-      `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/getFile?file_id=${photo.file_id}`
-    );
-    
-    const filePath = fileInfo.data.result.file_path;
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${filePath}`;
-    
-    const response = await axios.get(fileUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 30000 // 30 second timeout
-    });
-    
-    const uploadResponse = await cloudinary.uploader.upload(
-      `data:image/jpeg;base64,${Buffer.from(response.data).toString('base64')}`,
-      {
-        folder: 'property-images',
-        public_id: propertyId ? `${propertyId}-${Date.now()}` : undefined
-      }
-    );
-
-    if (propertyId) {
-      await addProperty({
-        propertyId,
-        imageUrls: [uploadResponse.secure_url]
-      });
-    }
+// Back-office API (see adminApi.js); the rate limiter above applies to it too
+app.use('/api', createAdminApi(upload));
 
-    const visionResponse = await openai.chat.completions.create({
-      model: "gpt-4-vision-preview",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: "Please analyze this property image and extract any visible details about the property. Focus on: architectural style, condition, key features, and any visible amenities." },
-            { type: "image_url", image_url: { url: uploadResponse.secure_url } }
-          ],
-        },
-      ],
-      max_tokens: 500,
-    });
+// Listing export feeds for partner portals (see feeds.js)
+app.use('/feeds', createFeeds());
 
-    if (!propertyId) {
-      await cloudinary.uploader.destroy(uploadResponse.public_id);
-    }
-    
-    return {
-      imageUrl: uploadResponse.secure_url,
-      analysis: visionResponse.choices[0].message.content
-    };
-  } catch (error) {
-    console.error('Error processing image:', error);
-    throw new Error('🌈 Oops! Something went wrong with that photo. Could you try sending it again? 📸');
-  }
-}
+// Scheduled work for Vercel Cron (see cron.js)
+app.use('/cron', createCron());
 
-// Process messages with friendly, bubbly responses
-async function processMessage(chatId, text, userSession, message) {
-    const currentState = userSession.Current_State || 'initial';
-    const collectedData = JSON.parse(userSession.Collected_Data || '{}');
-
-    switch (currentState) {
-        case 'initial':
-            await sendTelegramMessage(chatId, "✨ Hi there! I'm Keyly, your friendly property assistant! 🏠\n\nLet's add your amazing property to our collection! First, could you share the property's address with me? 🌟");
-            await updateUserSession(chatId, 'awaiting_address', collectedData, text);
-            break;
-
-        case 'awaiting_address':
-            collectedData.address = text;
-            await sendTelegramMessage(chatId, "🎀 Perfect! That's a lovely location! Now, could you tell me the ZIP code? 📮");
-            await updateUserSession(chatId, 'awaiting_zip', collectedData, text);
-            break;
-
-        case 'awaiting_zip':
-            collectedData.zip = text;
-            await sendTelegramMessage(chatId, "🌈 Great! Now, how many bedrooms does this charming property have? 🛏️");
-            await updateUserSession(chatId, 'awaiting_bedrooms', collectedData, text);
-            break;
-
-        case 'awaiting_bedrooms':
-            collectedData.bedrooms = parseInt(text);
-            await sendTelegramMessage(chatId, "🎭 Wonderful! And how many bathrooms are there? 🚿");
-            await updateUserSession(chatId, 'awaiting_bathrooms', collectedData, text);
-            break;
-
-        case 'awaiting_bathrooms':
-            collectedData.bathrooms = parseInt(text);
-            await sendTelegramMessage(chatId, "🌺 Fantastic! Could you tell me the size in square meters? 📏");
-            await updateUserSession(chatId, 'awaiting_size', collectedData, text);
-            break;
-
-        case 'awaiting_size':
-            collectedData.size = parseInt(text);
-            await sendTelegramMessage(chatId, "✨ Amazing! What's the price for this lovely property? 💖");
-            await updateUserSession(chatId, 'awaiting_price', collectedData, text);
-            break;
-
-        case 'awaiting_price':
-            collectedData.price = parseInt(text);
-            await sendTelegramMessage(chatId, "🎪 Brilliant! Now, tell me about any special amenities or features that make this property unique! ✨");
-            await updateUserSession(chatId, 'awaiting_amenities', collectedData, text);
-            break;
-
-        case 'awaiting_amenities':
-            collectedData.amenities = text;
-            const summary = `🌟 Here's a summary of this wonderful property:
-
-🏠 Address: ${collectedData.address}
-📮 ZIP: ${collectedData.zip}
-🛏️ Bedrooms: ${collectedData.bedrooms}
-🚿 Bathrooms: ${collectedData.bathrooms}
-📏 Size: ${collectedData.size} sqm
-💖 Price: ${collectedData.price}
-✨ Amenities: ${collectedData.amenities}
-
-Is this all correct? Please reply with 'yes' to confirm or 'no' to start over! 🎀`;
-            await sendTelegramMessage(chatId, summary);
-            await updateUserSession(chatId, 'awaiting_confirmation', collectedData, text);
-            break;
-
-        case 'awaiting_confirmation':
-            if (text.toLowerCase() === 'yes') {
-                await sendTelegramMessage(chatId, "🎉 Yay! Now, let's add some beautiful photos of the property! Send me the images one by one, and type 'done' when you're finished! 📸");
-                await updateUserSession(chatId, 'awaiting_images', collectedData, text);
-            } else {
-                await sendTelegramMessage(chatId, "🌸 No problem at all! Let's start fresh! What's the address of the property? 🏠");
-                await updateUserSession(chatId, 'awaiting_address', {}, text);
-            }
-            break;
-
-        case 'awaiting_images':
-            if (text.toLowerCase() === 'done') {
-                await addProperty({
-                    telegramId: chatId.toString(),
-                    ...collectedData
-                });
-                await sendTelegramMessage(chatId, "🎊 Wonderful! I've saved all the details of your amazing property! Need to add another one? Just let me know! 🌟");
-                await updateUserSession(chatId, 'initial', {}, text);
-            } else if (message && message.photo) {
-                const result = await handleImage(message.photo, chatId);
-                collectedData.imageUrl = collectedData.imageUrl || [];
-                collectedData.imageUrl.push(result.imageUrl);
-                await sendTelegramMessage(chatId, "🌈 Beautiful photo! Send more or type 'done' when you're finished! 📸");
-                await updateUserSession(chatId, 'awaiting_images', collectedData, text);
-            } else {
-                await sendTelegramMessage(chatId, "🎀 Please send me photos of the property, or type 'done' if you're finished! 📸");
-            }
-            break;
-
-        default:
-            await sendTelegramMessage(chatId, "✨ Hi! I'm Keyly, your friendly property assistant! Let's start fresh! What's the address of the property you'd like to add? 🏠");
-            await updateUserSession(chatId, 'awaiting_address', {}, text);
-            break;
-    }
-}
+// Public listing pages at /p/:slug and /sitemap.xml
+app.use(createListingPages());
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -350,90 +150,30 @@ app.use((err, req, res, next) => {
 });
 
 // Webhook handler
-app.post('/telegram-webhook', async (req, res) => {
+app.post(WEBHOOK_PATH, verifyTelegramRequest, async (req, res) => {
   // Set a specific timeout for the webhook endpoint
   req.setTimeout(25000);
   
   try {
     console.log('Webhook received:', {
       body: JSON.stringify(req.body),
-      headers: req.headers,
+      headers: loggableHeaders(req.headers),
       timestamp: new Date().toISOString()
     });
-    
-    const message = req.body.message || req.body.edited_message;
-    if (!message) {
-      console.log('No message found in request');
-      return res.sendStatus(200);
+
+    const invalid = validateUpdate(req.body);
+    if (invalid) {
+      console.warn('Invalid Telegram update:', {
+        reason: invalid,
+        timestamp: new Date().toISOString()
+      });
+      return res.sendStatus(400);
     }
 
-    // Send an immediate 200 response to Telegram
+    // Answer once the update is processed or, with slow media work, stored as a job; a host may
+    // freeze the function as soon as the response is sent.
+    await handleTelegramUpdate(req.body);
     res.sendStatus(200);
-
-    const chatId = message.chat.id;
-    const text = message.text || '';
-    
-    console.log('Processing message:', {
-      chatId,
-      text,
-      messageId: message.message_id,
-      timestamp: new Date().toISOString()
-    });
-
-    // Process the message asynchronously
-    setImmediate(async () => {
-      try {
-        // Check for duplicate messages
-        const messageId = message.message_id;
-        if (processedMessages.has(messageId)) {
-          console.log('Duplicate message detected:', messageId);
-          return;
-        }
-        processedMessages.add(messageId);
-
-        // Get or create user session
-        let userSession;
-        try {
-          userSession = await getUserSession(chatId);
-          console.log('User session retrieved:', {
-            chatId,
-            session: userSession,
-            timestamp: new Date().toISOString()
-          });
-        } catch (error) {
-          console.error('Session error:', {
-            error: error.message,
-            stack: error.stack,
-            chatId,
-            timestamp: new Date().toISOString()
-          });
-          
-          if (error.message.includes('Airtable tables not found')) {
-            await sendTelegramMessage(chatId, "✨ Hi there! I'm Keyly, your friendly property assistant! I'm just getting my workspace ready for you. Give me a moment to set things up! 🎀");
-          } else {
-            await sendTelegramMessage(chatId, "🌟 Oopsie! Having a little hiccup connecting. Let me fix that for you real quick! ✨");
-          }
-          return;
-        }
-
-        // Process the message
-        await processMessage(chatId, text, userSession, message);
-        console.log('Message processed successfully:', {
-          chatId,
-          messageId,
-          timestamp: new Date().toISOString()
-        });
-      } catch (error) {
-        console.error('Processing error:', {
-          error: error.message,
-          stack: error.stack,
-          chatId: message.chat.id,
-          messageId: message.message_id,
-          timestamp: new Date().toISOString()
-        });
-        await sendTelegramMessage(message.chat.id, '🎈 Oh no! Something went a bit wonky. Let\'s try that again, shall we? 🌈');
-      }
-    });
   } catch (error) {
     console.error('Webhook error:', {
       error: error.message,
@@ -465,9 +205,51 @@ const startServer = (portToTry) => {
       telegram: !!process.env.TELEGRAM_TOKEN,
       openai: !!process.env.OPENAI_API_KEY,
       cloudinary: !!process.env.CLOUDINARY_CLOUD_NAME,
-      airtable: !!process.env.AIRTABLE_API_KEY,
+      telegramMode: TELEGRAM_MODE,
+      webhookSecret: !!WEBHOOK_SECRET,
+      adminApi: !!ADMIN_API_KEY,
+      builtInAdmins: ADMIN_TELEGRAM_IDS.length,
+      cron: !!CRON_SECRET,
+      draftReminderHours: DRAFT_REMINDER_HOURS,
+      publicUrl: PUBLIC_URL || null,
+      jobWorker: JOB_WORKER,
+      storage: STORAGE_BACKEND,
       timestamp: new Date().toISOString()
     });
+
+    registerCommands().catch(error => {
+      console.error('Failed to register bot commands:', error.message);
+    });
+
+    if (JOB_WORKER === 'inline') {
+      startWorker();
+    }
+
+    if (TELEGRAM_MODE === 'polling') {
+      startPolling().catch(error => {
+        console.error('❌ Failed to start long polling:', error.message);
+        process.exit(1);
+      });
+    }
+
+    // Each saved search gets at most one digest a day; checking hourly keeps them close to on time.
+    // With CRON_SECRET set the cron route does this instead, and only there, so no digest goes out twice.
+    if (!CRON_SECRET) {
+      setInterval(() => {
+        sendDigests().catch(error => {
+          console.error('Failed to send digests:', error.message);
+        });
+      }, DIGEST_CHECK_INTERVAL);
+    }
+
+    // Likewise for draft reminders: with CRON_SECRET set only the cron route sends them
+    if (!CRON_SECRET) {
+      setInterval(() => {
+        sendDraftReminders().catch(error => {
+          console.error('Failed to send draft reminders:', error.message);
+        });
+      }, DRAFT_REMINDER_CHECK_INTERVAL);
+    }
   }).on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       console.log(`⚠️ Port ${portToTry} is busy, trying ${portToTry + 1}`);
@@ -480,4 +262,27 @@ const startServer = (portToTry) => {
   });
 };
 
+// Clean shutdown (Ctrl+C, nodemon restarts): stop fetching updates, let queued ones finish, then exit
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log('Shutting down:', {
+    signal,
+    timestamp: new Date().toISOString()
+  });
+
+  if (TELEGRAM_MODE === 'polling') {
+    await stopPolling();
+  }
+  await Promise.race([
+    whenIdle(),
+    new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT))
+  ]);
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer(port); 
\ No newline at end of file
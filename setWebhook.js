@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { setWebhook, getWebhookInfo } = require('./telegram');
+const { WEBHOOK_SECRET, WEBHOOK_PATH, ALLOWED_UPDATES, SECRET_FORMAT } = require('./webhookSecurity');
+
+// Register the webhook with Telegram, together with the secret token and the update types we handle.
+// Usage: npm run set-webhook -- https://your-app.vercel.app
+//   (or set TELEGRAM_WEBHOOK_URL). /telegram-webhook is added when the URL has no path.
+
+function webhookUrl(input) {
+  const url = new URL(input);
+  if (url.pathname === '/' || url.pathname === '') {
+    url.pathname = WEBHOOK_PATH;
+  }
+  return url.toString();
+}
+
+async function main() {
+  const input = process.argv[2] || process.env.TELEGRAM_WEBHOOK_URL;
+  if (!process.env.TELEGRAM_TOKEN || !input) {
+    console.error('❌ Usage: npm run set-webhook -- https://your-app.example.com (TELEGRAM_TOKEN must be set)');
+    process.exit(1);
+  }
+  if (!WEBHOOK_SECRET || !SECRET_FORMAT.test(WEBHOOK_SECRET)) {
+    console.error('❌ Set TELEGRAM_WEBHOOK_SECRET to 1-256 characters of A-Z, a-z, 0-9, _ and -, e.g. the output of: openssl rand -hex 32');
+    process.exit(1);
+  }
+
+  let url;
+  try {
+    url = webhookUrl(input);
+  } catch (error) {
+    console.error(`❌ "${input}" is not a valid URL`);
+    process.exit(1);
+  }
+  if (!url.startsWith('https://')) {
+    console.error('❌ Telegram only delivers webhooks to https:// URLs');
+    process.exit(1);
+  }
+
+  await setWebhook(url, WEBHOOK_SECRET, ALLOWED_UPDATES);
+  const info = await getWebhookInfo();
+
+  console.log('✅ Webhook registered:', {
+    url: info.url,
+    allowedUpdates: info.allowed_updates,
+    pendingUpdates: info.pending_update_count,
+    lastError: info.last_error_message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Failed to register webhook:', error.response ? error.response.data : error.message);
+  process.exit(1);
+});
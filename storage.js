@@ -0,0 +1,60 @@
+require('dotenv').config();
+
+// Storage backend selection. Every adapter exports the same functions:
+//   getUserSession(telegramId) -> the session, created when the user has none
+//   findUserSession(telegramId) -> the session, or null when the user has none
+//   updateUserSession(telegramId, currentState, collectedData, lastMessage)
+//   updateUserLanguage(telegramId, { language, telegramLanguage }) -> only the given fields change
+//   getIdleSessions(updatedBefore) -> sessions not in 'initial' whose Last_Updated is before the ISO timestamp
+//   markSessionReminded(telegramId, remindedAt) -> sets Reminded_At without touching Last_Updated
+//   addProperty(propertyData)
+//   updateProperty(recordId, propertyData)
+//   deleteProperty(recordId)
+//   getProperty(recordId)
+//   getPropertiesByTelegramId(telegramId)
+//   searchProperties(filter)
+//   getPropertyBySlug(slug)
+//   addImage(imageData)
+//   updateImage(recordId, imageData)
+//   deleteImage(recordId)
+//   getPropertyImages(propertyId)
+//   addSavedSearch(searchData)
+//   updateSavedSearch(recordId, searchData)
+//   deleteSavedSearch(recordId)
+//   getSavedSearches()
+//   getSavedSearchesByTelegramId(telegramId)
+//   claimUpdate(updateId, expiresAt) -> false when the update_id was already claimed and has not expired
+//   deleteExpiredUpdates()
+//   addJob(jobData)
+//   updateJob(recordId, jobData)
+//   getUnfinishedJobs(chatId) -> pending and running jobs, oldest first; all chats when chatId is omitted
+//   claimJob(jobId, attempt) -> false when another worker already claimed this attempt at the job
+//   deleteFinishedJobs(updatedBefore) -> also deletes the job claims made before then
+//   getUser(telegramId) -> the Users record, or null when the user is not on the allow-list
+//   getUsers()
+//   addUser(userData)
+//   updateUser(recordId, userData)
+//   deleteUser(recordId)
+//   addDeletedListing({ propertyId, slug, team })
+//   getDeletedListings(deletedSince) -> listings deleted at or after the ISO timestamp, oldest first
+// Records are returned as { id, fields } using the column names in propertySchema.js.
+// Only the selected adapter is loaded, so the others' env vars are not required.
+const ADAPTERS = {
+  airtable: './airtableConfig',
+  sheets: './googleSheets',
+  local: './localStore'
+};
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'airtable').toLowerCase();
+
+if (!ADAPTERS[STORAGE_BACKEND]) {
+  console.error(`❌ Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  throw new Error('Invalid STORAGE_BACKEND');
+}
+
+const adapter = require(ADAPTERS[STORAGE_BACKEND]);
+
+module.exports = {
+  STORAGE_BACKEND,
+  ...adapter
+};
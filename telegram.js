@@ -0,0 +1,132 @@
+require('dotenv').config();
+const axios = require('axios');
+
+const TELEGRAM_API = `https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}`;
+
+// Call a Bot API method with retry
+async function callTelegram(method, params, maxRetries = 3) {
+  let lastError;
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      const response = await axios.post(`${TELEGRAM_API}/${method}`, params);
+      return response.data.result;
+    } catch (error) {
+      lastError = error;
+      if (i < maxRetries - 1) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+      }
+    }
+  }
+  throw lastError;
+}
+
+// Helper function to send Telegram messages with retry.
+// extra is merged into the sendMessage params, e.g. { reply_markup }.
+async function sendTelegramMessage(chatId, text, extra = {}) {
+  return callTelegram('sendMessage', {
+    chat_id: chatId,
+    text: text,
+    parse_mode: 'HTML',
+    ...extra
+  });
+}
+
+// Send a photo by URL with an HTML caption (at most 1024 characters)
+async function sendTelegramPhoto(chatId, photoUrl, caption, extra = {}) {
+  return callTelegram('sendPhoto', {
+    chat_id: chatId,
+    photo: photoUrl,
+    caption,
+    parse_mode: 'HTML',
+    ...extra
+  });
+}
+
+// Replace the text of a message the bot sent earlier
+async function editMessageText(chatId, messageId, text, extra = {}) {
+  return callTelegram('editMessageText', {
+    chat_id: chatId,
+    message_id: messageId,
+    text,
+    parse_mode: 'HTML',
+    ...extra
+  });
+}
+
+// Stop the loading spinner on an inline keyboard button
+async function answerCallbackQuery(callbackQueryId, text) {
+  return callTelegram('answerCallbackQuery', {
+    callback_query_id: callbackQueryId,
+    text
+  });
+}
+
+// Replace (or with null, remove) the inline keyboard of a sent message
+async function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
+  return callTelegram('editMessageReplyMarkup', {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] }
+  });
+}
+
+// Command menu; with a languageCode it is shown to users whose Telegram app uses that language
+async function setMyCommands(commands, languageCode) {
+  return callTelegram('setMyCommands', { commands, language_code: languageCode });
+}
+
+// Point Telegram at our webhook. secretToken comes back in the X-Telegram-Bot-Api-Secret-Token header.
+async function setWebhook(url, secretToken, allowedUpdates) {
+  return callTelegram('setWebhook', {
+    url,
+    secret_token: secretToken,
+    allowed_updates: allowedUpdates
+  });
+}
+
+// Stop webhook delivery so getUpdates can be used; pending updates are kept
+async function deleteWebhook() {
+  return callTelegram('deleteWebhook', { drop_pending_updates: false });
+}
+
+// Long poll for updates after offset. Telegram holds the request open for up to timeout seconds.
+// Not retried here: the polling loop calls it again anyway. signal aborts the request.
+async function getUpdates(offset, timeout, allowedUpdates, signal) {
+  const response = await axios.post(`${TELEGRAM_API}/getUpdates`, {
+    offset,
+    timeout,
+    allowed_updates: allowedUpdates
+  }, {
+    timeout: (timeout + 10) * 1000,
+    signal
+  });
+  return response.data.result;
+}
+
+async function getWebhookInfo() {
+  return callTelegram('getWebhookInfo', {});
+}
+
+// Escape user-provided text for messages sent with parse_mode HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  TELEGRAM_API,
+  callTelegram,
+  sendTelegramMessage,
+  sendTelegramPhoto,
+  editMessageText,
+  answerCallbackQuery,
+  editMessageReplyMarkup,
+  setMyCommands,
+  setWebhook,
+  deleteWebhook,
+  getUpdates,
+  getWebhookInfo,
+  escapeHtml
+};
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyly-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(storeDir, 'store.json');
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+delete process.env.FEED_TOKEN;
+const { createFeeds } = require('../feeds');
+
+const EARLIER = '2024-05-01T10:00:00.000Z';
+const SYNCED_AT = '2024-05-02T00:00:00.000Z';
+const LATER = '2024-05-03T10:00:00.000Z';
+
+function listing(id, fields = {}) {
+  return {
+    id,
+    fields: {
+      Property_Type: 'Apartment',
+      Address: `Kastanienallee ${id}`,
+      ZIP: '10435',
+      Price: 450000,
+      Status: 'published',
+      SEO_URL_Slug: `flat-${id}`,
+      Created_At: EARLIER,
+      Updated_At: LATER,
+      ...fields
+    }
+  };
+}
+
+// The local store reads its file on every call, so each test writes the listings it needs
+function writeStore(properties, deletedListings = []) {
+  fs.writeFileSync(process.env.LOCAL_STORE_PATH, JSON.stringify({ properties, deletedListings }));
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use('/feeds', createFeeds());
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/feeds`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+async function getJson(query) {
+  const response = await fetch(`${baseUrl}/properties.json?${new URLSearchParams(query)}`);
+  return { status: response.status, nextCursorHeader: response.headers.get('x-next-cursor'), body: await response.json() };
+}
+
+test('the full feed has the published listings only', async () => {
+  writeStore([
+    listing('a'),
+    listing('b', { Status: 'draft' }),
+    listing('c', { Status: 'pending' }),
+    listing('d', { Status: 'rejected' })
+  ]);
+
+  const { status, body } = await getJson({});
+  assert.equal(status, 200);
+  assert.deepEqual(body.properties.map(property => property.id), ['a']);
+  assert.deepEqual(body.deleted, []);
+  assert.equal(body.nextCursor, null);
+});
+
+test('paging sends every listing changed at the same moment exactly once', async () => {
+  writeStore(['e', 'a', 'd', 'b', 'c'].map(id => listing(id)));
+
+  const seen = [];
+  let query = { updatedSince: SYNCED_AT, limit: 2 };
+  for (let page = 0; page < 5; page++) {
+    const { status, nextCursorHeader, body } = await getJson(query);
+    assert.equal(status, 200);
+    assert.equal(nextCursorHeader, body.nextCursor);
+    seen.push(...body.properties.map(property => property.id));
+    if (!body.nextCursor) break;
+    query = { cursor: body.nextCursor, limit: 2 };
+  }
+
+  assert.deepEqual(seen, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('a cursor picks up listings changed after the page it came from', async () => {
+  writeStore([listing('a'), listing('b')]);
+  const first = await getJson({ updatedSince: SYNCED_AT, limit: 1 });
+  assert.deepEqual(first.body.properties.map(property => property.id), ['a']);
+
+  writeStore([listing('a', { Updated_At: '2024-05-04T10:00:00.000Z' }), listing('b')]);
+  const second = await getJson({ cursor: first.body.nextCursor });
+  assert.deepEqual(second.body.properties.map(property => property.id), ['b', 'a']);
+  assert.equal(second.body.nextCursor, null);
+});
+
+test('an incremental feed lists unpublished and deleted listings as removals', async () => {
+  writeStore([
+    listing('a'),
+    listing('b', { Status: 'rejected' }),
+    listing('c', { Status: 'draft', SEO_URL_Slug: '' }),
+    listing('old', { Updated_At: EARLIER })
+  ], [
+    { id: 'del1', fields: { Property_ID: 'gone', SEO_URL_Slug: 'flat-gone', Team: '', Deleted_At: LATER } },
+    { id: 'del2', fields: { Property_ID: 'long-gone', SEO_URL_Slug: 'flat-long-gone', Team: '', Deleted_At: EARLIER } }
+  ]);
+
+  const { body } = await getJson({ updatedSince: SYNCED_AT });
+  assert.deepEqual(body.properties.map(property => property.id), ['a']);
+  assert.deepEqual(body.deleted.sort(), ['b', 'c', 'gone']);
+
+  // A full feed has nothing to remove
+  assert.deepEqual((await getJson({})).body.deleted, []);
+});
+
+test('a cursor that was not sent by the feed is refused', async () => {
+  writeStore([listing('a')]);
+  const { status, body } = await getJson({ cursor: 'not-a-cursor' });
+  assert.equal(status, 400);
+  assert.match(body.error, /cursor/);
+
+  const rss = await fetch(`${baseUrl}/properties.rss?cursor=x`);
+  assert.equal(rss.status, 400);
+});
+
+test('a team feed only lists removals of that team', async () => {
+  writeStore([
+    listing('a', { Team: 'north' }),
+    listing('b', { Team: 'north', Status: 'rejected' }),
+    listing('c', { Team: 'south', Status: 'rejected' })
+  ], [
+    { id: 'del1', fields: { Property_ID: 'north-gone', SEO_URL_Slug: 'flat-north-gone', Team: 'north', Deleted_At: LATER } },
+    { id: 'del2', fields: { Property_ID: 'south-gone', SEO_URL_Slug: 'flat-south-gone', Team: 'south', Deleted_At: LATER } }
+  ]);
+
+  const { body } = await getJson({ updatedSince: SYNCED_AT, team: 'north' });
+  assert.deepEqual(body.properties.map(property => property.id), ['a']);
+  assert.deepEqual(body.deleted.sort(), ['b', 'north-gone']);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyly-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(storeDir, 'store.json');
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+
+// jobs.js takes these from their modules when it loads, so the mocks have to be in place first
+const telegram = require('../telegram');
+const updates = require('../updates');
+const sendTelegramMessage = test.mock.method(telegram, 'sendTelegramMessage', async () => ({ message_id: 500 }));
+const editMessageText = test.mock.method(telegram, 'editMessageText', async () => ({}));
+const routeUpdate = test.mock.method(updates, 'routeUpdate', async () => {});
+const { claimJob } = require('../storage');
+const { t } = require('../i18n');
+const { enqueueUpdate, runDueJobs } = require('../jobs');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+function readStore() {
+  return JSON.parse(fs.readFileSync(process.env.LOCAL_STORE_PATH, 'utf8'));
+}
+
+function jobsOf(chatId) {
+  return readStore().jobs.filter(job => job.fields.Chat_ID === String(chatId));
+}
+
+// Move a chat's jobs back in time, as if they had been waiting that long
+function ageJobs(chatId, ms) {
+  const store = readStore();
+  const past = new Date(Date.now() - ms).toISOString();
+  for (const job of store.jobs.filter(record => record.fields.Chat_ID === String(chatId))) {
+    job.fields.Created_At = past;
+    job.fields.Updated_At = past;
+    job.fields.Run_After = past;
+  }
+  fs.writeFileSync(process.env.LOCAL_STORE_PATH, JSON.stringify(store));
+}
+
+function photoMessage(chatId, messageId, extra = {}) {
+  return { message_id: messageId, chat: { id: chatId }, from: { id: chatId, language_code: 'en' }, photo: [{ file_id: `f${messageId}` }], ...extra };
+}
+
+function routedFor(chatId) {
+  return routeUpdate.mock.calls.filter(call => call.arguments[0] === chatId);
+}
+
+test('a photo is stored as a job with a processing message, and runs once', async () => {
+  await enqueueUpdate(1, '', photoMessage(1, 10), undefined, 10);
+
+  const [job] = jobsOf(1);
+  assert.equal(job.fields.Status, 'pending');
+  assert.equal(job.fields.Status_Message_ID, 500);
+  assert.match(sendTelegramMessage.mock.calls.at(-1).arguments[1], /photo/);
+
+  assert.equal(await runDueJobs(), 1);
+  assert.equal(routedFor(1).length, 1);
+  assert.equal(jobsOf(1)[0].fields.Status, 'done');
+  assert.deepEqual(editMessageText.mock.calls.at(-1).arguments.slice(0, 3), [1, 500, t('en', 'jobs.done', { label: 'photo' })]);
+
+  assert.equal(await runDueJobs(), 0);
+  assert.equal(routedFor(1).length, 1);
+});
+
+test('two workers seeing the same job run it once', async () => {
+  await enqueueUpdate(2, '', photoMessage(2, 20), undefined, 20);
+
+  const ran = await Promise.all([runDueJobs(), runDueJobs()]);
+  assert.deepEqual(ran.sort(), [0, 1]);
+  assert.equal(routedFor(2).length, 1);
+});
+
+test('a failing job is retried later and marked failed after the last attempt', async () => {
+  await enqueueUpdate(3, '', photoMessage(3, 30), undefined, 30);
+  routeUpdate.mock.mockImplementation(async chatId => {
+    if (chatId === 3) throw new Error('vision down');
+  });
+
+  try {
+    assert.equal(await runDueJobs(), 1);
+    let [job] = jobsOf(3);
+    assert.equal(job.fields.Status, 'pending');
+    assert.equal(job.fields.Attempts, 1);
+    assert.equal(job.fields.Last_Error, 'vision down');
+    assert.ok(job.fields.Run_After > new Date().toISOString());
+
+    // Not due yet
+    assert.equal(await runDueJobs(), 0);
+
+    ageJobs(3, 60 * 1000);
+    await runDueJobs();
+    ageJobs(3, 60 * 1000);
+    await runDueJobs();
+    [job] = jobsOf(3);
+    assert.equal(job.fields.Status, 'failed');
+    assert.equal(job.fields.Attempts, 3);
+    assert.equal(routedFor(3).length, 3);
+  } finally {
+    routeUpdate.mock.mockImplementation(async () => {});
+  }
+});
+
+test('an attempt claimed by a worker that never started it is skipped once it is stale', async () => {
+  await enqueueUpdate(4, '', photoMessage(4, 40), undefined, 40);
+  const [record] = jobsOf(4);
+  assert.equal(await claimJob(record.id, 1), true);
+
+  // The claim is fresh, so the worker that has it may still be starting
+  assert.equal(await runDueJobs(), 0);
+  assert.equal(jobsOf(4)[0].fields.Attempts, 0);
+
+  ageJobs(4, 11 * 60 * 1000);
+  assert.equal(await runDueJobs(), 0);
+  assert.equal(jobsOf(4)[0].fields.Attempts, 1);
+
+  assert.equal(await runDueJobs(), 1);
+  assert.equal(jobsOf(4)[0].fields.Status, 'done');
+  assert.equal(routedFor(4).length, 1);
+});
+
+test('the photos of an album run together as one message, in the order they were sent', async () => {
+  await enqueueUpdate(5, '', photoMessage(5, 52, { media_group_id: 'g' }), undefined, 52);
+  await enqueueUpdate(5, '', photoMessage(5, 51, { media_group_id: 'g' }), undefined, 51);
+  // Only the first photo gets a processing message
+  assert.deepEqual(jobsOf(5).map(job => job.fields.Status_Message_ID), [500, undefined]);
+
+  // The album waits for more photos
+  assert.equal(await runDueJobs(), 0);
+
+  ageJobs(5, 2000);
+  assert.equal(await runDueJobs(), 1);
+  const [call] = routedFor(5);
+  assert.deepEqual(call.arguments[2].album.map(message => message.message_id), [51, 52]);
+  assert.deepEqual(jobsOf(5).map(job => job.fields.Status), ['done', 'done']);
+});
+
+test('later jobs of a chat wait for the earlier ones', async () => {
+  await enqueueUpdate(6, '', photoMessage(6, 60), undefined, 60);
+  await enqueueUpdate(6, 'done', { message_id: 61, chat: { id: 6 }, from: { id: 6 }, text: 'done' }, undefined, 61);
+
+  assert.equal(await runDueJobs(), 1);
+  assert.deepEqual(jobsOf(6).map(job => job.fields.Status), ['done', 'pending']);
+  assert.equal(await runDueJobs(), 1);
+  assert.deepEqual(routedFor(6).map(call => call.arguments[1]), ['', 'done']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store path is read when the module loads
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyly-'));
+const storePath = path.join(storeDir, 'store.json');
+process.env.LOCAL_STORE_PATH = storePath;
+const localStore = require('../localStore');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+test('addProperty stores the listing under a new record id', async () => {
+  const record = await localStore.addProperty({ telegramId: '42', address: 'Kastanienallee 12', price: 450000 });
+
+  assert.match(record.id, /^loc[0-9a-f]{14}$/);
+  assert.equal(record.fields.Address, 'Kastanienallee 12');
+  assert.equal(record.fields.Price, 450000);
+
+  const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  assert.deepEqual(saved.properties.map(property => property.id), [record.id]);
+});
+
+test('getUserSession creates a session once and then returns it', async () => {
+  const created = await localStore.getUserSession(7);
+  assert.equal(created.Telegram_ID, '7');
+  assert.equal(created.Current_State, 'initial');
+  assert.equal(created.Collected_Data, '{}');
+
+  assert.deepEqual(await localStore.getUserSession('7'), created);
+});
+
+test('updateUserSession saves the state and the collected data', async () => {
+  await localStore.updateUserSession(8, 'awaiting_zip', { address: 'Kastanienallee 12' }, 'Kastanienallee 12');
+
+  const session = await localStore.getUserSession(8);
+  assert.equal(session.Current_State, 'awaiting_zip');
+  assert.deepEqual(JSON.parse(session.Collected_Data), { address: 'Kastanienallee 12' });
+  assert.equal(session.Last_Message, 'Kastanienallee 12');
+});
+
+test('findUserSession does not create a session', async () => {
+  assert.equal(await localStore.findUserSession(9), null);
+  assert.equal(await localStore.findUserSession(9), null);
+
+  await localStore.updateUserSession(9, 'awaiting_price', {}, '');
+  assert.equal((await localStore.findUserSession('9')).Current_State, 'awaiting_price');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesSearch, parseFilterQuery, STATUS_ANY } = require('../searchFilter');
+
+// Google Sheets returns every cell as a string, so the listing uses strings like it would
+const listing = {
+  Property_Type: 'Apartment',
+  ZIP: '10435',
+  Bedrooms: '3',
+  Bathrooms: '2',
+  Size_sqm: '95',
+  Price: '450000',
+  Amenities: 'Balcony, Lift'
+};
+
+test('matchesSearch compares numeric filters as numbers', () => {
+  assert.equal(matchesSearch(listing, {}), true);
+  assert.equal(matchesSearch(listing, { minBedrooms: 3, maxPrice: 450000 }), true);
+  assert.equal(matchesSearch(listing, { minBedrooms: 4 }), false);
+  assert.equal(matchesSearch(listing, { maxPrice: 449999 }), false);
+  assert.equal(matchesSearch(listing, { minSize: 90, maxSize: 100, minBathrooms: 1.5 }), true);
+});
+
+test('matchesSearch never matches a listing without the filtered value', () => {
+  assert.equal(matchesSearch({ ...listing, Price: '' }, { maxPrice: 500000 }), false);
+  assert.equal(matchesSearch({ ...listing, Size_sqm: undefined }, { minSize: 50 }), false);
+});
+
+test('matchesSearch matches ZIP prefixes, the property type and every amenity', () => {
+  assert.equal(matchesSearch(listing, { zip: '104' }), true);
+  assert.equal(matchesSearch(listing, { zip: '105' }), false);
+  assert.equal(matchesSearch(listing, { propertyType: 'House' }), false);
+  assert.equal(matchesSearch(listing, { amenities: ['balcony', 'lift'] }), true);
+  assert.equal(matchesSearch(listing, { amenities: ['balcony', 'garden'] }), false);
+});
+
+test('matchesSearch leaves drafts out', () => {
+  assert.equal(matchesSearch({ ...listing, Status: 'draft' }, {}), false);
+});
+
+test('matchesSearch matches drafts only when the filter asks for them', () => {
+  const draft = { ...listing, Status: 'draft' };
+  assert.equal(matchesSearch(draft, { status: 'draft' }), true);
+  assert.equal(matchesSearch(listing, { status: 'draft' }), false);
+  assert.equal(matchesSearch(draft, { status: STATUS_ANY }), true);
+  assert.equal(matchesSearch(listing, { status: STATUS_ANY }), true);
+});
+
+test('matchesSearch can be limited to one agent', () => {
+  assert.equal(matchesSearch({ ...listing, Telegram_ID: '42' }, { telegramId: 42 }), true);
+  assert.equal(matchesSearch({ ...listing, Telegram_ID: '43' }, { telegramId: 42 }), false);
+});
+
+test('matchesSearch keeps listings updated at or after updatedSince', () => {
+  const updated = { ...listing, Updated_At: '2024-05-01T12:00:00.000Z' };
+  assert.equal(matchesSearch(updated, { updatedSince: '2024-05-01T12:00:00.000Z' }), true);
+  assert.equal(matchesSearch(updated, { updatedSince: '2024-05-01T12:00:00.001Z' }), false);
+  assert.equal(matchesSearch(listing, { updatedSince: '2024-05-01T12:00:00.000Z' }), false);
+});
+
+test('parseFilterQuery turns query parameters into a filter', () => {
+  assert.deepEqual(parseFilterQuery({}), { filter: {} });
+  assert.deepEqual(parseFilterQuery({
+    minPrice: '100000',
+    maxBedrooms: '3',
+    minBathrooms: '1.5',
+    propertyType: 'Apartment',
+    zip: ' 104 ',
+    amenities: 'Balcony, lift,,',
+    updatedSince: '2024-05-01T14:00:00+02:00'
+  }), {
+    filter: {
+      minPrice: 100000,
+      maxBedrooms: 3,
+      minBathrooms: 1.5,
+      propertyType: 'Apartment',
+      zip: '104',
+      amenities: ['balcony', 'lift'],
+      updatedSince: '2024-05-01T12:00:00.000Z'
+    }
+  });
+});
+
+test('parseFilterQuery refuses values it cannot use', () => {
+  assert.deepEqual(parseFilterQuery({ maxPrice: 'cheap' }), { error: 'maxPrice must be a number' });
+  assert.deepEqual(parseFilterQuery({ minSize: '' }), { error: 'minSize must be a number' });
+  assert.match(parseFilterQuery({ propertyType: 'apartment' }).error, /^propertyType must be one of: Apartment, /);
+  assert.match(parseFilterQuery({ updatedSince: 'yesterday' }).error, /^updatedSince must be a date/);
+});
+
+test('parseFilterQuery leaves out the admin-only keys', () => {
+  assert.deepEqual(parseFilterQuery({ status: 'any', telegramId: '42' }), { filter: {} });
+});
+
+test('a team filter matches only that team\'s listings', () => {
+  assert.equal(matchesSearch({ ...listing, Team: 'north' }, { team: 'north' }), true);
+  assert.equal(matchesSearch({ ...listing, Team: 'south' }, { team: 'north' }), false);
+  assert.equal(matchesSearch(listing, { team: 'north' }), false);
+  assert.deepEqual(parseFilterQuery({ team: ' north ' }), { filter: { team: 'north' } });
+});
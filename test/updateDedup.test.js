@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyly-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(storeDir, 'store.json');
+const storage = require('../storage');
+// updateDedup takes claimUpdate from storage when it loads, so the spy has to be in place first
+const claimUpdate = test.mock.method(storage, 'claimUpdate');
+const { claimUpdateOnce } = require('../updateDedup');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+const inADay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+test('claimUpdateOnce accepts an update once and refuses its redeliveries', async () => {
+  assert.equal(await claimUpdateOnce(1001), true);
+  assert.equal(await claimUpdateOnce(1001), false);
+  assert.equal(await claimUpdateOnce(1002), true);
+});
+
+test('a redelivery arriving at the same moment is refused without asking the store again', async () => {
+  const calls = claimUpdate.mock.callCount();
+  const results = await Promise.all([claimUpdateOnce(1003), claimUpdateOnce(1003), claimUpdateOnce(1003)]);
+
+  assert.deepEqual(results.sort(), [false, false, true]);
+  assert.equal(claimUpdate.mock.callCount(), calls + 1);
+});
+
+test('an update claimed by another instance is refused', async () => {
+  assert.equal(await storage.claimUpdate(1004, inADay()), true);
+  assert.equal(await claimUpdateOnce(1004), false);
+});
+
+test('an expired claim no longer blocks the update', async () => {
+  assert.equal(await storage.claimUpdate(1005, new Date(Date.now() - 1000).toISOString()), true);
+  assert.equal(await claimUpdateOnce(1005), true);
+  assert.equal(await storage.claimUpdate(1005, inADay()), false);
+});
+
+test('deleteExpiredUpdates removes only the expired claims', async () => {
+  await storage.claimUpdate(1007, new Date(Date.now() - 1000).toISOString());
+  await storage.deleteExpiredUpdates();
+
+  const { processedUpdates } = JSON.parse(fs.readFileSync(process.env.LOCAL_STORE_PATH, 'utf8'));
+  assert.equal(processedUpdates[1007], undefined);
+  assert.ok(processedUpdates[1001]);
+});
+
+test('when the store cannot be reached the update is processed anyway', async () => {
+  claimUpdate.mock.mockImplementationOnce(async () => {
+    throw new Error('store offline');
+  });
+  assert.equal(await claimUpdateOnce(1006), true);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber, validateField } = require('../validation');
+
+function value(field, input) {
+  const result = validateField(field, input, 'en');
+  assert.equal(result.error, undefined, `${field} "${input}" was rejected`);
+  return result.value;
+}
+
+function rejects(field, input) {
+  const result = validateField(field, input, 'en');
+  assert.equal(typeof result.error, 'string', `${field} "${input}" was accepted as ${result.value}`);
+}
+
+test('parseNumber reads digits, separators, words and multipliers', () => {
+  assert.equal(parseNumber('3'), 3);
+  assert.equal(parseNumber('two'), 2);
+  assert.equal(parseNumber('1,5'), 1.5);
+  assert.equal(parseNumber('450.000'), 450000);
+  assert.equal(parseNumber('1,234.5'), 1234.5);
+  assert.equal(parseNumber('€450.000'), 450000);
+  assert.equal(parseNumber('450k'), 450000);
+  assert.equal(parseNumber('1.2m'), 1200000);
+});
+
+test('parseNumber rejects text after the number that is not a multiplier', () => {
+  assert.ok(Number.isNaN(parseNumber('1e9')));
+  assert.ok(Number.isNaN(parseNumber('two hundred')));
+  assert.ok(Number.isNaN(parseNumber('lots')));
+});
+
+test('validateField normalises the listing answers', () => {
+  assert.equal(value('address', '  Kastanienallee   12 '), 'Kastanienallee 12');
+  assert.equal(value('zip', 'Berlin 10435'), '10435');
+  assert.equal(value('bedrooms', '3 bedrooms'), 3);
+  assert.equal(value('bedrooms', 'studio'), 0);
+  assert.equal(value('bathrooms', '1.5 baths'), 1.5);
+  assert.equal(value('size', '95 sqm'), 95);
+  assert.equal(value('price', '450k'), 450000);
+  assert.equal(value('amenities', 'balcony, lift'), 'balcony, lift');
+});
+
+test('validateField rejects answers that make no sense for the field', () => {
+  rejects('address', '12');
+  rejects('zip', '1043');
+  rejects('bedrooms', '2.5');
+  rejects('bedrooms', '-1');
+  rejects('bathrooms', '1.25');
+  rejects('size', '2');
+  rejects('price', 'cheap');
+  rejects('price', '0');
+  rejects('amenities', '  ');
+});
+
+test('validateField rejects prices that are most likely missing their thousands', () => {
+  rejects('price', '45');
+  rejects('price', '999');
+  assert.equal(value('price', '1000'), 1000);
+});
+
+test('validateField passes fields without a validator through', () => {
+  assert.deepEqual(validateField('notes', 'anything', 'en'), { value: 'anything' });
+});
+
+test('validateField picks the property type from the words agents use', () => {
+  assert.equal(value('propertyType', 'a nice flat'), 'Apartment');
+  assert.equal(value('propertyType', 'Row house'), 'Townhouse');
+  assert.equal(value('propertyType', 'Penthouse with terrace'), 'Penthouse');
+  rejects('propertyType', 'castle');
+});
+
+test('validateField reads German, Spanish and Farsi answers', () => {
+  assert.equal(value('bedrooms', '3 Schlafzimmer'), 3);
+  assert.equal(value('bedrooms', 'dos dormitorios'), 2);
+  assert.equal(value('bathrooms', '2 Bäder'), 2);
+  assert.equal(value('bedrooms', '۳ خواب'), 3);
+  assert.equal(value('price', '450 tausend'), 450000);
+  assert.equal(value('propertyType', 'Wohnung'), 'Apartment');
+  assert.equal(value('propertyType', 'آپارتمان'), 'Apartment');
+});
@@ -0,0 +1,59 @@
+const { claimUpdate, deleteExpiredUpdates } = require('./storage');
+
+// Telegram retries an update it could not deliver for up to 24 hours, so an update_id
+// is remembered that long. update_id is unique per bot, unlike message_id.
+const UPDATE_TTL = 24 * 60 * 60 * 1000; // 1 day
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// update_id -> expiry time; saves a store round trip for quick redeliveries to the same instance.
+// Every entry has the same TTL, so the Map's insertion order is also expiry order.
+const recentUpdates = new Map();
+let lastPruneAt = 0;
+
+function pruneRecentUpdates(now) {
+  for (const [updateId, expiresAt] of recentUpdates) {
+    if (expiresAt > now) break;
+    recentUpdates.delete(updateId);
+  }
+}
+
+// Expired ids are removed from the store now and then, in the background
+function pruneStoredUpdates(now) {
+  if (now - lastPruneAt < PRUNE_INTERVAL) return;
+  lastPruneAt = now;
+  deleteExpiredUpdates().catch(error => {
+    console.error('Failed to prune processed updates:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+// Resolves true the first time an update_id is seen and false for a redelivery.
+// The in-memory check happens before the first await, so call it as soon as the update arrives.
+// When the store can't be reached the update is processed: a duplicate beats a lost message.
+async function claimUpdateOnce(updateId) {
+  const now = Date.now();
+  pruneRecentUpdates(now);
+  if (recentUpdates.has(updateId)) {
+    return false;
+  }
+  recentUpdates.set(updateId, now + UPDATE_TTL);
+
+  try {
+    const claimed = await claimUpdate(updateId, new Date(now + UPDATE_TTL).toISOString());
+    pruneStoredUpdates(now);
+    return claimed;
+  } catch (error) {
+    console.error('Update deduplication failed:', {
+      error: error.message,
+      updateId,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+}
+
+module.exports = {
+  claimUpdateOnce
+};
@@ -0,0 +1,102 @@
+const { getUserSession, updateUserLanguage } = require('./storage');
+const { sendTelegramMessage } = require('./telegram');
+const { processMessage } = require('./conversation');
+const { handleCommand } = require('./commands');
+const { handleCallbackQuery } = require('./callbacks');
+const { resolveLocale, t } = require('./i18n');
+
+// The Telegram user who sent an update
+function updateSender(message, callbackQuery) {
+  if (callbackQuery) return callbackQuery.from;
+  return message && message.from;
+}
+
+// Keep the language of the user's Telegram app in the session, so messages sent without
+// an update (alerts, digests, job status) and "/language auto" can use it
+async function rememberTelegramLanguage(chatId, userSession, from) {
+  const telegramLanguage = from && from.language_code;
+  if (!telegramLanguage || telegramLanguage === userSession.Telegram_Language) return;
+  try {
+    await updateUserLanguage(chatId, { telegramLanguage });
+    userSession.Telegram_Language = telegramLanguage;
+  } catch (error) {
+    console.error('Failed to save Telegram language:', {
+      error: error.message,
+      chatId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Route one message (or a whole album) to buttons, commands or the conversation.
+// Errors are left to the caller: processUpdate apologises, the job worker retries.
+async function routeUpdate(chatId, text, message, callbackQuery, userSession) {
+  const from = updateSender(message, callbackQuery);
+  await rememberTelegramLanguage(chatId, userSession, from);
+  const locale = resolveLocale(userSession, from);
+
+  if (callbackQuery) {
+    await handleCallbackQuery(chatId, callbackQuery, userSession, locale);
+    return;
+  }
+
+  // Slash commands are routed before the conversation flow
+  const handledCommand = await handleCommand(chatId, text, userSession, locale);
+  if (!handledCommand) {
+    await processMessage(chatId, text, userSession, message, locale);
+  }
+}
+
+// Load the session and route one update, telling the user when something goes wrong
+async function processUpdate(chatId, text, message, callbackQuery, messageId) {
+  const from = updateSender(message, callbackQuery);
+  let userSession = null;
+  try {
+    // Get or create user session
+    try {
+      userSession = await getUserSession(chatId);
+      console.log('User session retrieved:', {
+        chatId,
+        session: userSession,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Session error:', {
+        error: error.message,
+        stack: error.stack,
+        chatId,
+        timestamp: new Date().toISOString()
+      });
+
+      const locale = resolveLocale(null, from);
+      if (error.message.includes('Airtable tables not found')) {
+        await sendTelegramMessage(chatId, t(locale, 'errors.settingUp'));
+      } else {
+        await sendTelegramMessage(chatId, t(locale, 'errors.connection'));
+      }
+      return;
+    }
+
+    await routeUpdate(chatId, text, message, callbackQuery, userSession);
+    console.log('Message processed successfully:', {
+      chatId,
+      messageId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Processing error:', {
+      error: error.message,
+      stack: error.stack,
+      chatId,
+      messageId,
+      timestamp: new Date().toISOString()
+    });
+    await sendTelegramMessage(chatId, t(resolveLocale(userSession, from), 'errors.wonky'));
+  }
+}
+
+module.exports = {
+  updateSender,
+  routeUpdate,
+  processUpdate
+};
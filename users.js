@@ -0,0 +1,200 @@
+const { getUser, getUsers, addUser, updateUser, deleteUser, findUserSession } = require('./storage');
+const { sendTelegramMessage, escapeHtml } = require('./telegram');
+const { USER_ROLES, fromUserFields } = require('./propertySchema');
+const { t, resolveLocale } = require('./i18n');
+
+// Agents and admins. Only users on the allow-list (the Users table) can add listings,
+// everyone can search. Admins manage the list with /allow and /revoke and review new listings.
+// An admin with a team only sees that team; ADMIN_TELEGRAM_IDS (comma-separated) are admins
+// of every team without a Users record, so the first admin can add everyone else.
+const ADMIN_TELEGRAM_IDS = (process.env.ADMIN_TELEGRAM_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+const TELEGRAM_ID_PATTERN = /^-?\d+$/;
+
+function isBuiltInAdmin(telegramId) {
+  return ADMIN_TELEGRAM_IDS.includes(telegramId.toString());
+}
+
+// { telegramId, name, role, team, recordId, builtIn } or null when the user is not on the allow-list
+async function findUser(telegramId) {
+  const record = await getUser(telegramId);
+  const user = record ? { ...fromUserFields(record.fields), recordId: record.id, builtIn: false } : null;
+  if (isBuiltInAdmin(telegramId)) {
+    return {
+      telegramId: telegramId.toString(),
+      name: '',
+      recordId: null,
+      ...user,
+      role: USER_ROLES.ADMIN,
+      team: '',
+      builtIn: true
+    };
+  }
+  return user;
+}
+
+// Admins can do everything agents can
+function hasRole(user, role) {
+  if (!user) return false;
+  return role === USER_ROLES.AGENT || user.role === USER_ROLES.ADMIN;
+}
+
+function isAdmin(user) {
+  return hasRole(user, USER_ROLES.ADMIN);
+}
+
+// An admin without a team manages every team
+function managesTeam(admin, team) {
+  return isAdmin(admin) && (!admin.team || admin.team === (team || ''));
+}
+
+// Admins who review listings of the given team, built-in admins included
+async function reviewersFor(team) {
+  const records = await getUsers();
+  const admins = records
+    .map(record => fromUserFields(record.fields))
+    .filter(user => managesTeam(user, team))
+    .map(user => user.telegramId);
+  return [...new Set([...ADMIN_TELEGRAM_IDS, ...admins])];
+}
+
+function teamLabel(team, locale) {
+  return team ? escapeHtml(team) : t(locale, 'team.noTeam');
+}
+
+function userLine(user, locale) {
+  const name = user.name ? ` ${escapeHtml(user.name)}` : '';
+  return `• <code>${escapeHtml(user.telegramId)}</code>${name} - ${t(locale, `team.roles.${user.role}`)}, ${teamLabel(user.team, locale)}`;
+}
+
+// "/agents" lists the allow-list, only the admin's own team for team admins
+async function handleAgents(chatId, userSession, collectedData, args, locale) {
+  const admin = await findUser(chatId);
+  const users = (await getUsers())
+    .map(record => fromUserFields(record.fields))
+    .filter(user => !admin.team || user.team === admin.team);
+
+  if (users.length === 0) {
+    await sendTelegramMessage(chatId, t(locale, 'team.none'));
+    return;
+  }
+
+  const lines = users.map(user => userLine(user, locale)).join('\n');
+  await sendTelegramMessage(chatId, t(locale, admin.team ? 'team.list' : 'team.listAll', {
+    team: escapeHtml(admin.team),
+    lines
+  }));
+}
+
+// "/allow <Telegram ID> [admin] [team]": adds an agent, or changes the role and team of one
+// already on the list. Team admins can only add to their own team.
+async function handleAllow(chatId, userSession, collectedData, args, locale) {
+  const admin = await findUser(chatId);
+  const [telegramId, ...rest] = args.split(/\s+/).filter(Boolean);
+  if (!telegramId || !TELEGRAM_ID_PATTERN.test(telegramId)) {
+    await sendTelegramMessage(chatId, t(locale, 'team.usageAllow'));
+    return;
+  }
+
+  const role = rest[0] && rest[0].toLowerCase() === USER_ROLES.ADMIN ? USER_ROLES.ADMIN : USER_ROLES.AGENT;
+  const requestedTeam = (role === USER_ROLES.ADMIN ? rest.slice(1) : rest).join(' ').trim();
+  if (admin.team && requestedTeam && requestedTeam !== admin.team) {
+    await sendTelegramMessage(chatId, t(locale, 'team.ownTeamOnly', { team: escapeHtml(admin.team) }));
+    return;
+  }
+  const team = admin.team || requestedTeam;
+
+  const existing = await getUser(telegramId);
+  if (existing && !managesTeam(admin, existing.fields.Team)) {
+    await sendTelegramMessage(chatId, t(locale, 'team.otherTeam', { telegramId }));
+    return;
+  }
+
+  if (existing) {
+    await updateUser(existing.id, { role, team });
+  } else {
+    await addUser({ telegramId, role, team });
+  }
+
+  console.log('User allowed:', {
+    telegramId,
+    role,
+    team,
+    by: chatId,
+    timestamp: new Date().toISOString()
+  });
+
+  await sendTelegramMessage(chatId, t(locale, 'team.allowed', {
+    telegramId,
+    role: t(locale, `team.roles.${role}`),
+    team: teamLabel(team, locale)
+  }));
+
+  // They may never have talked to the bot, in which case Telegram won't let us message them
+  try {
+    const theirLocale = resolveLocale(await findUserSession(telegramId), null);
+    await sendTelegramMessage(telegramId, t(theirLocale, 'team.welcome', {
+      role: t(theirLocale, `team.roles.${role}`),
+      team: teamLabel(team, theirLocale)
+    }));
+  } catch (error) {
+    console.error('Failed to welcome new user:', {
+      error: error.message,
+      telegramId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// "/revoke <Telegram ID>" removes someone from the allow-list. Their listings stay.
+async function handleRevoke(chatId, userSession, collectedData, args, locale) {
+  const admin = await findUser(chatId);
+  const telegramId = args.split(/\s+/)[0];
+  if (!telegramId || !TELEGRAM_ID_PATTERN.test(telegramId)) {
+    await sendTelegramMessage(chatId, t(locale, 'team.usageRevoke'));
+    return;
+  }
+  if (telegramId === chatId.toString()) {
+    await sendTelegramMessage(chatId, t(locale, 'team.notYourself'));
+    return;
+  }
+  if (isBuiltInAdmin(telegramId)) {
+    await sendTelegramMessage(chatId, t(locale, 'team.builtIn', { telegramId }));
+    return;
+  }
+
+  const existing = await getUser(telegramId);
+  if (!existing) {
+    await sendTelegramMessage(chatId, t(locale, 'team.notFound', { telegramId }));
+    return;
+  }
+  if (!managesTeam(admin, existing.fields.Team)) {
+    await sendTelegramMessage(chatId, t(locale, 'team.otherTeam', { telegramId }));
+    return;
+  }
+
+  await deleteUser(existing.id);
+  console.log('User revoked:', {
+    telegramId,
+    by: chatId,
+    timestamp: new Date().toISOString()
+  });
+  await sendTelegramMessage(chatId, t(locale, 'team.revoked', { telegramId }));
+}
+
+module.exports = {
+  ADMIN_TELEGRAM_IDS,
+  TELEGRAM_ID_PATTERN,
+  isBuiltInAdmin,
+  findUser,
+  hasRole,
+  isAdmin,
+  managesTeam,
+  reviewersFor,
+  handleAgents,
+  handleAllow,
+  handleRevoke
+};
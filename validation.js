@@ -0,0 +1,242 @@
+const { t, propertyTypeLabel } = require('./i18n');
+
+// Validation and normalisation for the listing fields collected by the bot.
+// Every validator takes the raw answer and the chat's locale and returns either { value }
+// or { error } where error is a friendly hint to send back with the question.
+
+// Country used for ZIP validation (ISO 3166 alpha-2)
+const LISTING_COUNTRY = (process.env.LISTING_COUNTRY || 'DE').toUpperCase();
+
+// Currency of the listing prices (ISO 4217), for the public pages and export feeds
+const LISTING_CURRENCY = (process.env.LISTING_CURRENCY || 'EUR').toUpperCase();
+
+// Postal code formats per country; the formatter normalises spacing / case
+const ZIP_FORMATS = {
+  DE: { pattern: /\b\d{5}\b/, example: '10435' },
+  AT: { pattern: /\b\d{4}\b/, example: '1010' },
+  CH: { pattern: /\b\d{4}\b/, example: '8001' },
+  FR: { pattern: /\b\d{5}\b/, example: '75001' },
+  ES: { pattern: /\b\d{5}\b/, example: '28001' },
+  IT: { pattern: /\b\d{5}\b/, example: '00184' },
+  NL: { pattern: /\b\d{4}\s?[A-Z]{2}\b/, example: '1012 AB', format: zip => zip.replace(/^(\d{4})\s?/, '$1 ') },
+  GB: { pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/, example: 'SW1A 1AA', format: zip => zip.replace(/\s?(\d[A-Z]{2})$/, ' $1') },
+  US: { pattern: /\b\d{5}(?:-\d{4})?\b/, example: '94103' },
+  IR: { pattern: /\b\d{5}-?\d{5}\b/, example: '1234567890', format: zip => zip.replace('-', '') }
+};
+
+// Property types offered in the picker, with words agents commonly use for them
+// (English, German, Spanish and Farsi). The keys are what gets stored.
+const PROPERTY_TYPES = {
+  Apartment: ['apartment', 'flat', 'condo', 'wohnung', 'etagenwohnung', 'loft', 'maisonette', 'apartamento', 'piso', 'آپارتمان'],
+  House: ['house', 'home', 'haus', 'einfamilienhaus', 'detached', 'bungalow', 'cottage', 'casa', 'chalet', 'خانه', 'ویلایی'],
+  Townhouse: ['townhouse', 'terraced', 'row house', 'reihenhaus', 'adosado', 'casa adosada', 'تاون‌هاوس', 'تاونهاوس'],
+  Villa: ['villa', 'mansion', 'ویلا'],
+  Penthouse: ['penthouse', 'ático', 'پنت‌هاوس', 'پنتهاوس'],
+  Studio: ['studio', 'estudio', 'استودیو', 'سوئیت'],
+  Land: ['land', 'plot', 'lot', 'grundstück', 'terreno', 'solar', 'زمین'],
+  Commercial: ['commercial', 'office', 'shop', 'retail', 'warehouse', 'gewerbe', 'büro', 'laden', 'local', 'oficina', 'nave', 'تجاری', 'مغازه', 'دفتر']
+};
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+  fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20, single: 1, studio: 0,
+  // German
+  null: 0, eins: 1, ein: 1, eine: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6,
+  sieben: 7, acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12,
+  // Spanish
+  cero: 0, uno: 1, una: 1, un: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6,
+  siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, estudio: 0,
+  // Farsi
+  'صفر': 0, 'یک': 1, 'دو': 2, 'سه': 3, 'چهار': 4, 'پنج': 5, 'شش': 6,
+  'هفت': 7, 'هشت': 8, 'نه': 9, 'ده': 10
+};
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3, tsd: 1e3, tausend: 1e3, mil: 1e3, 'هزار': 1e3,
+  m: 1e6, mio: 1e6, mn: 1e6, million: 1e6, millions: 1e6, millionen: 1e6,
+  millón: 1e6, millon: 1e6, millones: 1e6, 'میلیون': 1e6
+};
+
+// Units agents add to a bedroom or bathroom count ("3 bedrooms", "2 Bäder"), removed before parsing
+const BEDROOM_UNITS = /\s*(bedrooms?|beds?|br|schlafzimmer|zimmer|dormitorios?|habitaciones?|اتاق\s*خواب|خواب)$/u;
+const BATHROOM_UNITS = /\s*(bathrooms?|baths?|ba|badezimmer|bäder|bad|baños?|حمام|سرویس)$/u;
+
+// Lowest price taken; anything below it is almost certainly a typo like "45" for 450k
+const MIN_PRICE = 1000;
+
+// Persian (۰-۹) and Arabic (٠-٩) digits and separators -> ASCII
+function toAsciiDigits(text) {
+  return text
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/٫/g, '.')
+    .replace(/٬/g, ',');
+}
+
+// Turn "1.234,5" / "1,234.5" / "450.000" / "450 000" / "450'000" into a plain decimal string
+function normaliseDigits(raw) {
+  const digits = raw.replace(/[\s']/g, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both separators: whichever comes last is the decimal mark
+    const decimalMark = lastDot > lastComma ? '.' : ',';
+    const thousandsMark = decimalMark === '.' ? ',' : '.';
+    return digits.split(thousandsMark).join('').replace(decimalMark, '.');
+  }
+
+  const separator = lastDot !== -1 ? '.' : (lastComma !== -1 ? ',' : null);
+  if (!separator) return digits;
+
+  const parts = digits.split(separator);
+  // Repeated separator or exactly three trailing digits means thousands grouping
+  if (parts.length > 2 || parts[parts.length - 1].length === 3) {
+    return parts.join('');
+  }
+  return parts.join('.');
+}
+
+// Parse a human-written number, e.g. "two", "1,5", "€450.000", "450k", "1.2m", "1½".
+// Anything after the number other than a multiplier makes it NaN, so "1e9" or "two hundred"
+// are asked again instead of being read as 1 and 2.
+function parseNumber(text) {
+  const input = toAsciiDigits(String(text).toLowerCase().trim())
+    .replace(/½/g, '.5')
+    .replace(/(\d)\s+1\/2\b/g, '$1.5')
+    .replace(/[€$£¥₹﷼]|\b(eur|euro|euros|usd|chf|gbp|irr|toman)\b|تومان|ریال/g, '')
+    .replace(/[.!]+$/, '')
+    .trim();
+
+  const wordMatch = input.match(/^(\p{L}+)(\s+and a half)?(?:\s+(\p{L}+))?$/u);
+  if (wordMatch && NUMBER_WORDS[wordMatch[1]] !== undefined) {
+    if (wordMatch[3] && !MULTIPLIERS[wordMatch[3]]) return NaN;
+    return (NUMBER_WORDS[wordMatch[1]] + (wordMatch[2] ? 0.5 : 0)) * (wordMatch[3] ? MULTIPLIERS[wordMatch[3]] : 1);
+  }
+
+  const match = input.match(/^(-?[\d.,'\s]*\d)\s*(\p{L}+)?$/u);
+  if (!match) return NaN;
+  if (match[2] && !MULTIPLIERS[match[2]]) return NaN;
+
+  const value = parseFloat(normaliseDigits(match[1]));
+  return match[2] ? value * MULTIPLIERS[match[2]] : value;
+}
+
+function validateAddress(text, locale) {
+  const value = String(text).trim().replace(/\s+/g, ' ');
+  if (value.length < 3 || !/\p{L}/u.test(value)) {
+    return { error: t(locale, 'validation.address') };
+  }
+  return { value };
+}
+
+function validateZip(text, locale, country = LISTING_COUNTRY) {
+  const format = ZIP_FORMATS[country];
+  const input = toAsciiDigits(String(text).trim().toUpperCase());
+
+  // Unknown country: accept anything that looks like a postal code
+  if (!format) {
+    return /^[A-Z\d][A-Z\d\s-]{1,9}$/.test(input)
+      ? { value: input }
+      : { error: t(locale, 'validation.zip') };
+  }
+
+  const match = input.match(format.pattern);
+  if (!match) {
+    return { error: t(locale, 'validation.zipExample', { example: format.example }) };
+  }
+  return { value: format.format ? format.format(match[0]) : match[0] };
+}
+
+function validateBedrooms(text, locale) {
+  const value = parseNumber(String(text).toLowerCase().trim().replace(BEDROOM_UNITS, ''));
+  if (!Number.isInteger(value) || value < 0 || value > 50) {
+    return { error: t(locale, 'validation.bedrooms') };
+  }
+  return { value };
+}
+
+function validateBathrooms(text, locale) {
+  const value = parseNumber(String(text).toLowerCase().trim().replace(BATHROOM_UNITS, ''));
+  if (!Number.isInteger(value * 2) || value < 0 || value > 50) {
+    return { error: t(locale, 'validation.bathrooms') };
+  }
+  return { value };
+}
+
+function validateSize(text, locale) {
+  const cleaned = String(text).toLowerCase().trim()
+    .replace(/(sq\.?\s?m|sqm|qm|square\s+met(er|re)s?|metros?\s+cuadrados|متر\s*مربع|متر|m²|m2|m)$/, '');
+  const value = parseNumber(cleaned);
+  if (!Number.isFinite(value) || value < 5 || value > 100000) {
+    return { error: t(locale, 'validation.size') };
+  }
+  return { value: Math.round(value * 10) / 10 };
+}
+
+function validatePrice(text, locale) {
+  const value = parseNumber(text);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: t(locale, 'validation.price') };
+  }
+  if (value < MIN_PRICE) {
+    return { error: t(locale, 'validation.priceTooLow') };
+  }
+  return { value: Math.round(value) };
+}
+
+function validatePropertyType(text, locale) {
+  const input = String(text).toLowerCase().trim();
+  // The longest matching word wins, so "row house" is a Townhouse, not a House
+  let type = null;
+  let matchedLength = 0;
+  for (const [name, words] of Object.entries(PROPERTY_TYPES)) {
+    for (const word of words) {
+      // Letters on either side mean the word is part of another one; \b only knows ASCII letters
+      if (word.length > matchedLength && new RegExp(`(?<![\\p{L}\\d])${word}(?![\\p{L}\\d])`, 'u').test(input)) {
+        type = name;
+        matchedLength = word.length;
+      }
+    }
+  }
+  if (!type) {
+    const types = Object.keys(PROPERTY_TYPES).map(name => propertyTypeLabel(locale, name));
+    return { error: t(locale, 'validation.propertyType', { types: types.join(', ') }) };
+  }
+  return { value: type };
+}
+
+function validateAmenities(text, locale) {
+  const value = String(text).trim();
+  if (!value) {
+    return { error: t(locale, 'validation.amenities') };
+  }
+  return { value };
+}
+
+const VALIDATORS = {
+  address: validateAddress,
+  zip: validateZip,
+  propertyType: validatePropertyType,
+  bedrooms: validateBedrooms,
+  bathrooms: validateBathrooms,
+  size: validateSize,
+  price: validatePrice,
+  amenities: validateAmenities
+};
+
+// Validate one listing field; fields without a validator pass through unchanged
+function validateField(field, input, locale) {
+  const validator = VALIDATORS[field];
+  return validator ? validator(input, locale) : { value: input };
+}
+
+module.exports = {
+  LISTING_COUNTRY,
+  LISTING_CURRENCY,
+  PROPERTY_TYPES,
+  parseNumber,
+  validateField
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Telegram sends the secret_token given to setWebhook in this header with every update,
+// so requests without it did not come from Telegram.
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const WEBHOOK_PATH = '/telegram-webhook';
+
+// Update types the bot handles; setWebhook asks Telegram for these only
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query'];
+
+// Telegram accepts 1-256 characters A-Z, a-z, 0-9, _ and -
+const SECRET_FORMAT = /^[A-Za-z0-9_-]{1,256}$/;
+
+// True when a secret is configured and the request carries it
+function isVerifiedTelegramRequest(req) {
+  if (!WEBHOOK_SECRET) return false;
+  const expected = Buffer.from(WEBHOOK_SECRET);
+  const received = Buffer.from(req.get(SECRET_HEADER) || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Express middleware for the webhook route. Without TELEGRAM_WEBHOOK_SECRET every request is let through.
+// Rejected requests are logged without their body, which could be anything.
+function verifyTelegramRequest(req, res, next) {
+  if (!WEBHOOK_SECRET || isVerifiedTelegramRequest(req)) {
+    next();
+    return;
+  }
+
+  console.warn('Rejected webhook request:', {
+    ip: req.ip,
+    hasSecretHeader: Boolean(req.get(SECRET_HEADER)),
+    userAgent: req.get('user-agent'),
+    timestamp: new Date().toISOString()
+  });
+  res.sendStatus(401);
+}
+
+// Request headers without the secret, for logging
+function loggableHeaders(headers) {
+  const { [SECRET_HEADER]: secret, ...rest } = headers;
+  return rest;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptional(value, check) {
+  return value === undefined || check(value);
+}
+
+const isString = value => typeof value === 'string';
+const hasIntegerId = value => isObject(value) && Number.isInteger(value.id);
+
+function validateMessage(message) {
+  if (!isObject(message)) return 'message is not an object';
+  if (!Number.isInteger(message.message_id)) return 'message.message_id is missing';
+  if (!hasIntegerId(message.chat)) return 'message.chat.id is missing';
+  if (!isOptional(message.text, isString)) return 'message.text is not a string';
+  if (!isOptional(message.caption, isString)) return 'message.caption is not a string';
+  if (!isOptional(message.media_group_id, isString)) return 'message.media_group_id is not a string';
+  if (!isOptional(message.photo, photo => Array.isArray(photo) && photo.length > 0 && photo.every(size => isObject(size) && isString(size.file_id)))) {
+    return 'message.photo is not a list of photo sizes';
+  }
+  for (const key of ['document', 'voice', 'audio']) {
+    if (!isOptional(message[key], file => isObject(file) && isString(file.file_id))) {
+      return `message.${key}.file_id is missing`;
+    }
+  }
+  return null;
+}
+
+// What is wrong with an update, or null when it has the shape the webhook relies on.
+// Update types the bot does not handle only need an update_id; the webhook ignores them.
+function validateUpdate(update) {
+  if (!isObject(update)) return 'body is not an object';
+  if (!Number.isInteger(update.update_id)) return 'update_id is missing';
+
+  for (const key of ['message', 'edited_message']) {
+    if (update[key] !== undefined) return validateMessage(update[key]);
+  }
+
+  const callbackQuery = update.callback_query;
+  if (callbackQuery !== undefined) {
+    if (!isObject(callbackQuery)) return 'callback_query is not an object';
+    if (!isString(callbackQuery.id)) return 'callback_query.id is missing';
+    if (!hasIntegerId(callbackQuery.from)) return 'callback_query.from.id is missing';
+    if (!isOptional(callbackQuery.data, isString)) return 'callback_query.data is not a string';
+    if (callbackQuery.message !== undefined) return validateMessage(callbackQuery.message);
+  }
+
+  return null;
+}
+
+module.exports = {
+  WEBHOOK_SECRET,
+  WEBHOOK_PATH,
+  ALLOWED_UPDATES,
+  SECRET_FORMAT,
+  isVerifiedTelegramRequest,
+  verifyTelegramRequest,
+  loggableHeaders,
+  validateUpdate
+};
@@ -0,0 +1,19 @@
+require('dotenv').config();
+const cloudinary = require('cloudinary').v2;
+const { STORAGE_BACKEND } = require('./storage');
+const { startWorker } = require('./jobs');
+
+// Standalone job worker, for deployments where the webhook runs on a serverless host
+// (JOB_WORKER=external). Needs the same environment variables as the server.
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+console.log('Starting job worker:', {
+  storage: STORAGE_BACKEND,
+  timestamp: new Date().toISOString()
+});
+
+startWorker();